@@ -122,6 +122,8 @@ class Application extends React.Component {
     render() {
         let gameBoardVisible =
             this.props.currentGame && this.props.currentGame.started && this.props.path === '/play';
+        // The caster view is captured for streams, so it leaves out the site's navigation
+        let casterView = gameBoardVisible && this.props.currentGame.casterView;
 
         let component = this.router.resolvePath({
             pathname: this.props.path,
@@ -170,7 +172,7 @@ class Application extends React.Component {
 
         return (
             <div className='bg' ref={this.bgRef}>
-                <Navigation appName='The Crucible Online' user={this.props.user} />
+                {!casterView && <Navigation appName='The Crucible Online' user={this.props.user} />}
                 <div className='wrapper'>
                     <Container className='content'>
                         <ErrorBoundary
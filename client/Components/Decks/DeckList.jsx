@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Col, Form } from 'react-bootstrap';
+import { Badge, Col, Form } from 'react-bootstrap';
 import moment from 'moment';
 import BootstrapTable from 'react-bootstrap-table-next';
 import paginationFactory from 'react-bootstrap-table2-paginator';
@@ -61,6 +61,7 @@ import { Constants } from '../../constants';
  * @property {number} wins The number of wins this deck has had
  * @property {number} winRate The win rate of the deck
  * @property {number} usageLevel The usage level of the deck
+ * @property {{ gameFormat: string, version: string }[]} legalLists The format list versions the deck is legal under
  */
 
 /**
@@ -264,6 +265,30 @@ const DeckList = ({ onDeckSelected, standaloneDecks = false }) => {
              * @param {number} cell
              */
             formatter: (cell) => `${cell?.toFixed(2)}%`
+        },
+        {
+            dataField: 'legalLists',
+            align: 'center',
+            text: t('Legal'),
+            headerStyle: {
+                width: '14%'
+            },
+            sort: false,
+            hidden: standaloneDecks,
+            /**
+             * @param {{ gameFormat: string, version: string }[]} cell
+             */
+            // eslint-disable-next-line react/display-name
+            formatter: (cell) =>
+                (cell || []).map((list) => (
+                    <Badge
+                        key={`${list.gameFormat}-${list.version}`}
+                        variant='secondary'
+                        className='mr-1'
+                    >
+                        {`${t(list.gameFormat)} v${list.version}`}
+                    </Badge>
+                ))
         }
     ];
 
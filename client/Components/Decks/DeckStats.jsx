@@ -0,0 +1,129 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Col, ProgressBar, Row } from 'react-bootstrap';
+import { Trans, useTranslation } from 'react-i18next';
+
+import { Constants } from '../../constants';
+import { loadDeckStats } from '../../redux/actions';
+
+import './DeckStats.scss';
+
+/**
+ * @typedef DeckRecord
+ * @property {number} games
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} draws
+ * @property {number} winRate The percentage of games won
+ */
+
+/**
+ * A bar split into the wins, draws and losses of a record
+ * @param {{ label: React.ReactNode, record: DeckRecord }} props
+ */
+const RecordBar = ({ label, record }) => {
+    const percent = (count) => (record.games > 0 ? (count / record.games) * 100 : 0);
+
+    return (
+        <Row className='deck-stats-row'>
+            <Col xs={4} className='deck-stats-label'>
+                {label}
+            </Col>
+            <Col xs={6}>
+                <ProgressBar>
+                    <ProgressBar variant='success' now={percent(record.wins)} />
+                    <ProgressBar variant='secondary' now={percent(record.draws)} />
+                    <ProgressBar variant='danger' now={percent(record.losses)} />
+                </ProgressBar>
+            </Col>
+            <Col xs={2} className='deck-stats-value'>
+                {record.wins}-{record.losses}
+                {record.draws > 0 && `-${record.draws}`}
+            </Col>
+        </Row>
+    );
+};
+
+/**
+ * How a deck has performed: its record, whether it does better going first or second, how
+ * quickly it wins, and its record against each house and its most common opponents
+ * @param {{ deck: import('./DeckList').Deck }} props
+ */
+const DeckStats = ({ deck }) => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const stats = useSelector((state) => state.cards.deckStats[deck.id]);
+
+    useEffect(() => {
+        dispatch(loadDeckStats(deck.id));
+    }, [deck.id, dispatch]);
+
+    if (!stats) {
+        return null;
+    }
+
+    if (stats.games === 0) {
+        return (
+            <div className='deck-stats'>
+                <Trans>This deck has not finished any games yet.</Trans>
+            </div>
+        );
+    }
+
+    return (
+        <div className='deck-stats'>
+            <h5>
+                <Trans>Record</Trans>
+            </h5>
+            <RecordBar
+                label={t('{{winRate}}% won', { winRate: Math.round(stats.winRate) })}
+                record={stats}
+            />
+            <RecordBar
+                label={t('Going first {{winRate}}%', { winRate: Math.round(stats.first.winRate) })}
+                record={stats.first}
+            />
+            <RecordBar
+                label={t('Going second {{winRate}}%', {
+                    winRate: Math.round(stats.second.winRate)
+                })}
+                record={stats.second}
+            />
+            {stats.averageTurnsToWin && (
+                <div className='deck-stats-row'>
+                    {t('Wins in {{turns}} turns on average', {
+                        turns: stats.averageTurnsToWin.toFixed(1)
+                    })}
+                </div>
+            )}
+            <h5>
+                <Trans>Against each house</Trans>
+            </h5>
+            {stats.houses.map((record) => (
+                <RecordBar
+                    key={record.house}
+                    label={
+                        <>
+                            <img
+                                className='deck-stats-house'
+                                src={Constants.HouseIconPaths[record.house]}
+                            />
+                            {t(record.house)}
+                        </>
+                    }
+                    record={record}
+                />
+            ))}
+            <h5>
+                <Trans>Most common opponents</Trans>
+            </h5>
+            {stats.opponents.map((record) => (
+                <RecordBar key={record.name} label={record.name} record={record} />
+            ))}
+        </div>
+    );
+};
+
+DeckStats.displayName = 'DeckStats';
+
+export default DeckStats;
@@ -0,0 +1,242 @@
+import React, { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Form, Col, Button, Table } from 'react-bootstrap';
+import { Formik } from 'formik';
+import * as yup from 'yup';
+import moment from 'moment';
+import { Trans, useTranslation } from 'react-i18next';
+
+import Panel from '../Site/Panel';
+import ApiStatus from '../Site/ApiStatus';
+import {
+    addFormatList,
+    clearApiStatus,
+    deleteFormatList,
+    loadCards,
+    loadFormatLists
+} from '../../redux/actions';
+import { FormatList } from '../../redux/types';
+
+/**
+ * Splits the card ids an admin has typed into a list, one per line or separated by commas
+ * @param {string} text
+ * @returns {string[]}
+ */
+const parseCardIds = (text) =>
+    text
+        .split(/[\n,]/)
+        .map((id) => id.trim())
+        .filter((id) => id);
+
+/**
+ * Manages the versioned ban and restricted lists for each game format
+ */
+const FormatListAdmin = () => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const formatLists = useSelector((state) => state.admin.formatLists);
+    const cards = useSelector((state) => state.cards.cards);
+    const addState = useSelector((state) => state.api[FormatList.AddFormatList]);
+    const deleteState = useSelector((state) => state.api[FormatList.DeleteFormatList]);
+
+    useEffect(() => {
+        dispatch(loadFormatLists());
+        dispatch(loadCards());
+    }, [dispatch]);
+
+    const formats = [
+        { name: 'normal', label: t('Normal') },
+        { name: 'reversal', label: t('Reversal') },
+        { name: 'adaptive', label: t('Adaptive') },
+        { name: 'alliance', label: t('Alliance') }
+    ];
+
+    const schema = yup.object({
+        gameFormat: yup.string().required(),
+        version: yup.string().required(t('You must specify a version for the list')),
+        banned: yup.string(),
+        restricted: yup.string(),
+        restrictedLimit: yup.number().min(0).required()
+    });
+
+    const getCardNames = (ids) =>
+        ids.map((id) => (cards && cards[id] ? cards[id].name : id)).join(', ');
+
+    return (
+        <>
+            <Panel title={t('Format lists')}>
+                <ApiStatus
+                    state={deleteState}
+                    onClose={() => dispatch(clearApiStatus(FormatList.DeleteFormatList))}
+                />
+                {formatLists.length === 0 ? (
+                    <Trans>There are no format lists yet</Trans>
+                ) : (
+                    <Table striped>
+                        <thead>
+                            <tr>
+                                <th>
+                                    <Trans>Format</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Version</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Banned</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Restricted</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Added</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Added By</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Action</Trans>
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {formatLists.map((list) => (
+                                <tr key={list.id}>
+                                    <td>{list.gameFormat}</td>
+                                    <td>{list.version}</td>
+                                    <td>{getCardNames(list.banned)}</td>
+                                    <td>
+                                        {getCardNames(list.restricted)}{' '}
+                                        {t('(at most {{limit}})', {
+                                            limit: list.restrictedLimit
+                                        })}
+                                    </td>
+                                    <td>{moment(list.createdAt).format('YYYY-MM-DD')}</td>
+                                    <td>{list.creator}</td>
+                                    <td>
+                                        <Button
+                                            variant='danger'
+                                            onClick={() => dispatch(deleteFormatList(list.id))}
+                                        >
+                                            <Trans>Delete</Trans>
+                                        </Button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                )}
+            </Panel>
+            <Panel title={t('Add format list')}>
+                <ApiStatus
+                    state={addState}
+                    onClose={() => dispatch(clearApiStatus(FormatList.AddFormatList))}
+                />
+                <Formik
+                    validationSchema={schema}
+                    onSubmit={(values) =>
+                        dispatch(
+                            addFormatList({
+                                gameFormat: values.gameFormat,
+                                version: values.version,
+                                banned: parseCardIds(values.banned),
+                                restricted: parseCardIds(values.restricted),
+                                restrictedLimit: values.restrictedLimit
+                            })
+                        )
+                    }
+                    initialValues={{
+                        gameFormat: 'normal',
+                        version: '',
+                        banned: '',
+                        restricted: '',
+                        restrictedLimit: 1
+                    }}
+                >
+                    {(formProps) => (
+                        <Form
+                            onSubmit={(event) => {
+                                event.preventDefault();
+                                formProps.handleSubmit(event);
+                            }}
+                        >
+                            <Form.Row>
+                                <Form.Group as={Col} md='4' controlId='formatListFormat'>
+                                    <Form.Label>{t('Format')}</Form.Label>
+                                    <Form.Control
+                                        as='select'
+                                        name='gameFormat'
+                                        value={formProps.values.gameFormat}
+                                        onChange={formProps.handleChange}
+                                    >
+                                        {formats.map((format) => (
+                                            <option key={format.name} value={format.name}>
+                                                {format.label}
+                                            </option>
+                                        ))}
+                                    </Form.Control>
+                                </Form.Group>
+                                <Form.Group as={Col} md='4' controlId='formatListVersion'>
+                                    <Form.Label>{t('Version')}</Form.Label>
+                                    <Form.Control
+                                        name='version'
+                                        type='text'
+                                        value={formProps.values.version}
+                                        onChange={formProps.handleChange}
+                                        onBlur={formProps.handleBlur}
+                                        isInvalid={
+                                            formProps.touched.version && !!formProps.errors.version
+                                        }
+                                    />
+                                    <Form.Control.Feedback type='invalid'>
+                                        {formProps.errors.version}
+                                    </Form.Control.Feedback>
+                                </Form.Group>
+                                <Form.Group as={Col} md='4' controlId='formatListRestrictedLimit'>
+                                    <Form.Label>{t('Restricted cards allowed')}</Form.Label>
+                                    <Form.Control
+                                        name='restrictedLimit'
+                                        type='number'
+                                        min='0'
+                                        value={formProps.values.restrictedLimit}
+                                        onChange={formProps.handleChange}
+                                    />
+                                </Form.Group>
+                            </Form.Row>
+                            <Form.Row>
+                                <Form.Group as={Col} md='6' controlId='formatListBanned'>
+                                    <Form.Label>{t('Banned card ids')}</Form.Label>
+                                    <Form.Control
+                                        as='textarea'
+                                        rows={5}
+                                        name='banned'
+                                        value={formProps.values.banned}
+                                        onChange={formProps.handleChange}
+                                    />
+                                </Form.Group>
+                                <Form.Group as={Col} md='6' controlId='formatListRestricted'>
+                                    <Form.Label>{t('Restricted card ids')}</Form.Label>
+                                    <Form.Control
+                                        as='textarea'
+                                        rows={5}
+                                        name='restricted'
+                                        value={formProps.values.restricted}
+                                        onChange={formProps.handleChange}
+                                    />
+                                </Form.Group>
+                            </Form.Row>
+                            <div className='text-center'>
+                                <Button variant='primary' type='submit'>
+                                    <Trans>Add</Trans>
+                                </Button>
+                            </div>
+                        </Form>
+                    )}
+                </Formik>
+            </Panel>
+        </>
+    );
+};
+
+FormatListAdmin.displayName = 'FormatListAdmin';
+
+export default FormatListAdmin;
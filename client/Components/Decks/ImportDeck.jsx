@@ -22,7 +22,8 @@ const ImportDeck = () => {
         if (retState && retState.success) {
             retState.message = t('Deck added successfully');
 
-            if (selectedDeck.cards.some((c) => c.enhancements)) {
+            // Enhanced cards imported without their enhancements need them assigning
+            if (selectedDeck.cards.some((c) => c.enhancements && c.enhancements.length === 0)) {
                 retState.message = t(
                     'Deck added successfully but the deck has enhancements. It is not possible for us to determine which cards are enhanced. You will be redirected to a page that allows you to assign them.'
                 );
@@ -41,31 +42,92 @@ const ImportDeck = () => {
         return retState;
     });
 
+    const invalidLink = t('The URL you entered is invalid.  Please check it and try again.');
     const schema = yup.object({
-        deckLink: yup
-            .string()
-            .required(t('You must specify the deck link'))
-            .notOneOf(
-                ['https://www.keyforgegame.com/deck-details/00000000-0000-0000-0000-000000000000'],
-                t('The URL you entered is invalid.  Please check it and try again.')
-            )
-            .matches(
-                /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/,
-                t('The URL you entered is invalid.  Please check it and try again.')
-            )
+        source: yup.string(),
+        deckLink: yup.string().when('source', {
+            is: 'link',
+            then: yup
+                .string()
+                .required(t('You must specify the deck link'))
+                .notOneOf(
+                    [
+                        'https://www.keyforgegame.com/deck-details/00000000-0000-0000-0000-000000000000'
+                    ],
+                    invalidLink
+                )
+                .matches(
+                    /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/,
+                    invalidLink
+                )
+        }),
+        deckList: yup.string().when('source', {
+            is: 'list',
+            then: yup.string().required(t('You must enter the deck list'))
+        }),
+        deckExport: yup.string().when('source', {
+            is: 'export',
+            then: yup.string().required(t('You must enter the deck export'))
+        })
     });
 
     const initialValues = {
-        deckLink: ''
+        source: 'link',
+        deckLink: '',
+        deckList: '',
+        deckExport: ''
     };
 
     const onSubmit = (values) => {
+        if (values.source === 'list') {
+            dispatch(saveDeck({ deckList: values.deckList }));
+
+            return;
+        }
+
+        if (values.source === 'export') {
+            dispatch(saveDeck({ deckExport: values.deckExport }));
+
+            return;
+        }
+
         const regex = /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/;
         let uuid = values.deckLink.match(regex);
 
         dispatch(saveDeck({ uuid: uuid[0] }));
     };
 
+    const sources = [
+        { value: 'link', label: t('Master Vault link') },
+        { value: 'list', label: t('Deck list') },
+        { value: 'export', label: t('JSON export') }
+    ];
+
+    /**
+     * @param {Object} formProps
+     * @param {string} name
+     * @param {string} placeholder
+     */
+    const renderTextArea = (formProps, name, placeholder) => (
+        <Form.Row>
+            <Form.Group as={Col} controlId={name}>
+                <Form.Control
+                    name={name}
+                    as='textarea'
+                    rows={12}
+                    placeholder={placeholder}
+                    value={formProps.values[name]}
+                    onChange={formProps.handleChange}
+                    onBlur={formProps.handleBlur}
+                    isInvalid={formProps.touched[name] && !!formProps.errors[name]}
+                />
+                <Form.Control.Feedback type='invalid'>
+                    {formProps.errors[name]}
+                </Form.Control.Feedback>
+            </Form.Group>
+        </Form.Row>
+    );
+
     return (
         <div>
             <Col md={{ span: 8, offset: 2 }} className='profile full-height'>
@@ -74,29 +136,6 @@ const ImportDeck = () => {
                     onClose={() => dispatch(clearApiStatus(Decks.SaveDeck))}
                 />
                 <Panel title={t('Import Deck')}>
-                    <Trans i18nKey='importdeck.enterlink'>
-                        <p>
-                            Enter the deck link from the&nbsp;
-                            <a
-                                href='https://keyforgegame.com'
-                                target='_blank'
-                                rel='noopener noreferrer'
-                            >
-                                keyforge website.
-                            </a>
-                        </p>
-                        <p>
-                            Either search for a deck, or find one from the &quot;My Decks&quot;
-                            section of the website. Find the URL of the deck and paste it in to the
-                            box below.
-                        </p>
-                        <p>The URL looks like this: </p>
-                    </Trans>
-                    <p>
-                        <code>
-                            https://www.keyforgegame.com/deck-details/00000000-0000-0000-0000-000000000000
-                        </code>
-                    </p>
                     <Formik
                         validationSchema={schema}
                         onSubmit={onSubmit}
@@ -110,25 +149,114 @@ const ImportDeck = () => {
                                 }}
                             >
                                 <Form.Row>
-                                    <Form.Group as={Col} xs='9' controlId='formGridDeckLink'>
-                                        <Form.Label>{t('Deck Link')}</Form.Label>
-                                        <Form.Control
-                                            name='deckLink'
-                                            type='text'
-                                            placeholder={t('Enter the deck link')}
-                                            value={formProps.values.deckLink}
-                                            onChange={formProps.handleChange}
-                                            onBlur={formProps.handleBlur}
-                                            isInvalid={
-                                                formProps.touched.deckLink &&
-                                                !!formProps.errors.deckLink
-                                            }
-                                        />
-                                        <Form.Control.Feedback type='invalid'>
-                                            {formProps.errors.deckLink}
-                                        </Form.Control.Feedback>
+                                    <Form.Group as={Col}>
+                                        {sources.map((source) => (
+                                            <Form.Check
+                                                key={source.value}
+                                                id={`source-${source.value}`}
+                                                name='source'
+                                                type='radio'
+                                                inline
+                                                label={source.label}
+                                                value={source.value}
+                                                checked={formProps.values.source === source.value}
+                                                onChange={formProps.handleChange}
+                                            />
+                                        ))}
                                     </Form.Group>
                                 </Form.Row>
+                                {formProps.values.source === 'link' && (
+                                    <>
+                                        <Trans i18nKey='importdeck.enterlink'>
+                                            <p>
+                                                Enter the deck link from the&nbsp;
+                                                <a
+                                                    href='https://keyforgegame.com'
+                                                    target='_blank'
+                                                    rel='noopener noreferrer'
+                                                >
+                                                    keyforge website.
+                                                </a>
+                                            </p>
+                                            <p>
+                                                Either search for a deck, or find one from the
+                                                &quot;My Decks&quot; section of the website. Find
+                                                the URL of the deck and paste it in to the box
+                                                below.
+                                            </p>
+                                            <p>The URL looks like this: </p>
+                                        </Trans>
+                                        <p>
+                                            <code>
+                                                https://www.keyforgegame.com/deck-details/00000000-0000-0000-0000-000000000000
+                                            </code>
+                                        </p>
+                                        <Form.Row>
+                                            <Form.Group
+                                                as={Col}
+                                                xs='9'
+                                                controlId='formGridDeckLink'
+                                            >
+                                                <Form.Label>{t('Deck Link')}</Form.Label>
+                                                <Form.Control
+                                                    name='deckLink'
+                                                    type='text'
+                                                    placeholder={t('Enter the deck link')}
+                                                    value={formProps.values.deckLink}
+                                                    onChange={formProps.handleChange}
+                                                    onBlur={formProps.handleBlur}
+                                                    isInvalid={
+                                                        formProps.touched.deckLink &&
+                                                        !!formProps.errors.deckLink
+                                                    }
+                                                />
+                                                <Form.Control.Feedback type='invalid'>
+                                                    {formProps.errors.deckLink}
+                                                </Form.Control.Feedback>
+                                            </Form.Group>
+                                        </Form.Row>
+                                    </>
+                                )}
+                                {formProps.values.source === 'list' && (
+                                    <>
+                                        <p>
+                                            <Trans i18nKey='importdeck.enterlist'>
+                                                Paste the deck list below. The first line is the
+                                                name of the deck, followed by its houses and
+                                                expansion and then one card per line. Mark
+                                                mavericks, anomalies and enhanced cards in brackets.
+                                            </Trans>
+                                        </p>
+                                        {renderTextArea(
+                                            formProps,
+                                            'deckList',
+                                            'Grumpus, the Unwilling\nHouses: Brobnar, Dis, Logos\nExpansion: MM\n2 Troll\n1 Anger (Enhanced: amber, draw)\n1 Krump (Maverick: Dis)'
+                                        )}
+                                    </>
+                                )}
+                                {formProps.values.source === 'export' && (
+                                    <>
+                                        <p>
+                                            <Trans i18nKey='importdeck.enterexport'>
+                                                Paste a deck exported as JSON, or saved from the
+                                                Master Vault, below.
+                                            </Trans>
+                                        </p>
+                                        {renderTextArea(
+                                            formProps,
+                                            'deckExport',
+                                            '{ "name": "...", "expansion": 479, "houses": ["brobnar", "dis", "logos"], "cards": [{ "id": "troll", "count": 2 }] }'
+                                        )}
+                                    </>
+                                )}
+                                {formProps.values.source !== 'link' && (
+                                    <p>
+                                        <Trans>
+                                            Decks imported this way have not been checked against
+                                            the Master Vault, and need to be verified.
+                                        </Trans>
+                                    </p>
+                                )}
 
                                 <Col className='text-center'>
                                     <Button variant='secondary' type='submit'>
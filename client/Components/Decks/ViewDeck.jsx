@@ -3,6 +3,7 @@ import { Trans } from 'react-i18next';
 import { ButtonGroup, Col } from 'react-bootstrap';
 
 import ConfirmButton from '../Form/ConfirmButton';
+import DeckStats from './DeckStats';
 import DeckSummary from './DeckSummary';
 import Panel from '../Site/Panel';
 import { deleteDeck } from '../../redux/actions';
@@ -33,6 +34,7 @@ const ViewDeck = ({ deck }) => {
                 </ButtonGroup>
             </Col>
             <DeckSummary deck={deck} />
+            <DeckStats deck={deck} />
         </Panel>
     );
 };
@@ -4,6 +4,7 @@ import { connect } from 'react-redux';
 import { bindActionCreators } from 'redux';
 import classNames from 'classnames';
 import { withTranslation, Trans } from 'react-i18next';
+import { Button } from 'react-bootstrap';
 
 import ActivePlayerPrompt from './ActivePlayerPrompt';
 import CardBack from '../Decks/CardBack';
@@ -11,10 +12,12 @@ import CardZoom from './CardZoom';
 import Droppable from './Droppable';
 import GameChat from './GameChat';
 import GameConfigurationModal from './GameConfigurationModal';
+import GameSummaryModal from './GameSummaryModal';
 import IdentityCard from './IdentityCard';
 import PlayerBoard from './PlayerBoard';
 import PlayerRow from './PlayerRow';
 import PlayerStats from './PlayerStats';
+import SandboxPanel from './SandboxPanel';
 import TimeLimitClock from './TimeLimitClock';
 import * as actions from '../../redux/actions';
 
@@ -64,7 +67,9 @@ export class GameBoard extends React.Component {
             showMessages: true,
             lastMessageCount: 0,
             newMessages: 0,
-            showModal: false
+            showModal: false,
+            summaryClosedFor: null,
+            hotseatSeatShown: props.user && props.user.username
         };
     }
 
@@ -112,13 +117,24 @@ export class GameBoard extends React.Component {
 
     getTimer() {
         let timeLimitClock = null;
-        if (
-            this.props.currentGame.useGameTimeLimit &&
-            this.props.currentGame.gameTimeLimitStarted
-        ) {
+        let timeLimitStarted =
+            this.props.currentGame.useGameTimeLimit && this.props.currentGame.gameTimeLimitStarted;
+        let clock = this.props.currentGame.clock;
+        let clocks =
+            clock && clock.type !== 'none'
+                ? Object.values(this.props.currentGame.players)
+                      .filter((player) => player.clock)
+                      .map((player) => ({ name: player.name, clock: player.clock }))
+                : undefined;
+
+        let tiebreak = this.props.currentGame.tiebreak;
+
+        if (timeLimitStarted || clocks || (tiebreak && tiebreak.started)) {
             timeLimitClock = (
                 <TimeLimitClock
-                    timeLimitStarted={this.props.currentGame.gameTimeLimitStarted}
+                    clocks={clocks}
+                    tiebreak={tiebreak}
+                    timeLimitStarted={timeLimitStarted}
                     timeLimitStartedAt={this.props.currentGame.gameTimeLimitStartedAt}
                     timeLimit={this.props.currentGame.gameTimeLimitTime}
                 />
@@ -177,6 +193,24 @@ export class GameBoard extends React.Component {
     }
 
     getMatchRecord(thisPlayer, otherPlayer) {
+        const match = this.props.currentGame.match;
+
+        if (match) {
+            return {
+                bestOf: match.bestOf,
+                // Once a game is won the match has moved on to the next game
+                gameNumber: this.props.currentGame.winner ? match.gameNumber - 1 : match.gameNumber,
+                thisPlayer: {
+                    name: thisPlayer.name,
+                    wins: match.score[thisPlayer.name] || 0
+                },
+                otherPlayer: {
+                    name: otherPlayer.name ? otherPlayer.name : 'Noone',
+                    wins: match.score[otherPlayer.name] || 0
+                }
+            };
+        }
+
         return {
             thisPlayer: {
                 name: thisPlayer.name,
@@ -232,6 +266,24 @@ export class GameBoard extends React.Component {
         }
     }
 
+    /**
+     * In hotseat games the board is covered whenever the seat being played changes, so the next
+     * player doesn't see the previous player's hand while the device is passed over
+     */
+    renderPassDevice(thisPlayer) {
+        return (
+            <div className='game-board pass-device'>
+                <h3>{this.props.t('Pass the device to {{name}}', { name: thisPlayer.name })}</h3>
+                <Button
+                    variant='primary'
+                    onClick={() => this.setState({ hotseatSeatShown: thisPlayer.name })}
+                >
+                    <Trans>Show my cards</Trans>
+                </Button>
+            </div>
+        );
+    }
+
     isSpectating() {
         return !this.props.currentGame.players[this.props.user.username];
     }
@@ -368,7 +420,9 @@ export class GameBoard extends React.Component {
             );
         }
 
-        let thisPlayer = this.props.currentGame.players[this.props.user.username];
+        let thisPlayer = this.props.currentGame.players[
+            this.props.currentGame.hotseatSeat || this.props.user.username
+        ];
         if (!thisPlayer) {
             thisPlayer = Object.values(this.props.currentGame.players)[0];
         }
@@ -385,13 +439,26 @@ export class GameBoard extends React.Component {
             return player.name !== thisPlayer.name;
         });
 
+        if (
+            this.props.currentGame.hotseat &&
+            !this.props.currentGame.sandbox &&
+            !this.props.currentGame.winner &&
+            thisPlayer.name !== this.state.hotseatSeatShown
+        ) {
+            return this.renderPassDevice(thisPlayer);
+        }
+
         // Default any missing information
         thisPlayer = this.defaultPlayerInfo(thisPlayer);
         otherPlayer = this.defaultPlayerInfo(otherPlayer);
 
         let boundActionCreators = bindActionCreators(actions, this.props.dispatch);
 
+        // Casters stream the board without the prompt, chat or controls
+        let casterView = this.props.currentGame.casterView;
+
         let boardClass = classNames('game-board', {
+            'caster-view': casterView,
             'select-cursor': thisPlayer && thisPlayer.selectCard
         });
 
@@ -406,6 +473,17 @@ export class GameBoard extends React.Component {
                         onClose={() => this.setState({ showModal: false })}
                     />
                 )}
+                {this.props.currentGame.telemetry &&
+                    !casterView &&
+                    this.state.summaryClosedFor !== this.props.currentGame.id && (
+                        <GameSummaryModal
+                            players={[thisPlayer.name, otherPlayer.name].filter((name) => name)}
+                            turns={this.props.currentGame.telemetry}
+                            onClose={() =>
+                                this.setState({ summaryClosedFor: this.props.currentGame.id })
+                            }
+                        />
+                    )}
                 <div className='stats-top'>
                     <PlayerStats
                         stats={otherPlayer.stats}
@@ -418,8 +496,19 @@ export class GameBoard extends React.Component {
                 <div className='main-window'>
                     {this.renderBoard(thisPlayer, otherPlayer)}
                     {this.state.cardToZoom && <CardZoom card={this.state.cardToZoom} />}
+                    {casterView && (
+                        <Button
+                            variant='secondary'
+                            size='sm'
+                            className='exit-caster-view'
+                            onClick={() => this.props.sendGameMessage('toggleCasterView')}
+                        >
+                            <Trans>Exit caster view</Trans>
+                        </Button>
+                    )}
                     <div className='right-side'>
                         <div className='prompt-area'>
+                            {this.getTimer()}
                             <div className='inset-pane'>
                                 <ActivePlayerPrompt
                                     cards={this.props.cards}
@@ -435,6 +524,11 @@ export class GameBoard extends React.Component {
                                 />
                             </div>
                         </div>
+                        {this.props.currentGame.sandbox && !this.isSpectating() && (
+                            <div className='inset-pane'>
+                                <SandboxPanel players={[thisPlayer, otherPlayer]} />
+                            </div>
+                        )}
                         {this.state.showMessages && (
                             <div className='gamechat'>
                                 <GameChat
@@ -467,7 +561,7 @@ export class GameBoard extends React.Component {
                         onSettingsClick={this.onSettingsClick}
                         showControls={!this.isSpectating() && manualMode}
                         showManualMode={!this.isSpectating()}
-                        showMessages
+                        showMessages={!casterView}
                         stats={thisPlayer.stats}
                         user={thisPlayer.user}
                     />
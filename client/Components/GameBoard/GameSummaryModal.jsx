@@ -0,0 +1,142 @@
+import React from 'react';
+import { Modal, ProgressBar, Table } from 'react-bootstrap';
+import { Trans, useTranslation } from 'react-i18next';
+
+import { Constants } from '../../constants';
+
+import './GameSummaryModal.scss';
+
+/**
+ * @typedef TurnStats
+ * @property {number} amberGained
+ * @property {number} amberStolen
+ * @property {number} amberCaptured
+ * @property {number} keysForged
+ * @property {number} damageDealt
+ * @property {number} creaturesDestroyed
+ * @property {Object.<string, number>} cardsPlayed
+ * @property {Object.<string, number>} cardsUsed
+ * @property {Object.<string, number>} cardsDiscarded
+ */
+
+/**
+ * @typedef Turn
+ * @property {number} round
+ * @property {string} player
+ * @property {string} house
+ * @property {Object.<string, TurnStats>} players
+ */
+
+const Stats = [
+    { name: 'amberGained', label: 'Amber gained' },
+    { name: 'amberStolen', label: 'Amber stolen' },
+    { name: 'amberCaptured', label: 'Amber captured' },
+    { name: 'keysForged', label: 'Keys forged' },
+    { name: 'cardsPlayed', label: 'Cards played' },
+    { name: 'cardsUsed', label: 'Cards used' },
+    { name: 'cardsDiscarded', label: 'Cards discarded' },
+    { name: 'damageDealt', label: 'Damage dealt' },
+    { name: 'creaturesDestroyed', label: 'Creatures destroyed' }
+];
+
+/**
+ * @param {number | Object.<string, number>} value a count, or counts by house
+ */
+const count = (value) =>
+    typeof value === 'number' ? value : Object.values(value).reduce((sum, n) => sum + n, 0);
+
+/**
+ * @param {Turn[]} turns
+ * @param {string} player
+ * @param {string} stat
+ */
+const getTotal = (turns, player, stat) =>
+    turns.reduce(
+        (sum, turn) => sum + (turn.players[player] ? count(turn.players[player][stat]) : 0),
+        0
+    );
+
+/**
+ * A summary of what each player did during the game, shown once the game is over
+ * @param {{ players: string[], turns: Turn[], onClose: () => void }} props
+ */
+const GameSummaryModal = ({ players, turns, onClose }) => {
+    const { t } = useTranslation();
+    const maxAmber = Math.max(
+        1,
+        ...turns.map((turn) =>
+            turn.players[turn.player] ? turn.players[turn.player].amberGained : 0
+        )
+    );
+
+    return (
+        <Modal show={true} onHide={onClose} size='lg' className='game-summary'>
+            <Modal.Header closeButton>
+                <Modal.Title>{t('Game Summary')}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                <Table size='sm' striped>
+                    <thead>
+                        <tr>
+                            <th />
+                            {players.map((player) => (
+                                <th key={player}>{player}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {Stats.map((stat) => (
+                            <tr key={stat.name}>
+                                <td>{t(stat.label)}</td>
+                                {players.map((player) => (
+                                    <td key={player}>{getTotal(turns, player, stat.name)}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </Table>
+                <h5>
+                    <Trans>Amber gained each turn</Trans>
+                </h5>
+                {turns.map((turn, index) => {
+                    let stats = turn.players[turn.player];
+                    if (!stats) {
+                        return null;
+                    }
+
+                    return (
+                        <div key={index} className='game-summary-turn'>
+                            <div className='game-summary-label'>
+                                {turn.house && (
+                                    <img
+                                        className='game-summary-house'
+                                        src={Constants.HouseIconPaths[turn.house]}
+                                        title={t(turn.house)}
+                                    />
+                                )}
+                                {turn.round}. {turn.player}
+                            </div>
+                            <ProgressBar
+                                className='game-summary-bar'
+                                variant={turn.player === players[0] ? 'primary' : 'danger'}
+                                now={(stats.amberGained / maxAmber) * 100}
+                                label={stats.amberGained}
+                            />
+                            <div className='game-summary-detail'>
+                                {stats.keysForged > 0 && <Trans>Key forged</Trans>}{' '}
+                                {t('{{played}} played, {{used}} used', {
+                                    played: count(stats.cardsPlayed),
+                                    used: count(stats.cardsUsed)
+                                })}
+                            </div>
+                        </div>
+                    );
+                })}
+            </Modal.Body>
+        </Modal>
+    );
+};
+
+GameSummaryModal.displayName = 'GameSummaryModal';
+
+export default GameSummaryModal;
@@ -13,6 +13,7 @@ const IdentityCard = ({ className, deck, size, onMouseOut, onMouseOver }) => {
     return (
         <div
             className={fullClass}
+            title={deck.pods && deck.pods.map((pod) => `${pod.house}: ${pod.deckName}`).join('\n')}
             onMouseOver={() =>
                 onMouseOver({
                     image: <IdentityCardImage deck={deck} />,
@@ -152,6 +152,16 @@ export class PlayerStats extends React.Component {
                         <Trans>Active Player</Trans>
                     </div>
                 )}
+                {this.props.matchRecord && this.props.matchRecord.bestOf && (
+                    <div className='state match-record' title={t('Match score')}>
+                        {t('Game {{game}} of {{bestOf}}', {
+                            game: this.props.matchRecord.gameNumber,
+                            bestOf: this.props.matchRecord.bestOf
+                        })}
+                        : {this.props.matchRecord.thisPlayer.wins}-
+                        {this.props.matchRecord.otherPlayer.wins}
+                    </div>
+                )}
 
                 {this.props.showMessages && (
                     <div className='state chat-status'>
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Trans, useTranslation } from 'react-i18next';
+import { Button, Form, Modal } from 'react-bootstrap';
+
+import { sendGameMessage } from '../../redux/actions';
+
+import './SandboxPanel.scss';
+
+const Locations = ['hand', 'deck', 'discard', 'archives', 'play'];
+const KeyColours = ['red', 'blue', 'yellow'];
+
+/**
+ * Tools for setting up the board of a sandbox game: adding any card to either player, setting
+ * their amber, chains and keys and exporting the result as a fixture for the integration tests.
+ * Cards in play are changed through their card menus, as manual mode is on in sandbox games
+ */
+const SandboxPanel = ({ players }) => {
+    const { t } = useTranslation();
+    const dispatch = useDispatch();
+    const cards = useSelector((state) => state.cards.cards) || {};
+    const fixture = useSelector((state) => state.lobby.currentGame.sandboxFixture);
+    const [target, setTarget] = useState(players[0].name);
+    const [cardName, setCardName] = useState('');
+    const [location, setLocation] = useState('hand');
+    const [showExport, setShowExport] = useState(false);
+
+    let player = players.find((player) => player.name === target) || players[0];
+    let card = Object.values(cards).find(
+        (card) => card.name.toLowerCase() === cardName.toLowerCase()
+    );
+
+    const onAddCard = (event) => {
+        event.preventDefault();
+
+        if (card) {
+            dispatch(sendGameMessage('sandboxAddCard', player.name, card.id, location));
+            setCardName('');
+        }
+    };
+
+    const onExport = () => {
+        dispatch(sendGameMessage('sandboxExport'));
+        setShowExport(true);
+    };
+
+    return (
+        <div className='sandbox-panel'>
+            <Form onSubmit={onAddCard}>
+                <Form.Control
+                    as='select'
+                    size='sm'
+                    value={player.name}
+                    onChange={(event) => setTarget(event.target.value)}
+                >
+                    {players.map((player) => (
+                        <option key={player.name} value={player.name}>
+                            {player.name}
+                        </option>
+                    ))}
+                </Form.Control>
+                <Form.Control
+                    size='sm'
+                    list='sandbox-cards'
+                    placeholder={t('Card name')}
+                    value={cardName}
+                    onChange={(event) => setCardName(event.target.value)}
+                />
+                <datalist id='sandbox-cards'>
+                    {Object.values(cards).map((card) => (
+                        <option key={card.id} value={card.name} />
+                    ))}
+                </datalist>
+                <Form.Control
+                    as='select'
+                    size='sm'
+                    value={location}
+                    onChange={(event) => setLocation(event.target.value)}
+                >
+                    {Locations.map((location) => (
+                        <option key={location} value={location}>
+                            {t(location)}
+                        </option>
+                    ))}
+                </Form.Control>
+                <Button variant='secondary' size='sm' type='submit' disabled={!card}>
+                    <Trans>Add card</Trans>
+                </Button>
+            </Form>
+            <div className='sandbox-stats'>
+                {['amber', 'chains'].map((stat) => (
+                    <Form.Group key={stat}>
+                        <Form.Label>{t(stat)}</Form.Label>
+                        <Form.Control
+                            type='number'
+                            size='sm'
+                            min='0'
+                            value={player.stats[stat] || 0}
+                            onChange={(event) =>
+                                dispatch(
+                                    sendGameMessage(
+                                        'sandboxSetStat',
+                                        player.name,
+                                        stat,
+                                        parseInt(event.target.value) || 0
+                                    )
+                                )
+                            }
+                        />
+                    </Form.Group>
+                ))}
+            </div>
+            <div className='sandbox-keys'>
+                {KeyColours.map((colour) => (
+                    <Form.Check
+                        key={colour}
+                        inline
+                        id={`sandbox-key-${colour}`}
+                        label={t(colour)}
+                        checked={!!player.stats.keys[colour]}
+                        onChange={() =>
+                            dispatch(sendGameMessage('sandboxToggleKey', player.name, colour))
+                        }
+                    />
+                ))}
+            </div>
+            <Button variant='primary' size='sm' onClick={onExport}>
+                <Trans>Export test fixture</Trans>
+            </Button>
+            {showExport && fixture && (
+                <Modal show={true} onHide={() => setShowExport(false)}>
+                    <Modal.Header closeButton>
+                        <Modal.Title>{t('Test fixture')}</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        <p>
+                            <Trans>Pass this to setupTest to reproduce the board in a test.</Trans>
+                        </p>
+                        <Form.Control
+                            as='textarea'
+                            rows={15}
+                            readOnly
+                            value={JSON.stringify(fixture, null, 4)}
+                        />
+                    </Modal.Body>
+                </Modal>
+            )}
+        </div>
+    );
+};
+
+SandboxPanel.displayName = 'SandboxPanel';
+
+export default SandboxPanel;
@@ -1,14 +1,31 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import moment from 'moment';
+import classNames from 'classnames';
+import { withTranslation } from 'react-i18next';
+
+/**
+ * Formats a number of seconds as a clock reading
+ * @param {number} seconds
+ */
+const formatTime = (seconds) => {
+    let time = Math.max(Math.floor(seconds), 0);
+
+    return moment.utc(time * 1000).format(time >= 3600 ? 'H:mm:ss' : 'mm:ss');
+};
 
 class TimeLimitClock extends React.Component {
     constructor(props) {
         super(props);
         this.state = {
+            now: Date.now(),
             timer: undefined,
             timeLeft: undefined
         };
+
+        // When each player's clock was last changed by the server, which is when it started
+        // counting if it is running
+        this.clockUpdates = {};
     }
 
     componentDidMount() {
@@ -20,25 +37,101 @@ class TimeLimitClock extends React.Component {
         this.updateProps(props);
     }
 
+    componentWillUnmount() {
+        if (this.state.timer) {
+            clearInterval(this.state.timer);
+        }
+    }
+
     updateProps(props) {
-        if (props.timeLimitStarted && !this.state.timer) {
+        for (const { name, clock } of props.clocks || []) {
+            let update = this.clockUpdates[name];
+            if (clock && (!update || update.stateId !== clock.stateId)) {
+                this.clockUpdates[name] = { stateId: clock.stateId, at: Date.now() };
+            }
+        }
+
+        if ((props.timeLimitStarted || props.clocks) && !this.state.timer) {
             let timer = setInterval(() => {
-                let endTime = moment(this.props.timeLimitStartedAt).add(
-                    this.props.timeLimit,
-                    'minutes'
-                );
-                let time = moment.utc(endTime.diff(moment())).format('mm:ss');
-                this.setState({ timeLeft: time });
+                let timeLeft;
+                if (this.props.timeLimitStarted) {
+                    let endTime = moment(this.props.timeLimitStartedAt).add(
+                        this.props.timeLimit,
+                        'minutes'
+                    );
+                    timeLeft = moment.utc(endTime.diff(moment())).format('mm:ss');
+                }
+
+                this.setState({ now: Date.now(), timeLeft: timeLeft });
             }, 1000);
 
             this.setState({ timer: timer });
         }
     }
 
+    /**
+     * The time on a player's clock, counting on from the last time the server sent it
+     * @param {string} name
+     * @param {{ mode: string, running: boolean, timeLeft: number }} clock
+     */
+    getClockTime(name, clock) {
+        let update = this.clockUpdates[name];
+        if (!clock.running || !update) {
+            return clock.timeLeft;
+        }
+
+        let elapsed = (this.state.now - update.at) / 1000;
+        if (clock.mode === 'down') {
+            return clock.timeLeft - elapsed;
+        } else if (clock.mode === 'up') {
+            return clock.timeLeft + elapsed;
+        }
+
+        return clock.timeLeft;
+    }
+
+    /**
+     * Where the game is in its tiebreak, once its time limit has been reached
+     */
+    getTiebreakText() {
+        let t = this.props.t;
+        let tiebreak = this.props.tiebreak;
+
+        if (!tiebreak || !tiebreak.started) {
+            return null;
+        }
+
+        if (tiebreak.result) {
+            return tiebreak.result.step === 'draw'
+                ? t('Tiebreak: the game is a draw')
+                : t('Tiebreak: {{winner}} wins on {{step}}', {
+                      winner: tiebreak.result.winner,
+                      step: t(tiebreak.result.step)
+                  });
+        }
+
+        return tiebreak.turnsLeft > 0
+            ? t('Time up: {{turns}} extra turns after this one', { turns: tiebreak.turnsLeft })
+            : t('Time up: final turn before the tiebreak');
+    }
+
     render() {
+        let tiebreakText = this.getTiebreakText();
+
         return (
             <div>
-                <h1>{this.state.timeLeft}</h1>
+                {this.state.timeLeft && <h1>{this.state.timeLeft}</h1>}
+                {tiebreakText && <div className='tiebreak'>{tiebreakText}</div>}
+                {(this.props.clocks || []).map(({ name, clock }) => (
+                    <div
+                        key={name}
+                        className={classNames('player-clock', {
+                            'font-weight-bold': clock.running && clock.mode === 'down'
+                        })}
+                    >
+                        {name}: {formatTime(this.getClockTime(name, clock))}
+                    </div>
+                ))}
             </div>
         );
     }
@@ -46,9 +139,12 @@ class TimeLimitClock extends React.Component {
 
 TimeLimitClock.displayName = 'TimeLimitClock';
 TimeLimitClock.propTypes = {
+    clocks: PropTypes.array,
+    t: PropTypes.func,
+    tiebreak: PropTypes.object,
     timeLimit: PropTypes.number,
     timeLimitStarted: PropTypes.bool,
     timeLimitStartedAt: PropTypes.instanceOf(Date)
 };
 
-export default TimeLimitClock;
+export default withTranslation()(TimeLimitClock);
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Trans, useTranslation } from 'react-i18next';
+import { Button, Col, Row } from 'react-bootstrap';
+
+import DeckList from '../Decks/DeckList.jsx';
+import { Constants } from '../../constants';
+
+import './AllianceBuilder.scss';
+
+/**
+ * @typedef AlliancePod
+ * @property {import('../Decks/DeckList').Deck} deck The deck the pod is taken from
+ * @property {string} house The house of the pod
+ */
+
+/**
+ * @typedef AllianceBuilderProps
+ * @property {function({ deckId: number, house: string }[]): void} onAllianceSelected Callback fired with the pods once all three have been chosen
+ */
+
+/**
+ * Builds an Alliance deck by choosing a house from three of the user's decks
+ * @param {AllianceBuilderProps} props
+ */
+const AllianceBuilder = ({ onAllianceSelected }) => {
+    const { t } = useTranslation();
+    /** @type {[AlliancePod[], function(AlliancePod[]): void]} */
+    const [pods, setPods] = useState([]);
+    const [choosingPod, setChoosingPod] = useState(0);
+
+    const houses = pods.filter((pod) => pod).map((pod) => pod.house);
+    const isComplete = pods.length === 3 && pods.every((pod) => pod) && new Set(houses).size === 3;
+
+    const setPod = (index, pod) => {
+        const newPods = [...pods];
+
+        newPods[index] = pod;
+        setPods(newPods);
+    };
+
+    return (
+        <div className='alliance-builder'>
+            {[0, 1, 2].map((index) => {
+                const pod = pods[index];
+
+                return (
+                    <Row key={index} className='alliance-pod'>
+                        <Col xs='4'>
+                            <Button
+                                variant={choosingPod === index ? 'primary' : 'secondary'}
+                                size='sm'
+                                onClick={() => setChoosingPod(index)}
+                            >
+                                {t('Pod {{number}}', { number: index + 1 })}
+                            </Button>
+                        </Col>
+                        <Col xs='8'>
+                            {pod ? (
+                                <>
+                                    <div>{pod.deck.name}</div>
+                                    {pod.deck.houses.map((house) => (
+                                        <img
+                                            key={house}
+                                            className={`alliance-house ${
+                                                pod.house === house ? 'active' : 'inactive'
+                                            }-house`}
+                                            src={Constants.IdBackHousePaths[house]}
+                                            title={t(house)}
+                                            onClick={() => setPod(index, { deck: pod.deck, house })}
+                                        />
+                                    ))}
+                                </>
+                            ) : (
+                                <Trans>Choose a deck below</Trans>
+                            )}
+                        </Col>
+                    </Row>
+                );
+            })}
+            {pods.length === 3 && pods.every((pod) => pod) && !isComplete && (
+                <div className='text-danger'>
+                    <Trans>Each pod must be from a different house</Trans>
+                </div>
+            )}
+            <div className='text-center'>
+                <Button
+                    variant='primary'
+                    disabled={!isComplete}
+                    onClick={() =>
+                        onAllianceSelected(
+                            pods.map((pod) => ({ deckId: pod.deck.id, house: pod.house }))
+                        )
+                    }
+                >
+                    <Trans>Select Alliance</Trans>
+                </Button>
+            </div>
+            <DeckList
+                onDeckSelected={(deck) => {
+                    const house = deck.houses.find((house) => !houses.includes(house));
+
+                    setPod(choosingPod, { deck, house: house || deck.houses[0] });
+                    setChoosingPod(Math.min(choosingPod + 1, 2));
+                }}
+            />
+        </div>
+    );
+};
+
+AllianceBuilder.displayName = 'AllianceBuilder';
+
+export default AllianceBuilder;
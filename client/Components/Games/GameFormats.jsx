@@ -11,7 +11,10 @@ const GameFormats = ({ formProps }) => {
         { name: 'normal', label: t('Normal') },
         { name: 'sealed', label: t('Sealed') },
         { name: 'reversal', label: t('Reversal') },
-        { name: 'adaptive-bo1', label: t('Adaptive - Best of 1') }
+        { name: 'adaptive-bo1', label: t('Adaptive - Best of 1') },
+        { name: 'adaptive-bo3', label: t('Adaptive - Best of 3') },
+        { name: 'reversal-bo3', label: t('Reversal - Best of 3') },
+        { name: 'alliance', label: t('Alliance') }
     ];
 
     let expansions = [
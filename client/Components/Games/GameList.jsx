@@ -182,7 +182,8 @@ class GameList extends React.Component {
                 continue;
             }
 
-            if (!this.props.gameFilter[game.gameFormat]) {
+            // Formats that were added after the filter was saved are shown
+            if (this.props.gameFilter[game.gameFormat] === false) {
                 continue;
             }
 
@@ -251,6 +252,22 @@ class GameList extends React.Component {
                                         title={t('Adaptive (Best of 1) game format')}
                                     />
                                 )}
+                                {game.gameFormat === 'adaptive-bo3' && (
+                                    <img
+                                        src={AdaptiveIcon}
+                                        className='game-list-icon'
+                                        alt={t('Adaptive (Best of 3) game format')}
+                                        title={t('Adaptive (Best of 3) game format')}
+                                    />
+                                )}
+                                {game.gameFormat === 'reversal-bo3' && (
+                                    <img
+                                        src={ReversalIcon}
+                                        className='game-list-icon'
+                                        alt={t('Reversal (Best of 3) game format')}
+                                        title={t('Reversal (Best of 3) game format')}
+                                    />
+                                )}
                             </span>
                         </div>
                         <div className='game-middle-row'>{players}</div>
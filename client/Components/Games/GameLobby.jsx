@@ -5,6 +5,7 @@ import { Trans, useTranslation } from 'react-i18next';
 import { Col, Row, Button, Form } from 'react-bootstrap';
 
 import NewGame from './NewGame';
+import MatchmakingQueue from './MatchmakingQueue';
 import GameList from './GameList';
 import PendingGame from './PendingGame';
 import PasswordGame from './PasswordGame';
@@ -26,7 +27,10 @@ const GameLobby = ({ gameId }) => {
         { name: 'normal', label: t('Normal') },
         { name: 'sealed', label: t('Sealed') },
         { name: 'reversal', label: t('Reversal') },
-        { name: 'adaptive-bo1', label: t('Adaptive (Bo1)') }
+        { name: 'adaptive-bo1', label: t('Adaptive (Bo1)') },
+        { name: 'adaptive-bo3', label: t('Adaptive (Bo3)') },
+        { name: 'reversal-bo3', label: t('Reversal (Bo3)') },
+        { name: 'alliance', label: t('Alliance') }
     ];
     const filterDefaults = {};
 
@@ -34,15 +38,16 @@ const GameLobby = ({ gameId }) => {
         filterDefaults[filter.name] = true;
     }
 
-    const { games, newGame, currentGame, passwordGame } = useSelector((state) => ({
+    const { games, newGame, currentGame, passwordGame, queueStatus } = useSelector((state) => ({
         games: state.lobby.games,
         newGame: state.lobby.newGame,
         currentGame: state.lobby.currentGame,
-        passwordGame: state.lobby.passwordGame
+        passwordGame: state.lobby.passwordGame,
+        queueStatus: state.lobby.queueStatus
     }));
     const user = useSelector((state) => state.account.user);
     const [currentFilter, setCurrentFilter] = useState(filterDefaults);
-    const [quickJoin, setQuickJoin] = useState(false);
+    const [showQueue, setShowQueue] = useState(false);
     const topRef = useRef(null);
 
     useEffect(() => {
@@ -58,6 +63,12 @@ const GameLobby = ({ gameId }) => {
         }
     }, []);
 
+    useEffect(() => {
+        if (currentGame) {
+            setShowQueue(false);
+        }
+    }, [currentGame]);
+
     const onFilterChecked = (name, checked) => {
         currentFilter[name] = checked;
         setCurrentFilter(Object.assign({}, currentFilter));
@@ -93,7 +104,10 @@ const GameLobby = ({ gameId }) => {
     return (
         <Col md={{ offset: 2, span: 8 }}>
             <div ref={topRef}>
-                {newGame && <NewGame quickJoin={quickJoin} />}
+                {newGame && <NewGame />}
+                {!currentGame && (showQueue || queueStatus?.queued) && (
+                    <MatchmakingQueue onClose={() => setShowQueue(false)} />
+                )}
                 {currentGame?.started === false && <PendingGame />}
                 {passwordGame && <PasswordGame />}
             </div>
@@ -115,14 +129,11 @@ const GameLobby = ({ gameId }) => {
                             <Trans>New Game</Trans>
                         </Button>
                         <Button
-                            disabled={!user}
+                            disabled={!user || !!currentGame}
                             variant='primary'
-                            onClick={() => {
-                                setQuickJoin(true);
-                                dispatch(startNewGame());
-                            }}
+                            onClick={() => setShowQueue(true)}
                         >
-                            <Trans>Quick Join</Trans>
+                            <Trans>Ranked Queue</Trans>
                         </Button>
                     </Col>
                     <Col sm={8} lg={9}>
@@ -0,0 +1,77 @@
+import React, { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Trans, useTranslation } from 'react-i18next';
+import { Form, Col } from 'react-bootstrap';
+
+import { loadStandaloneDecks } from '../../redux/actions';
+
+/**
+ * Lets the player choose to practise against the built-in AI, and which starter deck the AI plays,
+ * or to play both seats from this device
+ */
+const GameOpponent = ({ formProps }) => {
+    const { t } = useTranslation();
+    const dispatch = useDispatch();
+    const standaloneDecks = useSelector((state) => state.cards.standaloneDecks) || [];
+
+    useEffect(() => {
+        dispatch(loadStandaloneDecks());
+    }, [dispatch]);
+
+    const aiFormats = ['normal', 'reversal'];
+
+    return (
+        <Form.Row>
+            <Col xs={12} className='font-weight-bold'>
+                <Trans>Opponent</Trans>
+            </Col>
+            <Form.Group as={Col} lg='6'>
+                <Form.Check
+                    type='switch'
+                    id='playAi'
+                    name='playAi'
+                    label={t('Play against the AI')}
+                    onChange={formProps.handleChange}
+                    value='true'
+                    checked={formProps.values.playAi}
+                    disabled={
+                        !aiFormats.includes(formProps.values.gameFormat) || formProps.values.hotseat
+                    }
+                ></Form.Check>
+            </Form.Group>
+            <Form.Group as={Col} lg='6'>
+                <Form.Check
+                    type='switch'
+                    id='hotseat'
+                    name='hotseat'
+                    label={t('Play both seats on this device (hotseat)')}
+                    onChange={formProps.handleChange}
+                    value='true'
+                    checked={formProps.values.hotseat}
+                    disabled={
+                        !aiFormats.includes(formProps.values.gameFormat) || formProps.values.playAi
+                    }
+                ></Form.Check>
+            </Form.Group>
+            {formProps.values.playAi && (
+                <Form.Group as={Col} lg='6' controlId='aiDeckId'>
+                    <Form.Control
+                        as='select'
+                        name='aiDeckId'
+                        value={formProps.values.aiDeckId}
+                        onChange={formProps.handleChange}
+                    >
+                        <option value=''>{t('Random starter deck')}</option>
+                        {standaloneDecks.map((deck) => (
+                            <option key={deck.id} value={deck.id}>
+                                {deck.name}
+                            </option>
+                        ))}
+                    </Form.Control>
+                </Form.Group>
+            )}
+        </Form.Row>
+    );
+};
+
+export default GameOpponent;
@@ -15,6 +15,22 @@ const GameOptions = ({ formProps }) => {
         { name: 'hideDeckLists', label: t('Hide deck lists') }
     ];
 
+    const spectatorDelays = [
+        { value: 0, label: t('No delay') },
+        { value: 30, label: t('30 seconds') },
+        { value: 60, label: t('1 minute') },
+        { value: 120, label: t('2 minutes') },
+        { value: 300, label: t('5 minutes') }
+    ];
+
+    const clockTypes = [
+        { value: 'none', label: t('No clock') },
+        { value: 'chess', label: t('Chess clock') },
+        { value: 'hourglass', label: t('Hourglass') },
+        { value: 'byoyomi', label: t('Byoyomi') },
+        { value: 'timer', label: t('Timer') }
+    ];
+
     return (
         <>
             <Form.Group>
@@ -37,6 +53,61 @@ const GameOptions = ({ formProps }) => {
                     ))}
                 </Form.Row>
             </Form.Group>
+            {formProps.values.allowSpectators && (
+                <Form.Row>
+                    <Form.Group as={Col} sm={4}>
+                        <Form.Label>{t('Spectator delay')}</Form.Label>
+                        <Form.Control
+                            as='select'
+                            {...getStandardControlProps(formProps, 'spectatorDelay')}
+                        >
+                            {spectatorDelays.map((delay) => (
+                                <option key={delay.value} value={delay.value}>
+                                    {delay.label}
+                                </option>
+                            ))}
+                        </Form.Control>
+                    </Form.Group>
+                </Form.Row>
+            )}
+            <Form.Row>
+                <Form.Group as={Col} sm={4}>
+                    <Form.Label>{t('Clock')}</Form.Label>
+                    <Form.Control as='select' {...getStandardControlProps(formProps, 'clockType')}>
+                        {clockTypes.map((clockType) => (
+                            <option key={clockType.value} value={clockType.value}>
+                                {clockType.label}
+                            </option>
+                        ))}
+                    </Form.Control>
+                </Form.Group>
+                {formProps.values.clockType !== 'none' && (
+                    <>
+                        <Form.Group as={Col} sm={4}>
+                            <Form.Label>{t('Clock time (in minutes)')}</Form.Label>
+                            <Form.Control
+                                type='text'
+                                {...getStandardControlProps(formProps, 'clockTime')}
+                            />
+                            <Form.Control.Feedback type='invalid'>
+                                {formProps.errors.clockTime}
+                            </Form.Control.Feedback>
+                        </Form.Group>
+                        <Form.Group as={Col} sm={4}>
+                            <Form.Label>{t('When a clock runs out')}</Form.Label>
+                            <Form.Control
+                                as='select'
+                                {...getStandardControlProps(formProps, 'clockExpiry')}
+                            >
+                                <option value='loss'>{t('The player loses the game')}</option>
+                                <option value='turn'>
+                                    {t('The player forfeits the rest of their turn')}
+                                </option>
+                            </Form.Control>
+                        </Form.Group>
+                    </>
+                )}
+            </Form.Row>
             {formProps.values.useGameTimeLimit && (
                 <Form.Row>
                     <Form.Group as={Col} sm={4}>
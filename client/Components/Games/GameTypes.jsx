@@ -8,7 +8,8 @@ const GameTypes = ({ formProps }) => {
     let types = [
         { name: 'beginner', label: t('Beginner') },
         { name: 'casual', label: t('Casual') },
-        { name: 'competitive', label: t('Competitive') }
+        { name: 'competitive', label: t('Competitive') },
+        { name: 'sandbox', label: t('Sandbox') }
     ];
 
     return (
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Trans, useTranslation } from 'react-i18next';
+import { Button, Col, Form } from 'react-bootstrap';
+import moment from 'moment';
+
+import Panel from '../Site/Panel';
+import AlertPanel from '../Site/AlertPanel';
+import SelectDeckModal from './SelectDeckModal';
+import { sendSocketMessage } from '../../redux/actions';
+
+/**
+ * @typedef QueueStatus
+ * @property {boolean} queued Whether the user is currently in the queue
+ * @property {string} [gameFormat] The format the user is queued for
+ * @property {string} [joinedAt] When the user joined the queue
+ * @property {number} [playersInQueue] How many players are queued for the same format
+ * @property {number} [estimatedWait] The average wait in seconds of recently matched players
+ */
+
+/**
+ * @param {number} seconds
+ */
+const formatDuration = (seconds) => moment.utc(seconds * 1000).format('m:ss');
+
+/**
+ * @typedef MatchmakingQueueProps
+ * @property {function(): void} onClose Called when the user closes the queue panel without joining
+ */
+
+/**
+ * @param {MatchmakingQueueProps} props
+ */
+const MatchmakingQueue = ({ onClose }) => {
+    /** @type {QueueStatus} */
+    const queueStatus = useSelector((state) => state.lobby.queueStatus);
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const [gameFormat, setGameFormat] = useState('normal');
+    const [deck, setDeck] = useState(null);
+    const [showModal, setShowModal] = useState(false);
+    const [waited, setWaited] = useState(0);
+
+    const formats = [
+        { name: 'normal', label: t('Normal') },
+        { name: 'reversal', label: t('Reversal') },
+        { name: 'adaptive-bo1', label: t('Adaptive - Best of 1') }
+    ];
+
+    useEffect(() => {
+        if (!queueStatus?.queued) {
+            return;
+        }
+
+        const updateWaited = () =>
+            setWaited(Math.max(0, moment().diff(moment(queueStatus.joinedAt), 'seconds')));
+
+        updateWaited();
+        const timer = setInterval(updateWaited, 1000);
+
+        return () => clearInterval(timer);
+    }, [queueStatus]);
+
+    if (queueStatus?.queued) {
+        const format = formats.find((format) => format.name === queueStatus.gameFormat);
+
+        return (
+            <Panel title={t('Ranked Queue')}>
+                <AlertPanel
+                    type='info'
+                    message={t('Searching for an opponent for a {{format}} game', {
+                        format: format ? format.label : queueStatus.gameFormat
+                    })}
+                />
+                <div>
+                    <Trans>Time in queue</Trans>: {formatDuration(waited)}
+                </div>
+                <div>
+                    <Trans>Players in queue</Trans>: {queueStatus.playersInQueue}
+                </div>
+                <div>
+                    <Trans>Estimated wait</Trans>:{' '}
+                    {queueStatus.estimatedWait !== undefined
+                        ? formatDuration(queueStatus.estimatedWait)
+                        : t('Unknown')}
+                </div>
+                <div className='text-center newgame-buttons'>
+                    <Button
+                        variant='primary'
+                        onClick={() => dispatch(sendSocketMessage('leavequeue'))}
+                    >
+                        <Trans>Leave Queue</Trans>
+                    </Button>
+                </div>
+            </Panel>
+        );
+    }
+
+    return (
+        <Panel title={t('Ranked Queue')}>
+            <AlertPanel
+                type='info'
+                message={t(
+                    "Choose a format and a deck and you'll be matched against a player of a similar rating in a competitive game."
+                )}
+            />
+            <Form.Row>
+                <Col xs={12} className='font-weight-bold'>
+                    <Trans>Format</Trans>
+                </Col>
+                <Form.Group as={Col}>
+                    {formats.map((format) => (
+                        <Form.Check
+                            name='queueFormat'
+                            key={format.name}
+                            type='radio'
+                            id={`queue-${format.name}`}
+                            label={format.label}
+                            inline
+                            onChange={() => setGameFormat(format.name)}
+                            value={format.name}
+                            checked={gameFormat === format.name}
+                        ></Form.Check>
+                    ))}
+                </Form.Group>
+            </Form.Row>
+            <Form.Row>
+                <Col xs={12} className='font-weight-bold'>
+                    <Trans>Deck</Trans>
+                </Col>
+                <Col>
+                    {deck ? deck.name : t('No deck selected')}{' '}
+                    <Button variant='link' onClick={() => setShowModal(true)}>
+                        <Trans>Select deck...</Trans>
+                    </Button>
+                </Col>
+            </Form.Row>
+            <div className='text-center newgame-buttons'>
+                <Button
+                    variant='success'
+                    disabled={!deck}
+                    onClick={() =>
+                        dispatch(
+                            sendSocketMessage('joinqueue', {
+                                deckId: deck.id,
+                                gameFormat: gameFormat,
+                                isStandalone: deck.isStandalone
+                            })
+                        )
+                    }
+                >
+                    <Trans>Join Queue</Trans>
+                </Button>
+                <Button variant='primary' onClick={onClose}>
+                    <Trans>Cancel</Trans>
+                </Button>
+            </div>
+            {showModal && (
+                <SelectDeckModal
+                    onClose={() => setShowModal(false)}
+                    onDeckSelected={(deck) => {
+                        setShowModal(false);
+                        setDeck(deck);
+                    }}
+                />
+            )}
+        </Panel>
+    );
+};
+
+MatchmakingQueue.displayName = 'MatchmakingQueue';
+
+export default MatchmakingQueue;
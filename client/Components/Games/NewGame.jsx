@@ -6,10 +6,10 @@ import { Formik } from 'formik';
 import * as yup from 'yup';
 
 import Panel from '../Site/Panel';
-import AlertPanel from '../Site/AlertPanel';
 import GameOptions from './GameOptions';
 import GameFormats from './GameFormats';
 import GameTypes from './GameTypes';
+import GameOpponent from './GameOpponent';
 import { getStandardControlProps } from '../../util';
 import { cancelNewGame, sendSocketMessage } from '../../redux/actions';
 
@@ -19,7 +19,6 @@ const GameNameMaxLength = 64;
 
 /**
  * @typedef NewGameProps
- * @property {boolean} [quickJoin] The new game is quick join
  * @property {any} [tournament] Whether or not we're operating under the tournament UI
  * @property {import("../../typedefs").GameType} [defaultGameType] The default game type to use
  * @property {number} [defaultTimeLimit] The default time limit to use
@@ -33,7 +32,6 @@ const GameNameMaxLength = 64;
  * @param {NewGameProps} props
  */
 const NewGame = ({
-    quickJoin,
     tournament,
     defaultGameType,
     defaultPrivate,
@@ -60,6 +58,10 @@ const NewGame = ({
             .number()
             .min(10, t('Games must be at least 10 minutes long'))
             .max(120, t('Games must be less than 2 hours')),
+        clockTime: yup
+            .number()
+            .min(1, t('Clocks must have at least 1 minute'))
+            .max(120, t('Clocks must have less than 2 hours')),
         gameFormat: yup.string().required(),
         gameType: yup.string().required()
     });
@@ -73,7 +75,14 @@ const NewGame = ({
         useGameTimeLimit: !!defaultTimeLimit,
         gameTimeLimit: defaultTimeLimit || 35,
         gamePrivate: defaultPrivate,
-        mm: true
+        mm: true,
+        playAi: false,
+        aiDeckId: '',
+        hotseat: false,
+        spectatorDelay: 0,
+        clockType: 'none',
+        clockTime: 30,
+        clockExpiry: 'loss'
     };
 
     if (!lobbySocket) {
@@ -88,10 +97,16 @@ const NewGame = ({
     }
 
     return (
-        <Panel title={t(quickJoin ? 'Quick Join' : 'New game')}>
+        <Panel title={t('New game')}>
             <Formik
                 validationSchema={schema}
                 onSubmit={(values) => {
+                    values.clock = {
+                        type: values.clockType,
+                        time: values.clockTime,
+                        expiry: values.clockExpiry
+                    };
+
                     if (tournament) {
                         for (let match of matches) {
                             dispatch(
@@ -120,7 +135,16 @@ const NewGame = ({
                             wc: values.wc,
                             mm: values.mm
                         };
-                        values.quickJoin = quickJoin;
+                        if (values.playAi && ['normal', 'reversal'].includes(values.gameFormat)) {
+                            values.aiOpponent = {
+                                deckId: values.aiDeckId ? parseInt(values.aiDeckId) : undefined
+                            };
+                        }
+
+                        values.hotseat =
+                            values.hotseat &&
+                            !values.aiOpponent &&
+                            ['normal', 'reversal'].includes(values.gameFormat);
 
                         dispatch(sendSocketMessage('newgame', values));
                     }
@@ -150,52 +174,41 @@ const NewGame = ({
                             formProps.handleSubmit(event);
                         }}
                     >
-                        {quickJoin && (
-                            <AlertPanel
-                                type='info'
-                                message={t(
-                                    "Select the type of game you'd like to play and either you'll join the next one available, or one will be created for you with default options."
-                                )}
-                            />
-                        )}
-                        {!quickJoin && (
-                            <>
-                                {!tournament && (
-                                    <Form.Row>
-                                        <Form.Group as={Col} lg='8' controlId='formGridGameName'>
-                                            <Form.Label>{t('Name')}</Form.Label>
-                                            <Form.Label className='float-right'>
-                                                {GameNameMaxLength - formProps.values.name.length}
-                                            </Form.Label>
-                                            <Form.Control
-                                                type='text'
-                                                placeholder={t('Game Name')}
-                                                maxLength={GameNameMaxLength}
-                                                {...getStandardControlProps(formProps, 'name')}
-                                            />
-                                            <Form.Control.Feedback type='invalid'>
-                                                {formProps.errors.name}
-                                            </Form.Control.Feedback>
-                                        </Form.Group>
-                                    </Form.Row>
-                                )}
-                                <GameOptions formProps={formProps} />
-                            </>
-                        )}
-                        <GameFormats formProps={formProps} />
-                        {!tournament && <GameTypes formProps={formProps} />}
-                        {!quickJoin && (
-                            <Row>
-                                <Form.Group as={Col} sm={8}>
-                                    <Form.Label>{t('Password')}</Form.Label>
+                        {!tournament && (
+                            <Form.Row>
+                                <Form.Group as={Col} lg='8' controlId='formGridGameName'>
+                                    <Form.Label>{t('Name')}</Form.Label>
+                                    <Form.Label className='float-right'>
+                                        {GameNameMaxLength - formProps.values.name.length}
+                                    </Form.Label>
                                     <Form.Control
-                                        type='password'
-                                        placeholder={t('Enter a password')}
-                                        {...getStandardControlProps(formProps, 'password')}
+                                        type='text'
+                                        placeholder={t('Game Name')}
+                                        maxLength={GameNameMaxLength}
+                                        {...getStandardControlProps(formProps, 'name')}
                                     />
+                                    <Form.Control.Feedback type='invalid'>
+                                        {formProps.errors.name}
+                                    </Form.Control.Feedback>
                                 </Form.Group>
-                            </Row>
+                            </Form.Row>
+                        )}
+                        <GameOptions formProps={formProps} />
+                        <GameFormats formProps={formProps} />
+                        {!tournament && <GameTypes formProps={formProps} />}
+                        {!tournament && formProps.values.gameType !== 'sandbox' && (
+                            <GameOpponent formProps={formProps} />
                         )}
+                        <Row>
+                            <Form.Group as={Col} sm={8}>
+                                <Form.Label>{t('Password')}</Form.Label>
+                                <Form.Control
+                                    type='password'
+                                    placeholder={t('Enter a password')}
+                                    {...getStandardControlProps(formProps, 'password')}
+                                />
+                            </Form.Group>
+                        </Row>
                         <div className='text-center newgame-buttons'>
                             <Button variant='success' type='submit'>
                                 <Trans>Start</Trans>
@@ -202,7 +202,7 @@ const PendingGame = () => {
             <PendingGamePlayers
                 currentGame={currentGame}
                 user={user}
-                onSelectDeck={() => setShowModal(true)}
+                onSelectDeck={(playerName) => setShowModal(playerName)}
             />
             <Panel
                 title={t('Spectators({{users}})', {
@@ -253,6 +253,11 @@ const PendingGame = () => {
             </Panel>
             {showModal && (
                 <SelectDeckModal
+                    gameFormat={currentGame.gameFormat}
+                    onAllianceSelected={(pods) => {
+                        setShowModal(false);
+                        dispatch(sendSocketMessage('selectalliance', currentGame.id, pods));
+                    }}
                     onClose={() => setShowModal(false)}
                     onDeckSelected={(deck) => {
                         setShowModal(false);
@@ -261,7 +266,8 @@ const PendingGame = () => {
                                 'selectdeck',
                                 currentGame.id,
                                 deck.id,
-                                deck.isStandalone
+                                deck.isStandalone,
+                                showModal !== user.username ? showModal : undefined
                             )
                         );
                     }}
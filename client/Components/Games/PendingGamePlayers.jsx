@@ -12,7 +12,7 @@ import './PendingGamePlayer.scss';
  * @typedef PendingGamePlayersProps
  * @property {PendingGame} currentGame The current pending game
  * @property {User} user The logged in user
- * @property {function(): void} onSelectDeck The callback to be invoked when a deck selection is requested
+ * @property {function(string): void} onSelectDeck The callback to be invoked with the name of the player a deck selection is requested for
  */
 
 /**
@@ -25,7 +25,10 @@ const PendingGamePlayers = ({ currentGame, user, onSelectDeck }) => {
     return (
         <Panel title={t('Players')}>
             {Object.values(currentGame.players).map((player) => {
-                const playerIsMe = player && player.name === user?.username;
+                // In hotseat games the owner picks the deck for both seats
+                const playerIsMe =
+                    player &&
+                    (player.name === user?.username || player.hotseatOwner === user?.username);
                 const isSealed = currentGame.gameFormat === 'sealed';
 
                 let deck = null;
@@ -37,7 +40,10 @@ const PendingGamePlayers = ({ currentGame, user, onSelectDeck }) => {
                 } else if (player && player.deck && player.deck.selected) {
                     if (playerIsMe) {
                         deck = (
-                            <span className='deck-selection clickable' onClick={onSelectDeck}>
+                            <span
+                                className='deck-selection clickable'
+                                onClick={() => onSelectDeck(player.name)}
+                            >
                                 {player.deck.name}
                             </span>
                         );
@@ -52,7 +58,7 @@ const PendingGamePlayers = ({ currentGame, user, onSelectDeck }) => {
                     status = <DeckStatus status={player.deck.status} />;
                 } else if (player && playerIsMe && !isSealed) {
                     selectLink = (
-                        <Button onClick={onSelectDeck}>
+                        <Button onClick={() => onSelectDeck(player.name)}>
                             <Trans>Select Deck</Trans>
                         </Button>
                     );
@@ -4,10 +4,11 @@ import { useSelector } from 'react-redux';
 import { Modal } from 'react-bootstrap';
 
 import DeckList from '../Decks/DeckList.jsx';
+import AllianceBuilder from './AllianceBuilder.jsx';
 
 import './SelectDeckModal.scss';
 
-const SelectDeckModal = ({ onClose, onDeckSelected }) => {
+const SelectDeckModal = ({ gameFormat, onAllianceSelected, onClose, onDeckSelected }) => {
     const standaloneDecks = useSelector((state) => state.cards.standaloneDecks);
     const { t } = useTranslation();
 
@@ -15,20 +16,26 @@ const SelectDeckModal = ({ onClose, onDeckSelected }) => {
         <>
             <Modal show={true} onHide={onClose}>
                 <Modal.Header closeButton>
-                    <Modal.Title>{t('Select Deck')}</Modal.Title>
+                    <Modal.Title>
+                        {gameFormat === 'alliance' ? t('Build Alliance') : t('Select Deck')}
+                    </Modal.Title>
                 </Modal.Header>
                 <Modal.Body>
-                    <div>
-                        <DeckList onDeckSelected={onDeckSelected} />
-                        {standaloneDecks && standaloneDecks.length !== 0 && (
-                            <div>
-                                <h4 className='deck-list-header'>
-                                    <Trans>Or choose a standalone deck</Trans>:
-                                </h4>
-                                <DeckList standaloneDecks onDeckSelected={onDeckSelected} />
-                            </div>
-                        )}
-                    </div>
+                    {gameFormat === 'alliance' ? (
+                        <AllianceBuilder onAllianceSelected={onAllianceSelected} />
+                    ) : (
+                        <div>
+                            <DeckList onDeckSelected={onDeckSelected} />
+                            {standaloneDecks && standaloneDecks.length !== 0 && (
+                                <div>
+                                    <h4 className='deck-list-header'>
+                                        <Trans>Or choose a standalone deck</Trans>:
+                                    </h4>
+                                    <DeckList standaloneDecks onDeckSelected={onDeckSelected} />
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </Modal.Body>
             </Modal>
         </>
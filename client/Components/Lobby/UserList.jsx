@@ -11,6 +11,7 @@ import './UserList.scss';
  * @property {string} name The username of the user again for some reason
  * @property {string} role The role of the user
  * @property {string} avatar The user's avatar
+ * @property {number} [rating] The user's overall rating, if they have played a competitive game
  */
 
 /**
@@ -36,6 +37,7 @@ const UserList = ({ users }) => {
             <div className='user-row' key={user.name}>
                 <Avatar imgPath={user.avatar} />
                 <span>{user.name}</span>
+                {user.rating && <span className='user-rating'>{user.rating}</span>}
             </div>
         );
     });
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Nav } from 'react-bootstrap';
+import { Button, Form, Modal, Nav } from 'react-bootstrap';
 import { useSelector, useDispatch } from 'react-redux';
 import { useTranslation, Trans } from 'react-i18next';
 import { toastr } from 'react-redux-toastr';
@@ -14,6 +14,9 @@ const GameContextMenu = () => {
     const { t } = useTranslation();
     const dispatch = useDispatch();
     const [showPopup, setShowPopup] = useState(false);
+    const [showReport, setShowReport] = useState(false);
+    const [reported, setReported] = useState(false);
+    const [description, setDescription] = useState('');
 
     const isSpectating = !currentGame?.players[user?.username];
 
@@ -70,6 +73,14 @@ const GameContextMenu = () => {
         dispatch(closeGameSocket());
     };
 
+    const onReportClick = () => {
+        dispatch(sendGameMessage('reportProblem', description));
+        toastr.success(t('Thank you, the problem has been reported along with the game state'));
+
+        setShowReport(false);
+        setReported(true);
+    };
+
     if (!currentGame || !currentGame.started) {
         return null;
     }
@@ -85,14 +96,68 @@ const GameContextMenu = () => {
                 {t('{{users}} spectators', { users: currentGame.spectators.length })}
             </Nav.Link>
             {showPopup && spectatorPopup}
+            {isSpectating && currentGame.spectatorDelay > 0 && (
+                <Nav.Link disabled>
+                    {t('Delayed by {{seconds}} seconds', {
+                        seconds: currentGame.spectatorDelay
+                    })}
+                </Nav.Link>
+            )}
+            {isSpectating && currentGame.spectatorDelay > 0 && user.permissions?.isCaster && (
+                <Nav.Link onClick={() => dispatch(sendGameMessage('toggleCasterView'))}>
+                    <Trans>Caster view</Trans>
+                </Nav.Link>
+            )}
+            {!isSpectating && isGameActive() && (
+                <Nav.Link onClick={() => dispatch(sendGameMessage('requestUndo'))}>
+                    <Trans>Request Undo</Trans>
+                </Nav.Link>
+            )}
+            {!isSpectating && isGameActive() && (
+                <Nav.Link onClick={() => dispatch(sendGameMessage('offerDraw'))}>
+                    <Trans>Offer Draw</Trans>
+                </Nav.Link>
+            )}
             {!isSpectating && (
                 <Nav.Link onClick={() => dispatch(sendGameMessage('concede'))}>
                     <Trans>Concede</Trans>
                 </Nav.Link>
             )}
+            {!reported && (
+                <Nav.Link onClick={() => setShowReport(true)}>
+                    <Trans>Report a problem</Trans>
+                </Nav.Link>
+            )}
             <Nav.Link onClick={onLeaveClick}>
                 <Trans>Leave Game</Trans>
             </Nav.Link>
+            {showReport && (
+                <Modal show={true} onHide={() => setShowReport(false)}>
+                    <Modal.Header closeButton>
+                        <Modal.Title>{t('Report a problem')}</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        <p>
+                            <Trans>
+                                The current state of the game and its log are sent with your report.
+                                Tell us what you expected to happen and what happened instead.
+                            </Trans>
+                        </p>
+                        <Form.Control
+                            as='textarea'
+                            rows={5}
+                            maxLength={2000}
+                            value={description}
+                            onChange={(event) => setDescription(event.target.value)}
+                        />
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant='primary' onClick={onReportClick} disabled={!description}>
+                            <Trans>Send report</Trans>
+                        </Button>
+                    </Modal.Footer>
+                </Modal>
+            )}
         </>
     );
 };
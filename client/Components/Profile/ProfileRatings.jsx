@@ -0,0 +1,74 @@
+import React from 'react';
+import { Table } from 'react-bootstrap';
+import { Trans, useTranslation } from 'react-i18next';
+
+import Panel from '../Site/Panel';
+
+/**
+ * @typedef Rating
+ * @property {number} rating The Glicko-2 rating
+ * @property {number} deviation How uncertain the rating is, this shrinks as more games are played
+ * @property {number} gamesPlayed The number of rated games played
+ */
+
+/**
+ * @typedef ProfileRatingsProps
+ * @property {Object.<string, Rating>} ratings The user's ratings keyed by format
+ */
+
+/**
+ * @param {ProfileRatingsProps} props
+ */
+const ProfileRatings = ({ ratings }) => {
+    const { t } = useTranslation();
+
+    const formats = [
+        { name: 'overall', label: t('Overall') },
+        { name: 'normal', label: t('Normal') },
+        { name: 'sealed', label: t('Sealed') },
+        { name: 'reversal', label: t('Reversal') },
+        { name: 'adaptive', label: t('Adaptive') }
+    ].filter((format) => ratings && ratings[format.name]);
+
+    return (
+        <Panel title={t('Competitive Ratings')}>
+            {formats.length === 0 ? (
+                <Trans>Play a competitive game to get a rating</Trans>
+            ) : (
+                <Table striped>
+                    <thead>
+                        <tr>
+                            <th>
+                                <Trans>Format</Trans>
+                            </th>
+                            <th>
+                                <Trans>Rating</Trans>
+                            </th>
+                            <th>
+                                <Trans>Games</Trans>
+                            </th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {formats.map((format) => {
+                            const rating = ratings[format.name];
+
+                            return (
+                                <tr key={format.name}>
+                                    <td>{format.label}</td>
+                                    <td>
+                                        {Math.round(rating.rating)} &plusmn;{' '}
+                                        {Math.round(rating.deviation * 2)}
+                                    </td>
+                                    <td>{rating.gamesPlayed}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </Table>
+            )}
+        </Panel>
+    );
+};
+
+export default ProfileRatings;
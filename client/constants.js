@@ -32,6 +32,15 @@ export const Constants = {
         { value: '452', label: 'WC' },
         { value: '479', label: 'MM' }
     ],
+    GameFormats: [
+        { value: 'normal', label: 'Normal' },
+        { value: 'sealed', label: 'Sealed' },
+        { value: 'reversal', label: 'Reversal' },
+        { value: 'adaptive-bo1', label: 'Adaptive - Best of 1' },
+        { value: 'adaptive-bo3', label: 'Adaptive - Best of 3' },
+        { value: 'reversal-bo3', label: 'Reversal - Best of 3' },
+        { value: 'alliance', label: 'Alliance' }
+    ],
     SetIconPaths: {},
     HouseIconPaths: {},
     HouseBgPaths: {},
@@ -13,8 +13,11 @@
  */
 export const LeftMenu = [
     { path: '/decks', title: 'Decks', showOnlyWhenLoggedIn: true },
-    //{ path: '/matches', title: 'Matches', showOnlyWhenLoggedIn: true },
+    { path: '/matches', title: 'Matches', showOnlyWhenLoggedIn: true },
     { path: '/play', title: 'Play' },
+    { path: '/scenarios', title: 'Scenarios', showOnlyWhenLoggedIn: true },
+    { path: '/stats', title: 'Stats' },
+    { path: '/tournaments', title: 'Tournaments' },
     {
         path: '/tournamentlobby',
         title: 'Tournament',
@@ -37,7 +40,8 @@ export const LeftMenu = [
             { path: '/users', title: 'Users', permission: 'canManageUsers' },
             { path: '/nodes', title: 'Nodes', permission: 'canManageNodes' },
             { path: '/banlist', title: 'Ban List', permission: 'canManageBanlist' },
-            { path: '/admin/motd', title: 'Motd', permission: 'canManageMotd' }
+            { path: '/admin/motd', title: 'Motd', permission: 'canManageMotd' },
+            { path: '/admin/bugreports', title: 'Bug Reports', permission: 'canManageGames' }
         ]
     }
 ];
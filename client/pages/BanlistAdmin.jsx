@@ -6,6 +6,7 @@ import moment from 'moment';
 import Form from '../Components/Form/Form';
 import Panel from '../Components/Site/Panel';
 import ApiStatus from '../Components/Site/ApiStatus';
+import FormatListAdmin from '../Components/Decks/FormatListAdmin';
 import * as actions from '../redux/actions';
 import { Col } from 'react-bootstrap';
 
@@ -141,6 +142,7 @@ class BanlistAdmin extends React.Component {
                         onSubmit={this.onAddBanlistClick}
                     />
                 </Panel>
+                <FormatListAdmin />
             </Col>
         );
     }
@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Button, Col, Form, Modal, Table } from 'react-bootstrap';
+import moment from 'moment';
+import { Trans, useTranslation } from 'react-i18next';
+
+import Panel from '../Components/Site/Panel';
+import ApiStatus from '../Components/Site/ApiStatus';
+import { clearApiStatus, loadBugReport, loadBugReports, resolveBugReport } from '../redux/actions';
+import { BugReport } from '../redux/types';
+
+import './BugReportAdmin.scss';
+
+/**
+ * Shows everything captured with a bug report: the reporter's description, the error, the game
+ * log, the decks in play, the most recent inputs and the game state as each player saw it
+ */
+const BugReportDetails = ({ report, onClose }) => {
+    const { t } = useTranslation();
+    let details = report.report || {};
+
+    return (
+        <Modal show={true} onHide={onClose} size='xl' className='bug-report-details'>
+            <Modal.Header closeButton>
+                <Modal.Title>
+                    {t('Bug report {{id}} for game {{gameId}}', {
+                        id: report.id,
+                        gameId: report.gameId
+                    })}
+                </Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                {report.description && (
+                    <>
+                        <h5>
+                            <Trans>Description</Trans>
+                        </h5>
+                        <p>{report.description}</p>
+                    </>
+                )}
+                {report.error && (
+                    <>
+                        <h5>
+                            <Trans>Error</Trans>
+                        </h5>
+                        <pre>{report.error}</pre>
+                    </>
+                )}
+                <h5>
+                    <Trans>Decks</Trans>
+                </h5>
+                <ul>
+                    {(details.decks || []).map((deck) => (
+                        <li key={deck.player}>
+                            {deck.player}: {deck.name} ({(deck.houses || []).join(', ')}){' '}
+                            {deck.uuid}
+                        </li>
+                    ))}
+                </ul>
+                <h5>
+                    <Trans>Game log</Trans>
+                </h5>
+                <pre>{details.log}</pre>
+                <h5>
+                    <Trans>Recent inputs</Trans>
+                </h5>
+                <pre>{JSON.stringify(details.inputs || [], null, 2)}</pre>
+                {Object.entries(details.state || {}).map(([player, state]) => (
+                    <React.Fragment key={player}>
+                        <h5>{t('Game state seen by {{player}}', { player })}</h5>
+                        <pre>{JSON.stringify(state, null, 2)}</pre>
+                    </React.Fragment>
+                ))}
+            </Modal.Body>
+        </Modal>
+    );
+};
+
+/**
+ * Lists the problems reported by players and captured from engine errors, so they can be triaged
+ */
+const BugReportAdmin = () => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const reports = useSelector((state) => state.admin.bugReports);
+    const currentReport = useSelector((state) => state.admin.currentBugReport);
+    const apiState = useSelector((state) => state.api[BugReport.RequestBugReport]);
+    const [showResolved, setShowResolved] = useState(false);
+    const [viewing, setViewing] = useState(false);
+
+    useEffect(() => {
+        dispatch(loadBugReports());
+    }, [dispatch]);
+
+    const onView = (id) => {
+        dispatch(loadBugReport(id));
+        setViewing(true);
+    };
+
+    return (
+        <Col lg={{ span: 10, offset: 1 }}>
+            <Panel title={t('Bug reports')}>
+                <ApiStatus
+                    state={apiState}
+                    onClose={() => dispatch(clearApiStatus(BugReport.RequestBugReport))}
+                />
+                <Form.Check
+                    type='switch'
+                    id='showResolved'
+                    label={t('Show resolved reports')}
+                    checked={showResolved}
+                    onChange={() => setShowResolved(!showResolved)}
+                />
+                <Table striped>
+                    <thead>
+                        <tr>
+                            <th>
+                                <Trans>Reported</Trans>
+                            </th>
+                            <th>
+                                <Trans>Game</Trans>
+                            </th>
+                            <th>
+                                <Trans>Format</Trans>
+                            </th>
+                            <th>
+                                <Trans>Reported By</Trans>
+                            </th>
+                            <th>
+                                <Trans>Problem</Trans>
+                            </th>
+                            <th>
+                                <Trans>Action</Trans>
+                            </th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {reports
+                            .filter((report) => showResolved || !report.resolved)
+                            .map((report) => (
+                                <tr key={report.id}>
+                                    <td>{moment(report.createdAt).format('YYYY-MM-DD HH:mm')}</td>
+                                    <td>{report.gameId}</td>
+                                    <td>{report.gameFormat}</td>
+                                    <td>{report.reporter || t('Engine error')}</td>
+                                    <td>
+                                        {report.description ||
+                                            (report.error && report.error.split('\n')[0])}
+                                    </td>
+                                    <td>
+                                        <Button variant='primary' onClick={() => onView(report.id)}>
+                                            <Trans>View</Trans>
+                                        </Button>{' '}
+                                        <Button
+                                            variant='secondary'
+                                            onClick={() =>
+                                                dispatch(
+                                                    resolveBugReport(report.id, !report.resolved)
+                                                )
+                                            }
+                                        >
+                                            {report.resolved ? t('Reopen') : t('Resolve')}
+                                        </Button>
+                                    </td>
+                                </tr>
+                            ))}
+                    </tbody>
+                </Table>
+            </Panel>
+            {viewing && currentReport && (
+                <BugReportDetails report={currentReport} onClose={() => setViewing(false)} />
+            )}
+        </Col>
+    );
+};
+
+BugReportAdmin.displayName = 'BugReportAdmin';
+
+export default BugReportAdmin;
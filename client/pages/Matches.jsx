@@ -1,177 +1,293 @@
-import React from 'react';
-import PropTypes from 'prop-types';
-import { connect } from 'react-redux';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Col, Form } from 'react-bootstrap';
+import BootstrapTable from 'react-bootstrap-table-next';
+import paginationFactory from 'react-bootstrap-table2-paginator';
 import moment from 'moment';
+import debounce from 'lodash.debounce';
+import { Trans, useTranslation } from 'react-i18next';
 
-import AlertPanel from '../Components/Site/AlertPanel';
+import ApiStatus from '../Components/Site/ApiStatus';
+import Link from '../Components/Navigation/Link';
 import Panel from '../Components/Site/Panel';
-import * as actions from '../redux/actions';
+import { clearApiStatus, loadUserGames } from '../redux/actions';
+import { Constants } from '../constants';
 
-import { withTranslation, Trans } from 'react-i18next';
+import './Matches.scss';
 
-class Matches extends React.Component {
-    componentDidMount() {
-        this.props.loadUserGames();
-    }
+const Results = {
+    win: 'Win',
+    loss: 'Loss',
+    draw: 'Draw',
+    abandoned: 'Abandoned',
+    'timed-out': 'Timed out'
+};
 
-    computeKeys(player) {
-        if (player.keys === null || player.keys === undefined) {
-            return 0;
-        }
+const GameTypes = {
+    beginner: 'Beginner',
+    casual: 'Casual',
+    competitive: 'Competitive'
+};
 
-        if (!isNaN(player.keys)) {
-            return player.keys;
-        }
+/**
+ * @param {{ keys: number | { red: boolean, yellow: boolean, blue: boolean } }} player
+ */
+const computeKeys = (player) => {
+    if (player.keys === null || player.keys === undefined) {
+        return 0;
+    }
 
-        return player.keys.yellow + player.keys.blue + player.keys.red;
+    if (!isNaN(player.keys)) {
+        return player.keys;
     }
 
-    computeWinner(game) {
-        if (
-            !game.winner ||
-            game.winner === game.players[0].name ||
-            game.winner === game.players[1].name
-        ) {
-            return game.winner;
-        }
+    return player.keys.yellow + player.keys.blue + player.keys.red;
+};
 
-        if (game.winner === game.players[0].deck) {
-            return game.players[0].name;
-        }
+/**
+ * @param {{ name: string, houses: string[] }} deck
+ */
+const DeckName = ({ deck }) => (
+    <>
+        {deck.name}
+        <div>
+            {(deck.houses || []).map((house) => (
+                <img key={house} className='match-house' src={Constants.HouseIconPaths[house]} />
+            ))}
+        </div>
+    </>
+);
+
+/**
+ * The games the user has played, a page at a time, filtered by opponent, deck, format, type,
+ * result and when they were played
+ */
+const Matches = () => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const { games, numGames } = useSelector((state) => ({
+        games: state.games.games || [],
+        numGames: state.games.numGames || 0
+    }));
+    const apiState = useSelector((state) => state.api.REQUEST_USERGAMES);
+    const [pagingDetails, setPagingDetails] = useState({
+        page: 1,
+        pageSize: 10,
+        sort: 'startedAt',
+        sortDir: 'desc'
+    });
+    const [filters, setFilters] = useState({});
+
+    useEffect(() => {
+        dispatch(
+            loadUserGames(
+                Object.assign({}, pagingDetails, {
+                    filter: Object.keys(filters).map((name) => ({
+                        name: name,
+                        value: filters[name]
+                    }))
+                })
+            )
+        );
+    }, [pagingDetails, filters, dispatch]);
+
+    const setFilter = (name, value) => {
+        setFilters((current) => Object.assign({}, current, { [name]: value }));
+        setPagingDetails((current) => Object.assign({}, current, { page: 1 }));
+    };
 
-        if (game.winner === game.players[1].deck) {
-            return game.players[1].name;
+    // Typing in the text filters only reloads once the user stops typing
+    const onTextFilterChange = useMemo(() => debounce(setFilter, 500), []);
+
+    const onTableChange = (type, data) => {
+        let newPageData = Object.assign({}, pagingDetails);
+        switch (type) {
+            case 'pagination':
+                newPageData.page = data.page || pagingDetails.page;
+                newPageData.pageSize = data.sizePerPage || pagingDetails.pageSize;
+
+                break;
+            case 'sort':
+                newPageData.sort = data.sortField;
+                newPageData.sortDir = data.sortOrder;
+
+                break;
         }
-    }
 
-    render() {
-        let t = this.props.t;
-        let content = null;
-
-        if (this.props.apiLoading) {
-            content = (
-                <div>
-                    <Trans>Loading matches from the server...</Trans>
-                </div>
-            );
-        } else if (!this.props.apiSuccess) {
-            content = <AlertPanel type='error' message={this.props.apiMessage} />;
-        } else {
-            let matches = this.props.games
-                ? this.props.games.map((game) => {
-                      var startedAt = moment(game.startedAt);
-                      var finishedAt = moment(game.finishedAt);
-                      var duration = moment.duration(finishedAt.diff(startedAt));
-
-                      var myKeys = this.computeKeys(game.players[0]);
-                      var oppKeys = this.computeKeys(game.players[1]);
-
-                      return (
-                          <tr key={game.gameId}>
-                              <td>{game.decks[0].name}</td>
-                              <td style={{ 'white-space': 'nowrap' }}>{game.players[1].name}</td>
-                              <td>{game.decks[1].name}</td>
-                              <td>{this.computeWinner(game)}</td>
-                              <td style={{ 'white-space': 'nowrap' }}>{t(game.winReason)}</td>
-                              <td style={{ 'white-space': 'nowrap' }}>
-                                  {myKeys} x {oppKeys}
-                              </td>
-                              <td style={{ 'white-space': 'nowrap' }}>{t(game.gameType)}</td>
-                              <td style={{ 'white-space': 'nowrap' }}>{t(game.gameFormat)}</td>
-                              <td style={{ 'white-space': 'nowrap' }}>
-                                  {moment(game.startedAt).format('YYYY-MM-DD HH:mm')}
-                              </td>
-                              <td style={{ 'white-space': 'nowrap' }}>
-                                  {duration.get('minutes')}m {duration.get('seconds')}s
-                              </td>
-                          </tr>
-                      );
-                  })
-                : null;
-
-            let table =
-                this.props.games && this.props.games.length === 0 ? (
-                    <div>You have no recorded matches.</div>
-                ) : (
-                    <table className='table table-striped'>
-                        <thead>
-                            <tr>
-                                <th>
-                                    <Trans>My Deck</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Opponent</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Opponent&apos;s Deck</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Winner</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Reason</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Keys</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Type</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Format</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Started At</Trans>
-                                </th>
-                                <th>
-                                    <Trans>Duration</Trans>
-                                </th>
-                            </tr>
-                        </thead>
-                        <tbody>{matches}</tbody>
-                    </table>
-                );
-
-            content = (
-                <div className='col-sm-10 col-sm-offset-1 profile full-height'>
-                    <Panel title={t('Matches')}>{table}</Panel>
-                </div>
-            );
+        setPagingDetails(newPageData);
+    };
+
+    const columns = [
+        {
+            dataField: 'deck',
+            text: t('My Deck'),
+            sort: true,
+            // eslint-disable-next-line react/display-name
+            formatter: (_, game) => <DeckName deck={game.decks[0]} />
+        },
+        {
+            dataField: 'opponent',
+            text: t('Opponent'),
+            sort: true,
+            formatter: (_, game) => game.players[1].name
+        },
+        {
+            dataField: 'opponentDeck',
+            text: t("Opponent's Deck"),
+            // eslint-disable-next-line react/display-name
+            formatter: (_, game) => <DeckName deck={game.decks[1]} />
+        },
+        {
+            dataField: 'result',
+            text: t('Result'),
+            sort: true,
+            formatter: (cell) => cell && t(Results[cell])
+        },
+        {
+            dataField: 'winReason',
+            text: t('Reason'),
+            formatter: (cell) => cell && t(cell)
+        },
+        {
+            dataField: 'keys',
+            text: t('Keys'),
+            formatter: (_, game) =>
+                `${computeKeys(game.players[0])} x ${computeKeys(game.players[1])}`
+        },
+        {
+            dataField: 'gameType',
+            text: t('Type'),
+            sort: true,
+            formatter: (cell) => t(cell)
+        },
+        {
+            dataField: 'gameFormat',
+            text: t('Format'),
+            sort: true,
+            formatter: (cell) => t(cell)
+        },
+        {
+            dataField: 'startedAt',
+            text: t('Started At'),
+            sort: true,
+            formatter: (cell) => moment(cell).format('YYYY-MM-DD HH:mm')
+        },
+        {
+            dataField: 'duration',
+            text: t('Duration'),
+            formatter: (_, game) => {
+                if (!game.finishedAt) {
+                    return null;
+                }
+
+                let duration = moment.duration(moment(game.finishedAt).diff(game.startedAt));
+
+                return `${Math.floor(duration.asMinutes())}m ${duration.get('seconds')}s`;
+            }
+        },
+        {
+            dataField: 'replay',
+            text: '',
+            // eslint-disable-next-line react/display-name
+            formatter: (_, game) => (
+                <Link href={`/replay/${game.gameId}`}>
+                    <Trans>Replay</Trans>
+                </Link>
+            )
         }
+    ];
 
-        return content;
-    }
-}
+    const renderSelect = (name, label, options) => (
+        <Form.Group as={Col} md='4' lg='2' controlId={name}>
+            <Form.Label>{label}</Form.Label>
+            <Form.Control
+                as='select'
+                value={filters[name] || ''}
+                onChange={(event) => setFilter(name, event.target.value)}
+            >
+                <option value=''>{t('All')}</option>
+                {options.map(([value, text]) => (
+                    <option key={value} value={value}>
+                        {t(text)}
+                    </option>
+                ))}
+            </Form.Control>
+        </Form.Group>
+    );
 
-Matches.displayName = 'Matches';
-Matches.propTypes = {
-    apiLoading: PropTypes.bool,
-    apiMessage: PropTypes.string,
-    apiSuccess: PropTypes.bool,
-    games: PropTypes.array,
-    i18n: PropTypes.object,
-    loadUserGames: PropTypes.func,
-    loading: PropTypes.bool,
-    t: PropTypes.func
+    return (
+        <Col lg={{ span: 10, offset: 1 }} className='full-height'>
+            <Panel title={t('Matches')}>
+                <ApiStatus
+                    state={apiState && !apiState.success ? apiState : null}
+                    onClose={() => dispatch(clearApiStatus('REQUEST_USERGAMES'))}
+                />
+                <Form>
+                    <Form.Row>
+                        <Form.Group as={Col} md='4' lg='2' controlId='opponent'>
+                            <Form.Label>{t('Opponent')}</Form.Label>
+                            <Form.Control
+                                type='text'
+                                placeholder={t('Filter by opponent')}
+                                onChange={(event) =>
+                                    onTextFilterChange('opponent', event.target.value)
+                                }
+                            />
+                        </Form.Group>
+                        <Form.Group as={Col} md='4' lg='2' controlId='deck'>
+                            <Form.Label>{t('Deck')}</Form.Label>
+                            <Form.Control
+                                type='text'
+                                placeholder={t('Filter by deck')}
+                                onChange={(event) => onTextFilterChange('deck', event.target.value)}
+                            />
+                        </Form.Group>
+                        {renderSelect(
+                            'gameFormat',
+                            t('Format'),
+                            Constants.GameFormats.map((format) => [format.value, format.label])
+                        )}
+                        {renderSelect('gameType', t('Type'), Object.entries(GameTypes))}
+                        {renderSelect('result', t('Result'), Object.entries(Results))}
+                        <Form.Group as={Col} md='4' lg='1' controlId='from'>
+                            <Form.Label>{t('From')}</Form.Label>
+                            <Form.Control
+                                type='date'
+                                value={filters.from || ''}
+                                onChange={(event) => setFilter('from', event.target.value)}
+                            />
+                        </Form.Group>
+                        <Form.Group as={Col} md='4' lg='1' controlId='to'>
+                            <Form.Label>{t('To')}</Form.Label>
+                            <Form.Control
+                                type='date'
+                                value={filters.to || ''}
+                                onChange={(event) => setFilter('to', event.target.value)}
+                            />
+                        </Form.Group>
+                    </Form.Row>
+                </Form>
+                <BootstrapTable
+                    bootstrap4
+                    remote
+                    striped
+                    keyField='gameId'
+                    data={games}
+                    columns={columns}
+                    noDataIndication={t('You have no recorded matches.')}
+                    pagination={paginationFactory({
+                        page: pagingDetails.page,
+                        sizePerPage: pagingDetails.pageSize,
+                        totalSize: numGames
+                    })}
+                    onTableChange={onTableChange}
+                    defaultSorted={[{ dataField: 'startedAt', order: 'desc' }]}
+                />
+            </Panel>
+        </Col>
+    );
 };
 
-function mapStateToProps(state) {
-    return {
-        apiLoading: state.api.REQUEST_USERGAMES ? state.api.REQUEST_USERGAMES.loading : undefined,
-        apiMessage: state.api.REQUEST_USERGAMES ? state.api.REQUEST_USERGAMES.message : undefined,
-        apiSuccess: state.api.REQUEST_USERGAMES ? state.api.REQUEST_USERGAMES.success : undefined,
-        games:
-            state.games &&
-            state.games.games &&
-            state.games.games.filter(
-                (game) =>
-                    game.players &&
-                    game.players.length === 2 &&
-                    game.decks &&
-                    game.decks.length === 2
-            ),
-        loading: state.api.loading
-    };
-}
+Matches.displayName = 'Matches';
 
-export default withTranslation()(connect(mapStateToProps, actions)(Matches));
+export default Matches;
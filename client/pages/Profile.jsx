@@ -1,16 +1,18 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Col, Alert } from 'react-bootstrap';
 import { useTranslation } from 'react-i18next';
 import { useSelector, useDispatch } from 'react-redux';
 
 import Profile from '../Components/Profile/Profile';
-import { saveProfile, clearApiStatus } from '../redux/actions';
+import ProfileRatings from '../Components/Profile/ProfileRatings';
+import { saveProfile, clearApiStatus, loadRatings } from '../redux/actions';
 import ApiStatus from '../Components/Site/ApiStatus';
 
 const ProfileContainer = () => {
     const dispatch = useDispatch();
     const { t } = useTranslation();
     const user = useSelector((state) => state.account.user);
+    const ratings = useSelector((state) => state.user.ratings);
     const apiState = useSelector((state) => {
         const retState = state.api['SAVE_PROFILE'];
 
@@ -27,6 +29,12 @@ const ProfileContainer = () => {
         return retState;
     });
 
+    useEffect(() => {
+        if (user) {
+            dispatch(loadRatings(user.username));
+        }
+    }, [dispatch, user]);
+
     if (!user) {
         return <Alert variant='danger'>{t('You need to be logged in to view your profile')}</Alert>;
     }
@@ -40,6 +48,7 @@ const ProfileContainer = () => {
                 }}
                 isLoading={apiState?.loading}
             />
+            <ProfileRatings ratings={ratings} />
         </Col>
     );
 };
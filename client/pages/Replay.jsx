@@ -0,0 +1,185 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector, useDispatch } from 'react-redux';
+import { Trans, useTranslation } from 'react-i18next';
+import { Button, ButtonGroup } from 'react-bootstrap';
+import * as jsondiffpatch from 'jsondiffpatch';
+
+import { GameBoard } from '../Components/GameBoard/GameBoard';
+import ApiStatus from '../Components/Site/ApiStatus';
+import { clearApiStatus, loadGameReplay, navigate } from '../redux/actions';
+
+import './Replay.scss';
+
+const patcher = jsondiffpatch.create({
+    objectHash: (obj, index) => {
+        return obj.uuid || obj.name || obj.id || obj._id || '$$index:' + index;
+    }
+});
+
+const turnKey = (snapshot) => `${snapshot.round}:${snapshot.activePlayer}`;
+const phaseKey = (snapshot) => `${turnKey(snapshot)}:${snapshot.phase}`;
+
+/**
+ * Finds the index of the snapshot to move to when stepping by turn or phase.  Stepping
+ * backwards goes to the start of the current section, or the previous one if already there.
+ * @param {Array} snapshots
+ * @param {number} index
+ * @param {number} direction 1 or -1
+ * @param {function(Object): string} getKey
+ */
+const findSection = (snapshots, index, direction, getKey) => {
+    const key = getKey(snapshots[index]);
+
+    if (direction > 0) {
+        const next = snapshots.findIndex((snapshot, i) => i > index && getKey(snapshot) !== key);
+
+        return next === -1 ? snapshots.length - 1 : next;
+    }
+
+    let start = index;
+    while (start > 0 && getKey(snapshots[start - 1]) === key) {
+        start--;
+    }
+
+    if (start < index || start === 0) {
+        return start;
+    }
+
+    const previousKey = getKey(snapshots[start - 1]);
+    start--;
+    while (start > 0 && getKey(snapshots[start - 1]) === previousKey) {
+        start--;
+    }
+
+    return start;
+};
+
+const Replay = ({ gameId }) => {
+    const { t } = useTranslation();
+    const dispatch = useDispatch();
+    const [index, setIndex] = useState(0);
+    const { apiState, cards, replay, user } = useSelector((state) => ({
+        apiState: state.api.REQUEST_GAME_REPLAY,
+        cards: state.cards.cards,
+        replay: state.games.replay,
+        user: state.auth.user
+    }));
+
+    useEffect(() => {
+        setIndex(0);
+        dispatch(loadGameReplay(gameId));
+    }, [dispatch, gameId]);
+
+    const states = useMemo(() => {
+        if (!replay || replay.gameId !== gameId) {
+            return [];
+        }
+
+        let state;
+
+        return replay.snapshots.map((snapshot) => {
+            state = state ? patcher.patch(patcher.clone(state), snapshot.delta) : snapshot.delta;
+
+            return state;
+        });
+    }, [replay, gameId]);
+
+    if (apiState && apiState.loading) {
+        return (
+            <div>
+                <Trans>Loading replay from the server...</Trans>
+            </div>
+        );
+    }
+
+    if (states.length === 0) {
+        return (
+            <ApiStatus
+                state={apiState}
+                onClose={() => dispatch(clearApiStatus('REQUEST_GAME_REPLAY'))}
+            />
+        );
+    }
+
+    const snapshots = replay.snapshots;
+    const snapshot = snapshots[index];
+    const last = snapshots.length - 1;
+
+    return (
+        <div className='replay'>
+            <div className='replay-controls'>
+                <ButtonGroup>
+                    <Button
+                        variant='secondary'
+                        disabled={index === 0}
+                        onClick={() => setIndex(findSection(snapshots, index, -1, turnKey))}
+                    >
+                        {t('Previous turn')}
+                    </Button>
+                    <Button
+                        variant='secondary'
+                        disabled={index === 0}
+                        onClick={() => setIndex(findSection(snapshots, index, -1, phaseKey))}
+                    >
+                        {t('Previous phase')}
+                    </Button>
+                    <Button
+                        variant='secondary'
+                        disabled={index === 0}
+                        onClick={() => setIndex(index - 1)}
+                    >
+                        {t('Back')}
+                    </Button>
+                </ButtonGroup>
+                <span className='replay-position'>
+                    {t('Turn {{round}}, {{phase}} phase ({{step}} of {{total}})', {
+                        round: snapshot.round,
+                        phase: snapshot.phase,
+                        step: index + 1,
+                        total: snapshots.length
+                    })}
+                    {snapshot.input && ` - ${snapshot.input.player}: ${snapshot.input.command}`}
+                </span>
+                <ButtonGroup>
+                    <Button
+                        variant='secondary'
+                        disabled={index === last}
+                        onClick={() => setIndex(index + 1)}
+                    >
+                        {t('Forward')}
+                    </Button>
+                    <Button
+                        variant='secondary'
+                        disabled={index === last}
+                        onClick={() => setIndex(findSection(snapshots, index, 1, phaseKey))}
+                    >
+                        {t('Next phase')}
+                    </Button>
+                    <Button
+                        variant='secondary'
+                        disabled={index === last}
+                        onClick={() => setIndex(findSection(snapshots, index, 1, turnKey))}
+                    >
+                        {t('Next turn')}
+                    </Button>
+                </ButtonGroup>
+            </div>
+            <GameBoard
+                cards={cards}
+                currentGame={states[index]}
+                dispatch={dispatch}
+                navigate={(url) => dispatch(navigate(url))}
+                sendGameMessage={() => true}
+                user={user && Object.assign({}, user, { username: replay.viewer })}
+            />
+        </div>
+    );
+};
+
+Replay.displayName = 'Replay';
+Replay.propTypes = {
+    gameId: PropTypes.string
+};
+
+export default Replay;
@@ -0,0 +1,78 @@
+import React, { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Button, Col, Table } from 'react-bootstrap';
+import { Trans, useTranslation } from 'react-i18next';
+
+import Panel from '../Components/Site/Panel';
+import { loadScenarios, navigate, sendSocketMessage } from '../redux/actions';
+
+/**
+ * Lists the puzzles that can be played against the AI, each starting from a set board
+ */
+const Scenarios = () => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const user = useSelector((state) => state.account.user);
+    const scenarios = useSelector((state) => state.scenario.scenarios);
+    const currentGame = useSelector((state) => state.lobby.currentGame);
+
+    useEffect(() => {
+        dispatch(loadScenarios());
+    }, [dispatch]);
+
+    const onPlay = (scenario) => {
+        dispatch(
+            sendSocketMessage('newgame', {
+                name: scenario.name,
+                scenario: scenario.id,
+                allowSpectators: false
+            })
+        );
+        dispatch(navigate('/play'));
+    };
+
+    return (
+        <Col lg={{ span: 10, offset: 1 }}>
+            <Panel title={t('Scenarios')}>
+                {scenarios.length === 0 ? (
+                    <Trans>There are no scenarios yet</Trans>
+                ) : (
+                    <Table striped>
+                        <thead>
+                            <tr>
+                                <th>
+                                    <Trans>Name</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Goal</Trans>
+                                </th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {scenarios.map((scenario) => (
+                                <tr key={scenario.id}>
+                                    <td>{t(scenario.name)}</td>
+                                    <td>{t(scenario.goal)}</td>
+                                    <td>
+                                        <Button
+                                            variant='primary'
+                                            disabled={!user || !!currentGame}
+                                            onClick={() => onPlay(scenario)}
+                                        >
+                                            <Trans>Play</Trans>
+                                        </Button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                )}
+            </Panel>
+        </Col>
+    );
+};
+
+Scenarios.displayName = 'Scenarios';
+
+export default Scenarios;
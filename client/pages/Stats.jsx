@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Col, Form, ProgressBar, Table } from 'react-bootstrap';
+import moment from 'moment';
+import { Trans, useTranslation } from 'react-i18next';
+
+import ApiStatus from '../Components/Site/ApiStatus';
+import Panel from '../Components/Site/Panel';
+import { clearApiStatus, loadStats } from '../redux/actions';
+import { Stats as StatsTypes } from '../redux/types';
+import { Constants } from '../constants';
+
+import './Stats.scss';
+
+/**
+ * @param {number} expansion
+ */
+const getExpansionName = (expansion) => {
+    let match = Constants.Expansions.find((e) => e.value === `${expansion}`);
+
+    return match ? match.label : `${expansion}`;
+};
+
+/**
+ * A win rate as a bar, with the number of games it was worked out from
+ * @param {{ record: { games: number, winRate: number } }} props
+ */
+const WinRateBar = ({ record }) => (
+    <div className='stats-win-rate'>
+        <ProgressBar now={record.winRate} label={`${Math.round(record.winRate)}%`} />
+        <small>{record.games}</small>
+    </div>
+);
+
+/**
+ * How the houses, expansions and decks have done in the games played on the site
+ */
+const Stats = () => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const { stats, options } = useSelector((state) => state.stats);
+    const apiState = useSelector((state) => state.api[StatsTypes.RequestStats]);
+    const [filters, setFilters] = useState({});
+
+    useEffect(() => {
+        dispatch(loadStats(filters));
+    }, [filters, dispatch]);
+
+    const setFilter = (name, value) => {
+        setFilters(Object.assign({}, filters, { [name]: value }));
+    };
+
+    let expansions = stats
+        ? [...new Set(stats.expansions.map((record) => record.expansion))].sort()
+        : [];
+    let topDecksByFormat = {};
+    for (let deck of stats ? stats.topDecks : []) {
+        topDecksByFormat[deck.gameFormat] = topDecksByFormat[deck.gameFormat] || [];
+        topDecksByFormat[deck.gameFormat].push(deck);
+    }
+
+    return (
+        <Col lg={{ span: 10, offset: 1 }} className='full-height stats'>
+            <Panel title={t('Stats')}>
+                <ApiStatus
+                    state={apiState && !apiState.success ? apiState : null}
+                    onClose={() => dispatch(clearApiStatus(StatsTypes.RequestStats))}
+                />
+                <Form>
+                    <Form.Row>
+                        <Form.Group as={Col} md='4' controlId='from'>
+                            <Form.Label>{t('From')}</Form.Label>
+                            <Form.Control
+                                type='date'
+                                value={filters.from || (options && options.from) || ''}
+                                onChange={(event) => setFilter('from', event.target.value)}
+                            />
+                        </Form.Group>
+                        <Form.Group as={Col} md='4' controlId='to'>
+                            <Form.Label>{t('To')}</Form.Label>
+                            <Form.Control
+                                type='date'
+                                value={filters.to || (options && options.to) || ''}
+                                onChange={(event) => setFilter('to', event.target.value)}
+                            />
+                        </Form.Group>
+                        <Form.Group as={Col} md='4' controlId='gameFormat'>
+                            <Form.Label>{t('Format')}</Form.Label>
+                            <Form.Control
+                                as='select'
+                                value={filters.gameFormat || 'all'}
+                                onChange={(event) => setFilter('gameFormat', event.target.value)}
+                            >
+                                <option value='all'>{t('All')}</option>
+                                {Constants.GameFormats.map((format) => (
+                                    <option key={format.value} value={format.value}>
+                                        {t(format.label)}
+                                    </option>
+                                ))}
+                            </Form.Control>
+                        </Form.Group>
+                    </Form.Row>
+                </Form>
+                {stats && (
+                    <>
+                        <p>
+                            {t('{{games}} games, updated {{calculatedAt}}', {
+                                games: stats.games,
+                                calculatedAt: moment(stats.calculatedAt).fromNow()
+                            })}
+                        </p>
+                        <h4>
+                            <Trans>First player</Trans>
+                        </h4>
+                        <WinRateBar record={stats.firstPlayer} />
+                        <h4>
+                            <Trans>Houses</Trans>
+                        </h4>
+                        <Table size='sm'>
+                            <tbody>
+                                {stats.houses.map((record) => (
+                                    <tr key={record.house}>
+                                        <td className='stats-name'>
+                                            <img
+                                                className='stats-house'
+                                                src={Constants.HouseIconPaths[record.house]}
+                                            />
+                                            {t(record.house)}
+                                        </td>
+                                        <td>
+                                            <WinRateBar record={record} />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                        <h4>
+                            <Trans>Expansion matchups</Trans>
+                        </h4>
+                        <Table size='sm' bordered>
+                            <thead>
+                                <tr>
+                                    <th />
+                                    {expansions.map((expansion) => (
+                                        <th key={expansion}>
+                                            {t('vs {{expansion}}', {
+                                                expansion: getExpansionName(expansion)
+                                            })}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {expansions.map((expansion) => (
+                                    <tr key={expansion}>
+                                        <th>{getExpansionName(expansion)}</th>
+                                        {expansions.map((opponentExpansion) => {
+                                            let record = stats.expansions.find(
+                                                (r) =>
+                                                    r.expansion === expansion &&
+                                                    r.opponentExpansion === opponentExpansion
+                                            );
+
+                                            return (
+                                                <td key={opponentExpansion}>
+                                                    {record && <WinRateBar record={record} />}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                        <h4>
+                            <Trans>Top decks</Trans>
+                        </h4>
+                        {Object.entries(topDecksByFormat).map(([gameFormat, decks]) => (
+                            <React.Fragment key={gameFormat}>
+                                <h5>{t(gameFormat)}</h5>
+                                <Table size='sm' striped>
+                                    <thead>
+                                        <tr>
+                                            <th>
+                                                <Trans>Deck</Trans>
+                                            </th>
+                                            <th>
+                                                <Trans>Wins</Trans>
+                                            </th>
+                                            <th>
+                                                <Trans>Win Rate</Trans>
+                                            </th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {decks.map((deck) => (
+                                            <tr key={deck.identity}>
+                                                <td className='stats-name'>{deck.name}</td>
+                                                <td>{deck.wins}</td>
+                                                <td>
+                                                    <WinRateBar record={deck} />
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </Table>
+                            </React.Fragment>
+                        ))}
+                    </>
+                )}
+            </Panel>
+        </Col>
+    );
+};
+
+Stats.displayName = 'Stats';
+
+export default Stats;
@@ -0,0 +1,271 @@
+import React, { useEffect, useState } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Button, Col, Table } from 'react-bootstrap';
+import { Trans, useTranslation } from 'react-i18next';
+
+import Panel from '../Components/Site/Panel';
+import ApiStatus from '../Components/Site/ApiStatus';
+import SelectDeckModal from '../Components/Games/SelectDeckModal';
+import {
+    clearApiStatus,
+    loadTournament,
+    navigate,
+    registerForTournament,
+    sendSocketMessage,
+    setTournamentMatchResult,
+    withdrawFromTournament
+} from '../redux/actions';
+import { Tournament as TournamentTypes } from '../redux/types';
+
+/**
+ * @typedef TournamentProps
+ * @property {string} tournamentId The id of the tournament to show
+ */
+
+/**
+ * @param {TournamentProps} props
+ */
+const Tournament = ({ tournamentId }) => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const [showModal, setShowModal] = useState(false);
+    const user = useSelector((state) => state.account.user);
+    const tournament = useSelector((state) => state.tournament.tournament);
+    const tournamentUpdate = useSelector((state) => state.lobby.tournamentUpdate);
+    const gameError = useSelector((state) => state.lobby.gameError);
+    const apiState = useSelector(
+        (state) =>
+            state.api[TournamentTypes.RegisterForTournament] ||
+            state.api[TournamentTypes.WithdrawFromTournament] ||
+            state.api[TournamentTypes.SetMatchResult]
+    );
+
+    useEffect(() => {
+        dispatch(loadTournament(tournamentId));
+    }, [dispatch, tournamentId]);
+
+    useEffect(() => {
+        if (tournamentUpdate && tournamentUpdate.tournamentId === parseInt(tournamentId)) {
+            dispatch(loadTournament(tournamentId));
+        }
+    }, [dispatch, tournamentId, tournamentUpdate]);
+
+    if (!tournament || tournament.id !== parseInt(tournamentId)) {
+        return (
+            <div>
+                <Trans>Loading tournament...</Trans>
+            </div>
+        );
+    }
+
+    const players = {};
+    for (const player of tournament.players) {
+        players[player.id] = player;
+    }
+
+    const currentPlayer = user && tournament.players.find((p) => p.username === user.username);
+    const canManage = user && user.permissions.canManageTournaments;
+    const rounds = [...new Set(tournament.matches.map((match) => match.round))].reverse();
+
+    const clearStatus = () => {
+        for (const type of [
+            TournamentTypes.RegisterForTournament,
+            TournamentTypes.WithdrawFromTournament,
+            TournamentTypes.SetMatchResult
+        ]) {
+            dispatch(clearApiStatus(type));
+        }
+    };
+
+    const renderPlayer = (match, playerId) => {
+        const player = players[playerId];
+
+        if (!player) {
+            return t('Bye');
+        }
+
+        const isWinner = match.winnerId === playerId;
+
+        return (
+            <>
+                {isWinner ? <strong>{player.username}</strong> : player.username}
+                {canManage && match.player2Id && !isWinner && tournament.status !== 'complete' && (
+                    <Button
+                        variant='link'
+                        size='sm'
+                        onClick={() =>
+                            dispatch(
+                                setTournamentMatchResult(tournament.id, match.id, player.username)
+                            )
+                        }
+                    >
+                        <Trans>Set winner</Trans>
+                    </Button>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <Col lg={{ span: 10, offset: 1 }}>
+            <Panel title={tournament.name}>
+                <ApiStatus state={apiState} onClose={clearStatus} />
+                {gameError && <ApiStatus state={{ message: gameError }} />}
+                <div>
+                    <Trans>Format</Trans>: {tournament.gameFormat}
+                </div>
+                <div>
+                    <Trans>Status</Trans>: {tournament.status}
+                </div>
+                <div>
+                    <Trans>Swiss rounds</Trans>: {tournament.swissRounds || t('Automatic')}
+                    {tournament.topCut > 0 && (
+                        <>, {t('Top {{size}}', { size: tournament.topCut })}</>
+                    )}
+                </div>
+                <div>
+                    <Trans>Organiser</Trans>: {tournament.creator}
+                </div>
+                <div className='text-center'>
+                    {user && tournament.status === 'registration' && (
+                        <Button variant='primary' onClick={() => setShowModal(true)}>
+                            {currentPlayer ? t('Change deck') : t('Register')}
+                        </Button>
+                    )}
+                    {currentPlayer && !currentPlayer.dropped && tournament.status !== 'complete' && (
+                        <Button
+                            variant='secondary'
+                            onClick={() => dispatch(withdrawFromTournament(tournament.id))}
+                        >
+                            {tournament.status === 'registration' ? t('Withdraw') : t('Drop')}
+                        </Button>
+                    )}
+                    {canManage && tournament.status !== 'complete' && (
+                        <Button
+                            variant='success'
+                            onClick={() =>
+                                dispatch(sendSocketMessage('starttournamentround', tournament.id))
+                            }
+                        >
+                            {tournament.status === 'registration'
+                                ? t('Start tournament')
+                                : t('Start next round')}
+                        </Button>
+                    )}
+                </div>
+            </Panel>
+            <Panel title={t('Standings')}>
+                <Table striped>
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>
+                                <Trans>Player</Trans>
+                            </th>
+                            <th>
+                                <Trans>Deck</Trans>
+                            </th>
+                            <th>
+                                <Trans>Wins</Trans>
+                            </th>
+                            <th>
+                                <Trans>Losses</Trans>
+                            </th>
+                            <th>
+                                <Trans>SoS</Trans>
+                            </th>
+                            <th>
+                                <Trans>Extended SoS</Trans>
+                            </th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {tournament.standings.map((standing) => {
+                            const player = players[standing.playerId];
+
+                            return (
+                                <tr key={standing.playerId}>
+                                    <td>{standing.rank}</td>
+                                    <td>
+                                        {player.username}
+                                        {player.dropped && <> ({t('dropped')})</>}
+                                    </td>
+                                    <td>{player.deckName}</td>
+                                    <td>{standing.wins}</td>
+                                    <td>{standing.losses}</td>
+                                    <td>{standing.sos}</td>
+                                    <td>{standing.extendedSos}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </Table>
+            </Panel>
+            {rounds.map((round) => {
+                const matches = tournament.matches.filter((match) => match.round === round);
+
+                return (
+                    <Panel
+                        key={round}
+                        title={
+                            matches[0].stage === 'topcut'
+                                ? t('Round {{round}} (top cut)', { round })
+                                : t('Round {{round}}', { round })
+                        }
+                    >
+                        <Table striped>
+                            <tbody>
+                                {matches.map((match) => {
+                                    const isPlaying =
+                                        currentPlayer &&
+                                        [match.player1Id, match.player2Id].includes(
+                                            currentPlayer.id
+                                        );
+
+                                    return (
+                                        <tr key={match.id}>
+                                            <td>{match.tableNumber}</td>
+                                            <td>{renderPlayer(match, match.player1Id)}</td>
+                                            <td>{renderPlayer(match, match.player2Id)}</td>
+                                            <td>
+                                                {match.gameId && !match.winnerId && (
+                                                    <Button
+                                                        variant='link'
+                                                        size='sm'
+                                                        onClick={() =>
+                                                            dispatch(
+                                                                navigate(
+                                                                    '/play',
+                                                                    `?gameId=${match.gameId}`
+                                                                )
+                                                            )
+                                                        }
+                                                    >
+                                                        {isPlaying ? t('Join game') : t('Watch')}
+                                                    </Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </Table>
+                    </Panel>
+                );
+            })}
+            {showModal && (
+                <SelectDeckModal
+                    onClose={() => setShowModal(false)}
+                    onDeckSelected={(deck) => {
+                        setShowModal(false);
+                        dispatch(registerForTournament(tournament.id, deck.id));
+                    }}
+                />
+            )}
+        </Col>
+    );
+};
+
+Tournament.displayName = 'Tournament';
+
+export default Tournament;
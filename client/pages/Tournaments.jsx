@@ -0,0 +1,197 @@
+import React, { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Form, Col, Button, Table } from 'react-bootstrap';
+import { Formik } from 'formik';
+import * as yup from 'yup';
+import moment from 'moment';
+import { Trans, useTranslation } from 'react-i18next';
+
+import Panel from '../Components/Site/Panel';
+import ApiStatus from '../Components/Site/ApiStatus';
+import Link from '../Components/Navigation/Link';
+import { clearApiStatus, createTournament, loadTournaments, navigate } from '../redux/actions';
+import { Tournament } from '../redux/types';
+
+const Tournaments = () => {
+    const dispatch = useDispatch();
+    const { t } = useTranslation();
+    const user = useSelector((state) => state.account.user);
+    const tournaments = useSelector((state) => state.tournament.tournaments);
+    const createState = useSelector((state) => state.api[Tournament.CreateTournament]);
+    const createdTournament = useSelector((state) => state.tournament.tournament);
+
+    useEffect(() => {
+        dispatch(loadTournaments());
+    }, [dispatch]);
+
+    useEffect(() => {
+        if (createState && createState.success && createdTournament) {
+            dispatch(clearApiStatus(Tournament.CreateTournament));
+            dispatch(navigate(`/tournaments/${createdTournament.id}`));
+        }
+    }, [createState, createdTournament, dispatch]);
+
+    const formats = [
+        { name: 'normal', label: t('Normal') },
+        { name: 'reversal', label: t('Reversal') },
+        { name: 'adaptive-bo1', label: t('Adaptive - Best of 1') },
+        { name: 'adaptive-bo3', label: t('Adaptive - Best of 3') },
+        { name: 'reversal-bo3', label: t('Reversal - Best of 3') }
+    ];
+
+    const schema = yup.object({
+        name: yup.string().required(t('You must specify a name for the tournament')),
+        gameFormat: yup.string().required()
+    });
+
+    const canManageTournaments = user && user.permissions.canManageTournaments;
+
+    return (
+        <Col lg={{ span: 10, offset: 1 }}>
+            <Panel title={t('Tournaments')}>
+                {tournaments.length === 0 ? (
+                    <Trans>There are no tournaments yet</Trans>
+                ) : (
+                    <Table striped>
+                        <thead>
+                            <tr>
+                                <th>
+                                    <Trans>Name</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Format</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Status</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Players</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Organiser</Trans>
+                                </th>
+                                <th>
+                                    <Trans>Created</Trans>
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {tournaments.map((tournament) => (
+                                <tr key={tournament.id}>
+                                    <td>
+                                        <Link href={`/tournaments/${tournament.id}`}>
+                                            {tournament.name}
+                                        </Link>
+                                    </td>
+                                    <td>{tournament.gameFormat}</td>
+                                    <td>{tournament.status}</td>
+                                    <td>{tournament.playerCount}</td>
+                                    <td>{tournament.creator}</td>
+                                    <td>{moment(tournament.createdAt).format('YYYY-MM-DD')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                )}
+            </Panel>
+            {canManageTournaments && (
+                <Panel title={t('Create Tournament')}>
+                    <ApiStatus
+                        state={createState}
+                        onClose={() => dispatch(clearApiStatus(Tournament.CreateTournament))}
+                    />
+                    <Formik
+                        validationSchema={schema}
+                        onSubmit={(values) => dispatch(createTournament(values))}
+                        initialValues={{
+                            name: '',
+                            gameFormat: 'normal',
+                            swissRounds: '',
+                            topCut: 0
+                        }}
+                    >
+                        {(formProps) => (
+                            <Form
+                                onSubmit={(event) => {
+                                    event.preventDefault();
+                                    formProps.handleSubmit(event);
+                                }}
+                            >
+                                <Form.Row>
+                                    <Form.Group as={Col} md='6' controlId='tournamentName'>
+                                        <Form.Label>{t('Name')}</Form.Label>
+                                        <Form.Control
+                                            name='name'
+                                            type='text'
+                                            value={formProps.values.name}
+                                            onChange={formProps.handleChange}
+                                            onBlur={formProps.handleBlur}
+                                            isInvalid={
+                                                formProps.touched.name && !!formProps.errors.name
+                                            }
+                                        />
+                                        <Form.Control.Feedback type='invalid'>
+                                            {formProps.errors.name}
+                                        </Form.Control.Feedback>
+                                    </Form.Group>
+                                    <Form.Group as={Col} md='6' controlId='tournamentFormat'>
+                                        <Form.Label>{t('Format')}</Form.Label>
+                                        <Form.Control
+                                            as='select'
+                                            name='gameFormat'
+                                            value={formProps.values.gameFormat}
+                                            onChange={formProps.handleChange}
+                                        >
+                                            {formats.map((format) => (
+                                                <option key={format.name} value={format.name}>
+                                                    {format.label}
+                                                </option>
+                                            ))}
+                                        </Form.Control>
+                                    </Form.Group>
+                                </Form.Row>
+                                <Form.Row>
+                                    <Form.Group as={Col} md='6' controlId='tournamentRounds'>
+                                        <Form.Label>{t('Swiss rounds')}</Form.Label>
+                                        <Form.Control
+                                            name='swissRounds'
+                                            type='number'
+                                            placeholder={t('Automatic')}
+                                            value={formProps.values.swissRounds}
+                                            onChange={formProps.handleChange}
+                                        />
+                                    </Form.Group>
+                                    <Form.Group as={Col} md='6' controlId='tournamentTopCut'>
+                                        <Form.Label>{t('Top cut')}</Form.Label>
+                                        <Form.Control
+                                            as='select'
+                                            name='topCut'
+                                            value={formProps.values.topCut}
+                                            onChange={formProps.handleChange}
+                                        >
+                                            <option value={0}>{t('None')}</option>
+                                            {[2, 4, 8, 16].map((size) => (
+                                                <option key={size} value={size}>
+                                                    {t('Top {{size}}', { size })}
+                                                </option>
+                                            ))}
+                                        </Form.Control>
+                                    </Form.Group>
+                                </Form.Row>
+                                <div className='text-center'>
+                                    <Button variant='primary' type='submit'>
+                                        <Trans>Create</Trans>
+                                    </Button>
+                                </div>
+                            </Form>
+                        )}
+                    </Formik>
+                </Panel>
+            )}
+        </Col>
+    );
+};
+
+Tournaments.displayName = 'Tournaments';
+
+export default Tournaments;
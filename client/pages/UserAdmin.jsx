@@ -26,6 +26,7 @@ const defaultPermissions = {
     canManageMotd: false,
     canManageTournaments: false,
     isAdmin: false,
+    isCaster: false,
     isContributor: false,
     isSupporter: false,
     isWinner: false,
@@ -48,6 +49,7 @@ const permissions = [
     { name: 'isSupporter', label: 'Supporter' },
     { name: 'isWinner', label: 'Tournament Winner' },
     { name: 'isPreviousWinner', label: 'Previous Tournament Winner' },
+    { name: 'isCaster', label: 'Caster' },
     {
         name: 'keepsSupporterWithNoPatreon',
         label: "Don't remove supporter when patreon expires/unlinks"
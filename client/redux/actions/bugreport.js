@@ -0,0 +1,30 @@
+import { BugReport } from '../types';
+
+export function loadBugReports() {
+    return {
+        types: [BugReport.RequestBugReports, BugReport.ReceiveBugReports],
+        shouldCallAPI: () => true,
+        APIParams: { url: '/api/bugreports', cache: false }
+    };
+}
+
+export function loadBugReport(id) {
+    return {
+        types: [BugReport.RequestBugReport, BugReport.ReceiveBugReport],
+        shouldCallAPI: () => true,
+        APIParams: { url: `/api/bugreports/${id}`, cache: false }
+    };
+}
+
+export function resolveBugReport(id, resolved) {
+    return {
+        types: [BugReport.ResolveBugReport, BugReport.BugReportResolved],
+        shouldCallAPI: () => true,
+        APIParams: {
+            url: `/api/bugreports/${id}`,
+            type: 'PUT',
+            data: JSON.stringify({ resolved }),
+            cache: false
+        }
+    };
+}
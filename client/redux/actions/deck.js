@@ -26,6 +26,14 @@ export function loadDecks(options = {}) {
     };
 }
 
+export function loadDeckStats(deckId) {
+    return {
+        types: [Decks.RequestDeckStats, Decks.DeckStatsReceived],
+        shouldCallAPI: () => true,
+        APIParams: { url: `/api/decks/${deckId}/stats`, cache: false }
+    };
+}
+
 export function loadDeck(deckId) {
     return {
         types: ['REQUEST_DECK', 'RECEIVE_DECK'],
@@ -62,7 +70,9 @@ export function deleteDeck(deck) {
 
 export function saveDeck(deck) {
     let str = JSON.stringify({
-        uuid: deck.uuid
+        uuid: deck.uuid,
+        deckList: deck.deckList,
+        deckExport: deck.deckExport
     });
 
     return {
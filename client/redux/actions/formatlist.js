@@ -0,0 +1,34 @@
+import { FormatList } from '../types';
+
+export function loadFormatLists() {
+    return {
+        types: [FormatList.RequestFormatLists, FormatList.ReceiveFormatLists],
+        shouldCallAPI: () => true,
+        APIParams: { url: '/api/formatlists', cache: false }
+    };
+}
+
+export function addFormatList(list) {
+    return {
+        types: [FormatList.AddFormatList, FormatList.FormatListAdded],
+        shouldCallAPI: () => true,
+        APIParams: {
+            url: '/api/formatlists',
+            type: 'POST',
+            data: JSON.stringify({ list }),
+            cache: false
+        }
+    };
+}
+
+export function deleteFormatList(id) {
+    return {
+        types: [FormatList.DeleteFormatList, FormatList.FormatListDeleted],
+        shouldCallAPI: () => true,
+        APIParams: {
+            url: `/api/formatlists/${id}`,
+            type: 'DELETE',
+            cache: false
+        }
+    };
+}
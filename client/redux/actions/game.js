@@ -14,11 +14,19 @@ export function receiveGames(games) {
     };
 }
 
-export function loadUserGames() {
+export function loadUserGames(options = {}) {
     return {
         types: ['REQUEST_USERGAMES', 'RECEIVE_USERGAMES'],
         shouldCallAPI: () => true,
-        APIParams: { url: '/api/games', cache: false }
+        APIParams: { url: '/api/games', cache: false, data: options }
+    };
+}
+
+export function loadGameReplay(gameId) {
+    return {
+        types: ['REQUEST_GAME_REPLAY', 'RECEIVE_GAME_REPLAY'],
+        shouldCallAPI: () => true,
+        APIParams: { url: `/api/games/${gameId}/replay`, cache: false }
     };
 }
 
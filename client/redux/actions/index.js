@@ -9,5 +9,10 @@ export * from './admin';
 export * from './user';
 export * from './account';
 export * from './banlist';
+export * from './formatlist';
+export * from './bugreport';
 export * from './challonge';
+export * from './tournament';
+export * from './scenario';
+export * from './stats';
 export * from './api';
@@ -0,0 +1,9 @@
+import { Scenario } from '../types';
+
+export function loadScenarios() {
+    return {
+        types: [Scenario.RequestScenarios, Scenario.ReceiveScenarios],
+        shouldCallAPI: (state) => state.scenario.scenarios.length === 0,
+        APIParams: { url: '/api/scenarios', cache: false }
+    };
+}
@@ -97,7 +97,12 @@ export function handoffReceived(details) {
 
         dispatch(actions.setAuthTokens(details.authToken, state.auth.refreshToken, details.user));
 
-        if (state.games.socket && state.games.gameId !== details.gameId) {
+        // A game that is restored on another node keeps its id but moves host
+        if (
+            state.games.socket &&
+            (state.games.gameId !== details.gameId ||
+                state.games.gameHost !== url + '/' + details.name)
+        ) {
             dispatch(actions.closeGameSocket());
         }
 
@@ -127,6 +132,7 @@ const messages = [
     'users',
     'newuser',
     'userleft',
+    'updateuser',
     'lobbychat',
     'nochat',
     'passworderror',
@@ -134,7 +140,9 @@ const messages = [
     'banner',
     'motd',
     'cleargamestate',
-    'gameerror'
+    'gameerror',
+    'queuestatus',
+    'tournamentupdated'
 ];
 
 export function connectLobby() {
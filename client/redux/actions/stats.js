@@ -0,0 +1,12 @@
+import { Stats } from '../types';
+
+/**
+ * @param {{ from?: string, to?: string, gameFormat?: string }} options
+ */
+export function loadStats(options = {}) {
+    return {
+        types: [Stats.RequestStats, Stats.ReceiveStats],
+        shouldCallAPI: () => true,
+        APIParams: { url: '/api/stats', cache: false, data: options }
+    };
+}
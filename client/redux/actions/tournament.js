@@ -0,0 +1,68 @@
+import { Tournament } from '../types';
+
+export function loadTournaments() {
+    return {
+        types: [Tournament.RequestTournamentList, Tournament.ReceiveTournamentList],
+        shouldCallAPI: () => true,
+        APIParams: { url: '/api/tournaments', cache: false }
+    };
+}
+
+export function loadTournament(tournamentId) {
+    return {
+        types: [Tournament.RequestTournament, Tournament.ReceiveTournament],
+        shouldCallAPI: () => true,
+        APIParams: { url: `/api/tournaments/${tournamentId}`, cache: false }
+    };
+}
+
+export function createTournament(tournament) {
+    return {
+        types: [Tournament.CreateTournament, Tournament.TournamentCreated],
+        shouldCallAPI: () => true,
+        APIParams: {
+            url: '/api/tournaments',
+            type: 'POST',
+            data: JSON.stringify({ tournament }),
+            cache: false
+        }
+    };
+}
+
+export function registerForTournament(tournamentId, deckId) {
+    return {
+        types: [Tournament.RegisterForTournament, Tournament.TournamentRegistered],
+        shouldCallAPI: () => true,
+        APIParams: {
+            url: `/api/tournaments/${tournamentId}/players`,
+            type: 'POST',
+            data: JSON.stringify({ deckId }),
+            cache: false
+        }
+    };
+}
+
+export function withdrawFromTournament(tournamentId) {
+    return {
+        types: [Tournament.WithdrawFromTournament, Tournament.TournamentWithdrawn],
+        shouldCallAPI: () => true,
+        APIParams: {
+            url: `/api/tournaments/${tournamentId}/players`,
+            type: 'DELETE',
+            cache: false
+        }
+    };
+}
+
+export function setTournamentMatchResult(tournamentId, matchId, winner) {
+    return {
+        types: [Tournament.SetMatchResult, Tournament.MatchResultSet],
+        shouldCallAPI: () => true,
+        APIParams: {
+            url: `/api/tournaments/${tournamentId}/matches/${matchId}`,
+            type: 'PUT',
+            data: JSON.stringify({ winner }),
+            cache: false
+        }
+    };
+}
@@ -33,6 +33,17 @@ export function loadBlockList(user) {
     };
 }
 
+export function loadRatings(username) {
+    return {
+        types: [UserAction.RequestRatings, UserAction.ReceiveRatings],
+        shouldCallAPI: () => true,
+        APIParams: {
+            cache: false,
+            url: `/api/user/${username}/ratings`
+        }
+    };
+}
+
 export function addBlockListEntry(user, username) {
     return {
         types: [UserAction.AddBlocklist, UserAction.BlocklistAdded],
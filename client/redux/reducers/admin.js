@@ -1,6 +1,6 @@
-import { Admin } from '../types';
+import { Admin, BugReport, FormatList } from '../types';
 
-export default function (state = { banlist: [] }, action) {
+export default function (state = { banlist: [], bugReports: [], formatLists: [] }, action) {
     switch (action.type) {
         case Admin.FindUser:
             return Object.assign({}, state, {
@@ -41,6 +41,40 @@ export default function (state = { banlist: [] }, action) {
             return Object.assign({}, state, {
                 nodeStatus: action.status
             });
+        case FormatList.ReceiveFormatLists:
+            return Object.assign({}, state, {
+                formatLists: action.response.lists
+            });
+        case FormatList.FormatListAdded:
+            return Object.assign({}, state, {
+                formatLists: [action.response.list, ...state.formatLists]
+            });
+        case FormatList.FormatListDeleted:
+            return Object.assign({}, state, {
+                formatLists: state.formatLists.filter(
+                    (list) => list.id !== parseInt(action.response.id)
+                )
+            });
+        case BugReport.ReceiveBugReports:
+            return Object.assign({}, state, {
+                bugReports: action.response.reports
+            });
+        case BugReport.RequestBugReport:
+            return Object.assign({}, state, {
+                currentBugReport: undefined
+            });
+        case BugReport.ReceiveBugReport:
+            return Object.assign({}, state, {
+                currentBugReport: action.response.report
+            });
+        case BugReport.BugReportResolved:
+            return Object.assign({}, state, {
+                bugReports: state.bugReports.map((report) =>
+                    report.id === action.response.id
+                        ? Object.assign({}, report, { resolved: action.response.resolved })
+                        : report
+                )
+            });
         case 'REQUEST_BANLIST':
             return Object.assign({}, state, {});
         case 'RECEIVE_BANLIST':
@@ -70,7 +70,7 @@ function processDecks(decks, state) {
     }
 }
 
-export default function (state = { decks: [], cards: {} }, action) {
+export default function (state = { decks: [], cards: {}, deckStats: {} }, action) {
     let newState;
     switch (action.type) {
         case 'RECEIVE_CARDS':
@@ -118,6 +118,12 @@ export default function (state = { decks: [], cards: {} }, action) {
             });
 
             return newState;
+        case Decks.DeckStatsReceived:
+            return Object.assign({}, state, {
+                deckStats: Object.assign({}, state.deckStats, {
+                    [action.response.deckId]: action.response.stats
+                })
+            });
         case 'REQUEST_DECK':
             return Object.assign({}, state, {
                 deckSaved: false,
@@ -48,6 +48,11 @@ function games(state = {}, action) {
             break;
         case 'RECEIVE_USERGAMES':
             newState.games = action.response.games;
+            newState.numGames = action.response.numGames;
+
+            break;
+        case 'RECEIVE_GAME_REPLAY':
+            newState.replay = action.response.replay;
 
             break;
         case 'GAME_SOCKET_RESPONSE_TIME_RECEIVED':
@@ -4,6 +4,9 @@ import auth from './auth';
 import cards from './cards';
 import games from './games';
 import challonge from './challonge';
+import tournament from './tournament';
+import scenario from './scenario';
+import stats from './stats';
 import news from './news';
 import api from './api';
 import admin from './admin';
@@ -19,6 +22,9 @@ const rootReducer = combineReducers({
     games,
     news,
     challonge,
+    tournament,
+    scenario,
+    stats,
     toastr: toastrReducer,
     api,
     admin,
@@ -26,6 +26,7 @@ export default function (state = defaultState, action) {
         case 'LOBBY_DISCONNECTED':
             newState.connecting = false;
             newState.connected = false;
+            newState.queueStatus = undefined;
 
             break;
         case 'LOBBY_RECONNECING':
@@ -203,6 +204,12 @@ function handleMessage(action, state) {
         case 'userleft':
             newState.users = state.users.filter((u) => u.username !== action.args[0].username);
 
+            break;
+        case 'updateuser':
+            newState.users = state.users.map((u) =>
+                u.username === action.args[0].username ? action.args[0] : u
+            );
+
             break;
         case 'passworderror':
             newState.passwordError = action.args[0];
@@ -249,6 +256,14 @@ function handleMessage(action, state) {
             newState.newGame = false;
             newState.currentGame = undefined;
 
+            break;
+        case 'queuestatus':
+            newState.queueStatus = action.args[0];
+
+            break;
+        case 'tournamentupdated':
+            newState.tournamentUpdate = { tournamentId: action.args[0], time: new Date() };
+
             break;
     }
 
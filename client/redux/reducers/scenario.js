@@ -0,0 +1,12 @@
+import { Scenario } from '../types';
+
+export default function (state = { scenarios: [] }, action) {
+    switch (action.type) {
+        case Scenario.ReceiveScenarios:
+            return Object.assign({}, state, {
+                scenarios: action.response.scenarios
+            });
+    }
+
+    return state;
+}
@@ -0,0 +1,13 @@
+import { Stats } from '../types';
+
+export default function (state = { stats: undefined, options: undefined }, action) {
+    switch (action.type) {
+        case Stats.ReceiveStats:
+            return Object.assign({}, state, {
+                options: action.response.options,
+                stats: action.response.stats
+            });
+    }
+
+    return state;
+}
@@ -0,0 +1,20 @@
+import { Tournament } from '../types';
+
+export default function (state = { tournaments: [] }, action) {
+    switch (action.type) {
+        case Tournament.ReceiveTournamentList:
+            return Object.assign({}, state, {
+                tournaments: action.response.tournaments
+            });
+        case Tournament.ReceiveTournament:
+        case Tournament.TournamentCreated:
+        case Tournament.TournamentRegistered:
+        case Tournament.TournamentWithdrawn:
+        case Tournament.MatchResultSet:
+            return Object.assign({}, state, {
+                tournament: action.response.tournament
+            });
+    }
+
+    return state;
+}
@@ -6,6 +6,10 @@ export default function (state = { blockList: [] }, action) {
             return Object.assign({}, state, {
                 blockList: action.response.blockList
             });
+        case UserAction.ReceiveRatings:
+            return Object.assign({}, state, {
+                ratings: action.response.ratings
+            });
         case 'RECEIVE_SESSIONS':
             return Object.assign({}, state, {
                 sessions: action.response.tokens
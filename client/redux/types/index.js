@@ -18,7 +18,9 @@ export const Decks = Object.freeze({
     RequestDecks: 'REQUEST_DECKS',
     DecksReceived: 'DECKS_RECEIVED',
     SaveEnhancements: 'DECK_SAVE_ENHANCEMENTS',
-    EnhancementsSaved: 'DECK_ENHANCEMENTS_SAV'
+    EnhancementsSaved: 'DECK_ENHANCEMENTS_SAV',
+    RequestDeckStats: 'REQUEST_DECK_STATS',
+    DeckStatsReceived: 'DECK_STATS_RECEIVED'
 });
 
 export const UserAction = Object.freeze({
@@ -27,7 +29,9 @@ export const UserAction = Object.freeze({
     AddBlocklist: 'ADD_BLOCKLIST',
     BlocklistAdded: 'BLOCKLIST_ADDED',
     DeleteBlockList: 'DELETE_BLOCKLIST',
-    BlocklistDeleted: 'BLOCKLIST_DELETED'
+    BlocklistDeleted: 'BLOCKLIST_DELETED',
+    RequestRatings: 'REQUEST_RATINGS',
+    ReceiveRatings: 'RECEIVE_RATINGS'
 });
 
 export const Account = Object.freeze({
@@ -51,6 +55,49 @@ export const Challonge = Object.freeze({
     ClearMessage: 'CLEAR_CHALLONGE_MESSAGE'
 });
 
+export const Tournament = Object.freeze({
+    RequestTournamentList: 'REQUEST_TOURNAMENT_LIST',
+    ReceiveTournamentList: 'RECEIVE_TOURNAMENT_LIST',
+    RequestTournament: 'REQUEST_TOURNAMENT',
+    ReceiveTournament: 'RECEIVE_TOURNAMENT',
+    CreateTournament: 'CREATE_TOURNAMENT',
+    TournamentCreated: 'TOURNAMENT_CREATED',
+    RegisterForTournament: 'REGISTER_FOR_TOURNAMENT',
+    TournamentRegistered: 'TOURNAMENT_REGISTERED',
+    WithdrawFromTournament: 'WITHDRAW_FROM_TOURNAMENT',
+    TournamentWithdrawn: 'TOURNAMENT_WITHDRAWN',
+    SetMatchResult: 'SET_TOURNAMENT_MATCH_RESULT',
+    MatchResultSet: 'TOURNAMENT_MATCH_RESULT_SET'
+});
+
+export const FormatList = Object.freeze({
+    RequestFormatLists: 'REQUEST_FORMAT_LISTS',
+    ReceiveFormatLists: 'RECEIVE_FORMAT_LISTS',
+    AddFormatList: 'ADD_FORMAT_LIST',
+    FormatListAdded: 'FORMAT_LIST_ADDED',
+    DeleteFormatList: 'DELETE_FORMAT_LIST',
+    FormatListDeleted: 'FORMAT_LIST_DELETED'
+});
+
+export const BugReport = Object.freeze({
+    RequestBugReports: 'REQUEST_BUG_REPORTS',
+    ReceiveBugReports: 'RECEIVE_BUG_REPORTS',
+    RequestBugReport: 'REQUEST_BUG_REPORT',
+    ReceiveBugReport: 'RECEIVE_BUG_REPORT',
+    ResolveBugReport: 'RESOLVE_BUG_REPORT',
+    BugReportResolved: 'BUG_REPORT_RESOLVED'
+});
+
+export const Scenario = Object.freeze({
+    RequestScenarios: 'REQUEST_SCENARIOS',
+    ReceiveScenarios: 'RECEIVE_SCENARIOS'
+});
+
+export const Stats = Object.freeze({
+    RequestStats: 'REQUEST_STATS',
+    ReceiveStats: 'RECEIVE_STATS'
+});
+
 export const Admin = Object.freeze({
     FindUser: 'ADMIN_FINDUSER',
     UserFound: 'ADMIN_USERFOUND',
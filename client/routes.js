@@ -6,7 +6,7 @@ import Logout from './pages/Logout';
 import Register from './pages/Register';
 import Lobby from './pages/Lobby';
 import Decks from './pages/Decks';
-//import Matches from './pages/Matches';
+import Matches from './pages/Matches';
 import ImportDeck from './Components/Decks/ImportDeck';
 import HowToPlay from './pages/HowToPlay';
 import About from './pages/About';
@@ -25,8 +25,14 @@ import BlockList from './pages/BlockList';
 import NodesAdmin from './pages/NodesAdmin';
 import Privacy from './pages/Privacy';
 import BanlistAdmin from './pages/BanlistAdmin';
+import BugReportAdmin from './pages/BugReportAdmin';
 import Patreon from './pages/Patreon';
 import Enhancements from './pages/Enhancements';
+import Replay from './pages/Replay';
+import Scenarios from './pages/Scenarios';
+import Stats from './pages/Stats';
+import Tournaments from './pages/Tournaments';
+import Tournament from './pages/Tournament';
 
 const routes = [
     { path: '/', action: () => <Lobby key='lobby' /> },
@@ -45,7 +51,7 @@ const routes = [
     { path: '/how-to-play', action: () => <HowToPlay key='howtoplay' /> },
     { path: '/login', action: () => <Login key='login' /> },
     { path: '/logout', action: () => <Logout key='logout' /> },
-    //{ path: '/matches', action: () => <Matches key='matches' /> },
+    { path: '/matches', action: () => <Matches key='matches' /> },
     { path: '/news', action: () => <NewsAdmin key='newsadmin' />, permission: 'canEditNews' },
     {
         path: '/play',
@@ -58,6 +64,12 @@ const routes = [
     },
     { path: '/profile', action: () => <Profile key='profile' /> },
     { path: '/register', action: () => <Register key='register' /> },
+    {
+        path: '/replay/:gameId',
+        action: (context) => <Replay key='replay' gameId={context.params.gameId} />
+    },
+    { path: '/scenarios', action: () => <Scenarios key='scenarios' /> },
+    { path: '/stats', action: () => <Stats key='stats' /> },
     {
         path: '/reset-password',
         action: (context) => (
@@ -73,6 +85,13 @@ const routes = [
         action: () => <TournamentLobby key='tournamentlobby' />,
         permission: 'canManageTournaments'
     },
+    { path: '/tournaments', action: () => <Tournaments key='tournaments' /> },
+    {
+        path: '/tournaments/:tournamentId',
+        action: (context) => (
+            <Tournament key='tournament' tournamentId={context.params.tournamentId} />
+        )
+    },
     { path: '/security', action: () => <Security key='security' /> },
     { path: '/users', action: () => <UserAdmin key='useradmin' />, permission: 'canManageUsers' },
     { path: '/nodes', action: () => <NodesAdmin key='nodesadmin' />, permission: 'canManageNodes' },
@@ -86,6 +105,11 @@ const routes = [
         action: () => <MotdAdmin key='motdadmin' />,
         permission: 'canManageMotd'
     },
+    {
+        path: '/admin/bugreports',
+        action: () => <BugReportAdmin key='bugreportadmin' />,
+        permission: 'canManageGames'
+    },
     { path: '/patreon', action: (context) => <Patreon code={context.params.code} /> }
 ];
 
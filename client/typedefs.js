@@ -27,13 +27,21 @@
  */
 
 /**
- * @typedef {'normal' | 'sealed'| 'reversal' | 'adaptive-bo1'} GameFormat
+ * @typedef {'normal' | 'sealed'| 'reversal' | 'adaptive-bo1' | 'adaptive-bo3' | 'reversal-bo3' | 'alliance'} GameFormat
  */
 
 /**
  * @typedef {'casual' | 'beginner'| 'competitive' | 'adaptive-bo1'} GameType
  */
 
+/**
+ * @typedef Match
+ * @property {number} bestOf The maximum number of games in the match
+ * @property {number} gameNumber The number of the game being played, or the next game once a game has been won
+ * @property {{ [key: string]: number }} score The number of games each player has won
+ * @property {string} [winner] The player that has won the match
+ */
+
 /**
  * @typedef PendingDeck
  * @property {string} [name] The name of the deck
@@ -69,6 +77,7 @@
  * @property {boolean} gamePrivate Whether or not the game is private
  * @property {GameType} gameType The type of game
  * @property {string} id The game id guid
+ * @property {Match} [match] The best of N match this game is part of
  * @property {any[]} messages The game chat messages
  * @property {boolean} muteSpectators Whether or not spectators are muted (unable to chat)
  * @property {string} name The name of the game
@@ -0,0 +1,104 @@
+const { flatMap } = require('./Array');
+
+/**
+ * @typedef Pod
+ * @property {number} deckId - the database id of the deck the pod is taken from
+ * @property {string} house - the house of the pod
+ */
+
+/**
+ * The house a card in a deck belongs to. Mavericks and anomalies belong to the house they were
+ * opened in rather than their printed house
+ * @param {Object} deckCard - a card from a deck, with its card data in `card`
+ * @returns {string}
+ */
+function getCardHouse(deckCard) {
+    return (
+        deckCard.maverick ||
+        deckCard.anomaly ||
+        deckCard.house ||
+        (deckCard.card && deckCard.card.house)
+    );
+}
+
+/**
+ * The cards of a deck that make up the pod for a house
+ * @param {Object} deck
+ * @param {string} house
+ */
+function getPodCards(deck, house) {
+    return deck.cards.filter((card) => getCardHouse(card) === house);
+}
+
+/**
+ * Checks an Alliance built by a user follows the deck building rules: three pods, one of each
+ * house, taken from decks the user owns. The restricted list is checked separately against the
+ * format list for Alliance
+ * @param {import('./models/User')} user
+ * @param {Pod[]} pods
+ * @param {Object.<number, Object>} decks - the decks the pods are taken from, by id
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateAlliance(user, pods, decks) {
+    let errors = [];
+
+    if (!pods || pods.length !== 3) {
+        errors.push('An Alliance must be made of exactly 3 pods');
+    }
+
+    for (let pod of pods || []) {
+        let deck = decks[pod.deckId];
+
+        if (!deck || deck.username !== user.username) {
+            errors.push('Every pod must come from one of your own decks');
+        } else if (!deck.houses.includes(pod.house)) {
+            errors.push(`${deck.name} does not contain ${pod.house}`);
+        }
+    }
+
+    let houses = (pods || []).map((pod) => pod.house);
+    if (new Set(houses).size !== houses.length) {
+        errors.push('Each pod must be from a different house');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Puts the pods of an Alliance together into a single deck that can be selected for a game. The
+ * deck each pod came from is kept in `pods` so it can be shown to players
+ * @param {import('./models/User')} user
+ * @param {Pod[]} pods
+ * @param {Object.<number, Object>} decks - the decks the pods are taken from, by id
+ */
+function buildAllianceDeck(user, pods, decks) {
+    let podDecks = pods.map((pod) => decks[pod.deckId]);
+
+    return {
+        cards: flatMap(pods, (pod) =>
+            getPodCards(decks[pod.deckId], pod.house).map((card) => Object.assign({}, card))
+        ),
+        expansion: podDecks[0].expansion,
+        houses: pods.map((pod) => pod.house),
+        identity: 'alliance',
+        name: `Alliance: ${podDecks.map((deck) => deck.name).join(' / ')}`,
+        pods: pods.map((pod) => ({
+            deckId: pod.deckId,
+            deckName: decks[pod.deckId].name,
+            deckUuid: decks[pod.deckId].uuid,
+            house: pod.house
+        })),
+        username: user.username,
+        verified: podDecks.every((deck) => deck.verified)
+    };
+}
+
+module.exports = {
+    buildAllianceDeck,
+    getCardHouse,
+    getPodCards,
+    validateAlliance
+};
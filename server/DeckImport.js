@@ -0,0 +1,339 @@
+const { Houses } = require('./constants');
+
+const DeckSize = 36;
+const Enhancements = ['amber', 'capture', 'damage', 'draw'];
+
+/**
+ * @typedef DeckEntry
+ * @property {string} name - the name or id of the card
+ * @property {number} count
+ * @property {string} [maverick] - the house a maverick card was opened in
+ * @property {string} [anomaly] - the house an anomaly was opened in
+ * @property {string[]} [enhancements] - the bonus icons added to the card, empty if the card is
+ * enhanced but the icons are to be assigned later
+ */
+
+/**
+ * @typedef DeckDetails
+ * @property {string} name
+ * @property {string|number} [expansion] - the expansion id or code, worked out from the cards if
+ * not given
+ * @property {string[]} [houses] - worked out from the cards if not given
+ * @property {DeckEntry[]} cards
+ */
+
+/**
+ * Reduces a card name to lower case letters and numbers, so that names typed by hand still match
+ * @param {string} name
+ */
+function normaliseName(name) {
+    return `${name}`
+        .toLowerCase()
+        .replace(/æ/g, 'ae')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * @param {string} house - a house name, e.g. 'Star Alliance'
+ */
+function normaliseHouse(house) {
+    return `${house}`.replace(/\s/g, '').toLowerCase();
+}
+
+/**
+ * Parses a deck list pasted as text. The first line is the name of the deck, and the houses and
+ * expansion can be given on lines starting 'Houses:' and 'Expansion:'. Every other line is a
+ * card, with an optional count and markers in brackets:
+ *
+ * @example
+ * Grumpus, the Unwilling
+ * Houses: Brobnar, Dis, Logos
+ * Expansion: MM
+ * 2 Troll
+ * 1x Anger (Enhanced: amber, draw)
+ * Krump (Maverick: Dis)
+ *
+ * @param {string} text
+ * @param {Object.<string, Object>} cards - the card data, by card id
+ * @returns {{ deck?: Object, errors: string[] }}
+ */
+function parseDeckList(text, cards) {
+    let details = { name: undefined, cards: [] };
+    let errors = [];
+
+    for (let line of `${text || ''}`.split(/\r?\n/)) {
+        line = line.trim();
+        if (!line) {
+            continue;
+        }
+
+        let header = line.match(/^(houses|expansion)\s*:\s*(.*)$/i);
+        if (header) {
+            if (header[1].toLowerCase() === 'houses') {
+                details.houses = header[2].split(/[,|]/).map((house) => house.trim());
+            } else {
+                details.expansion = header[2].trim();
+            }
+        } else if (!details.name) {
+            details.name = line;
+        } else {
+            let entry = parseCardLine(line);
+            if (entry.error) {
+                errors.push(entry.error);
+            } else {
+                details.cards.push(entry);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors: errors };
+    }
+
+    return buildDeck(details, cards);
+}
+
+/**
+ * @param {string} line - e.g. '2x Krump (Maverick: Dis)'
+ * @returns {DeckEntry & { error?: string }}
+ */
+function parseCardLine(line) {
+    let entry = { count: 1 };
+
+    for (let marker of line.match(/[([][^)\]]*[)\]]/g) || []) {
+        let match = marker.slice(1, -1).match(/^(maverick|anomaly|enhanced)\s*:?\s*(.*)$/i);
+        if (!match) {
+            return { error: `Unknown marker ${marker} on '${line}'` };
+        }
+
+        let type = match[1].toLowerCase();
+        let value = match[2].trim();
+        if (type === 'enhanced') {
+            entry.enhancements = value
+                ? value.split(',').map((enhancement) => enhancement.trim().toLowerCase())
+                : [];
+        } else {
+            entry[type] = value;
+        }
+    }
+
+    let name = line.replace(/[([][^)\]]*[)\]]/g, '').trim();
+    let count = name.match(/^(\d+)\s*x?\s+(.+)$/i);
+    if (count) {
+        entry.count = parseInt(count[1]);
+        name = count[2];
+    }
+
+    entry.name = name;
+
+    return entry;
+}
+
+/**
+ * Parses a deck exported as JSON, in the form
+ * `{ name, expansion, houses: [], cards: [{ id or name, count, maverick, anomaly, enhancements }] }`.
+ * A card can be marked `enhanced: true` instead of listing its enhancements, so they can be
+ * assigned after the deck is imported
+ * @param {string|Object} json
+ * @param {Object.<string, Object>} cards - the card data, by card id
+ * @returns {{ deck?: Object, errors: string[] }}
+ */
+function parseDeckExport(json, cards) {
+    let exported = json;
+
+    if (typeof json === 'string') {
+        try {
+            exported = JSON.parse(json);
+        } catch (err) {
+            return { errors: ['The deck export is not valid JSON'] };
+        }
+    }
+
+    if (!exported || !Array.isArray(exported.cards)) {
+        return { errors: ['The deck export must have a list of cards'] };
+    }
+
+    return buildDeck(
+        {
+            name: exported.name,
+            expansion: exported.expansion,
+            houses: exported.houses,
+            cards: exported.cards.map((card) => ({
+                name: card.id || card.name,
+                count: card.count === undefined ? 1 : card.count,
+                maverick: card.maverick,
+                anomaly: card.anomaly,
+                enhancements: card.enhancements || (card.enhanced ? [] : undefined)
+            }))
+        },
+        cards
+    );
+}
+
+/**
+ * Resolves the cards of a deck against the card data and checks the deck is one that could have
+ * been opened: 36 cards from exactly 3 houses
+ * @param {DeckDetails} details
+ * @param {Object.<string, Object>} cards - the card data, by card id
+ * @returns {{ deck?: Object, errors: string[] }}
+ */
+function buildDeck(details, cards) {
+    let errors = [];
+    let byName = {};
+    let expansionCodes = {};
+
+    for (let card of Object.values(cards)) {
+        for (let name of [card.id, card.name]) {
+            let key = normaliseName(name);
+            if (!byName[key]) {
+                byName[key] = card;
+            }
+        }
+
+        if (card.packCode) {
+            let code = card.packCode.toLowerCase();
+            expansionCodes[code] = Math.min(expansionCodes[code] || card.expansion, card.expansion);
+        }
+    }
+
+    if (!details.name || typeof details.name !== 'string') {
+        errors.push('The deck must have a name');
+    }
+
+    let deckCards = [];
+    for (let entry of details.cards) {
+        let card = byName[normaliseName(entry.name)];
+        let count = parseInt(entry.count);
+
+        if (!card) {
+            errors.push(`Unknown card '${entry.name}'`);
+            continue;
+        }
+
+        if (isNaN(count) || count < 1) {
+            errors.push(`${card.name} must have a count of at least 1`);
+            continue;
+        }
+
+        let deckCard = { id: card.id, count: count };
+
+        for (let type of ['maverick', 'anomaly']) {
+            if (entry[type]) {
+                deckCard[type] = normaliseHouse(entry[type]);
+                if (!Houses.includes(deckCard[type])) {
+                    errors.push(`${card.name} has an unknown ${type} house '${entry[type]}'`);
+                }
+            }
+        }
+
+        if (entry.enhancements) {
+            let enhancements = [].concat(entry.enhancements).map((e) => `${e}`.toLowerCase());
+            let unknown = enhancements.filter((e) => !Enhancements.includes(e));
+            if (unknown.length > 0) {
+                errors.push(`${card.name} has unknown enhancements: ${unknown.join(', ')}`);
+            }
+
+            deckCard.enhancements = enhancements;
+        }
+
+        deckCard.house = deckCard.maverick || deckCard.anomaly || card.house;
+        deckCards.push(deckCard);
+    }
+
+    let houses = details.houses
+        ? [].concat(details.houses).map(normaliseHouse)
+        : [...new Set(deckCards.map((card) => card.house))];
+    let unknownHouses = houses.filter((house) => !Houses.includes(house));
+
+    if (unknownHouses.length > 0) {
+        errors.push(`Unknown houses: ${unknownHouses.join(', ')}`);
+    } else if (new Set(houses).size !== 3) {
+        errors.push('The deck must have exactly 3 houses');
+    } else {
+        for (let card of deckCards.filter((card) => !houses.includes(card.house))) {
+            errors.push(`${cards[card.id].name} is not from one of the deck's houses`);
+        }
+    }
+
+    let total = deckCards.reduce((sum, card) => sum + card.count, 0);
+    if (total !== DeckSize) {
+        errors.push(`The deck must have ${DeckSize} cards, but has ${total}`);
+    }
+
+    let expansion = getExpansion(details.expansion, deckCards, cards, expansionCodes);
+    if (!expansion) {
+        errors.push(`Unknown expansion '${details.expansion}'`);
+    }
+
+    if (errors.length > 0) {
+        return { errors: errors };
+    }
+
+    return {
+        deck: {
+            name: details.name,
+            identity: details.name
+                .toLowerCase()
+                .replace(/[,?.!"„“”]/gi, '')
+                .replace(/[ '’]/gi, '-'),
+            expansion: expansion,
+            houses: houses,
+            cards: splitEnhancedCards(deckCards).map((card) => {
+                // The house is only stored for cards that have an image for each house
+                delete card.house;
+
+                return card;
+            })
+        },
+        errors: []
+    };
+}
+
+/**
+ * The expansion id of a deck, from the id or code it was given as, or otherwise the expansion
+ * most of its cards are from
+ */
+function getExpansion(expansion, deckCards, cards, expansionCodes) {
+    if (expansion !== undefined && expansion !== null && `${expansion}` !== '') {
+        if (/^\d+$/.test(`${expansion}`)) {
+            return parseInt(expansion);
+        }
+
+        return expansionCodes[`${expansion}`.toLowerCase()];
+    }
+
+    let counts = {};
+    for (let card of deckCards) {
+        let cardExpansion = cards[card.id].expansion;
+        counts[cardExpansion] = (counts[cardExpansion] || 0) + card.count;
+    }
+
+    let mostCommon = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+    return mostCommon && parseInt(mostCommon);
+}
+
+/**
+ * Enhanced cards are stored one per row, as each copy can have different enhancements
+ * @param {Object[]} deckCards
+ */
+function splitEnhancedCards(deckCards) {
+    let result = [];
+
+    for (let card of deckCards) {
+        if (card.enhancements && card.count > 1) {
+            for (let i = 0; i < card.count; i++) {
+                result.push(Object.assign({}, card, { count: 1 }));
+            }
+        } else {
+            result.push(card);
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseDeckExport,
+    parseDeckList
+};
@@ -0,0 +1,75 @@
+/**
+ * @typedef FormatList
+ * @property {number} id
+ * @property {string} gameFormat - the format the list applies to
+ * @property {string} version
+ * @property {string[]} banned - the ids of cards that can't be played in the format
+ * @property {string[]} restricted - the ids of cards that are restricted in the format
+ * @property {number} restrictedLimit - how many different restricted cards a deck may contain
+ */
+
+/**
+ * The format whose list applies to games of a format. Best of N variants of a format share its
+ * list
+ * @param {string} gameFormat
+ * @returns {string}
+ */
+function getListFormat(gameFormat) {
+    return gameFormat && gameFormat.replace(/-bo\d+$/, '');
+}
+
+/**
+ * Checks a deck against a format's ban and restricted list
+ * @param {{ cards: { id: string }[] }} deck
+ * @param {FormatList} list
+ * @returns {{ valid: boolean, errors: string[], bannedCards: string[], restrictedCards: string[] }}
+ */
+function validateDeck(deck, list) {
+    let cardIds = [...new Set(deck.cards.map((card) => card.id))];
+    let bannedCards = cardIds.filter((id) => list.banned.includes(id));
+    let restrictedCards = cardIds.filter((id) => list.restricted.includes(id));
+    let errors = [];
+
+    if (bannedCards.length > 0) {
+        errors.push(
+            `Contains cards banned by the ${list.gameFormat} v${
+                list.version
+            } list: ${bannedCards.join(', ')}`
+        );
+    }
+
+    if (restrictedCards.length > list.restrictedLimit) {
+        errors.push(
+            `Contains more than ${list.restrictedLimit} card${
+                list.restrictedLimit === 1 ? '' : 's'
+            } on the ${list.gameFormat} v${list.version} restricted list: ${restrictedCards.join(
+                ', '
+            )}`
+        );
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors: errors,
+        bannedCards: bannedCards,
+        restrictedCards: restrictedCards
+    };
+}
+
+/**
+ * The list versions a deck is legal under
+ * @param {{ cards: { id: string }[] }} deck
+ * @param {FormatList[]} lists
+ * @returns {{ gameFormat: string, version: string }[]}
+ */
+function getLegalLists(deck, lists) {
+    return lists
+        .filter((list) => validateDeck(deck, list).valid)
+        .map((list) => ({ gameFormat: list.gameFormat, version: list.version }));
+}
+
+module.exports = {
+    getLegalLists,
+    getListFormat,
+    validateDeck
+};
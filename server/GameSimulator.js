@@ -0,0 +1,271 @@
+const Game = require('./game/game');
+const Settings = require('./settings');
+
+// How many decisions a simulated game can take before it is abandoned as stuck
+const MaxDecisionsPerGame = 10000;
+
+const PlayerNames = ['player1', 'player2'];
+
+/**
+ * @typedef SimulatedPlayerResult
+ * @property {number} keysForged
+ * @property {number} turns - how many turns the player started
+ * @property {Object.<string, number>} cardsPlayedByHouse
+ */
+
+/**
+ * @typedef SimulatedGameResult
+ * @property {number} seed
+ * @property {string} [winner] - the name of the player who won, unset if the game didn't finish
+ * @property {string} [firstPlayer]
+ * @property {number} turns
+ * @property {Object.<string, SimulatedPlayerResult>} players
+ * @property {string} [error] - set if the game engine threw while the game was being played
+ */
+
+/**
+ * Plays games between two decks with the AI controlling both sides, without any sockets or game
+ * router, so matchups can be measured over a large number of games
+ */
+class GameSimulator {
+    /**
+     * @param {Object.<string, Object>} cardData - card data by card id
+     * @param {Object} deck1 - the deck played by the first seat, in the format a player selects
+     * @param {Object} deck2 - the deck played by the second seat
+     * @param {{ gameFormat?: string }} [options]
+     */
+    constructor(cardData, deck1, deck2, options = {}) {
+        this.cardData = cardData;
+        this.decks = [deck1, deck2];
+        this.gameFormat = options.gameFormat || 'normal';
+    }
+
+    /**
+     * Plays a number of games, each with its own seed so the run can be repeated
+     * @param {number} count
+     * @param {number} [seed] - the seed of the first game, later games use the following seeds
+     * @param {function(SimulatedGameResult, number): void} [onGameFinished]
+     * @returns {SimulatedGameResult[]}
+     */
+    simulate(count, seed = 1, onGameFinished) {
+        let results = [];
+
+        for (let i = 0; i < count; i++) {
+            let result = this.simulateGame(seed + i);
+
+            results.push(result);
+
+            if (onGameFinished) {
+                onGameFinished(result, i);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Plays a single game to completion
+     * @param {number} seed
+     * @returns {SimulatedGameResult}
+     */
+    simulateGame(seed) {
+        let game = this.createGame(seed);
+        let result = {
+            seed: seed,
+            turns: 0,
+            players: {}
+        };
+
+        for (let name of PlayerNames) {
+            result.players[name] = { keysForged: 0, turns: 0, cardsPlayedByHouse: {} };
+        }
+
+        game.on('onForgeKey', (event) => {
+            result.players[event.player.name].keysForged++;
+        });
+        game.on('onCardPlayed', (event) => {
+            let cardsPlayed = result.players[event.player.name].cardsPlayedByHouse;
+
+            cardsPlayed[event.card.printedHouse] = (cardsPlayed[event.card.printedHouse] || 0) + 1;
+        });
+
+        try {
+            game.initialise();
+
+            for (let i = 0; i < MaxDecisionsPerGame && !game.winner; i++) {
+                if (!this.makeDecision(game)) {
+                    break;
+                }
+            }
+        } catch (err) {
+            result.error = err.message;
+        }
+
+        result.winner = game.winner ? game.winner.name : undefined;
+        result.firstPlayer = game.firstPlayer && game.firstPlayer.name;
+        result.turns = game.round || 0;
+
+        for (let player of game.getPlayers()) {
+            result.players[player.name].turns = player.turn || 0;
+        }
+
+        return result;
+    }
+
+    createGame(seed) {
+        let router = {
+            gameWon: () => true,
+            playerLeft: () => true,
+            handleError: (game, error) => {
+                throw error;
+            }
+        };
+        let details = {
+            name: 'Simulation',
+            id: `simulation-${seed}`,
+            owner: { username: PlayerNames[0] },
+            gameFormat: this.gameFormat,
+            gameType: 'casual',
+            seed: seed,
+            players: PlayerNames.map((name) => ({
+                id: name,
+                user: Settings.getUserWithDefaultsSet({ username: name, isAi: true, settings: {} })
+            }))
+        };
+
+        let game = new Game(details, { router: router, cardData: this.cardData });
+
+        game.started = true;
+
+        PlayerNames.forEach((name, index) => game.selectDeck(name, this.decks[index]));
+
+        return game;
+    }
+
+    /**
+     * Lets the first AI player that is waiting on a prompt answer it
+     * @returns {boolean} false if neither player had anything to do
+     */
+    makeDecision(game) {
+        for (let aiPlayer of game.aiPlayers) {
+            let decision = aiPlayer.getDecision();
+            if (!decision) {
+                continue;
+            }
+
+            game[decision.command](aiPlayer.name, ...decision.args);
+            game.continue();
+
+            return true;
+        }
+
+        return false;
+    }
+}
+
+/**
+ * Aggregates the results of simulated games into stats for each deck
+ * @param {SimulatedGameResult[]} results
+ * @param {string[]} deckNames - the names of the decks in the first and second seats
+ */
+function getSimulationStats(results, deckNames) {
+    let finished = results.filter((result) => result.winner);
+    let totalTurns = finished.reduce((total, result) => total + result.turns, 0);
+    let firstPlayerWins = finished.filter((result) => result.winner === result.firstPlayer);
+
+    return {
+        games: results.length,
+        finished: finished.length,
+        errors: results.filter((result) => result.error).length,
+        averageTurns: ratio(totalTurns, finished.length),
+        firstPlayerWinRate: ratio(firstPlayerWins.length, finished.length),
+        decks: PlayerNames.map((name, index) => {
+            let wins = finished.filter((result) => result.winner === name);
+            let goingFirst = finished.filter((result) => result.firstPlayer === name);
+            let goingSecond = finished.filter((result) => result.firstPlayer !== name);
+            let keysForged = 0;
+            let turns = 0;
+            let cardsPlayedByHouse = {};
+
+            for (let result of finished) {
+                let player = result.players[name];
+
+                keysForged += player.keysForged;
+                turns += player.turns;
+
+                for (let [house, count] of Object.entries(player.cardsPlayedByHouse)) {
+                    cardsPlayedByHouse[house] = (cardsPlayedByHouse[house] || 0) + count;
+                }
+            }
+
+            return {
+                name: deckNames[index],
+                wins: wins.length,
+                winRate: ratio(wins.length, finished.length),
+                winRateGoingFirst: ratio(
+                    goingFirst.filter((result) => result.winner === name).length,
+                    goingFirst.length
+                ),
+                winRateGoingSecond: ratio(
+                    goingSecond.filter((result) => result.winner === name).length,
+                    goingSecond.length
+                ),
+                keysForgedPerTurn: ratio(keysForged, turns),
+                cardsPlayedByHouse: cardsPlayedByHouse
+            };
+        })
+    };
+}
+
+/**
+ * Formats simulation stats as CSV with a row for each deck
+ * @param {ReturnType<typeof getSimulationStats>} stats
+ * @returns {string}
+ */
+function getSimulationCsv(stats) {
+    let houses = [
+        ...new Set(stats.decks.flatMap((deck) => Object.keys(deck.cardsPlayedByHouse)))
+    ].sort();
+    let columns = [
+        'deck',
+        'games',
+        'finished',
+        'wins',
+        'winRate',
+        'winRateGoingFirst',
+        'winRateGoingSecond',
+        'keysForgedPerTurn',
+        'averageTurns',
+        'firstPlayerWinRate'
+    ].concat(houses.map((house) => `cardsPlayed:${house}`));
+
+    let rows = stats.decks.map((deck) =>
+        [
+            `"${deck.name.replace(/"/g, '""')}"`,
+            stats.games,
+            stats.finished,
+            deck.wins,
+            deck.winRate,
+            deck.winRateGoingFirst,
+            deck.winRateGoingSecond,
+            deck.keysForgedPerTurn,
+            stats.averageTurns,
+            stats.firstPlayerWinRate
+        ].concat(houses.map((house) => deck.cardsPlayedByHouse[house] || 0))
+    );
+
+    return [columns]
+        .concat(rows)
+        .map((row) => row.join(','))
+        .join('\n');
+}
+
+function ratio(value, total) {
+    return total > 0 ? Math.round((value / total) * 1000) / 1000 : 0;
+}
+
+module.exports = {
+    GameSimulator,
+    getSimulationCsv,
+    getSimulationStats
+};
@@ -0,0 +1,108 @@
+// Glicko-2 rating calculations, see http://www.glicko.net/glicko/glicko2.pdf
+const scale = 173.7178;
+// Constrains how much the volatility can change between rating periods
+const tau = 0.5;
+const convergenceTolerance = 0.000001;
+
+const defaultRating = {
+    rating: 1500,
+    deviation: 350,
+    volatility: 0.06
+};
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+const expectedScore = (mu, opponentMu, opponentPhi) =>
+    1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+function calculateVolatility(phi, sigma, variance, delta) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+        const ex = Math.exp(x);
+        const d = phi * phi + variance + ex;
+
+        return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + variance) {
+        B = Math.log(delta * delta - phi * phi - variance);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) {
+            k++;
+        }
+
+        B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > convergenceTolerance) {
+        const C = A + ((A - B) * fA) / (fB - fA);
+        const fC = f(C);
+
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+
+        B = C;
+        fB = fC;
+    }
+
+    return Math.exp(A / 2);
+}
+
+/**
+ * Calculates a player's new rating after a rating period
+ * @param {{ rating: number, deviation: number, volatility: number }} player
+ * @param {{ opponent: { rating: number, deviation: number }, score: number }[]} results - score
+ * is 1 for a win, 0.5 for a draw and 0 for a loss
+ * @returns {{ rating: number, deviation: number, volatility: number }}
+ */
+function calculateRating(player, results) {
+    const mu = (player.rating - defaultRating.rating) / scale;
+    const phi = player.deviation / scale;
+
+    if (results.length === 0) {
+        const deviation = Math.sqrt(phi * phi + player.volatility * player.volatility) * scale;
+
+        return {
+            rating: player.rating,
+            deviation: Math.min(deviation, defaultRating.deviation),
+            volatility: player.volatility
+        };
+    }
+
+    let varianceSum = 0;
+    let deltaSum = 0;
+    for (const result of results) {
+        const opponentMu = (result.opponent.rating - defaultRating.rating) / scale;
+        const opponentPhi = result.opponent.deviation / scale;
+        const expected = expectedScore(mu, opponentMu, opponentPhi);
+
+        varianceSum += g(opponentPhi) * g(opponentPhi) * expected * (1 - expected);
+        deltaSum += g(opponentPhi) * (result.score - expected);
+    }
+
+    const variance = 1 / varianceSum;
+    const delta = variance * deltaSum;
+    const volatility = calculateVolatility(phi, player.volatility, variance, delta);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+    const newMu = mu + newPhi * newPhi * deltaSum;
+
+    return {
+        rating: newMu * scale + defaultRating.rating,
+        deviation: newPhi * scale,
+        volatility: volatility
+    };
+}
+
+module.exports = {
+    calculateRating,
+    defaultRating
+};
@@ -0,0 +1,135 @@
+const uuid = require('uuid');
+
+/**
+ * The formats that are played as a series of games, and how many games each series can last
+ */
+const matchFormats = {
+    'adaptive-bo3': { bestOf: 3, swapFirst: false },
+    'reversal-bo3': { bestOf: 3, swapFirst: true }
+};
+
+/**
+ * @typedef MatchGame
+ * @property {string} gameId
+ * @property {string} winner - the username of the player that won the game
+ */
+
+/**
+ * A best of N series of games between two players. Before the deciding game each player plays
+ * each deck in turn, adaptive starting with their own deck and reversal starting with their
+ * opponent's. The deciding game is played with the deck that the players bid chains for.
+ *
+ * Matches are passed between the lobby and the game nodes as plain objects, so everything that
+ * needs to survive that is kept in the state returned from getState
+ */
+class Match {
+    /**
+     * @param {Object} details
+     * @param {string} details.gameFormat
+     * @param {string} [details.id]
+     * @param {MatchGame[]} [details.games] - the games of the match that have a winner
+     * @param {Date} [details.startedAt]
+     */
+    constructor(details) {
+        this.gameFormat = details.gameFormat;
+        this.games = details.games ? [...details.games] : [];
+        this.id = details.id || uuid.v1();
+        this.startedAt = details.startedAt || new Date();
+        this.bestOf = matchFormats[this.gameFormat].bestOf;
+    }
+
+    /**
+     * Whether games of the given format are played as part of a match
+     * @param {string} gameFormat
+     */
+    static isMatchFormat(gameFormat) {
+        return !!matchFormats[gameFormat];
+    }
+
+    /**
+     * The number of games a player needs to win to win the match
+     */
+    getWinsNeeded() {
+        return Math.floor(this.bestOf / 2) + 1;
+    }
+
+    /**
+     * The number of the game being played, or the next game to play if the last game has just
+     * finished
+     */
+    getGameNumber() {
+        return this.games.length + 1;
+    }
+
+    /**
+     * @returns {Object.<string, number>} the number of games each player has won, by username
+     */
+    getScore() {
+        let score = {};
+
+        for (let game of this.games) {
+            score[game.winner] = (score[game.winner] || 0) + 1;
+        }
+
+        return score;
+    }
+
+    /**
+     * @returns {string} the username of the player that has won the match, if it has been won
+     */
+    getWinner() {
+        let score = this.getScore();
+
+        return Object.keys(score).find((player) => score[player] >= this.getWinsNeeded());
+    }
+
+    isComplete() {
+        return !!this.getWinner();
+    }
+
+    /**
+     * Whether the current game is the last game of the match, which is played with a bid
+     */
+    isDecider() {
+        return this.getGameNumber() === this.bestOf;
+    }
+
+    /**
+     * Whether players play their opponent's deck in the current game
+     */
+    isSwapped() {
+        if (this.isDecider()) {
+            return false;
+        }
+
+        return (this.getGameNumber() % 2 === 0) !== matchFormats[this.gameFormat].swapFirst;
+    }
+
+    /**
+     * Records the winner of a game of the match. A game that has already been recorded is ignored
+     * @param {string} gameId
+     * @param {string} winner
+     */
+    recordGame(gameId, winner) {
+        if (this.isComplete() || this.games.some((game) => game.gameId === gameId)) {
+            return;
+        }
+
+        this.games.push({ gameId: gameId, winner: winner });
+    }
+
+    getState() {
+        return {
+            bestOf: this.bestOf,
+            gameFormat: this.gameFormat,
+            gameNumber: this.getGameNumber(),
+            games: this.games,
+            id: this.id,
+            score: this.getScore(),
+            startedAt: this.startedAt,
+            winner: this.getWinner()
+        };
+    }
+}
+
+module.exports = Match;
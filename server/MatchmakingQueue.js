@@ -0,0 +1,165 @@
+const { sortBy } = require('./Array');
+
+// How far apart (in rating points) two players can be when they first join the queue
+const InitialRatingRange = 100;
+// How much the acceptable rating range widens for every second a player has waited
+const RatingRangeGrowth = 5;
+const MaxRatingRange = 1000;
+// How many recent wait times per format are used to estimate the wait for new players
+const MaxRecentWaits = 20;
+
+class MatchmakingQueue {
+    constructor() {
+        this.entries = {};
+        this.recentWaits = {};
+    }
+
+    /**
+     * Adds a player to the queue, replacing any existing entry they have
+     * @param {import('./models/User')} user
+     * @param {string} socketId
+     * @param {{ deckId: number, isStandalone: boolean, gameFormat: string, rating: number }} details
+     * @returns {Object} the queue entry
+     */
+    add(user, socketId, details) {
+        let entry = {
+            deckId: details.deckId,
+            gameFormat: details.gameFormat,
+            isStandalone: !!details.isStandalone,
+            joinedAt: new Date(),
+            rating: details.rating,
+            socketId: socketId,
+            user: user
+        };
+
+        this.entries[user.username] = entry;
+
+        return entry;
+    }
+
+    /**
+     * Puts a previously matched entry back in the queue, keeping its original join time
+     * @param {Object} entry
+     */
+    restore(entry) {
+        this.entries[entry.user.username] = entry;
+    }
+
+    /**
+     * @param {string} username
+     * @returns {Object} the removed entry, or undefined if the user wasn't queued
+     */
+    remove(username) {
+        let entry = this.entries[username];
+
+        delete this.entries[username];
+
+        return entry;
+    }
+
+    get(username) {
+        return this.entries[username];
+    }
+
+    getEntries() {
+        return Object.values(this.entries);
+    }
+
+    getEntriesForFormat(gameFormat) {
+        return this.getEntries().filter((entry) => entry.gameFormat === gameFormat);
+    }
+
+    getRatingRange(entry, now) {
+        let secondsWaited = (now - entry.joinedAt) / 1000;
+
+        return Math.min(InitialRatingRange + RatingRangeGrowth * secondsWaited, MaxRatingRange);
+    }
+
+    canPair(entry, other, now) {
+        if (entry.gameFormat !== other.gameFormat) {
+            return false;
+        }
+
+        if (entry.user.hasUserBlocked(other.user) || other.user.hasUserBlocked(entry.user)) {
+            return false;
+        }
+
+        let range = Math.min(this.getRatingRange(entry, now), this.getRatingRange(other, now));
+
+        return Math.abs(entry.rating - other.rating) <= range;
+    }
+
+    /**
+     * Pairs up as many queued players as possible. The players that have waited longest are
+     * matched first, against the closest rated opponent they're allowed to play. Matched players
+     * are removed from the queue.
+     * @param {Date} [now]
+     * @returns {Object[][]} the matched pairs of entries
+     */
+    findMatches(now = new Date()) {
+        let unmatched = sortBy(this.getEntries(), (entry) => entry.joinedAt);
+        let matches = [];
+
+        while (unmatched.length > 1) {
+            let entry = unmatched.shift();
+            let candidates = unmatched.filter((other) => this.canPair(entry, other, now));
+
+            if (candidates.length === 0) {
+                continue;
+            }
+
+            let opponent = sortBy(candidates, (other) => Math.abs(entry.rating - other.rating))[0];
+
+            unmatched = unmatched.filter((other) => other !== opponent);
+            matches.push([entry, opponent]);
+
+            for (let matched of [entry, opponent]) {
+                this.recordWait(matched, now);
+                this.remove(matched.user.username);
+            }
+        }
+
+        return matches;
+    }
+
+    recordWait(entry, now) {
+        let waits = this.recentWaits[entry.gameFormat] || [];
+
+        waits.push((now - entry.joinedAt) / 1000);
+
+        this.recentWaits[entry.gameFormat] = waits.slice(-MaxRecentWaits);
+    }
+
+    /**
+     * @param {string} gameFormat
+     * @returns {number} the average number of seconds recent players waited for a match, or
+     * undefined if nobody has been matched in this format yet
+     */
+    getEstimatedWait(gameFormat) {
+        let waits = this.recentWaits[gameFormat];
+
+        if (!waits || waits.length === 0) {
+            return undefined;
+        }
+
+        return Math.round(waits.reduce((total, wait) => total + wait, 0) / waits.length);
+    }
+
+    getStatus(username) {
+        let entry = this.entries[username];
+
+        if (!entry) {
+            return { queued: false };
+        }
+
+        return {
+            estimatedWait: this.getEstimatedWait(entry.gameFormat),
+            gameFormat: entry.gameFormat,
+            joinedAt: entry.joinedAt,
+            playersInQueue: this.getEntriesForFormat(entry.gameFormat).length,
+            queued: true
+        };
+    }
+}
+
+module.exports = MatchmakingQueue;
@@ -0,0 +1,56 @@
+// Playing a replay back runs the whole game again, so the results for the most recently viewed
+// replays are kept for a while
+const MaxEntries = 20;
+const MaxAgeMinutes = 30;
+
+/**
+ * Keeps the snapshots of recently viewed replays, by game and viewer
+ */
+class ReplayCache {
+    constructor() {
+        /** @type {Map<string, { result: Promise<Object>, cachedAt: number }>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * The cached result for a replay, or the result of playing it back if it isn't cached. Viewers
+     * who ask while the replay is still being played back share the same playback
+     * @param {string} gameId
+     * @param {string} viewer
+     * @param {() => Promise<Object>} playBack - plays the replay back for the viewer
+     * @returns {Promise<Object>}
+     */
+    get(gameId, viewer, playBack) {
+        let key = `${gameId}:${viewer}`;
+        let entry = this.entries.get(key);
+
+        if (entry && Date.now() - entry.cachedAt < MaxAgeMinutes * 60 * 1000) {
+            // Move the entry to the end so the least recently viewed replay is removed first
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+
+            return entry.result;
+        }
+
+        let result = playBack();
+
+        entry = { result: result, cachedAt: Date.now() };
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        // A playback that failed isn't kept, so the replay is played back again next time
+        result.catch(() => {
+            if (this.entries.get(key) === entry) {
+                this.entries.delete(key);
+            }
+        });
+
+        if (this.entries.size > MaxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return result;
+    }
+}
+
+module.exports = ReplayCache;
@@ -0,0 +1,51 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const GameReplay = require('./game/GameReplay');
+
+// Playing a replay back runs the whole game again, which shouldn't go on forever if it gets stuck
+const MaxPlayBackSeconds = 120;
+
+/**
+ * Plays a replay back for a viewer in a worker thread, so that long games being played back
+ * don't hold up the lobby
+ * @param {Object} replay - the seed, decks and inputs as returned by Game.getReplay
+ * @param {Object} cardData
+ * @param {string} viewer - the name of the player the snapshots are seen by
+ * @returns {Promise<{ errors: string[], snapshots: Object[] }>}
+ */
+function playBackReplay(replay, cardData, viewer) {
+    return new Promise((resolve, reject) => {
+        let worker = new Worker(__filename, {
+            workerData: { replay: replay, cardData: cardData, viewer: viewer }
+        });
+
+        let timeout = setTimeout(() => {
+            reject(new Error(`Replay playback took longer than ${MaxPlayBackSeconds} seconds`));
+            worker.terminate();
+        }, MaxPlayBackSeconds * 1000);
+
+        worker.once('message', (result) => {
+            clearTimeout(timeout);
+            resolve(result);
+        });
+        worker.once('error', (err) => {
+            clearTimeout(timeout);
+            reject(err);
+        });
+        worker.once('exit', (code) => {
+            clearTimeout(timeout);
+            if (code !== 0) {
+                reject(new Error(`Replay playback stopped with exit code ${code}`));
+            }
+        });
+    });
+}
+
+if (!isMainThread) {
+    let gameReplay = new GameReplay(workerData.replay, workerData.cardData);
+    let snapshots = gameReplay.getSnapshots(workerData.viewer);
+
+    parentPort.postMessage({ errors: gameReplay.errors, snapshots: snapshots });
+}
+
+module.exports = { playBackReplay };
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+const { ConditionTypes } = require('./game/ScenarioCondition');
+
+const ScenarioDirectory = path.join(__dirname, 'scenarios');
+const Locations = ['hand', 'deck', 'discard', 'archives'];
+
+/**
+ * @typedef ScenarioCard
+ * @property {string} id
+ * @property {boolean} [exhausted]
+ * @property {boolean} [stunned]
+ * @property {boolean} [enraged]
+ * @property {boolean} [warded]
+ * @property {number} [amber] - amber on the card
+ * @property {number} [damage]
+ * @property {number} [power] - +1 power counters
+ * @property {string[]} [upgrades] - the ids of upgrades attached to the card
+ */
+
+/**
+ * @typedef ScenarioSide
+ * @property {string[]} houses
+ * @property {string} [activeHouse] - the house the first player has already chosen
+ * @property {number} [amber]
+ * @property {number} [chains]
+ * @property {string[]} [keys] - the colours of the keys already forged
+ * @property {string[]} [hand]
+ * @property {string[]} [deck] - the cards in the deck, top card first
+ * @property {string[]} [discard]
+ * @property {string[]} [archives]
+ * @property {(string|ScenarioCard)[]} [inPlay]
+ */
+
+/**
+ * @typedef Scenario
+ * @property {string} id
+ * @property {string} name
+ * @property {string} goal
+ * @property {string} firstPlayer - 'player' or 'opponent'
+ * @property {ScenarioSide} player - the side played by the user
+ * @property {ScenarioSide} opponent - the side played by the AI
+ * @property {Object[]} win - conditions that win the scenario, see ScenarioCondition
+ * @property {Object[]} lose - conditions that lose the scenario
+ */
+
+let scenarios;
+
+/**
+ * The scenarios authored as JSON files in the scenarios directory
+ * @returns {Scenario[]}
+ */
+function getScenarios() {
+    if (!scenarios) {
+        scenarios = fs
+            .readdirSync(ScenarioDirectory)
+            .filter((file) => file.endsWith('.json'))
+            .map((file) => JSON.parse(fs.readFileSync(path.join(ScenarioDirectory, file))))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    return scenarios;
+}
+
+/**
+ * @param {string} id
+ * @returns {Scenario | undefined}
+ */
+function getScenario(id) {
+    return getScenarios().find((scenario) => scenario.id === id);
+}
+
+/**
+ * The ids of every card one side of a scenario uses, wherever they start
+ * @param {ScenarioSide} side
+ * @returns {string[]}
+ */
+function getScenarioCardIds(side) {
+    let ids = Locations.reduce((ids, location) => ids.concat(side[location] || []), []);
+
+    for (let entry of side.inPlay || []) {
+        if (typeof entry === 'string') {
+            ids.push(entry);
+        } else {
+            ids.push(entry.id, ...(entry.upgrades || []));
+        }
+    }
+
+    return ids;
+}
+
+/**
+ * Checks a scenario is complete and only uses cards that exist
+ * @param {Scenario} scenario
+ * @param {Object} cards - the card data, by card id
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateScenario(scenario, cards) {
+    let errors = [];
+
+    if (!['player', 'opponent'].includes(scenario.firstPlayer)) {
+        errors.push('The first player must be the player or the opponent');
+    }
+
+    for (let sideName of ['player', 'opponent']) {
+        let side = scenario[sideName];
+        if (!side) {
+            errors.push(`The ${sideName} side is missing`);
+            continue;
+        }
+
+        if (!side.houses || side.houses.length !== 3) {
+            errors.push(`The ${sideName} side must have three houses`);
+        }
+
+        let unknownCards = getScenarioCardIds(side).filter((id) => !cards[id]);
+        if (unknownCards.length > 0) {
+            errors.push(`The ${sideName} side has unknown cards: ${unknownCards.join(', ')}`);
+        }
+    }
+
+    for (let condition of (scenario.win || []).concat(scenario.lose || [])) {
+        if (!ConditionTypes.includes(condition.type)) {
+            errors.push(`Unknown condition: ${condition.type}`);
+        }
+    }
+
+    if (!scenario.win || scenario.win.length === 0) {
+        errors.push('The scenario must have a win condition');
+    }
+
+    return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Builds the deck one side of a scenario plays with, made up of every card the side uses
+ * @param {Scenario} scenario
+ * @param {string} sideName - 'player' or 'opponent'
+ * @param {Object} cards - the card data, by card id
+ */
+function buildScenarioDeck(scenario, sideName, cards) {
+    let side = scenario[sideName];
+    let counts = {};
+
+    for (let id of getScenarioCardIds(side)) {
+        counts[id] = (counts[id] || 0) + 1;
+    }
+
+    return {
+        cards: Object.entries(counts).map(([id, count]) => ({
+            card: cards[id],
+            count: count,
+            id: id
+        })),
+        houses: side.houses,
+        name: scenario.name,
+        scenario: scenario.id,
+        status: {
+            basicRules: true,
+            notVerified: false,
+            extendedStatus: [],
+            noUnreleasedCards: true,
+            officialRole: true,
+            usageLevel: 0,
+            verified: true
+        }
+    };
+}
+
+module.exports = {
+    buildScenarioDeck,
+    getScenario,
+    getScenarioCardIds,
+    getScenarios,
+    validateScenario
+};
@@ -0,0 +1,266 @@
+const { flatMap } = require('./Array');
+
+/**
+ * @typedef TournamentPlayer
+ * @property {number} id
+ * @property {string} username
+ * @property {boolean} [dropped]
+ */
+
+/**
+ * @typedef TournamentMatch
+ * @property {number} [id]
+ * @property {number} player1Id
+ * @property {number} [player2Id] - missing when player 1 has a bye
+ * @property {number} [winnerId]
+ */
+
+/**
+ * @typedef Standing
+ * @property {TournamentPlayer} player
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} byes
+ * @property {number[]} opponents - the ids of the players this player has been paired against
+ * @property {number} sos - strength of schedule, the total wins of this player's opponents
+ * @property {number} extendedSos - the total strength of schedule of this player's opponents
+ * @property {number} rank
+ */
+
+/**
+ * The number of swiss rounds needed to find a single undefeated player
+ * @param {number} playerCount
+ * @returns {number}
+ */
+function getSwissRoundCount(playerCount) {
+    return Math.max(1, Math.ceil(Math.log2(playerCount)));
+}
+
+/**
+ * Ranks players by wins, then strength of schedule, then extended strength of schedule
+ * @param {TournamentPlayer[]} players
+ * @param {TournamentMatch[]} matches - the completed swiss matches
+ * @returns {Standing[]}
+ */
+function getStandings(players, matches) {
+    let standings = {};
+
+    for (let player of players) {
+        standings[player.id] = { player, wins: 0, losses: 0, byes: 0, opponents: [] };
+    }
+
+    for (let match of matches) {
+        let player1 = standings[match.player1Id];
+        let player2 = standings[match.player2Id];
+
+        if (!player2) {
+            player1.byes++;
+            player1.wins++;
+            continue;
+        }
+
+        player1.opponents.push(match.player2Id);
+        player2.opponents.push(match.player1Id);
+
+        if (!match.winnerId) {
+            continue;
+        }
+
+        standings[match.winnerId].wins++;
+        standings[match.winnerId === match.player1Id ? match.player2Id : match.player1Id].losses++;
+    }
+
+    let sumOver = (standing, getValue) =>
+        standing.opponents.reduce((total, id) => total + getValue(standings[id]), 0);
+
+    for (let standing of Object.values(standings)) {
+        standing.sos = sumOver(standing, (opponent) => opponent.wins);
+    }
+
+    for (let standing of Object.values(standings)) {
+        standing.extendedSos = sumOver(standing, (opponent) => opponent.sos);
+    }
+
+    let ranked = Object.values(standings).sort(
+        (a, b) =>
+            b.wins - a.wins ||
+            b.sos - a.sos ||
+            b.extendedSos - a.extendedSos ||
+            a.player.username.localeCompare(b.player.username)
+    );
+
+    ranked.forEach((standing, index) => (standing.rank = index + 1));
+
+    return ranked;
+}
+
+// Each player is only tried against their nearest opponents in the standings who they haven't
+// played, and the search gives up after this many steps, as it can take exponential time when
+// there is no pairing without a rematch
+const PairingCandidates = 3;
+const PairingSearchSteps = 10000;
+
+/**
+ * Pairs players down the standings without any rematches
+ * @param {Standing[]} standings
+ * @param {{ steps: number }} [search] - the steps taken so far
+ * @returns {Standing[][]} the pairs, or null if none were found
+ */
+function pairWithoutRematches(standings, search = { steps: 0 }) {
+    if (standings.length === 0) {
+        return [];
+    }
+
+    if (++search.steps > PairingSearchSteps) {
+        return null;
+    }
+
+    let [first, ...rest] = standings;
+    let candidates = rest
+        .filter((opponent) => !first.opponents.includes(opponent.player.id))
+        .slice(0, PairingCandidates);
+
+    for (let opponent of candidates) {
+        let remaining = pairWithoutRematches(
+            rest.filter((standing) => standing !== opponent),
+            search
+        );
+        if (remaining) {
+            return [[first, opponent], ...remaining];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Pairs each player with the next player down the standings they haven't played, or the next
+ * player if they have played everyone below them
+ * @param {Standing[]} standings
+ * @returns {Standing[][]}
+ */
+function pairDownStandings(standings) {
+    let unpaired = standings;
+    let pairs = [];
+
+    while (unpaired.length > 1) {
+        let [first, ...rest] = unpaired;
+        let opponent =
+            rest.find((standing) => !first.opponents.includes(standing.player.id)) || rest[0];
+
+        pairs.push([first, opponent]);
+        unpaired = rest.filter((standing) => standing !== opponent);
+    }
+
+    return pairs;
+}
+
+/**
+ * Pairs the next swiss round. Players are paired down the standings so that players on the same
+ * record meet, avoiding rematches where possible. With an odd number of players the lowest ranked
+ * player that hasn't had a bye yet gets one.
+ * @param {Standing[]} standings - as returned by getStandings
+ * @returns {TournamentMatch[]}
+ */
+function pairSwissRound(standings) {
+    let active = standings.filter((standing) => !standing.player.dropped);
+    let matches = [];
+
+    if (active.length % 2 === 1) {
+        let bye = [...active].reverse().find((standing) => standing.byes === 0);
+        bye = bye || active[active.length - 1];
+
+        active = active.filter((standing) => standing !== bye);
+        matches.push({ player1Id: bye.player.id });
+    }
+
+    let pairs = pairWithoutRematches(active) || pairDownStandings(active);
+
+    return [
+        ...pairs.map(([player1, player2]) => ({
+            player1Id: player1.player.id,
+            player2Id: player2.player.id
+        })),
+        ...matches
+    ];
+}
+
+/**
+ * Gets the order seeds are placed in a bracket so the top seeds meet as late as possible,
+ * e.g. 1, 8, 4, 5, 2, 7, 3, 6 for a bracket of 8
+ * @param {number} size - a power of 2
+ * @returns {number[]}
+ */
+function getBracketOrder(size) {
+    let order = [1];
+
+    while (order.length < size) {
+        let seedCount = order.length * 2;
+        order = flatMap(order, (seed) => [seed, seedCount + 1 - seed]);
+    }
+
+    return order;
+}
+
+/**
+ * Pairs the first round of the top cut from the final swiss standings
+ * @param {Standing[]} standings
+ * @param {number} size - how many players make the cut, a power of 2 no larger than the number of
+ * players still in the event
+ * @returns {TournamentMatch[]}
+ */
+function pairTopCut(standings, size) {
+    let seeds = standings.filter((standing) => !standing.player.dropped).slice(0, size);
+    let order = getBracketOrder(size);
+    let matches = [];
+
+    for (let i = 0; i < order.length; i += 2) {
+        matches.push({
+            player1Id: seeds[order[i] - 1].player.id,
+            player2Id: seeds[order[i + 1] - 1].player.id
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * @param {number} requestedSize - the top cut size the organiser asked for
+ * @param {number} playerCount - the number of players still in the event
+ * @returns {number} the largest power of 2 that fits both, or 0 if there is no top cut
+ */
+function getTopCutSize(requestedSize, playerCount) {
+    let size = 1;
+
+    while (size * 2 <= Math.min(requestedSize, playerCount)) {
+        size *= 2;
+    }
+
+    return size > 1 ? size : 0;
+}
+
+/**
+ * Pairs the winners of neighbouring matches in the previous elimination round
+ * @param {TournamentMatch[]} previousMatches - in bracket order
+ * @returns {TournamentMatch[]}
+ */
+function pairEliminationRound(previousMatches) {
+    let winners = previousMatches.map((match) => match.winnerId || match.player1Id);
+    let matches = [];
+
+    for (let i = 0; i < winners.length; i += 2) {
+        matches.push({ player1Id: winners[i], player2Id: winners[i + 1] });
+    }
+
+    return matches;
+}
+
+module.exports = {
+    getBracketOrder,
+    getStandings,
+    getSwissRoundCount,
+    getTopCutSize,
+    pairEliminationRound,
+    pairSwissRound,
+    pairTopCut
+};
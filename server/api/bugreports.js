@@ -0,0 +1,60 @@
+const passport = require('passport');
+
+const BugReportService = require('../services/BugReportService');
+const { wrapAsync } = require('../util');
+
+const bugReportService = new BugReportService();
+
+module.exports.init = function (server) {
+    server.get(
+        '/api/bugreports',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            if (!req.user.permissions || !req.user.permissions.canManageGames) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            let resolved;
+            if (req.query.resolved !== undefined) {
+                resolved = req.query.resolved === 'true';
+            }
+
+            let reports = await bugReportService.getBugReports(resolved);
+
+            res.send({ success: true, reports: reports });
+        })
+    );
+
+    server.get(
+        '/api/bugreports/:id',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            if (!req.user.permissions || !req.user.permissions.canManageGames) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            let report = await bugReportService.getBugReportById(req.params.id);
+            if (!report) {
+                return res.status(404).send({ success: false, message: 'Bug report not found' });
+            }
+
+            res.send({ success: true, report: report });
+        })
+    );
+
+    server.put(
+        '/api/bugreports/:id',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            if (!req.user.permissions || !req.user.permissions.canManageGames) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            let resolved = !!req.body.resolved;
+
+            await bugReportService.setResolved(req.params.id, resolved);
+
+            res.send({ success: true, id: parseInt(req.params.id), resolved: resolved });
+        })
+    );
+};
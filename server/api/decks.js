@@ -2,6 +2,8 @@ const passport = require('passport');
 
 const ConfigService = require('../services/ConfigService');
 const DeckService = require('../services/DeckService.js');
+const FormatListService = require('../services/FormatListService');
+const { getLegalLists } = require('../FormatList');
 const { wrapAsync } = require('../util.js');
 const logger = require('../log.js');
 const ServiceFactory = require('../services/ServiceFactory');
@@ -9,6 +11,7 @@ const configService = new ConfigService();
 const cardService = ServiceFactory.cardService(configService);
 
 const deckService = new DeckService(configService);
+const formatListService = new FormatListService();
 
 module.exports.init = function (server) {
     server.get(
@@ -50,6 +53,26 @@ module.exports.init = function (server) {
         })
     );
 
+    server.get(
+        '/api/decks/:id/stats',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            let deck = await deckService.getById(req.params.id);
+
+            if (!deck) {
+                return res.status(404).send({ message: 'No such deck' });
+            }
+
+            if (deck.username !== req.user.username) {
+                return res.status(401).send({ message: 'Unauthorized' });
+            }
+
+            let stats = await deckService.getStats(deck.id);
+
+            res.send({ success: true, deckId: deck.id, stats: stats });
+        })
+    );
+
     server.get(
         '/api/decks',
         passport.authenticate('jwt', { session: false }),
@@ -58,6 +81,8 @@ module.exports.init = function (server) {
             let decks = [];
 
             if (numDecks > 0) {
+                let formatLists = await formatListService.getFormatLists();
+
                 decks = (await deckService.findForUser(req.user, req.query)).map((deck) => {
                     let deckUsageLevel = 0;
                     if (
@@ -83,6 +108,7 @@ module.exports.init = function (server) {
 
                     deck.usageLevel = deckUsageLevel;
                     deck.usageCount = undefined;
+                    deck.legalLists = getLegalLists(deck, formatLists);
 
                     return deck;
                 });
@@ -96,15 +122,34 @@ module.exports.init = function (server) {
         '/api/decks',
         passport.authenticate('jwt', { session: false }),
         wrapAsync(async function (req, res) {
-            if (!req.body.uuid) {
-                return res.send({ success: false, message: 'uuid must be specified' });
+            let { uuid, deckList, deckExport } = req.body;
+
+            if (!uuid && !deckList && !deckExport) {
+                return res.send({
+                    success: false,
+                    message: 'uuid, deckList or deckExport must be specified'
+                });
             }
 
-            let deck = Object.assign({}, { uuid: req.body.uuid, username: req.user.username });
             let savedDeck;
 
             try {
-                savedDeck = await deckService.create(req.user, deck);
+                if (uuid) {
+                    savedDeck = await deckService.create(req.user, {
+                        uuid: uuid,
+                        username: req.user.username
+                    });
+                } else {
+                    savedDeck = await deckService.importDeck(
+                        req.user,
+                        {
+                            deckList: deckList,
+                            deckExport: deckExport,
+                            username: req.user.username
+                        },
+                        await cardService.getAllCards()
+                    );
+                }
             } catch (error) {
                 return res.send({
                     success: false,
@@ -0,0 +1,78 @@
+const passport = require('passport');
+
+const { GameFormats } = require('../constants');
+const { getListFormat } = require('../FormatList');
+const FormatListService = require('../services/FormatListService');
+const { wrapAsync } = require('../util');
+
+const formatListService = new FormatListService();
+
+module.exports.init = function (server) {
+    server.get(
+        '/api/formatlists',
+        wrapAsync(async function (req, res) {
+            let lists = await formatListService.getFormatLists();
+
+            res.send({ success: true, lists: lists });
+        })
+    );
+
+    server.post(
+        '/api/formatlists',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            if (!req.user.permissions || !req.user.permissions.canManageBanlist) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            let details = req.body.list || {};
+            if (!details.gameFormat || !details.version) {
+                return res.send({
+                    success: false,
+                    message: 'You must specify a format and a version for the list'
+                });
+            }
+
+            // Best of N variants of a format share its list, so lists are only added for the format
+            if (!GameFormats.some((format) => getListFormat(format) === details.gameFormat)) {
+                return res
+                    .status(400)
+                    .send({ success: false, message: `Unknown format ${details.gameFormat}` });
+            }
+
+            let existing = (await formatListService.getFormatLists()).find(
+                (list) => list.gameFormat === details.gameFormat && list.version === details.version
+            );
+            if (existing) {
+                return res.status(400).send({ success: false, message: 'Already exists' });
+            }
+
+            let list = await formatListService.createFormatList(
+                {
+                    gameFormat: details.gameFormat,
+                    version: details.version,
+                    banned: [...new Set(details.banned || [])],
+                    restricted: [...new Set(details.restricted || [])],
+                    restrictedLimit: Math.max(parseInt(details.restrictedLimit) || 0, 0)
+                },
+                req.user
+            );
+
+            res.send({ success: true, list: list });
+        })
+    );
+
+    server.delete(
+        '/api/formatlists/:id',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            if (!req.user.permissions || !req.user.permissions.canManageBanlist) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            await formatListService.deleteFormatList(req.params.id);
+
+            res.send({ success: true, message: 'Format list deleted', id: req.params.id });
+        })
+    );
+};
@@ -1,17 +1,86 @@
+const moment = require('moment');
 const passport = require('passport');
 
+const { GameResults } = require('../constants');
+const ConfigService = require('../services/ConfigService');
 const GameService = require('../services/GameService.js');
+const ServiceFactory = require('../services/ServiceFactory');
+const ReplayCache = require('../ReplayCache');
+const { playBackReplay } = require('../ReplayWorker');
 const { wrapAsync } = require('../util.js');
 
+const configService = new ConfigService();
+const cardService = ServiceFactory.cardService(configService);
+
 let gameService = new GameService();
+const replayCache = new ReplayCache();
+
+const MaxPageSize = 100;
 
 module.exports.init = function (server) {
     server.get(
         '/api/games',
         passport.authenticate('jwt', { session: false }),
         wrapAsync(async function (req, res) {
-            let games = await gameService.findByUserName(req.user.username);
-            res.send({ success: true, games: games });
+            let options = {
+                page: Math.max(parseInt(req.query.page) || 1, 1),
+                pageSize: Math.min(Math.max(parseInt(req.query.pageSize) || 10, 1), MaxPageSize),
+                sort: req.query.sort,
+                sortDir: req.query.sortDir,
+                filter: (Array.isArray(req.query.filter) ? req.query.filter : []).filter(
+                    (filter) => filter.name !== 'result' || GameResults.includes(filter.value)
+                )
+            };
+
+            let invalidDate = options.filter.find(
+                (filter) =>
+                    ['from', 'to'].includes(filter.name) &&
+                    filter.value &&
+                    !moment.utc(filter.value, 'YYYY-MM-DD', true).isValid()
+            );
+            if (invalidDate) {
+                return res
+                    .status(400)
+                    .send({ success: false, message: `Invalid ${invalidDate.name} date` });
+            }
+
+            let numGames = await gameService.getNumGamesForUser(req.user, options);
+            let games = numGames > 0 ? await gameService.findForUser(req.user, options) : [];
+
+            res.send({ success: true, numGames: numGames, games: games });
+        })
+    );
+
+    server.get(
+        '/api/games/:gameId/replay',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            let result = await gameService.getReplay(req.params.gameId);
+            if (!result) {
+                return res.status(404).send({ success: false, message: 'No such replay' });
+            }
+
+            let isPlayer = result.players.includes(req.user.username);
+            if (!isPlayer && (!req.user.permissions || !req.user.permissions.canManageGames)) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            let cards = await cardService.getAllCards();
+            let viewer = isPlayer ? req.user.username : result.players[0];
+            let playedBack = await replayCache.get(req.params.gameId, viewer, () =>
+                playBackReplay(result.replay, cards, viewer)
+            );
+
+            res.send({
+                success: true,
+                replay: {
+                    errors: playedBack.errors,
+                    gameId: req.params.gameId,
+                    seed: result.replay.seed,
+                    snapshots: playedBack.snapshots,
+                    viewer: viewer
+                }
+            });
         })
     );
 };
@@ -6,7 +6,12 @@ const news = require('./news');
 const user = require('./user');
 const messages = require('./messages');
 const banlist = require('./banlist');
+const formatlists = require('./formatlists');
 const challonge = require('./challonge');
+const tournaments = require('./tournaments');
+const scenarios = require('./scenarios');
+const bugreports = require('./bugreports');
+const stats = require('./stats');
 
 module.exports.init = function (server, options) {
     account.init(server, options);
@@ -17,5 +22,10 @@ module.exports.init = function (server, options) {
     user.init(server);
     messages.init(server);
     banlist.init(server);
+    formatlists.init(server);
     challonge.init(server);
+    tournaments.init(server);
+    scenarios.init(server);
+    bugreports.init(server);
+    stats.init(server);
 };
@@ -0,0 +1,14 @@
+const { getScenarios } = require('../Scenario');
+
+module.exports.init = function (server) {
+    server.get('/api/scenarios', function (req, res) {
+        res.send({
+            success: true,
+            scenarios: getScenarios().map((scenario) => ({
+                id: scenario.id,
+                name: scenario.name,
+                goal: scenario.goal
+            }))
+        });
+    });
+};
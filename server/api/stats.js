@@ -0,0 +1,16 @@
+const StatsService = require('../services/StatsService');
+const { wrapAsync } = require('../util.js');
+
+const statsService = new StatsService();
+
+module.exports.init = function (server) {
+    server.get(
+        '/api/stats',
+        wrapAsync(async function (req, res) {
+            let options = statsService.getOptions(req.query);
+            let stats = await statsService.getStats(options);
+
+            res.send({ success: true, options: options, stats: stats });
+        })
+    );
+};
@@ -0,0 +1,146 @@
+const passport = require('passport');
+
+const ConfigService = require('../services/ConfigService');
+const DeckService = require('../services/DeckService');
+const TournamentService = require('../services/TournamentService');
+const { wrapAsync } = require('../util');
+
+const deckService = new DeckService(new ConfigService());
+const tournamentService = new TournamentService();
+
+const tournamentFormats = ['normal', 'reversal', 'adaptive-bo1', 'adaptive-bo3', 'reversal-bo3'];
+
+module.exports.init = function (server) {
+    server.get(
+        '/api/tournaments',
+        wrapAsync(async function (req, res) {
+            let tournaments = await tournamentService.getTournaments();
+
+            res.send({ success: true, tournaments: tournaments });
+        })
+    );
+
+    server.get(
+        '/api/tournaments/:id',
+        wrapAsync(async function (req, res) {
+            let tournament = await tournamentService.getTournamentById(req.params.id);
+            if (!tournament) {
+                return res.status(404).send({ success: false, message: 'Tournament not found' });
+            }
+
+            res.send({ success: true, tournament: tournament });
+        })
+    );
+
+    server.post(
+        '/api/tournaments',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            if (!req.user.permissions || !req.user.permissions.canManageTournaments) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            let details = req.body.tournament || {};
+            if (!details.name || !tournamentFormats.includes(details.gameFormat)) {
+                return res.send({
+                    success: false,
+                    message: 'You must specify a name and a format for the tournament'
+                });
+            }
+
+            let tournament = await tournamentService.createTournament(
+                {
+                    gameFormat: details.gameFormat,
+                    name: details.name,
+                    swissRounds: parseInt(details.swissRounds) || undefined,
+                    topCut: parseInt(details.topCut) || 0
+                },
+                req.user
+            );
+
+            res.send({ success: true, tournament: tournament });
+        })
+    );
+
+    server.post(
+        '/api/tournaments/:id/players',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            let tournament = await tournamentService.getTournamentById(req.params.id);
+            if (!tournament) {
+                return res.status(404).send({ success: false, message: 'Tournament not found' });
+            }
+
+            if (tournament.status !== 'registration') {
+                return res.send({ success: false, message: 'Registration has closed' });
+            }
+
+            let deck = await deckService.getById(req.body.deckId);
+            if (!deck || deck.username !== req.user.username) {
+                return res.send({
+                    success: false,
+                    message: 'You must register with your own deck'
+                });
+            }
+
+            await tournamentService.registerPlayer(tournament.id, req.user, deck.id);
+
+            res.send({
+                success: true,
+                tournament: await tournamentService.getTournamentById(tournament.id)
+            });
+        })
+    );
+
+    server.delete(
+        '/api/tournaments/:id/players',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            let tournament = await tournamentService.getTournamentById(req.params.id);
+            if (!tournament) {
+                return res.status(404).send({ success: false, message: 'Tournament not found' });
+            }
+
+            await tournamentService.withdrawPlayer(tournament, req.user);
+
+            res.send({
+                success: true,
+                tournament: await tournamentService.getTournamentById(tournament.id)
+            });
+        })
+    );
+
+    server.put(
+        '/api/tournaments/:id/matches/:matchId',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async function (req, res) {
+            if (!req.user.permissions || !req.user.permissions.canManageTournaments) {
+                return res.status(403).send({ success: false, message: 'Forbidden' });
+            }
+
+            let tournament = await tournamentService.getTournamentById(req.params.id);
+            let match =
+                tournament &&
+                tournament.matches.find((match) => match.id === parseInt(req.params.matchId));
+            if (!match) {
+                return res.status(404).send({ success: false, message: 'Match not found' });
+            }
+
+            let winner = tournament.players.find(
+                (player) =>
+                    player.username === req.body.winner &&
+                    [match.player1Id, match.player2Id].includes(player.id)
+            );
+            if (!winner) {
+                return res.send({ success: false, message: 'The winner must be in the match' });
+            }
+
+            await tournamentService.recordResult(match.id, winner.username);
+
+            res.send({
+                success: true,
+                tournament: await tournamentService.getTournamentById(tournament.id)
+            });
+        })
+    );
+};
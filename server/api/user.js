@@ -3,6 +3,7 @@ const passport = require('passport');
 const UserService = require('../services/UserService.js');
 const DeckService = require('../services/DeckService.js');
 const ConfigService = require('../services/ConfigService.js');
+const RatingService = require('../services/RatingService.js');
 const { wrapAsync } = require('../util.js');
 const logger = require('../log.js');
 
@@ -10,6 +11,7 @@ let configService = new ConfigService();
 
 let userService = new UserService(configService);
 let deckService = new DeckService(configService);
+let ratingService = new RatingService();
 
 module.exports.init = function (server) {
     server.get(
@@ -116,6 +118,32 @@ module.exports.init = function (server) {
         })
     );
 
+    server.get(
+        '/api/user/:username/ratings',
+        passport.authenticate('jwt', { session: false }),
+        wrapAsync(async (req, res) => {
+            let user = await userService.getUserByUsername(req.params.username);
+
+            if (!user) {
+                return res.status(404).send({ message: 'Not found' });
+            }
+
+            let ratings;
+            try {
+                ratings = await ratingService.getRatingsForUser(user.id);
+            } catch (error) {
+                logger.error(error);
+
+                return res.send({
+                    success: false,
+                    message: 'An error occurred fetching ratings.  Please try again later.'
+                });
+            }
+
+            res.send({ success: true, username: user.username, ratings: ratings });
+        })
+    );
+
     server.post(
         '/api/user/:username/verifyDecks',
         passport.authenticate('jwt', { session: false }),
@@ -22,6 +22,20 @@ Constants.HousesNames = [
     'Star Alliance',
     'Untamed'
 ];
+Constants.GameFormats = [
+    'normal',
+    'sealed',
+    'reversal',
+    'adaptive-bo1',
+    'adaptive-bo3',
+    'reversal-bo3',
+    'alliance'
+];
+// How a game ended for a player. Abandoned games ended without a result, and timed-out is
+// the player whose clock ran out
+Constants.GameResults = ['win', 'loss', 'draw', 'abandoned', 'timed-out'];
+// Games that ended with one of these results count towards ratings and statistics
+Constants.RatedGameResults = ['win', 'draw', 'timed-out'];
 
 Object.freeze(Constants);
 
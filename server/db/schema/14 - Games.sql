@@ -12,6 +12,11 @@ CREATE TABLE public."Games"
     "FinishedAt" timestamp without time zone,
     "WinReason" text COLLATE pg_catalog."default",
     "WinnerId" integer,
+    "Seed" bigint,
+    "MatchId" integer,
+    "Result" text COLLATE pg_catalog."default",
+    "Telemetry" jsonb,
+    "Rated" boolean NOT NULL DEFAULT false,
     CONSTRAINT "PK_Games" PRIMARY KEY ("Id"),
     CONSTRAINT "FK_Games_Users_WinnerId" FOREIGN KEY ("WinnerId")
         REFERENCES public."Users" ("Id") MATCH SIMPLE
@@ -38,4 +43,12 @@ CREATE UNIQUE INDEX "IX_Games_GameId"
 CREATE INDEX "IX_Games_WinnerId"
     ON public."Games" USING btree
     ("WinnerId" ASC NULLS LAST)
+    TABLESPACE pg_default;
+-- Index: IX_Games_StartedAt
+
+-- DROP INDEX public."IX_Games_StartedAt";
+
+CREATE INDEX "IX_Games_StartedAt"
+    ON public."Games" USING btree
+    ("StartedAt" ASC NULLS LAST)
     TABLESPACE pg_default;
\ No newline at end of file
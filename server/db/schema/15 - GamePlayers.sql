@@ -10,6 +10,8 @@ CREATE TABLE public."GamePlayers"
     "Keys" integer,
     "Turn" integer,
     "Wins" integer,
+    "Result" text COLLATE pg_catalog."default",
+    "First" boolean,
     "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
     CONSTRAINT "PK_GamePlayers" PRIMARY KEY ("Id"),
     CONSTRAINT "FK_GamePlayers_Decks_DeckId" FOREIGN KEY ("DeckId")
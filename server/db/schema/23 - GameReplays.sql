@@ -0,0 +1,28 @@
+-- Table: public."GameReplays"
+
+-- DROP TABLE public."GameReplays";
+
+CREATE TABLE public."GameReplays"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "GameId" integer NOT NULL,
+    "Replay" jsonb NOT NULL,
+    CONSTRAINT "PK_GameReplays" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_GameReplays_Games_GameId" FOREIGN KEY ("GameId")
+        REFERENCES public."Games" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."GameReplays"
+    OWNER to keyteki;
+-- Index: IX_GameReplays_GameId
+
+-- DROP INDEX public."IX_GameReplays_GameId";
+
+CREATE UNIQUE INDEX "IX_GameReplays_GameId"
+    ON public."GameReplays" USING btree
+    ("GameId" ASC NULLS LAST)
+    TABLESPACE pg_default;
@@ -0,0 +1,26 @@
+-- Table: public."Tournaments"
+
+-- DROP TABLE public."Tournaments";
+
+CREATE TABLE public."Tournaments"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "Name" text COLLATE pg_catalog."default" NOT NULL,
+    "GameFormat" text COLLATE pg_catalog."default" NOT NULL,
+    "SwissRounds" integer,
+    "TopCut" integer NOT NULL DEFAULT 0,
+    "Status" text COLLATE pg_catalog."default" NOT NULL,
+    "CurrentRound" integer NOT NULL DEFAULT 0,
+    "CreatorId" integer NOT NULL,
+    "CreatedAt" timestamp without time zone NOT NULL,
+    CONSTRAINT "PK_Tournaments" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_Tournaments_Users_CreatorId" FOREIGN KEY ("CreatorId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."Tournaments"
+    OWNER to keyteki;
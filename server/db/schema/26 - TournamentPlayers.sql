@@ -0,0 +1,38 @@
+-- Table: public."TournamentPlayers"
+
+-- DROP TABLE public."TournamentPlayers";
+
+CREATE TABLE public."TournamentPlayers"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "TournamentId" integer NOT NULL,
+    "UserId" integer NOT NULL,
+    "DeckId" integer NOT NULL,
+    "Dropped" boolean NOT NULL DEFAULT false,
+    CONSTRAINT "PK_TournamentPlayers" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_TournamentPlayers_Tournaments_TournamentId" FOREIGN KEY ("TournamentId")
+        REFERENCES public."Tournaments" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentPlayers_Users_UserId" FOREIGN KEY ("UserId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentPlayers_Decks_DeckId" FOREIGN KEY ("DeckId")
+        REFERENCES public."Decks" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE RESTRICT
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."TournamentPlayers"
+    OWNER to keyteki;
+-- Index: IX_TournamentPlayers_TournamentId_UserId
+
+-- DROP INDEX public."IX_TournamentPlayers_TournamentId_UserId";
+
+CREATE UNIQUE INDEX "IX_TournamentPlayers_TournamentId_UserId"
+    ON public."TournamentPlayers" USING btree
+    ("TournamentId" ASC NULLS LAST, "UserId" ASC NULLS LAST)
+    TABLESPACE pg_default;
@@ -0,0 +1,46 @@
+-- Table: public."TournamentMatches"
+
+-- DROP TABLE public."TournamentMatches";
+
+CREATE TABLE public."TournamentMatches"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "TournamentId" integer NOT NULL,
+    "Round" integer NOT NULL,
+    "Stage" text COLLATE pg_catalog."default" NOT NULL,
+    "TableNumber" integer NOT NULL,
+    "Player1Id" integer NOT NULL,
+    "Player2Id" integer,
+    "WinnerId" integer,
+    "GameId" text COLLATE pg_catalog."default",
+    CONSTRAINT "PK_TournamentMatches" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_TournamentMatches_Tournaments_TournamentId" FOREIGN KEY ("TournamentId")
+        REFERENCES public."Tournaments" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentMatches_TournamentPlayers_Player1Id" FOREIGN KEY ("Player1Id")
+        REFERENCES public."TournamentPlayers" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentMatches_TournamentPlayers_Player2Id" FOREIGN KEY ("Player2Id")
+        REFERENCES public."TournamentPlayers" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentMatches_TournamentPlayers_WinnerId" FOREIGN KEY ("WinnerId")
+        REFERENCES public."TournamentPlayers" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."TournamentMatches"
+    OWNER to keyteki;
+-- Index: IX_TournamentMatches_TournamentId
+
+-- DROP INDEX public."IX_TournamentMatches_TournamentId";
+
+CREATE INDEX "IX_TournamentMatches_TournamentId"
+    ON public."TournamentMatches" USING btree
+    ("TournamentId" ASC NULLS LAST)
+    TABLESPACE pg_default;
@@ -0,0 +1,31 @@
+-- Table: public."FormatLists"
+
+-- DROP TABLE public."FormatLists";
+
+CREATE TABLE public."FormatLists"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "GameFormat" text COLLATE pg_catalog."default" NOT NULL,
+    "Version" text COLLATE pg_catalog."default" NOT NULL,
+    "RestrictedLimit" integer NOT NULL DEFAULT 1,
+    "CreatorId" integer NOT NULL,
+    "CreatedAt" timestamp without time zone NOT NULL,
+    CONSTRAINT "PK_FormatLists" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_FormatLists_Users_CreatorId" FOREIGN KEY ("CreatorId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE RESTRICT
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."FormatLists"
+    OWNER to keyteki;
+-- Index: IX_FormatLists_GameFormat_Version
+
+-- DROP INDEX public."IX_FormatLists_GameFormat_Version";
+
+CREATE UNIQUE INDEX "IX_FormatLists_GameFormat_Version"
+    ON public."FormatLists" USING btree
+    ("GameFormat" COLLATE pg_catalog."default" ASC NULLS LAST, "Version" COLLATE pg_catalog."default" ASC NULLS LAST)
+    TABLESPACE pg_default;
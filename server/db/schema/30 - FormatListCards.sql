@@ -0,0 +1,29 @@
+-- Table: public."FormatListCards"
+
+-- DROP TABLE public."FormatListCards";
+
+CREATE TABLE public."FormatListCards"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "FormatListId" integer NOT NULL,
+    "CardId" text COLLATE pg_catalog."default" NOT NULL,
+    "Type" text COLLATE pg_catalog."default" NOT NULL,
+    CONSTRAINT "PK_FormatListCards" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_FormatListCards_FormatLists_FormatListId" FOREIGN KEY ("FormatListId")
+        REFERENCES public."FormatLists" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."FormatListCards"
+    OWNER to keyteki;
+-- Index: IX_FormatListCards_FormatListId
+
+-- DROP INDEX public."IX_FormatListCards_FormatListId";
+
+CREATE INDEX "IX_FormatListCards_FormatListId"
+    ON public."FormatListCards" USING btree
+    ("FormatListId" ASC NULLS LAST)
+    TABLESPACE pg_default;
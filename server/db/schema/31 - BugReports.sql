@@ -0,0 +1,35 @@
+-- Table: public."BugReports"
+
+-- DROP TABLE public."BugReports";
+
+CREATE TABLE public."BugReports"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "GameId" text COLLATE pg_catalog."default" NOT NULL,
+    "GameFormat" text COLLATE pg_catalog."default",
+    "ReporterId" integer,
+    "Description" text COLLATE pg_catalog."default",
+    "Error" text COLLATE pg_catalog."default",
+    "Version" text COLLATE pg_catalog."default",
+    "Report" jsonb NOT NULL,
+    "Resolved" boolean NOT NULL DEFAULT false,
+    "CreatedAt" timestamp without time zone NOT NULL,
+    CONSTRAINT "PK_BugReports" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_BugReports_Users_ReporterId" FOREIGN KEY ("ReporterId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."BugReports"
+    OWNER to keyteki;
+-- Index: IX_BugReports_CreatedAt
+
+-- DROP INDEX public."IX_BugReports_CreatedAt";
+
+CREATE INDEX "IX_BugReports_CreatedAt"
+    ON public."BugReports" USING btree
+    ("CreatedAt" DESC NULLS LAST)
+    TABLESPACE pg_default;
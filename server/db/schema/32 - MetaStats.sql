@@ -0,0 +1,27 @@
+-- Table: public."MetaStats"
+
+-- DROP TABLE public."MetaStats";
+
+CREATE TABLE public."MetaStats"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "GameFormat" text COLLATE pg_catalog."default" NOT NULL,
+    "FromDate" date NOT NULL,
+    "ToDate" date NOT NULL,
+    "Stats" jsonb NOT NULL,
+    "CalculatedAt" timestamp without time zone NOT NULL,
+    CONSTRAINT "PK_MetaStats" PRIMARY KEY ("Id")
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."MetaStats"
+    OWNER to keyteki;
+-- Index: IX_MetaStats_GameFormat_FromDate_ToDate
+
+-- DROP INDEX public."IX_MetaStats_GameFormat_FromDate_ToDate";
+
+CREATE UNIQUE INDEX "IX_MetaStats_GameFormat_FromDate_ToDate"
+    ON public."MetaStats" USING btree
+    ("GameFormat" COLLATE pg_catalog."default" ASC NULLS LAST, "FromDate" ASC NULLS LAST, "ToDate" ASC NULLS LAST)
+    TABLESPACE pg_default;
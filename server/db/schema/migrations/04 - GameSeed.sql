@@ -0,0 +1 @@
+ALTER TABLE "Games" ADD COLUMN "Seed" bigint NULL;
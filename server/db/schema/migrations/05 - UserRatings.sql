@@ -0,0 +1,29 @@
+CREATE TABLE public."UserRatings"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "UserId" integer NOT NULL,
+    "Format" text COLLATE pg_catalog."default" NOT NULL,
+    "Rating" double precision NOT NULL,
+    "Deviation" double precision NOT NULL,
+    "Volatility" double precision NOT NULL,
+    "GamesPlayed" integer NOT NULL DEFAULT 0,
+    "LastPlayed" timestamp without time zone,
+    CONSTRAINT "PK_UserRatings" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_UserRatings_Users_UserId" FOREIGN KEY ("UserId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."UserRatings"
+    OWNER to keyteki;
+-- Index: IX_UserRatings_UserId_Format
+
+-- DROP INDEX public."IX_UserRatings_UserId_Format";
+
+CREATE UNIQUE INDEX "IX_UserRatings_UserId_Format"
+    ON public."UserRatings" USING btree
+    ("UserId" ASC NULLS LAST, "Format" COLLATE pg_catalog."default" ASC NULLS LAST)
+    TABLESPACE pg_default;
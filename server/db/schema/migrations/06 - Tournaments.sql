@@ -0,0 +1,100 @@
+CREATE TABLE public."Tournaments"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "Name" text COLLATE pg_catalog."default" NOT NULL,
+    "GameFormat" text COLLATE pg_catalog."default" NOT NULL,
+    "SwissRounds" integer,
+    "TopCut" integer NOT NULL DEFAULT 0,
+    "Status" text COLLATE pg_catalog."default" NOT NULL,
+    "CurrentRound" integer NOT NULL DEFAULT 0,
+    "CreatorId" integer NOT NULL,
+    "CreatedAt" timestamp without time zone NOT NULL,
+    CONSTRAINT "PK_Tournaments" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_Tournaments_Users_CreatorId" FOREIGN KEY ("CreatorId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."Tournaments"
+    OWNER to keyteki;
+
+CREATE TABLE public."TournamentPlayers"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "TournamentId" integer NOT NULL,
+    "UserId" integer NOT NULL,
+    "DeckId" integer NOT NULL,
+    "Dropped" boolean NOT NULL DEFAULT false,
+    CONSTRAINT "PK_TournamentPlayers" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_TournamentPlayers_Tournaments_TournamentId" FOREIGN KEY ("TournamentId")
+        REFERENCES public."Tournaments" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentPlayers_Users_UserId" FOREIGN KEY ("UserId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentPlayers_Decks_DeckId" FOREIGN KEY ("DeckId")
+        REFERENCES public."Decks" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE RESTRICT
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."TournamentPlayers"
+    OWNER to keyteki;
+-- Index: IX_TournamentPlayers_TournamentId_UserId
+
+-- DROP INDEX public."IX_TournamentPlayers_TournamentId_UserId";
+
+CREATE UNIQUE INDEX "IX_TournamentPlayers_TournamentId_UserId"
+    ON public."TournamentPlayers" USING btree
+    ("TournamentId" ASC NULLS LAST, "UserId" ASC NULLS LAST)
+    TABLESPACE pg_default;
+
+CREATE TABLE public."TournamentMatches"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "TournamentId" integer NOT NULL,
+    "Round" integer NOT NULL,
+    "Stage" text COLLATE pg_catalog."default" NOT NULL,
+    "TableNumber" integer NOT NULL,
+    "Player1Id" integer NOT NULL,
+    "Player2Id" integer,
+    "WinnerId" integer,
+    "GameId" text COLLATE pg_catalog."default",
+    CONSTRAINT "PK_TournamentMatches" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_TournamentMatches_Tournaments_TournamentId" FOREIGN KEY ("TournamentId")
+        REFERENCES public."Tournaments" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentMatches_TournamentPlayers_Player1Id" FOREIGN KEY ("Player1Id")
+        REFERENCES public."TournamentPlayers" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentMatches_TournamentPlayers_Player2Id" FOREIGN KEY ("Player2Id")
+        REFERENCES public."TournamentPlayers" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE,
+    CONSTRAINT "FK_TournamentMatches_TournamentPlayers_WinnerId" FOREIGN KEY ("WinnerId")
+        REFERENCES public."TournamentPlayers" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."TournamentMatches"
+    OWNER to keyteki;
+-- Index: IX_TournamentMatches_TournamentId
+
+-- DROP INDEX public."IX_TournamentMatches_TournamentId";
+
+CREATE INDEX "IX_TournamentMatches_TournamentId"
+    ON public."TournamentMatches" USING btree
+    ("TournamentId" ASC NULLS LAST)
+    TABLESPACE pg_default;
@@ -0,0 +1,33 @@
+CREATE TABLE public."Matches"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "MatchId" text COLLATE pg_catalog."default" NOT NULL,
+    "GameFormat" text COLLATE pg_catalog."default" NOT NULL,
+    "BestOf" integer NOT NULL,
+    "StartedAt" timestamp without time zone,
+    "FinishedAt" timestamp without time zone,
+    "WinnerId" integer,
+    CONSTRAINT "PK_Matches" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_Matches_Users_WinnerId" FOREIGN KEY ("WinnerId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE RESTRICT
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."Matches"
+    OWNER to keyteki;
+
+CREATE UNIQUE INDEX "IX_Matches_MatchId"
+    ON public."Matches" USING btree
+    ("MatchId" COLLATE pg_catalog."default" ASC NULLS LAST)
+    TABLESPACE pg_default;
+
+ALTER TABLE "Games" ADD COLUMN "MatchId" integer NULL;
+
+ALTER TABLE public."Games"
+    ADD CONSTRAINT "FK_Games_Matches_MatchId" FOREIGN KEY ("MatchId")
+        REFERENCES public."Matches" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE SET NULL;
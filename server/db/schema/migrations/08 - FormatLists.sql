@@ -0,0 +1,47 @@
+CREATE TABLE public."FormatLists"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "GameFormat" text COLLATE pg_catalog."default" NOT NULL,
+    "Version" text COLLATE pg_catalog."default" NOT NULL,
+    "RestrictedLimit" integer NOT NULL DEFAULT 1,
+    "CreatorId" integer NOT NULL,
+    "CreatedAt" timestamp without time zone NOT NULL,
+    CONSTRAINT "PK_FormatLists" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_FormatLists_Users_CreatorId" FOREIGN KEY ("CreatorId")
+        REFERENCES public."Users" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE RESTRICT
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."FormatLists"
+    OWNER to keyteki;
+
+CREATE UNIQUE INDEX "IX_FormatLists_GameFormat_Version"
+    ON public."FormatLists" USING btree
+    ("GameFormat" COLLATE pg_catalog."default" ASC NULLS LAST, "Version" COLLATE pg_catalog."default" ASC NULLS LAST)
+    TABLESPACE pg_default;
+
+CREATE TABLE public."FormatListCards"
+(
+    "Id" integer NOT NULL GENERATED BY DEFAULT AS IDENTITY ( INCREMENT 1 START 1 MINVALUE 1 MAXVALUE 2147483647 CACHE 1 ),
+    "FormatListId" integer NOT NULL,
+    "CardId" text COLLATE pg_catalog."default" NOT NULL,
+    "Type" text COLLATE pg_catalog."default" NOT NULL,
+    CONSTRAINT "PK_FormatListCards" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_FormatListCards_FormatLists_FormatListId" FOREIGN KEY ("FormatListId")
+        REFERENCES public."FormatLists" ("Id") MATCH SIMPLE
+        ON UPDATE NO ACTION
+        ON DELETE CASCADE
+)
+
+TABLESPACE pg_default;
+
+ALTER TABLE public."FormatListCards"
+    OWNER to keyteki;
+
+CREATE INDEX "IX_FormatListCards_FormatListId"
+    ON public."FormatListCards" USING btree
+    ("FormatListId" ASC NULLS LAST)
+    TABLESPACE pg_default;
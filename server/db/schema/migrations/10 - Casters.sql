@@ -0,0 +1 @@
+INSERT INTO public."Roles" ("Id", "Name") VALUES (17, 'Caster');
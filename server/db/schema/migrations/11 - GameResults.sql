@@ -0,0 +1,15 @@
+ALTER TABLE "Games" ADD COLUMN "Result" text NULL;
+ALTER TABLE "GamePlayers" ADD COLUMN "Result" text NULL;
+
+UPDATE "Games" SET "Result" = CASE WHEN "WinReason" = 'clock' THEN 'timed-out' ELSE 'win' END
+    WHERE "WinnerId" IS NOT NULL;
+UPDATE "Games" SET "Result" = 'abandoned' WHERE "WinnerId" IS NULL AND "FinishedAt" IS NOT NULL;
+
+UPDATE "GamePlayers" gp SET "Result" = CASE
+        WHEN g."WinnerId" = gp."PlayerId" THEN 'win'
+        WHEN g."Result" = 'timed-out' THEN 'timed-out'
+        ELSE 'loss'
+    END
+    FROM "Games" g WHERE g."Id" = gp."GameId" AND g."WinnerId" IS NOT NULL;
+UPDATE "GamePlayers" gp SET "Result" = 'abandoned'
+    FROM "Games" g WHERE g."Id" = gp."GameId" AND g."Result" = 'abandoned';
@@ -0,0 +1 @@
+ALTER TABLE "GamePlayers" ADD COLUMN "First" boolean NULL;
@@ -0,0 +1 @@
+ALTER TABLE "Games" ADD COLUMN "Rated" boolean NOT NULL DEFAULT false;
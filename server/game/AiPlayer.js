@@ -0,0 +1,281 @@
+const ActionWindow = require('./gamesteps/main/actionwindow.js');
+const GamePipeline = require('./gamepipeline.js');
+const HandlerMenuPrompt = require('./gamesteps/handlermenuprompt.js');
+
+// Game actions that are bad for the card they affect, so should be aimed at the opponent's cards
+const harmfulActions = [
+    'attack',
+    'damage',
+    'destroy',
+    'discard',
+    'exhaust',
+    'moveToBottom',
+    'purge',
+    'reduceArmor',
+    'removeWard',
+    'returnToDeck',
+    'returnToHand',
+    'stun'
+];
+
+// Buttons that back out of a choice rather than making one
+const cancelButtons = ['Cancel', 'No', 'Pass', 'Done'];
+
+// How many times the AI will answer the same prompt before deciding it is stuck
+const maxDecisionsPerPrompt = 20;
+
+/**
+ * A built-in opponent for solo play. The AI plays through the same prompts as a human player,
+ * each time it is asked for input it looks at the step the game is waiting on and decides which
+ * button or card to click using simple heuristics
+ */
+class AiPlayer {
+    /**
+     * @param {import('./game')} game
+     * @param {import('./player')} player - the player the AI is playing as
+     */
+    constructor(game, player) {
+        this.game = game;
+        this.player = player;
+        this.attempted = new Set();
+        this.intent = null;
+        this.promptUuid = null;
+        this.promptDecisions = 0;
+        this.turn = null;
+    }
+
+    get name() {
+        return this.player.name;
+    }
+
+    /**
+     * Decides what the AI does next, in the form of a game command and its arguments as they
+     * would be sent by a player's client
+     * @returns {{ command: string, args: Array } | undefined} undefined if there is nothing the AI
+     * needs to do
+     */
+    getDecision() {
+        if (!this.player.isPrompted()) {
+            return undefined;
+        }
+
+        let prompt = this.player.currentPrompt();
+
+        let step = this.getCurrentStep();
+        let uuid = step && step.uuid;
+        if (uuid !== this.promptUuid) {
+            this.promptUuid = uuid;
+            this.promptDecisions = 0;
+        }
+
+        this.promptDecisions++;
+        if (this.promptDecisions > maxDecisionsPerPrompt) {
+            return this.promptDecisions === maxDecisionsPerPrompt + 1
+                ? this.clickButton(prompt.buttons[prompt.buttons.length - 1])
+                : undefined;
+        }
+
+        let turn = `${this.game.activePlayer && this.game.activePlayer.name}:${this.player.turn}`;
+        if (turn !== this.turn) {
+            this.turn = turn;
+            this.attempted.clear();
+        }
+
+        if (step instanceof ActionWindow) {
+            return this.chooseAction(prompt);
+        } else if (step instanceof HandlerMenuPrompt) {
+            return this.chooseMenuItem(step, prompt);
+        } else if (prompt.selectCard) {
+            return this.chooseCard(step, prompt);
+        }
+
+        return this.clickButton(this.getDefaultButton(prompt.buttons));
+    }
+
+    /**
+     * Finds the innermost step the game is currently waiting on
+     */
+    getCurrentStep() {
+        let step = this.game.pipeline.getCurrentStep();
+
+        while (step && step.pipeline instanceof GamePipeline && step.pipeline.length > 0) {
+            step = step.pipeline.getCurrentStep();
+        }
+
+        return step;
+    }
+
+    /**
+     * Picks the next card to play or use during the main phase, ending the turn once there is
+     * nothing left worth doing
+     */
+    chooseAction(prompt) {
+        let options = [];
+
+        for (let card of this.player.hand) {
+            for (let action of card.getLegalActions(this.player)) {
+                if (action.title !== 'Discard this card') {
+                    options.push({ card, title: action.title, score: this.getPlayScore(card) });
+                }
+            }
+        }
+
+        for (let card of this.player.cardsInPlay) {
+            for (let action of card.getLegalActions(this.player)) {
+                options.push({ card, title: action.title, score: this.getUseScore(card, action) });
+            }
+        }
+
+        let option = options
+            .filter((option) => !this.attempted.has(`${option.card.uuid}:${option.title}`))
+            .filter((option) => option.score > 0)
+            .sort((a, b) => b.score - a.score)[0];
+
+        if (!option) {
+            this.intent = 'Yes';
+
+            return this.clickButton(prompt.buttons.find((button) => button.arg === 'done'));
+        }
+
+        this.attempted.add(`${option.card.uuid}:${option.title}`);
+        this.intent = option.title;
+
+        return { command: 'cardClicked', args: [option.card.uuid] };
+    }
+
+    getPlayScore(card) {
+        let score = 2 + card.bonusIcons.filter((icon) => icon === 'amber').length;
+
+        // Creatures and artifacts stay in play and keep being useful, upgrades need a target
+        if (card.type === 'creature' || card.type === 'artifact') {
+            score += 1;
+        } else if (card.type === 'upgrade') {
+            score -= 1;
+        }
+
+        return score;
+    }
+
+    getUseScore(card, action) {
+        if (action.title === 'Fight with this creature') {
+            let targets = this.player.opponent ? this.player.opponent.creaturesInPlay : [];
+
+            return targets.some((target) => this.getFightScore(card, target) > 0) ? 4 : 0;
+        }
+
+        if (action.title === 'Reap with this creature') {
+            return 3;
+        }
+
+        return 1;
+    }
+
+    /**
+     * How good a fight between one of the AI's creatures and an opposing creature would be,
+     * positive if the attacker destroys the target and survives
+     * @param {import('./Card')} attacker
+     * @param {import('./Card')} target
+     */
+    getFightScore(attacker, target) {
+        let destroysTarget = !target.warded && attacker.power >= this.getHealth(target);
+        let survives = target.power < this.getHealth(attacker) || target.hasKeyword('elusive');
+
+        if (target.hasKeyword('elusive') && !attacker.hasKeyword('skirmish')) {
+            destroysTarget = false;
+        }
+
+        return (destroysTarget ? 5 + target.power : 0) + (survives ? 2 : -5);
+    }
+
+    getHealth(card) {
+        return card.power - (card.tokens.damage || 0) + Math.max(card.armor - card.armorUsed, 0);
+    }
+
+    chooseMenuItem(step, prompt) {
+        if (step.properties.source === 'House Choice') {
+            let houses = prompt.buttons.map((button) => button.text);
+            let house = houses.sort((a, b) => this.getHouseScore(b) - this.getHouseScore(a))[0];
+
+            return this.clickButton(prompt.buttons.find((button) => button.text === house));
+        }
+
+        let button = prompt.buttons.find((button) => button.text === this.intent);
+        this.intent = null;
+
+        return this.clickButton(button || this.getDefaultButton(prompt.buttons));
+    }
+
+    getHouseScore(house) {
+        return (
+            this.player.hand.filter((card) => card.hasHouse(house)).length * 2 +
+            this.player.cardsInPlay.filter(
+                (card) => card.hasHouse(house) && card.type === 'creature' && !card.exhausted
+            ).length
+        );
+    }
+
+    chooseCard(step, prompt) {
+        let doneButton = prompt.buttons.find((button) => button.arg === 'done');
+        let selected = this.player.promptState.selectedCards || [];
+        if (doneButton && selected.length > 0) {
+            return this.clickButton(doneButton);
+        }
+
+        let attacker = this.isFightTarget(step) && step.context.source;
+        let harmful = !!attacker || this.isHarmful(step);
+        let cards = this.player.promptState.selectableCards.filter(
+            (card) => !selected.includes(card)
+        );
+        let scored = cards.map((card) => {
+            let ownCard = card.controller === this.player;
+            let value = attacker ? this.getFightScore(attacker, card) : card.power || 1;
+
+            if (harmful) {
+                return { card, score: ownCard ? -10 - value : value };
+            }
+
+            return { card, score: ownCard ? value : -10 - value };
+        });
+        let best = scored.sort((a, b) => b.score - a.score)[0];
+
+        // Skip optional effects which would only hurt the AI's own cards
+        if (!best || (best.score < -10 && harmful && doneButton)) {
+            return this.clickButton(doneButton || this.getDefaultButton(prompt.buttons));
+        }
+
+        return { command: 'cardClicked', args: [best.card.uuid] };
+    }
+
+    isFightTarget(step) {
+        return !!(
+            step.context &&
+            step.context.ability &&
+            step.context.ability.properties &&
+            step.context.ability.properties.fight
+        );
+    }
+
+    isHarmful(step) {
+        let actions = (step.properties && step.properties.gameAction) || [];
+
+        return actions.some((action) => harmfulActions.includes(action.name));
+    }
+
+    getDefaultButton(buttons) {
+        return (
+            buttons.find(
+                (button) => typeof button.text !== 'string' || !cancelButtons.includes(button.text)
+            ) || buttons[0]
+        );
+    }
+
+    clickButton(button) {
+        if (!button) {
+            return undefined;
+        }
+
+        return { command: 'menuButton', args: [button.arg, button.uuid, button.method] };
+    }
+}
+
+module.exports = AiPlayer;
@@ -7,7 +7,8 @@ class CardVisibility {
             (card) => this.isPublicRule(card),
             (card) => this.isEffectRule(card),
             (card, player) => this.isControllerRule(card, player),
-            (card, player) => this.isSpectatorRule(card, player)
+            (card, player) => this.isSpectatorRule(card, player),
+            (card, player) => this.isCasterRule(card, player)
         ];
     }
 
@@ -42,6 +43,19 @@ class CardVisibility {
             ['hand', 'archives'].includes(card.location)
         );
     }
+
+    /**
+     * Casters can only switch to the caster view when spectators are delayed, so showing them both
+     * hands can't help either player
+     */
+    isCasterRule(card, player) {
+        return (
+            !!this.game.spectatorDelay &&
+            player.isSpectator() &&
+            !!player.caster &&
+            ['hand', 'archives'].includes(card.location)
+        );
+    }
 }
 
 module.exports = CardVisibility;
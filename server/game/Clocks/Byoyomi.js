@@ -1,8 +1,29 @@
 const ChessClock = require('./ChessClock');
 
+const PeriodSecs = 30;
+
+/**
+ * A chess clock that only takes time off in whole periods, so a turn shorter than a period is
+ * free
+ */
 class Byoyomi extends ChessClock {
     updateTimeLeft(secs) {
-        super.updateTimeLeft(secs - (secs % 30));
+        super.updateTimeLeft(secs - (secs % PeriodSecs));
+    }
+
+    /**
+     * The clock runs out once the periods used in this turn come to more than the time left
+     * @returns {number|undefined} seconds, or undefined if the clock isn't counting down
+     */
+    getRunningTimeLeft() {
+        let runningTimeLeft = super.getRunningTimeLeft();
+        if (runningTimeLeft === undefined) {
+            return undefined;
+        }
+
+        let periods = Math.floor(this.timeLeft / PeriodSecs) + 1;
+
+        return runningTimeLeft - this.timeLeft + periods * PeriodSecs;
     }
 }
 
@@ -17,10 +17,7 @@ class ChessClock extends Clock {
     }
 
     timeRanOut() {
-        this.player.game.addMessage("{0}'s clock has run out", this.player);
-        if (this.player.opponent.clock.timeLeft > 0) {
-            this.player.game.recordWinner(this.player.opponent, 'clock');
-        }
+        this.player.game.clockRanOut(this.player);
     }
 }
 
@@ -48,6 +48,37 @@ class Clock {
         return;
     }
 
+    /**
+     * Whether the clock is counting the player's own time, rather than stopped or counting the
+     * opponent's time
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.timerStart > 0 && this.mode !== 'stop' && this.mode !== 'up';
+    }
+
+    /**
+     * The time left including the time since the clock was started, for clocks counting down
+     * @returns {number|undefined} seconds, or undefined if the clock isn't counting down
+     */
+    getRunningTimeLeft() {
+        if (this.timerStart === 0 || this.mode !== 'down') {
+            return undefined;
+        }
+
+        return this.timeLeft - (Date.now() - this.timerStart) / 1000;
+    }
+
+    /**
+     * Runs the clock out, when the game node has found it has no time left
+     */
+    expire() {
+        this.timerStart = 0;
+        this.timeLeft = 0;
+        this.updateStateId();
+        this.timeRanOut();
+    }
+
     updateTimeLeft(secs) {
         if (this.timeLeft === 0 || secs < 0) {
             return;
@@ -67,6 +98,7 @@ class Clock {
     getState() {
         return {
             mode: this.mode,
+            running: this.timerStart > 0,
             timeLeft: this.timeLeft,
             stateId: this.stateId
         };
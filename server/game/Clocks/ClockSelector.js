@@ -22,6 +22,14 @@ class ClockSelector {
 
         return factory(player, details.time * 60);
     }
+
+    /**
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static isValidType(type) {
+        return !!typeToClock[type];
+    }
 }
 
 module.exports = ClockSelector;
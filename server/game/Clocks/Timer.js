@@ -6,7 +6,10 @@ class Timer extends Clock {
         this.mode = 'down';
     }
 
+    // The timer keeps counting down through both players' turns, so it is stopped once it runs
+    // out rather than running out again every time it is started
     timeRanOut() {
+        this.mode = 'stop';
         this.player.game.addMessage("{0}'s timer has expired", this.player);
     }
 }
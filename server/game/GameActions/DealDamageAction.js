@@ -98,6 +98,7 @@ class DealDamageAction extends CardGameAction {
                 amount: damageDealtEvent.amount,
                 card: damageDealtEvent.card,
                 context: damageDealtEvent.context,
+                damageEvent: damageDealtEvent,
                 condition: (event) => event.amount > 0
             };
             let damageAppliedEvent = super.createEvent(
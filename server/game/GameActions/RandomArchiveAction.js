@@ -1,5 +1,4 @@
 const PlayerAction = require('./PlayerAction');
-const _ = require('underscore');
 
 class RandomArchiveAction extends PlayerAction {
     setDefaultProperties() {
@@ -20,7 +19,7 @@ class RandomArchiveAction extends PlayerAction {
     getEvent(player, context) {
         return super.createEvent('unnamedEvent', { player, context }, () => {
             let amount = Math.min(this.amount, player.hand.length);
-            let cards = _.shuffle(player.hand).slice(0, amount);
+            let cards = context.game.random.shuffle(player.hand).slice(0, amount);
             context.game.actions.archive().resolve(cards, context);
         });
     }
@@ -1,5 +1,4 @@
 const PlayerAction = require('./PlayerAction');
-const _ = require('underscore');
 
 class RandomPlayCardAction extends PlayerAction {
     setDefaultProperties() {
@@ -27,13 +26,17 @@ class RandomPlayCardAction extends PlayerAction {
             { player, context, amount: this.amount },
             (event) => {
                 if (this.location === 'archives') {
-                    event.cards = _.shuffle(player.archives).slice(0, event.amount);
+                    event.cards = context.game.random
+                        .shuffle(player.archives)
+                        .slice(0, event.amount);
                 } else if (this.location === 'discard') {
-                    event.cards = _.shuffle(player.discard).slice(0, event.amount);
+                    event.cards = context.game.random
+                        .shuffle(player.discard)
+                        .slice(0, event.amount);
                 } else if (this.location === 'deck') {
-                    event.cards = _.shuffle(player.deck).slice(0, event.amount);
+                    event.cards = context.game.random.shuffle(player.deck).slice(0, event.amount);
                 } else {
-                    event.cards = _.shuffle(player.hand).slice(0, event.amount);
+                    event.cards = context.game.random.shuffle(player.hand).slice(0, event.amount);
                 }
                 context.game.actions
                     .playCard({
@@ -1,5 +1,4 @@
 const PlayerAction = require('./PlayerAction');
-const _ = require('underscore');
 
 class RandomPurgeAction extends PlayerAction {
     setDefaultProperties() {
@@ -24,10 +23,10 @@ class RandomPurgeAction extends PlayerAction {
     getEvent(player, context) {
         return super.createEvent('unnamedEvent', { player, context }, () => {
             let amount = Math.min(this.amount, player.hand.length);
-            let cards = _.shuffle(player.hand).slice(0, amount);
+            let cards = context.game.random.shuffle(player.hand).slice(0, amount);
             if (this.location === 'archives') {
                 amount = Math.min(this.amount, player.archives.length);
-                cards = _.shuffle(player.archives).slice(0, amount);
+                cards = context.game.random.shuffle(player.archives).slice(0, amount);
             }
 
             context.game.addMessage('{0} purges {1} at random', player, cards);
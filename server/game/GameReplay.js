@@ -0,0 +1,126 @@
+const jsondiffpatch = require('jsondiffpatch').create({
+    objectHash: (obj, index) => {
+        return obj.uuid || obj.name || obj.id || obj._id || '$$index:' + index;
+    }
+});
+
+const Game = require('./game');
+const logger = require('../log');
+
+/**
+ * Recreates a game from the replay recorded by Game.getReplay and plays the recorded inputs
+ * back into it
+ */
+class GameReplay {
+    /**
+     * @param {{ decks: Array, details: Object, inputs: Array, seed: Number }} replay
+     * @param {Object} cardData
+     */
+    constructor(replay, cardData) {
+        this.replay = replay;
+        this.cardData = cardData;
+        this.errors = [];
+    }
+
+    /**
+     * Builds a fresh Game with the same players, decks and seed as the recorded game, in the
+     * same way the game node does when a game starts
+     * @returns {import('./game')}
+     */
+    createGame() {
+        const router = {
+            gameWon: () => true,
+            handleError: (game, error) => {
+                logger.error(error);
+                this.errors.push(error.message);
+            },
+            playerLeft: () => true,
+            rematch: () => true
+        };
+        const details = Object.assign({}, this.replay.details, { seed: this.replay.seed });
+        const game = new Game(details, { router: router, cardData: this.cardData });
+
+        this.setupGame(game);
+
+        return game;
+    }
+
+    /**
+     * Selects the recorded decks and starts the game. The game must have been created with the
+     * recorded seed
+     * @param {import('./game')} game
+     */
+    setupGame(game) {
+        game.started = true;
+        for (const player of this.replay.details.players) {
+            game.setWins(player.user.username, player.wins);
+        }
+
+        for (const deck of this.replay.decks) {
+            game.selectDeck(deck.player, JSON.parse(JSON.stringify(deck.deck)));
+        }
+
+        game.initialise();
+    }
+
+    /**
+     * Plays every recorded input into a new game, calling the callback with the game after the
+     * game has been created and again after each input has been processed
+     * @param {(game: import('./game'), input: Object) => void} callback
+     */
+    run(callback) {
+        const game = this.createGame();
+
+        callback(game, null);
+        this.playInputs(game, callback);
+
+        return game;
+    }
+
+    /**
+     * @param {import('./game')} game
+     * @param {(game: import('./game'), input: Object) => void} [callback]
+     */
+    playInputs(game, callback = () => true) {
+        for (const input of this.replay.inputs) {
+            try {
+                game.replayInput(input);
+                game.continue();
+            } catch (err) {
+                logger.error(err);
+                this.errors.push(err.message);
+            }
+
+            callback(game, input);
+        }
+    }
+
+    /**
+     * Returns the game state as seen by the viewer after each input. To keep the size down
+     * only the first snapshot holds the full state, every later one is a diff against the
+     * snapshot before it
+     * @param {String} viewerName
+     */
+    getSnapshots(viewerName) {
+        const snapshots = [];
+        let previousState;
+
+        this.run((game, input) => {
+            const state = game.getState(viewerName);
+
+            snapshots.push({
+                activePlayer: game.activePlayer ? game.activePlayer.name : undefined,
+                delta: previousState ? jsondiffpatch.diff(previousState, state) : state,
+                input: input ? { command: input.command, player: input.player } : undefined,
+                phase: game.currentPhase,
+                round: game.round
+            });
+
+            previousState = jsondiffpatch.clone(state);
+        });
+
+        return snapshots;
+    }
+}
+
+module.exports = GameReplay;
@@ -0,0 +1,189 @@
+const EventRegistrar = require('./eventregistrar');
+const LoseAmberAction = require('./GameActions/LoseAmberAction');
+
+/**
+ * @typedef TurnStats
+ * @property {number} amberGained - amber gained from any source, including amber stolen
+ * @property {number} amberStolen - amber stolen from the opponent
+ * @property {number} amberCaptured - amber captured by the player's creatures
+ * @property {number} keysForged
+ * @property {number} damageDealt - damage dealt by the player's cards and abilities
+ * @property {number} creaturesDestroyed - the player's creatures that were destroyed
+ * @property {Object.<string, number>} cardsPlayed - the number of cards played, by house
+ * @property {Object.<string, number>} cardsUsed - the number of cards used, by house
+ * @property {Object.<string, number>} cardsDiscarded - the number of cards discarded from hand,
+ * by house
+ */
+
+/**
+ * @typedef Turn
+ * @property {number} round - the round the turn was taken in, as shown in the game chat
+ * @property {string} player - the name of the player taking the turn
+ * @property {string} house - the house the player chose, if they got that far
+ * @property {Object.<string, TurnStats>} players - what happened to each player during the turn
+ */
+
+/**
+ * Records what happened in each turn of a game, so that it can be summarised once the game is
+ * over and saved with the game
+ */
+class GameTelemetry {
+    /**
+     * @param {import('./game')} game
+     */
+    constructor(game) {
+        this.game = game;
+        /** @type {Turn[]} */
+        this.turns = [];
+        this.events = new EventRegistrar(game, this);
+        this.events.register([
+            'onBeginRound',
+            { 'onRoundEnded:preResolution': 'onRoundEnding' },
+            'onModifyAmber',
+            'onStealAmber',
+            'onCapture',
+            'onForgeKey',
+            'onDamageApplied',
+            'onCardDestroyed',
+            'onCardPlayed',
+            'onUseCard',
+            'onCardDiscarded'
+        ]);
+    }
+
+    onBeginRound() {
+        let players = {};
+        for (let player of this.game.getPlayers()) {
+            players[player.name] = {
+                amberGained: 0,
+                amberStolen: 0,
+                amberCaptured: 0,
+                keysForged: 0,
+                damageDealt: 0,
+                creaturesDestroyed: 0,
+                cardsPlayed: {},
+                cardsUsed: {},
+                cardsDiscarded: {}
+            };
+        }
+
+        this.turns.push({
+            round: this.game.round,
+            player: this.game.activePlayer.name,
+            house: null,
+            players: players
+        });
+    }
+
+    // The active house is cleared when the round ends, so it is recorded just before
+    onRoundEnding() {
+        let turn = this.turns[this.turns.length - 1];
+        if (turn && this.game.activePlayer.activeHouse) {
+            turn.house = this.game.activePlayer.activeHouse;
+        }
+    }
+
+    // Losing amber raises the same event as gaining it, with a positive amount
+    onModifyAmber(event) {
+        if (event.amount > 0 && !(event.gameAction instanceof LoseAmberAction)) {
+            this.add(event, event.player, 'amberGained', event.amount);
+        }
+    }
+
+    onStealAmber(event) {
+        this.add(event, event.player.opponent, 'amberStolen', event.amount);
+    }
+
+    onCapture(event) {
+        this.add(event, event.card.controller, 'amberCaptured', event.amount);
+    }
+
+    onForgeKey(event) {
+        this.add(event, event.player, 'keysForged', 1);
+    }
+
+    // Damage is counted once armor has prevented what it can
+    onDamageApplied(event) {
+        let source = event.damageEvent.damageSource;
+        let player = source && source.controller ? source.controller : event.context.player;
+
+        this.add(event, player, 'damageDealt', event.amount);
+    }
+
+    onCardDestroyed(event) {
+        if (event.card.type === 'creature') {
+            this.add(event, event.card.controller, 'creaturesDestroyed', 1);
+        }
+    }
+
+    onCardPlayed(event) {
+        this.addByHouse(event, event.player, 'cardsPlayed');
+    }
+
+    onUseCard(event) {
+        this.addByHouse(event, event.card.controller, 'cardsUsed');
+    }
+
+    onCardDiscarded(event) {
+        if (event.location === 'hand') {
+            this.addByHouse(event, event.card.owner, 'cardsDiscarded');
+        }
+    }
+
+    /**
+     * Adds to one of a player's counts for the turn in progress. Events are emitted whether or
+     * not they resolved, so cancelled events aren't counted
+     * @param {import('./Events/Event')} event
+     * @param {import('./player')} player
+     * @param {string} stat
+     * @param {number} amount
+     */
+    add(event, player, stat, amount) {
+        let stats = this.getTurnStats(event, player);
+        if (stats && amount > 0) {
+            stats[stat] += amount;
+        }
+    }
+
+    /**
+     * Counts a card against its house for the turn in progress
+     * @param {import('./Events/Event')} event
+     * @param {import('./player')} player
+     * @param {string} stat
+     */
+    addByHouse(event, player, stat) {
+        let stats = this.getTurnStats(event, player);
+        if (stats) {
+            let house = event.card.printedHouse;
+            stats[stat][house] = (stats[stat][house] || 0) + 1;
+        }
+    }
+
+    getTurnStats(event, player) {
+        let turn = this.turns[this.turns.length - 1];
+        if (!turn || event.cancelled || !player) {
+            return undefined;
+        }
+
+        return turn.players[player.name];
+    }
+
+    /**
+     * @returns {Turn[]}
+     */
+    getState() {
+        let turns = this.turns.slice();
+        let current = turns[turns.length - 1];
+
+        // The game can end part way through a turn, before the house is recorded
+        if (current && !current.house && this.game.activePlayer) {
+            turns[turns.length - 1] = Object.assign({}, current, {
+                house: this.game.activePlayer.activeHouse
+            });
+        }
+
+        return turns;
+    }
+}
+
+module.exports = GameTelemetry;
@@ -0,0 +1,118 @@
+/**
+ * Keeps an ordered record of the commands sent to the game by players. Card and prompt
+ * uuids are generated fresh every time a game is created, so they are stored as references
+ * which can be resolved against a new game instance when the log is replayed
+ */
+class InputLog {
+    /**
+     * @param {import('./game')} game
+     */
+    constructor(game) {
+        this.game = game;
+        this.inputs = [];
+    }
+
+    /**
+     * @param {String} playerName
+     * @param {String} command - name of the game method which was called
+     * @param {Array} args - arguments passed to the method after the player name
+     */
+    record(playerName, command, args) {
+        let player = this.game.getPlayerByName(playerName);
+        if (!player) {
+            return;
+        }
+
+        this.inputs.push({
+            player: playerName,
+            command: command,
+            args: args.map((arg) => this.getReference(player, arg))
+        });
+    }
+
+    /**
+     * Converts a recorded input back into the arguments to call the game method with
+     * @param {{ player: String, command: String, args: Array }} input
+     * @returns {Array}
+     */
+    resolve(input) {
+        let player = this.game.getPlayerByName(input.player);
+        if (!player) {
+            return input.args;
+        }
+
+        return input.args.map((arg) => this.resolveReference(player, arg));
+    }
+
+    getReference(player, arg) {
+        if (typeof arg !== 'string') {
+            return arg;
+        }
+
+        let prompt = player.currentPrompt();
+        let promptUuids = (prompt.buttons || [])
+            .concat(prompt.controls || [])
+            .map((control) => control.uuid);
+        if (promptUuids.includes(arg)) {
+            return { promptRef: true };
+        }
+
+        for (let owner of this.game.getPlayers()) {
+            let index = (owner.allCards || []).findIndex((card) => card.uuid === arg);
+            if (index !== -1) {
+                return { cardRef: { owner: owner.name, index: index } };
+            }
+        }
+
+        let addedCards = this.getAddedCards();
+        let addedIndex = addedCards.findIndex((card) => card.uuid === arg);
+        if (addedIndex !== -1) {
+            return { addedCardRef: { id: addedCards[addedIndex].id, index: addedIndex } };
+        }
+
+        return arg;
+    }
+
+    /**
+     * Cards added during the game with /add-card aren't part of any deck. Replaying the game adds
+     * them again in the same order, so they are referred to by the order they were added in
+     * @returns {Array}
+     */
+    getAddedCards() {
+        return (this.game.allCards || []).filter(
+            (card) => card.owner && !(card.owner.allCards || []).includes(card)
+        );
+    }
+
+    resolveReference(player, arg) {
+        if (!arg || typeof arg !== 'object') {
+            return arg;
+        }
+
+        if (arg.promptRef) {
+            let prompt = player.currentPrompt();
+            let control = (prompt.buttons || [])
+                .concat(prompt.controls || [])
+                .find((control) => control.uuid);
+
+            return control ? control.uuid : undefined;
+        }
+
+        if (arg.cardRef) {
+            let owner = this.game.getPlayerByName(arg.cardRef.owner);
+            let card = owner && owner.allCards && owner.allCards[arg.cardRef.index];
+
+            return card ? card.uuid : undefined;
+        }
+
+        if (arg.addedCardRef) {
+            let card = this.getAddedCards()[arg.addedCardRef.index];
+
+            return card && card.id === arg.addedCardRef.id ? card.uuid : undefined;
+        }
+
+        return arg;
+    }
+}
+
+module.exports = InputLog;
@@ -0,0 +1,70 @@
+const Tokens = ['amber', 'damage', 'enrage', 'power', 'ward'];
+
+/**
+ * Describes a card in play the way setupTest expects, as just its id unless it has some state
+ * @param {import('./Card')} card
+ */
+function getInPlayEntry(card) {
+    let entry = { card: card.id };
+
+    if (card.exhausted) {
+        entry.exhausted = true;
+    }
+
+    if (card.stunned) {
+        entry.stunned = true;
+    }
+
+    let tokens = Tokens.filter((token) => card.tokens[token] > 0);
+    if (tokens.length > 0) {
+        entry.tokens = {};
+        for (let token of tokens) {
+            entry.tokens[token] = card.tokens[token];
+        }
+    }
+
+    if (card.upgrades.length > 0) {
+        entry.upgrades = card.upgrades.map((upgrade) => upgrade.id);
+    }
+
+    return Object.keys(entry).length === 1 ? card.id : entry;
+}
+
+/**
+ * @param {import('./player')} player
+ * @param {boolean} isActive - whether it is the player's turn
+ */
+function getPlayerFixture(player, isActive) {
+    let fixture = {
+        amber: player.amber,
+        chains: player.chains,
+        keys: Object.keys(player.keys).filter((color) => player.keys[color]),
+        inPlay: player.cardsInPlay.map((card) => getInPlayEntry(card)),
+        hand: player.hand.map((card) => card.id),
+        discard: player.discard.map((card) => card.id),
+        archives: player.archives.map((card) => card.id)
+    };
+
+    if (isActive && player.activeHouse) {
+        fixture.house = player.activeHouse;
+    }
+
+    return fixture;
+}
+
+/**
+ * Exports the state of a game as options for setupTest in the integration test harness. The
+ * active player becomes player1, so the test starts on their turn with their house chosen
+ * @param {import('./game')} game
+ */
+function getTestFixture(game) {
+    let player1 = game.activePlayer || game.getPlayers()[0];
+    let player2 = game.getOtherPlayer(player1);
+
+    return {
+        player1: getPlayerFixture(player1, true),
+        player2: player2 ? getPlayerFixture(player2, false) : {}
+    };
+}
+
+module.exports = { getTestFixture };
@@ -0,0 +1,49 @@
+/**
+ * Represents a win or lose condition of a scenario, checked whenever the game state changes and
+ * at the end of each turn.
+ *
+ * Properties:
+ * type             - what is checked, one of:
+ *                    'keys' - the side has forged at least amount keys
+ *                    'amber' - the side has at least amount amber
+ *                    'creatures' - the side has at most amount creatures in play
+ *                    'turnsEnded' - at least amount turns have ended, counting both players
+ * side             - 'player' or 'opponent', the side of the scenario whose state is checked
+ * amount           - the number the condition is checked against
+ */
+
+const ConditionTypes = ['keys', 'amber', 'creatures', 'turnsEnded'];
+
+class ScenarioCondition {
+    constructor(game, properties) {
+        this.game = game;
+        this.type = properties.type;
+        this.side = properties.side || 'player';
+        this.amount = properties.amount || 0;
+    }
+
+    checkCondition() {
+        let player = this.game.getScenarioPlayer(this.side);
+
+        switch (this.type) {
+            case 'keys':
+                return !!player && player.getForgedKeys() >= this.amount;
+            case 'amber':
+                return !!player && player.amber >= this.amount;
+            case 'creatures':
+                return !!player && player.creaturesInPlay.length <= this.amount;
+            case 'turnsEnded':
+                return (
+                    this.game
+                        .getPlayers()
+                        .reduce((turns, player) => turns + (player.turn || 1) - 1, 0) >= this.amount
+                );
+        }
+
+        return false;
+    }
+}
+
+ScenarioCondition.ConditionTypes = ConditionTypes;
+
+module.exports = ScenarioCondition;
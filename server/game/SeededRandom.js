@@ -0,0 +1,53 @@
+/**
+ * Deterministic pseudo random number generator (mulberry32). Given the same seed it will
+ * always produce the same sequence, which allows a game to be reproduced exactly
+ */
+class SeededRandom {
+    /**
+     * @param {Number} [seed] - 32 bit unsigned integer, a random one is generated if omitted
+     */
+    constructor(seed) {
+        if (seed === undefined || seed === null) {
+            seed = SeededRandom.generateSeed();
+        }
+
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Returns a number in the range [0, 1)
+     * @returns {Number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Returns a shuffled copy of the passed list
+     * @param {Array} list
+     * @returns {Array}
+     */
+    shuffle(list) {
+        let result = list.slice();
+
+        for (let i = result.length - 1; i > 0; i--) {
+            let j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+
+        return result;
+    }
+}
+
+module.exports = SeededRandom;
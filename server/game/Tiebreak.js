@@ -0,0 +1,135 @@
+/**
+ * The checks used to decide a game that runs out of time, in order. The first check that
+ * separates the players decides the game, and if none do the game is a draw
+ */
+const TiebreakSteps = [
+    { name: 'keys', description: 'keys forged', score: (player) => player.getForgedKeys() },
+    // Each player then forges as many keys as they can at their current key cost, and only the
+    // amber left over after that counts towards the amber step
+    {
+        name: 'forging',
+        description: 'keys forged at the current key cost',
+        score: (player) => player.getForgedKeys() + getKeysToForge(player)
+    },
+    {
+        name: 'amber',
+        description: 'amber left after forging',
+        score: (player) =>
+            player.amber - getKeysToForge(player) * Math.max(0, player.getCurrentKeyCost())
+    }
+];
+
+/**
+ * The number of keys a player could forge with their amber at their current key cost
+ * @param {import('./player')} player
+ */
+function getKeysToForge(player) {
+    let unforged = Object.keys(player.keys).length - player.getForgedKeys();
+    let cost = player.getCurrentKeyCost();
+
+    return cost > 0 ? Math.min(unforged, Math.floor(player.amber / cost)) : unforged;
+}
+
+/**
+ * Ends a game once its time limit has been reached. The turn in progress is finished and the
+ * players take a number of extra turns, then the game is decided by the tiebreak steps
+ */
+class Tiebreak {
+    /**
+     * @param {import('./game')} game
+     * @param {Object} [options]
+     * @param {number} [options.extraTurns] - the turns played after the turn in progress when
+     * time runs out
+     * @param {Object[]} [options.steps]
+     */
+    constructor(game, options = {}) {
+        this.game = game;
+        this.extraTurns = options.extraTurns !== undefined ? options.extraTurns : 1;
+        this.steps = options.steps || TiebreakSteps;
+        this.started = false;
+        this.turnsLeft = 0;
+        this.result = undefined;
+    }
+
+    /**
+     * Called when the time limit is reached
+     */
+    start() {
+        if (this.started || this.game.finishedAt) {
+            return;
+        }
+
+        this.started = true;
+        this.turnsLeft = this.extraTurns;
+
+        this.game.addAlert(
+            'warning',
+            'Time up. {0} finishes their turn, then there {1} before the tiebreak',
+            this.game.activePlayer,
+            this.turnsLeft === 1 ? 'is 1 extra turn' : `are ${this.turnsLeft} extra turns`
+        );
+    }
+
+    /**
+     * Called at the end of each turn, decides the game once the extra turns have been played
+     */
+    onTurnEnded() {
+        if (!this.started || this.game.finishedAt) {
+            return;
+        }
+
+        if (this.turnsLeft > 0) {
+            this.turnsLeft--;
+            this.game.addAlert(
+                'warning',
+                '{0} takes {1} before the tiebreak',
+                this.game.activePlayer,
+                this.turnsLeft === 0 ? 'the final turn' : 'an extra turn'
+            );
+
+            return;
+        }
+
+        this.resolve();
+    }
+
+    /**
+     * Runs through the tiebreak steps until one separates the players, recording the winner or
+     * a draw if none of them do
+     */
+    resolve() {
+        let players = this.game.getPlayers();
+
+        for (const step of this.steps) {
+            let scores = players.map((player) => ({ player, score: step.score(player) }));
+
+            this.game.addMessage(
+                'Tiebreak on {0}: {1}',
+                step.description,
+                scores.map(({ player, score }) => `${player.name} ${score}`).join(', ')
+            );
+
+            let best = Math.max(...scores.map(({ score }) => score));
+            let leaders = scores.filter(({ score }) => score === best);
+            if (leaders.length === 1) {
+                this.result = { step: step.name, winner: leaders[0].player.name };
+                this.game.recordWinner(leaders[0].player, `tiebreak-${step.name}`);
+
+                return;
+            }
+        }
+
+        this.result = { step: 'draw' };
+        this.game.recordDraw('tiebreak-draw');
+    }
+
+    getState() {
+        return {
+            started: this.started,
+            turnsLeft: this.turnsLeft,
+            result: this.result
+        };
+    }
+}
+
+module.exports = Tiebreak;
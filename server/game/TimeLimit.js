@@ -28,25 +28,34 @@ class TimeLimit {
         }
     }
 
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = undefined;
+        }
+    }
+
     checkForTimeLimitReached() {
         if (this.game.useGameTimeLimit && !this.isTimeLimitReached) {
             let differenceBetweenStartOfTimerAndNow = moment.duration(
                 moment().diff(this.timeLimitStartedAt)
             );
             if (differenceBetweenStartOfTimerAndNow.asSeconds() / 60 >= this.timeLimitInMinutes) {
-                this.game.addAlert(
-                    'warning',
-                    'Time up.  The game will end after the current round has finished'
-                );
-                this.isTimeLimitReached = true;
-                this.timeLimitStarted = false;
-                this.game.timeExpired();
+                // Recorded as an input, so replays of the game reach the tiebreak at the same point
+                let playerName = this.game.activePlayer && this.game.activePlayer.name;
+                this.game.recordInput(playerName, 'timeExpired', []);
+                this.game.timeExpired(playerName);
             }
-        } else if (this.isTimeLimitReached && this.timer) {
-            clearInterval(this.timer);
-            this.timer = undefined;
+        } else if (this.isTimeLimitReached) {
+            this.stopTimer();
         }
     }
+
+    timeLimitReached() {
+        this.isTimeLimitReached = true;
+        this.timeLimitStarted = false;
+        this.stopTimer();
+    }
 }
 
 module.exports = TimeLimit;
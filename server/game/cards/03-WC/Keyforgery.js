@@ -1,4 +1,3 @@
-const _ = require('underscore');
 const Card = require('../../Card.js');
 
 class Keyforgery extends Card {
@@ -16,7 +15,7 @@ class Keyforgery extends Card {
             gameAction: ability.actions.reveal((context) => ({
                 location: 'hand',
                 chatMessage: true,
-                target: _.shuffle(context.player.hand)[0]
+                target: context.game.random.shuffle(context.player.hand)[0]
             })),
             then: (preThenContext) => ({
                 message: '{0} uses {1} to {3}',
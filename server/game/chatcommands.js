@@ -54,6 +54,21 @@ class ChatCommands {
                 location = 'deck';
                 args = args.slice(1);
 
+                break;
+            case 'discard':
+                location = 'discard';
+                args = args.slice(1);
+
+                break;
+            case 'archives':
+                location = 'archives';
+                args = args.slice(1);
+
+                break;
+            case 'play':
+                location = 'play area';
+                args = args.slice(1);
+
                 break;
         }
 
@@ -304,7 +319,9 @@ class ChatCommands {
         return _.contains(this.tokens, lowerToken);
     }
 
-    rematch(player) {
+    rematch(player, args) {
+        let seed = this.getNumberOrDefault(args[1], undefined);
+
         if (this.game.finishedAt) {
             this.game.addAlert('info', '{0} is requesting a rematch', player);
         } else {
@@ -315,7 +332,7 @@ class ChatCommands {
             );
         }
 
-        this.game.queueStep(new RematchPrompt(this.game, player));
+        this.game.queueStep(new RematchPrompt(this.game, player, seed));
     }
 }
 
@@ -7,10 +7,12 @@ const ChatCommands = require('./chatcommands');
 const GameChat = require('./gamechat');
 const EffectEngine = require('./effectengine');
 const Player = require('./player');
+const AiPlayer = require('./AiPlayer');
 const Spectator = require('./spectator');
 const AnonymousSpectator = require('./anonymousspectator');
 const GamePipeline = require('./gamepipeline');
 const SetupPhase = require('./gamesteps/setup/setupphase');
+const ScenarioSetupPhase = require('./gamesteps/setup/ScenarioSetupPhase');
 const KeyPhase = require('./gamesteps/key/KeyPhase');
 const HousePhase = require('./gamesteps/house/HousePhase');
 const MainPhase = require('./gamesteps/main/MainPhase');
@@ -22,6 +24,8 @@ const HandlerMenuPrompt = require('./gamesteps/handlermenuprompt');
 const SelectCardPrompt = require('./gamesteps/selectcardprompt');
 const OptionsMenuPrompt = require('./gamesteps/OptionsMenuPrompt');
 const GameWonPrompt = require('./gamesteps/GameWonPrompt');
+const UndoPrompt = require('./gamesteps/UndoPrompt');
+const DrawPrompt = require('./gamesteps/DrawPrompt');
 const GameActions = require('./GameActions');
 const Event = require('./Events/Event');
 const EventWindow = require('./Events/EventWindow');
@@ -30,8 +34,49 @@ const SimultaneousEffectWindow = require('./gamesteps/SimultaneousEffectWindow')
 const AbilityContext = require('./AbilityContext');
 const MenuCommands = require('./MenuCommands');
 const TimeLimit = require('./TimeLimit');
+const Tiebreak = require('./Tiebreak');
+const GameTelemetry = require('./GameTelemetry');
 const PlainTextGameChatFormatter = require('./PlainTextGameChatFormatter');
 const CardVisibility = require('./CardVisibility');
+const InputLog = require('./InputLog');
+const SeededRandom = require('./SeededRandom');
+const Match = require('../Match');
+const ScenarioCondition = require('./ScenarioCondition');
+const { getTestFixture } = require('./SandboxFixture');
+
+// How many of the most recent inputs are included in a bug report
+const BugReportInputCount = 50;
+const BugReportDescriptionLength = 2000;
+// Commands which are about the game rather than part of it, so aren't repeated when it is replayed
+const UnrecordedCommands = ['reportProblem', 'toggleCasterView'];
+// The methods clients are allowed to call. Everything else is for the engine and the game node
+const ClientCommands = [
+    'cardClicked',
+    'changeActiveHouse',
+    'changeStat',
+    'chat',
+    'concede',
+    'drop',
+    'facedownCardClicked',
+    'menuButton',
+    'menuItemClick',
+    'modifyKey',
+    'offerDraw',
+    'reportProblem',
+    'requestUndo',
+    'sandboxAddCard',
+    'sandboxExport',
+    'sandboxSetStat',
+    'sandboxToggleKey',
+    'showDeck',
+    'shuffleDeck',
+    'toggleCasterView',
+    'toggleManualMode',
+    'toggleMuteSpectators',
+    'toggleOptionSetting'
+];
+// Commands the game node records on a player's behalf, which are replayed along with theirs
+const NodeCommands = ['clockExpired', 'timeExpired'];
 
 class Game extends EventEmitter {
     constructor(details, options = {}) {
@@ -42,11 +87,16 @@ class Game extends EventEmitter {
         this.cancelPromptUsed = false;
         this.challonge = details.challonge;
         this.chatCommands = new ChatCommands(this);
+        this.checkpoints = [];
+        this.clock = details.clock || { type: 'none', time: 0, expiry: 'loss' };
         this.createdAt = new Date();
         this.currentAbilityWindow = null;
         this.currentActionWindow = null;
         this.currentEventWindow = null;
         this.currentPhase = '';
+        this.details = details;
+        // Only one draw offer can be waiting for an answer at a time
+        this.drawOffered = false;
         this.effectEngine = new EffectEngine(this);
         this.gameChat = new GameChat(this);
         this.gameFormat = details.gameFormat;
@@ -54,8 +104,12 @@ class Game extends EventEmitter {
         this.gameTimeLimit = details.gameTimeLimit;
         this.gameType = details.gameType;
         this.hideDeckLists = details.hideDeckLists;
+        this.hotseat = details.hotseat;
+        this.hotseatSeat = null;
         this.id = details.id;
-        this.manualMode = false;
+        this.inputLog = new InputLog(this);
+        this.manualMode = details.gameType === 'sandbox';
+        this.match = details.match && new Match(details.match);
         this.muteSpectators = details.muteSpectators;
         this.name = details.name;
         this.owner = details.owner.username;
@@ -64,11 +118,31 @@ class Game extends EventEmitter {
         this.playStarted = false;
         this.playersAndSpectators = {};
         this.previousWinner = details.previousWinner;
+        this.random = new SeededRandom(details.seed);
+        this.replayDecks = [];
+        this.replayDetails = this.getReplayDetails(details);
+        // The errors that have already been reported automatically, so each is only saved once
+        this.reportedErrors = [];
+        this.sandbox = details.gameType === 'sandbox';
+        this.sandboxFixture = null;
         this.savedGameId = details.savedGameId;
+        this.scenario = details.scenario;
+        this.scenarioConditions = this.scenario && {
+            win: (this.scenario.win || []).map(
+                (condition) => new ScenarioCondition(this, condition)
+            ),
+            lose: (this.scenario.lose || []).map(
+                (condition) => new ScenarioCondition(this, condition)
+            )
+        };
         this.showHand = details.showHand;
+        this.spectatorDelay = details.spectatorDelay || 0;
         this.started = false;
         this.swap = details.swap;
+        this.telemetry = new GameTelemetry(this);
+        this.tiebreak = new Tiebreak(this);
         this.timeLimit = new TimeLimit(this);
+        this.tournamentMatch = details.tournamentMatch;
         this.useGameTimeLimit = details.useGameTimeLimit;
 
         this.cardsUsed = [];
@@ -81,6 +155,7 @@ class Game extends EventEmitter {
         this.cardsPlayedThisPhase = [];
         this.effectsUsedThisPhase = [];
         this.activePlayer = null;
+        this.firstPlayer = null;
         this.jsonForUsers = {};
 
         this.cardData = options.cardData || [];
@@ -92,10 +167,15 @@ class Game extends EventEmitter {
                 player.id,
                 player.user,
                 this.owner === player.user.username,
-                this
+                this,
+                this.clock
             );
         });
 
+        this.aiPlayers = this.getPlayers()
+            .filter((player) => player.user.isAi)
+            .map((player) => new AiPlayer(this, player));
+
         _.each(details.spectators, (spectator) => {
             this.playersAndSpectators[spectator.user.username] = new Spectator(
                 spectator.id,
@@ -278,6 +358,44 @@ class Game extends EventEmitter {
         _.each(this.getPlayers(), (player) => player.stopClock());
     }
 
+    /**
+     * This is called by the game node when the clock of the player it is waiting on has run out
+     * @param {String} playerName
+     */
+    clockExpired(playerName) {
+        let player = this.getPlayerByName(playerName);
+
+        if (!player || this.finishedAt || player.clock.getRunningTimeLeft() === undefined) {
+            return;
+        }
+
+        player.clock.expire();
+    }
+
+    /**
+     * Depending on how the game was set up, a player whose clock runs out either loses the game
+     * or forfeits the rest of their turn and has their clock reset
+     * @param {Player} player
+     */
+    clockRanOut(player) {
+        if (this.clock.expiry === 'turn') {
+            this.addAlert(
+                'warning',
+                "{0}'s clock has run out, they forfeit the rest of their turn",
+                player
+            );
+            player.turnForfeited = true;
+            player.clock.modify(this.clock.time * 60);
+
+            return;
+        }
+
+        this.addAlert('warning', "{0}'s clock has run out", player);
+        if (player.opponent && player.opponent.clock.timeLeft > 0) {
+            this.recordWinner(player.opponent, 'clock');
+        }
+    }
+
     /**
      * This function is called from the client whenever a card is clicked
      * @param {String} sourcePlayer - name of the clicking player
@@ -391,6 +509,41 @@ class Game extends EventEmitter {
                 this.recordWinner(player, 'keys');
             }
         }
+
+        if (this.scenarioConditions) {
+            this.checkScenarioConditions();
+        }
+    }
+
+    /**
+     * Checks whether a scenario has been won or lost. The player's win conditions are checked
+     * first, so meeting one at the same time as a lose condition wins the scenario
+     */
+    checkScenarioConditions() {
+        if (this.scenarioConditions.win.some((condition) => condition.checkCondition())) {
+            this.recordWinner(this.getScenarioPlayer('player'), 'scenario');
+        } else if (this.scenarioConditions.lose.some((condition) => condition.checkCondition())) {
+            this.recordWinner(this.getScenarioPlayer('opponent'), 'scenario');
+        }
+    }
+
+    /**
+     * The owner of a scenario game plays the scenario's player side, their opponent the other
+     * @param {String} side - 'player' or 'opponent'
+     * @returns {Player}
+     */
+    getScenarioPlayer(side) {
+        let player = this.getPlayerByName(this.owner);
+
+        return side === 'opponent' ? player && this.getOtherPlayer(player) : player;
+    }
+
+    /**
+     * The scenario's description of where a player's cards start and the state of their board
+     * @param {Player} player
+     */
+    getScenarioLayout(player) {
+        return this.scenario[player.name === this.owner ? 'player' : 'opponent'];
     }
 
     /**
@@ -400,21 +553,94 @@ class Game extends EventEmitter {
      * @param {String} reason
      */
     recordWinner(winner, reason) {
-        if (this.winner) {
+        if (this.winner || this.draw) {
             return;
         }
 
         this.addAlert('success', '{0} has won the game', winner);
         this.setWins(winner.name, winner.wins ? winner.wins + 1 : 1);
+        if (this.match) {
+            this.match.recordGame(this.id, winner.name);
+        }
+
         this.winner = winner;
         this.finishedAt = new Date();
         this.winReason = reason;
+        this.stopClocks();
 
         this.router.gameWon(this, reason, winner);
 
         this.queueStep(new GameWonPrompt(this, winner));
     }
 
+    /**
+     * Display message declaring the game a draw, and record stats for the game. Drawn games
+     * don't count towards a match, so the game is played again
+     * @param {String} reason
+     */
+    recordDraw(reason) {
+        if (this.winner || this.draw) {
+            return;
+        }
+
+        this.addAlert('success', 'The game is a draw');
+
+        this.draw = true;
+        this.finishedAt = new Date();
+        this.winReason = reason;
+        this.stopClocks();
+
+        this.router.gameWon(this, reason);
+
+        this.queueStep(new GameWonPrompt(this));
+    }
+
+    /**
+     * Called by the game node when it closes a game before it has finished, so that it is recorded
+     * as abandoned. Clients can't call this, see isClientCommand
+     */
+    abandon() {
+        if (!this.finishedAt) {
+            this.finishedAt = new Date();
+        }
+    }
+
+    /**
+     * How the game ended: won, drawn, won because a player's clock ran out, or abandoned when it
+     * finished without a result
+     * @returns {String} one of Constants.GameResults, or undefined while the game is in progress
+     */
+    getResult() {
+        if (this.draw) {
+            return 'draw';
+        }
+
+        if (this.winner) {
+            return this.winReason === 'clock' ? 'timed-out' : 'win';
+        }
+
+        return this.finishedAt ? 'abandoned' : undefined;
+    }
+
+    /**
+     * How the game ended for one of its players
+     * @param {Player} player
+     * @returns {String} one of Constants.GameResults, or undefined while the game is in progress
+     */
+    getPlayerResult(player) {
+        let result = this.getResult();
+
+        if (result === 'win' || result === 'timed-out') {
+            if (this.winner === player) {
+                return 'win';
+            }
+
+            return result === 'win' ? 'loss' : 'timed-out';
+        }
+
+        return result;
+    }
+
     /**
      * Changes a Player variable and displays a message in chat
      * @param {String} playerName
@@ -467,6 +693,100 @@ class Game extends EventEmitter {
         }
     }
 
+    /**
+     * Sandbox games are played hotseat, so whichever seat sends a sandbox command it comes from
+     * the owner, who can change the state of either player
+     * @param {String} playerName - the seat sending the command
+     * @param {String} targetName - the player whose state is changed
+     * @returns {Player | undefined}
+     */
+    getSandboxTarget(playerName, targetName) {
+        if (!this.sandbox || !this.getPlayerByName(playerName)) {
+            return;
+        }
+
+        return this.getPlayerByName(targetName);
+    }
+
+    /**
+     * Adds any card to the hand, deck, discard, archives or play area of a player in a sandbox game
+     * @param {String} playerName
+     * @param {String} targetName
+     * @param {String} cardId
+     * @param {String} location - 'hand', 'deck', 'discard', 'archives' or 'play'
+     */
+    sandboxAddCard(playerName, targetName, cardId, location) {
+        let target = this.getSandboxTarget(playerName, targetName);
+        if (!target) {
+            return;
+        }
+
+        this.chatCommands.addCard(target, ['/add-card', location, cardId]);
+        this.checkGameState(true);
+    }
+
+    /**
+     * Sets the amber or chains of a player in a sandbox game
+     * @param {String} playerName
+     * @param {String} targetName
+     * @param {String} stat - 'amber' or 'chains'
+     * @param {Number} value
+     */
+    sandboxSetStat(playerName, targetName, stat, value) {
+        let target = this.getSandboxTarget(playerName, targetName);
+        if (!target || !['amber', 'chains'].includes(stat) || !(value >= 0)) {
+            return;
+        }
+
+        target[stat] = value;
+        this.addAlert(
+            'danger',
+            '{0} sets {1} of {2} to {3}',
+            this.getPlayerByName(playerName),
+            stat,
+            target,
+            value
+        );
+    }
+
+    /**
+     * Forges or unforges a key of a player in a sandbox game, without paying for it
+     * @param {String} playerName
+     * @param {String} targetName
+     * @param {String} color
+     */
+    sandboxToggleKey(playerName, targetName, color) {
+        let target = this.getSandboxTarget(playerName, targetName);
+        if (!target || target.keys[color] === undefined) {
+            return;
+        }
+
+        target.keys[color] = !target.keys[color];
+        this.addAlert(
+            'danger',
+            '{0} {1} the {2} key of {3}',
+            this.getPlayerByName(playerName),
+            target.keys[color] ? 'forges' : 'unforges',
+            color,
+            target
+        );
+        this.checkGameState(true);
+    }
+
+    /**
+     * Exports the state of a sandbox game as a fixture for the integration tests, which is sent
+     * to the client with the game state
+     * @param {String} playerName
+     */
+    sandboxExport(playerName) {
+        if (!this.getSandboxTarget(playerName, playerName)) {
+            return;
+        }
+
+        this.sandboxFixture = getTestFixture(this);
+        this.addMessage('{0} exports the game state', this.getPlayerByName(playerName));
+    }
+
     /**
      * This function is called by the client every time a player enters a chat message
      * @param {String} playerName
@@ -512,9 +832,137 @@ class Game extends EventEmitter {
         }
     }
 
+    /**
+     * This is called by the client when a player or spectator clicks 'Report a problem'
+     * @param {String} playerName
+     * @param {String} description - what the reporter thinks went wrong
+     */
+    reportProblem(playerName, description) {
+        let player = this.playersAndSpectators[playerName];
+
+        if (!player || player.bugReported) {
+            return;
+        }
+
+        player.bugReported = true;
+
+        this.router.reportBug(this, {
+            description: (description || '').toString().slice(0, BugReportDescriptionLength),
+            reporter: (player.user && player.user.hotseatOwner) || player.name
+        });
+
+        this.addMessage('{0} has reported a problem with the game, thank you', player);
+    }
+
+    /**
+     * This is called by the client when a caster switches between the normal spectator view and
+     * the caster view, which shows both hands. It is only available while spectators are delayed
+     * @param {String} playerName
+     */
+    toggleCasterView(playerName) {
+        let spectator = this.playersAndSpectators[playerName];
+
+        if (
+            !spectator ||
+            !this.isSpectator(spectator) ||
+            !this.spectatorDelay ||
+            !spectator.user.permissions ||
+            !spectator.user.permissions.isCaster
+        ) {
+            return;
+        }
+
+        spectator.caster = !spectator.caster;
+    }
+
+    /**
+     * This is called by the client when a player offers their opponent a draw. Offers made while
+     * another is waiting for an answer are ignored
+     * @param {String} playerName
+     */
+    offerDraw(playerName) {
+        let player = this.getPlayerByName(playerName);
+
+        if (!player || !this.getOtherPlayer(player) || this.finishedAt || this.drawOffered) {
+            return;
+        }
+
+        this.drawOffered = true;
+        this.addAlert('info', '{0} offers a draw', player);
+        this.queueStep(new DrawPrompt(this, player));
+    }
+
+    /**
+     * This is called by the client when a player asks to undo their last action
+     * @param {String} playerName
+     */
+    requestUndo(playerName) {
+        let player = this.getPlayerByName(playerName);
+
+        if (!player || this.finishedAt) {
+            return;
+        }
+
+        let inputCount = this.getUndoCheckpoint(playerName);
+        if (inputCount === undefined) {
+            this.addAlert('info', '{0} has no action to undo', player);
+            return;
+        }
+
+        this.addAlert('info', '{0} is requesting to undo their last action', player);
+        this.queueStep(new UndoPrompt(this, player, inputCount));
+    }
+
+    /**
+     * Finds the checkpoint from before the player's last action. Inputs which don't change the
+     * game, such as chat or earlier undo requests, don't count as actions
+     * @param {String} playerName
+     * @returns {Number} the number of inputs recorded at the checkpoint, or undefined if there
+     * is nothing to undo
+     */
+    getUndoCheckpoint(playerName) {
+        let inputs = this.inputLog.inputs;
+        let lastAction = _.findLastIndex(
+            inputs,
+            (input) =>
+                input.player === playerName && !['chat', 'requestUndo'].includes(input.command)
+        );
+
+        return _.find(this.checkpoints.slice().reverse(), (checkpoint) => checkpoint <= lastAction);
+    }
+
+    /**
+     * Marks the current point in the input log as one the game can be rolled back to. This is
+     * called whenever the game is waiting for the active player to choose their next action
+     */
+    saveCheckpoint() {
+        let inputCount = this.inputLog.inputs.length;
+
+        if (_.last(this.checkpoints) !== inputCount) {
+            this.checkpoints.push(inputCount);
+        }
+    }
+
+    /**
+     * Rolls the game back to a checkpoint. The router rebuilds the game from the inputs
+     * recorded up to that point and moves everyone across to it
+     * @param {Player} requestingPlayer
+     * @param {Number} inputCount
+     */
+    rollback(requestingPlayer, inputCount) {
+        let game = this.router.rollback(this, inputCount);
+
+        game.addAlert(
+            'danger',
+            '{0} has undone their last action with the agreement of their opponent',
+            game.getPlayerByName(requestingPlayer.name)
+        );
+    }
+
     selectDeck(playerName, deck) {
         let player = this.getPlayerByName(playerName);
         if (player) {
+            this.replayDecks.push({ player: playerName, deck: JSON.parse(JSON.stringify(deck)) });
             player.selectDeck(deck);
         }
     }
@@ -663,10 +1111,14 @@ class Game extends EventEmitter {
             []
         );
 
-        this.pipeline.initialise([
-            new SetupPhase(this),
-            new SimpleStep(this, () => this.beginRound())
-        ]);
+        this.pipeline.initialise(
+            this.scenario
+                ? [
+                      new ScenarioSetupPhase(this),
+                      new SimpleStep(this, () => this.beginScenarioRound())
+                  ]
+                : [new SetupPhase(this), new SimpleStep(this, () => this.beginRound())]
+        );
 
         this.playStarted = true;
         this.startedAt = new Date();
@@ -707,15 +1159,31 @@ class Game extends EventEmitter {
     }
 
     checkForTimeExpired() {
-        if (this.timeLimit.isTimeLimitReached && !this.finishedAt) {
-            this.addAlert(
-                'success',
-                'The game has ended because the timer has expired.  Timed wins are not currently implemented'
-            );
-            this.finishedAt = new Date();
+        if (this.timeLimit.isTimeLimitReached) {
+            this.tiebreak.onTurnEnded();
         }
     }
 
+    /**
+     * Scenarios can start part way into the first turn, with the active house already chosen, in
+     * which case the key and house phases are skipped
+     */
+    beginScenarioRound() {
+        let activeHouse = this.getScenarioLayout(this.activePlayer).activeHouse;
+        if (!activeHouse) {
+            return this.beginRound();
+        }
+
+        this.raiseEvent('onBeginRound');
+        this.activePlayer.beginRound();
+        this.activePlayer.activeHouse = activeHouse;
+        this.queueStep(new MainPhase(this));
+        this.queueStep(new ReadyPhase(this));
+        this.queueStep(new DrawPhase(this));
+        this.queueStep(new SimpleStep(this, () => this.raiseEndRoundEvent()));
+        this.queueStep(new SimpleStep(this, () => this.beginRound()));
+    }
+
     /*
      * Adds each of the game's main phases to the pipeline
      * @returns {undefined}
@@ -898,7 +1366,8 @@ class Game extends EventEmitter {
             socketId,
             user,
             this.owner === user.username,
-            this
+            this,
+            this.clock
         );
 
         return true;
@@ -906,7 +1375,11 @@ class Game extends EventEmitter {
 
     isEmpty() {
         return Object.values(this.playersAndSpectators).every((player) => {
-            if (player.left || player.id === 'TBA') {
+            if (
+                player.left ||
+                player.id === 'TBA' ||
+                (player.user && (player.user.isAi || player.user.hotseatOwner))
+            ) {
                 return true;
             }
 
@@ -966,16 +1439,28 @@ class Game extends EventEmitter {
         player.socket = undefined;
     }
 
-    rematch() {
+    /**
+     * @param {Number} [seed] - seed for the random number generator of the rematch
+     */
+    rematch(seed) {
         if (!this.finishedAt) {
             this.finishedAt = new Date();
             this.winReason = 'rematch';
         }
 
-        this.router.rematch(this);
+        this.router.rematch(this, seed);
     }
 
+    /**
+     * This is called when the game time limit has been reached, and when that is replayed
+     */
     timeExpired() {
+        if (this.timeLimit.isTimeLimitReached) {
+            return;
+        }
+
+        this.timeLimit.timeLimitReached();
+        this.tiebreak.start();
         this.emit('onTimeExpired');
     }
 
@@ -1072,6 +1557,7 @@ class Game extends EventEmitter {
         }
 
         this.activePlayer.endRound();
+        this.activePlayer.turnForfeited = false;
         this.cardsUsed = [];
         this.omegaCard = null;
         this.cardsPlayed = [];
@@ -1105,6 +1591,10 @@ class Game extends EventEmitter {
         this.addMessage(playerResources);
         this.addAlert('startofround', `Turn ${this.round} - {0}`, this.activePlayer);
         this.checkForTimeExpired();
+
+        if (this.scenarioConditions) {
+            this.checkScenarioConditions();
+        }
     }
 
     playerKeys(player) {
@@ -1181,6 +1671,143 @@ class Game extends EventEmitter {
         this.pipeline.continue();
     }
 
+    /**
+     * The name of the seat a user is playing as. In hotseat games the owner plays both seats, so
+     * they act as whichever seat the game is waiting on, staying with the current seat while it
+     * still has something to do
+     * @param {String} username
+     * @returns {String}
+     */
+    getSeatForUser(username) {
+        if (!this.hotseat || username !== this.owner) {
+            return username;
+        }
+
+        let players = this.getPlayers();
+        let seat = this.playersAndSpectators[this.hotseatSeat];
+
+        if (!seat || !seat.isPrompted()) {
+            seat =
+                players.find((player) => player !== seat && player.isPrompted()) ||
+                seat ||
+                this.playersAndSpectators[username];
+        }
+
+        if (!seat) {
+            return username;
+        }
+
+        this.hotseatSeat = seat.name;
+
+        return seat.name;
+    }
+
+    /**
+     * Records a command sent by a player so the game can be replayed later
+     * @param {String} playerName
+     * @param {String} command - name of the game method being called
+     * @param {Array} args - the arguments passed to the method after the player name
+     */
+    recordInput(playerName, command, args) {
+        if (UnrecordedCommands.includes(command)) {
+            return;
+        }
+
+        this.inputLog.record(playerName, command, args);
+    }
+
+    /**
+     * Whether a client is allowed to send a command
+     * @param {String} command - name of the game method being called
+     */
+    isClientCommand(command) {
+        return ClientCommands.includes(command) && this[command] instanceof Function;
+    }
+
+    /**
+     * Executes a command previously recorded with recordInput
+     * @param {{ player: String, command: String, args: Array }} input
+     */
+    replayInput(input) {
+        if (!this.isClientCommand(input.command) && !NodeCommands.includes(input.command)) {
+            return;
+        }
+
+        let args = this.inputLog.resolve(input);
+
+        this.recordInput(input.player, input.command, args);
+        this[input.command](input.player, ...args);
+    }
+
+    getReplayDetails(details) {
+        return {
+            adaptive: details.adaptive,
+            clock: details.clock,
+            gameFormat: details.gameFormat,
+            gameTimeLimit: details.gameTimeLimit,
+            gameType: details.gameType,
+            hideDeckLists: details.hideDeckLists,
+            hotseat: details.hotseat,
+            id: details.id,
+            match: details.match,
+            name: details.name,
+            owner: { username: details.owner.username },
+            players: _.map(details.players, (player) => ({
+                id: player.id,
+                user: {
+                    avatar: player.user.avatar,
+                    hotseatOwner: player.user.hotseatOwner,
+                    role: player.user.role,
+                    settings: player.user.settings,
+                    username: player.user.username
+                },
+                wins: player.wins
+            })),
+            previousWinner: details.previousWinner,
+            scenario: details.scenario,
+            showHand: details.showHand,
+            spectatorDelay: details.spectatorDelay,
+            swap: details.swap,
+            useGameTimeLimit: details.useGameTimeLimit
+        };
+    }
+
+    /**
+     * Everything needed to look into a problem with the game: the state as each player sees it,
+     * the game log, the decks in play and the most recent inputs
+     */
+    getBugReport() {
+        let state = {};
+        for (const player of this.getPlayers()) {
+            state[player.name] = this.getState(player.name);
+        }
+
+        return {
+            decks: this.replayDecks.map(({ player, deck }) => ({
+                player: player,
+                name: deck.name,
+                uuid: deck.uuid,
+                houses: deck.houses,
+                cards: (deck.cards || []).map((card) => ({ id: card.id, count: card.count }))
+            })),
+            inputs: this.inputLog.inputs.slice(-BugReportInputCount),
+            log: this.getPlainTextLog(),
+            state: state
+        };
+    }
+
+    /*
+     * Everything needed to recreate this game from the start and replay it
+     */
+    getReplay() {
+        return {
+            decks: this.replayDecks,
+            details: this.replayDetails,
+            inputs: this.inputLog.inputs,
+            seed: this.random.seed
+        };
+    }
+
     /*
      * This information is all logged when a game is won
      */
@@ -1188,9 +1815,11 @@ class Game extends EventEmitter {
         let players = this.getPlayers().map((player) => {
             return {
                 deck: player.deckData.identity,
+                first: this.firstPlayer === player,
                 houses: player.houses,
                 keys: player.keys,
                 name: player.name,
+                result: this.getPlayerResult(player),
                 turn: player.turn,
                 wins: player.wins
             };
@@ -1205,10 +1834,15 @@ class Game extends EventEmitter {
             gamePrivate: this.gamePrivate,
             gameType: this.gameType,
             id: this.savedGameId,
+            match: this.match && this.match.getState(),
             players: players,
             previousWinner: this.previousWinner,
+            result: this.getResult(),
+            seed: this.random.seed,
             startedAt: this.startedAt,
             swap: this.swap,
+            telemetry: this.telemetry.getState(),
+            tournamentMatch: this.tournamentMatch,
             winReason: this.winReason,
             winner: this.winner ? this.winner.name : undefined
         };
@@ -1231,22 +1865,32 @@ class Game extends EventEmitter {
             return {
                 adaptive: this.adaptive,
                 cancelPromptUsed: this.cancelPromptUsed,
+                casterView: !!activePlayer.caster,
                 challonge: this.challonge,
+                clock: this.clock,
+                draw: this.draw,
                 gameFormat: this.gameFormat,
                 gamePrivate: this.gamePrivate,
                 gameTimeLimitStarted: this.timeLimit.timeLimitStarted,
                 gameTimeLimitStartedAt: this.timeLimit.timeLimitStartedAt,
                 gameTimeLimitTime: this.timeLimit.timeLimitInMinutes,
                 hideDeckLists: this.hideDeckLists,
+                hotseat: this.hotseat,
+                hotseatSeat: this.hotseatSeat,
                 id: this.id,
                 manualMode: this.manualMode,
+                match: this.match && this.match.getState(),
                 messages: this.gameChat.messages,
                 muteSpectators: this.muteSpectators,
                 name: this.name,
                 owner: this.owner,
                 players: playerState,
                 previousWinner: this.previousWinner,
+                sandbox: this.sandbox,
+                sandboxFixture: this.sandboxFixture,
+                scenario: this.scenario && { name: this.scenario.name, goal: this.scenario.goal },
                 showHand: this.showHand,
+                spectatorDelay: this.spectatorDelay,
                 spectators: this.getSpectators().map((spectator) => {
                     return {
                         id: spectator.id,
@@ -1255,6 +1899,9 @@ class Game extends EventEmitter {
                 }),
                 started: this.started,
                 swap: this.swap,
+                // Only sent once the game is over, for the post-game summary
+                telemetry: this.winner || this.draw ? this.telemetry.getState() : undefined,
+                tiebreak: this.tiebreak.getState(),
                 useGameTimeLimit: this.useGameTimeLimit,
                 winner: this.winner ? this.winner.name : undefined
             };
@@ -1299,17 +1946,20 @@ class Game extends EventEmitter {
             allowSpectators: this.allowSpectators,
             createdAt: this.createdAt,
             challonge: this.challonge,
+            clock: this.clock,
             gameFormat: this.gameFormat,
             gamePrivate: this.gamePrivate,
             gameType: this.gameType,
             id: this.id,
             manualMode: this.manualMode,
+            match: this.match && this.match.getState(),
             messages: this.gameChat.messages,
             muteSpectators: this.muteSpectators,
             name: this.name,
             owner: this.owner,
             players: playerSummaries,
             showHand: this.showHand,
+            spectatorDelay: this.spectatorDelay,
             spectators: this.getSpectators().map((spectator) => {
                 return {
                     id: spectator.id,
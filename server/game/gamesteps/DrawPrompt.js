@@ -0,0 +1,63 @@
+const AllPlayerPrompt = require('./allplayerprompt');
+
+class DrawPrompt extends AllPlayerPrompt {
+    /**
+     * @param {import('../game')} game
+     * @param {import('../player')} requestingPlayer
+     */
+    constructor(game, requestingPlayer) {
+        super(game);
+
+        this.requestingPlayer = requestingPlayer;
+        this.completedPlayers = new Set([requestingPlayer]);
+        this.cancelled = false;
+    }
+
+    completionCondition(player) {
+        return this.cancelled || this.completedPlayers.has(player);
+    }
+
+    activePrompt() {
+        return {
+            menuTitle: {
+                text: '{{player}} is offering a draw. Accept?',
+                values: {
+                    player: this.requestingPlayer.name
+                }
+            },
+            buttons: [
+                { arg: 'yes', text: 'Yes' },
+                { arg: 'no', text: 'No' }
+            ]
+        };
+    }
+
+    waitingPrompt() {
+        return {
+            menuTitle: 'Waiting for opponent to accept the draw'
+        };
+    }
+
+    onMenuCommand(player, arg) {
+        if (arg === 'yes') {
+            this.completedPlayers.add(player);
+        } else {
+            this.game.addAlert('info', '{0} declines the draw', player);
+            this.cancelled = true;
+        }
+
+        return true;
+    }
+
+    onCompleted() {
+        this.game.drawOffered = false;
+
+        if (this.cancelled) {
+            return;
+        }
+
+        this.game.recordDraw('agreed');
+    }
+}
+
+module.exports = DrawPrompt;
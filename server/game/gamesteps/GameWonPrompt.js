@@ -13,11 +13,55 @@ class GameWonPrompt extends AllPlayerPrompt {
     }
 
     activePrompt() {
+        let match = this.game.match;
+
+        if (!this.winner) {
+            return {
+                promptTitle: 'Game Drawn',
+                menuTitle: match
+                    ? {
+                          text: 'Game {{game}} of the match is a draw and will be played again',
+                          values: { game: match.getGameNumber() }
+                      }
+                    : 'The game is a draw',
+                buttons: match
+                    ? [
+                          { arg: 'continue', text: 'Continue Playing' },
+                          { arg: 'next-game', text: 'Next Game' }
+                      ]
+                    : [
+                          { arg: 'continue', text: 'Continue Playing' },
+                          { arg: 'rematch', text: 'Rematch' },
+                          { arg: 'rematch-swap', text: 'Rematch: Swap Decks' }
+                      ]
+            };
+        }
+
+        if (match && !match.isComplete()) {
+            return {
+                promptTitle: 'Game Won',
+                menuTitle: {
+                    text: '{{player}} has won game {{game}} of the match ({{score}})',
+                    values: {
+                        game: match.getGameNumber() - 1,
+                        player: this.winner.name,
+                        score: this.getScore()
+                    }
+                },
+                buttons: [
+                    { arg: 'continue', text: 'Continue Playing' },
+                    { arg: 'next-game', text: 'Next Game' }
+                ]
+            };
+        }
+
         return {
-            promptTitle: 'Game Won',
+            promptTitle: match ? 'Match Won' : 'Game Won',
             menuTitle: {
-                text: '{{player}} has won the game!',
-                values: { player: this.winner.name }
+                text: match
+                    ? '{{player}} has won the match ({{score}})!'
+                    : '{{player}} has won the game!',
+                values: { player: this.winner.name, score: match && this.getScore() }
             },
             buttons: [
                 { arg: 'continue', text: 'Continue Playing' },
@@ -27,6 +71,15 @@ class GameWonPrompt extends AllPlayerPrompt {
         };
     }
 
+    getScore() {
+        let score = this.game.match.getScore();
+
+        return this.game
+            .getPlayers()
+            .map((player) => score[player.name] || 0)
+            .join('-');
+    }
+
     waitingPrompt() {
         return { menuTitle: 'Waiting for opponent to choose to continue' };
     }
@@ -43,13 +96,16 @@ class GameWonPrompt extends AllPlayerPrompt {
             case 'rematch-swap':
                 message = 'a rematch and swap decks';
                 break;
+            case 'next-game':
+                message = 'to start the next game of the match';
+                break;
         }
 
         this.game.addMessage('{0} would like {1}', player, message);
 
         this.clickedButton[player.name] = true;
 
-        if (arg === 'rematch') {
+        if (arg === 'rematch' || arg === 'next-game') {
             this.game.queueStep(new RematchPrompt(this.game, player));
 
             return true;
@@ -1,12 +1,20 @@
 const AllPlayerPrompt = require('./allplayerprompt');
 
 class RematchPrompt extends AllPlayerPrompt {
-    constructor(game, requestingPlayer) {
+    /**
+     * @param {import('../game')} game
+     * @param {import('../player')} requestingPlayer
+     * @param {Number} [seed] - seed for the random number generator of the rematch
+     */
+    constructor(game, requestingPlayer, seed) {
         super(game);
 
         this.requestingPlayer = requestingPlayer;
+        this.seed = seed;
         this.completedPlayers = new Set([requestingPlayer]);
-        this.swap = game.swap;
+        // The decks used in the next game of a match are decided by the match rather than swapping
+        this.nextMatchGame = game.match && !game.match.isComplete() && game.match.getGameNumber();
+        this.swap = !this.nextMatchGame && game.swap;
         this.cancelled = false;
     }
 
@@ -15,11 +23,25 @@ class RematchPrompt extends AllPlayerPrompt {
     }
 
     activePrompt() {
+        if (this.nextMatchGame) {
+            return {
+                menuTitle: {
+                    text: '{{player}} would like to start game {{game}} of the match. Allow?',
+                    values: { game: this.nextMatchGame, player: this.requestingPlayer.name }
+                },
+                buttons: [
+                    { arg: 'yes', text: 'Yes' },
+                    { arg: 'no', text: 'No' }
+                ]
+            };
+        }
+
         return {
             menuTitle: {
-                text: '{{player}} would like a rematch{{swap}}. Allow?',
+                text: '{{player}} would like a rematch{{swap}}{{seed}}. Allow?',
                 values: {
                     player: this.requestingPlayer.name,
+                    seed: this.seed !== undefined ? ` with seed ${this.seed}` : '',
                     swap: this.swap ? ' and swap decks' : ''
                 }
             },
@@ -58,7 +80,14 @@ class RematchPrompt extends AllPlayerPrompt {
             return;
         }
 
-        this.game.rematch();
+        this.game.rematch(this.seed);
+
+        if (this.nextMatchGame) {
+            this.game.addAlert('info', 'Setting up game {0} of the match', this.nextMatchGame);
+
+            return;
+        }
+
         this.game.addAlert(
             'danger',
             '{0} uses /rematch to reset the game and start a rematch',
@@ -0,0 +1,63 @@
+const AllPlayerPrompt = require('./allplayerprompt');
+
+class UndoPrompt extends AllPlayerPrompt {
+    /**
+     * @param {import('../game')} game
+     * @param {import('../player')} requestingPlayer
+     * @param {Number} inputCount - number of recorded inputs to keep when rolling back
+     */
+    constructor(game, requestingPlayer, inputCount) {
+        super(game);
+
+        this.requestingPlayer = requestingPlayer;
+        this.inputCount = inputCount;
+        this.completedPlayers = new Set([requestingPlayer]);
+        this.cancelled = false;
+    }
+
+    completionCondition(player) {
+        return this.cancelled || this.completedPlayers.has(player);
+    }
+
+    activePrompt() {
+        return {
+            menuTitle: {
+                text: '{{player}} would like to undo their last action. Allow?',
+                values: {
+                    player: this.requestingPlayer.name
+                }
+            },
+            buttons: [
+                { arg: 'yes', text: 'Yes' },
+                { arg: 'no', text: 'No' }
+            ]
+        };
+    }
+
+    waitingPrompt() {
+        return {
+            menuTitle: 'Waiting for opponent to agree to undo'
+        };
+    }
+
+    onMenuCommand(player, arg) {
+        if (arg === 'yes') {
+            this.completedPlayers.add(player);
+        } else {
+            this.game.addAlert('info', '{0} would not like to undo', player);
+            this.cancelled = true;
+        }
+
+        return true;
+    }
+
+    onCompleted() {
+        if (this.cancelled) {
+            return;
+        }
+
+        this.game.rollback(this.requestingPlayer, this.inputCount);
+    }
+}
+
+module.exports = UndoPrompt;
@@ -67,6 +67,20 @@ class ActionWindow extends UiPrompt {
         }
     }
 
+    continue() {
+        if (this.game.activePlayer.turnForfeited) {
+            this.complete();
+        }
+
+        return super.continue();
+    }
+
+    setPrompt() {
+        super.setPrompt();
+
+        this.game.saveCheckpoint();
+    }
+
     activePrompt() {
         let buttons = [{ text: 'End Turn', arg: 'done' }];
 
@@ -10,11 +10,19 @@ class AdaptiveDeckSelectionPrompt extends AllPlayerPrompt {
         this.players = game.getPlayers();
     }
 
+    /**
+     * Decks are bid on in adaptive best of 1 games, and in the deciding game of a match
+     */
+    isBiddingGame() {
+        return (
+            this.game.gameFormat === 'adaptive-bo1' ||
+            (!!this.game.match && this.game.match.isDecider())
+        );
+    }
+
     completionCondition(player) {
         return (
-            !(this.game.gameFormat === 'adaptive-bo1') ||
-            !!this.clickedButton[player.name] ||
-            this.players.length < 2
+            !this.isBiddingGame() || !!this.clickedButton[player.name] || this.players.length < 2
         );
     }
 
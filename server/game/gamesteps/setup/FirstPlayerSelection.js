@@ -1,5 +1,4 @@
 const AllPlayerPrompt = require('../allplayerprompt');
-const _ = require('underscore');
 
 class FirstPlayerSelection extends AllPlayerPrompt {
     constructor(game) {
@@ -53,10 +52,12 @@ class FirstPlayerSelection extends AllPlayerPrompt {
 
     onCompleted() {
         if (!this.game.activePlayer) {
-            let allPlayersShuffled = _.shuffle(this.game.getPlayers());
+            let allPlayersShuffled = this.game.random.shuffle(this.game.getPlayers());
             this.game.activePlayer = allPlayersShuffled.shift();
             this.game.addMessage('{0} won the flip and is first player', this.game.activePlayer);
         }
+
+        this.game.firstPlayer = this.game.activePlayer;
     }
 }
 
@@ -0,0 +1,124 @@
+const Phase = require('../phase.js');
+const SimpleStep = require('../simplestep.js');
+const GameStartPrompt = require('./GameStartPrompt');
+
+/**
+ * Replaces the setup phase in scenario games. Rather than drawing hands, mulliganing and choosing
+ * who goes first, every card starts where the scenario puts it
+ */
+class ScenarioSetupPhase extends Phase {
+    constructor(game) {
+        super(game, 'setup');
+        this.initialise([
+            new SimpleStep(game, () => this.setupBegin()),
+            new SimpleStep(game, () => this.setupBoard()),
+            new GameStartPrompt(game),
+            new SimpleStep(game, () => this.startGame())
+        ]);
+    }
+
+    startPhase() {
+        this.game.currentPhase = this.name;
+        for (let step of this.steps) {
+            this.game.queueStep(step);
+        }
+
+        this.game.addAlert('info', '{0}: {1}', this.game.scenario.name, this.game.scenario.goal);
+    }
+
+    setupBegin() {
+        for (let card of this.game.allCards) {
+            card.applyAnyLocationPersistentEffects();
+        }
+
+        this.game.activePlayer = this.game.getScenarioPlayer(this.game.scenario.firstPlayer);
+        this.game.firstPlayer = this.game.activePlayer;
+    }
+
+    setupBoard() {
+        for (let player of this.game.getPlayers()) {
+            let layout = this.game.getScenarioLayout(player);
+            let deck = player.deck.slice();
+            let takeCard = (id) => {
+                let card = deck.find((card) => card.id === id);
+                deck = deck.filter((c) => c !== card);
+
+                return card;
+            };
+
+            for (let location of ['hand', 'discard', 'archives']) {
+                for (let id of layout[location] || []) {
+                    player.moveCard(takeCard(id), location);
+                }
+            }
+
+            for (let entry of layout.inPlay || []) {
+                this.putIntoPlay(
+                    player,
+                    typeof entry === 'string' ? { id: entry } : entry,
+                    takeCard
+                );
+            }
+
+            // Cards the scenario lists in the deck are on top, in the order they are listed
+            let topCards = (layout.deck || []).map((id) => takeCard(id));
+            player.deck = topCards.concat(player.deck.filter((card) => !topCards.includes(card)));
+
+            player.amber = layout.amber || 0;
+            player.chains = layout.chains || 0;
+            for (let key of layout.keys || []) {
+                player.keys[key] = true;
+            }
+        }
+
+        this.game.checkGameState(true);
+    }
+
+    putIntoPlay(player, state, takeCard) {
+        let card = takeCard(state.id);
+
+        player.moveCard(card, 'play area');
+        card.new = false;
+
+        if (state.exhausted) {
+            card.exhaust();
+        }
+
+        if (state.stunned) {
+            card.stun();
+        }
+
+        if (state.enraged) {
+            card.enrage();
+        }
+
+        if (state.warded) {
+            card.ward();
+        }
+
+        for (let token of ['amber', 'damage', 'power']) {
+            if (state[token]) {
+                card.addToken(token, state[token]);
+            }
+        }
+
+        for (let id of state.upgrades || []) {
+            let upgrade = takeCard(id);
+
+            player.removeCardFromPile(upgrade);
+            upgrade.moveTo('play area');
+            card.upgrades.push(upgrade);
+            upgrade.parent = card;
+        }
+    }
+
+    startGame() {
+        for (let player of this.game.getPlayers()) {
+            player.readyToStart = true;
+        }
+
+        this.game.raiseEvent('onGameStarted');
+    }
+}
+
+module.exports = ScenarioSetupPhase;
@@ -29,6 +29,11 @@ class SetupPhase extends Phase {
         }
 
         for (const player of this.game.getPlayers()) {
+            if (player.deckData.pods && !this.game.hideDeckLists) {
+                this.announceAlliance(player);
+                continue;
+            }
+
             let link = {
                 link: 'https://www.keyforgegame.com/deck-details/' + player.deckData.uuid,
                 argType: 'link',
@@ -45,6 +50,26 @@ class SetupPhase extends Phase {
         }
     }
 
+    /**
+     * Alliance decks are made of pods from different decks, so each pod's deck is shown
+     * @param {import('../../player')} player
+     */
+    announceAlliance(player) {
+        this.game.addMessage(
+            '{0} brings an Alliance to The Crucible{1}',
+            player,
+            player.chains > 0 ? ` with ${player.chains} chains` : ''
+        );
+
+        for (const pod of player.deckData.pods) {
+            this.game.addMessage('{0} takes {1} from {2}', player, pod.house, {
+                link: 'https://www.keyforgegame.com/deck-details/' + pod.deckUuid,
+                argType: 'link',
+                label: pod.deckName
+            });
+        }
+    }
+
     setupBegin() {
         for (let card of this.game.allCards) {
             card.applyAnyLocationPersistentEffects();
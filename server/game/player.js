@@ -31,6 +31,8 @@ class Player extends GameObject {
         this.keysForgedThisRound = [];
 
         this.clock = ClockSelector.for(this, clockdetails);
+        // Set when the player's clock runs out in games where that forfeits their turn
+        this.turnForfeited = false;
         this.showDeck = false;
         this.role = user.role;
         this.avatar = user.avatar;
@@ -54,8 +56,16 @@ class Player extends GameObject {
     }
 
     startClock() {
+        // Prompts are set again after every input, which mustn't restart a clock that is running
+        if (this.game.finishedAt || this.clock.isRunning()) {
+            return;
+        }
+
+        // Settle any time counted while the opponent had the clock
+        this.clock.stop();
         this.clock.start();
         if (this.opponent) {
+            this.opponent.clock.stop();
             this.opponent.clock.opponentStart();
         }
     }
@@ -184,7 +194,7 @@ class Player extends GameObject {
      */
     shuffleDeck() {
         this.game.emitEvent('onDeckShuffled', { player: this });
-        this.deck = _.shuffle(this.deck);
+        this.deck = this.game.random.shuffle(this.deck);
     }
 
     /**
@@ -331,7 +341,8 @@ class Player extends GameObject {
 
     /**
      * Called by the game when the game starts, sets the players decklist
-     * @param {*} deckData
+     * @param {*} deckData - either a single deck, or an Alliance deck whose `pods` list the deck
+     * each house was taken from
      */
     selectDeck(deckData) {
         this.deckData.selected = false;
@@ -492,6 +503,15 @@ class Player extends GameObject {
         return this.promptState.getState();
     }
 
+    /**
+     * Whether the game is waiting on this player to click a button or choose a card
+     */
+    isPrompted() {
+        let prompt = this.currentPrompt();
+
+        return !!prompt.selectCard || prompt.buttons.length > 0;
+    }
+
     setPrompt(prompt) {
         this.promptState.setPrompt(prompt);
     }
@@ -4,6 +4,7 @@ class Spectator {
         this.name = this.user.username;
         this.emailHash = this.user.emailHash;
         this.id = id;
+        this.caster = false;
 
         this.buttons = [];
         this.menuTitle = 'Spectator mode';
@@ -14,10 +14,14 @@ const { detectBinary } = require('../util');
 const logger = require('../log');
 const GameSocket = require('./gamesocket');
 const Game = require('../game/game');
+const GameReplay = require('../game/GameReplay');
 const Socket = require('../socket');
 const ConfigService = require('../services/ConfigService');
 const version = require('../../version');
 
+// How long the AI opponent waits before each decision, so the player can follow what it is doing
+const AiDecisionDelay = 750;
+
 class GameServer {
     constructor() {
         this.configService = new ConfigService();
@@ -28,6 +32,8 @@ class GameServer {
         }
 
         this.games = {};
+        // The states waiting to be sent to spectators of games with a spectator delay, by game id
+        this.delayedStates = {};
         this.protocol = 'https';
 
         try {
@@ -50,6 +56,7 @@ class GameServer {
             version.build
         );
         this.gameSocket.on('onStartGame', this.onStartGame.bind(this));
+        this.gameSocket.on('onRestoreGame', this.onRestoreGame.bind(this));
         this.gameSocket.on('onSpectator', this.onSpectator.bind(this));
         this.gameSocket.on('onGameSync', this.onGameSync.bind(this));
         this.gameSocket.on('onFailedConnect', this.onFailedConnect.bind(this));
@@ -95,6 +102,7 @@ class GameServer {
         this.io.on('connection', this.onConnection.bind(this));
 
         setInterval(() => this.clearStaleAndFinishedGames(), 30 * 1000);
+        setInterval(() => this.saveSnapshots(), 30 * 1000);
     }
 
     debugDump() {
@@ -152,6 +160,14 @@ class GameServer {
             scope.setExtra('extra', debugData);
         });
         Sentry.captureException(e);
+
+        // An error in a prompt is often thrown again on every click, so only report it once
+        let signature = (e.stack || e.message).split('\n').slice(0, 2).join('\n');
+        if (!game.reportedErrors.includes(signature)) {
+            game.reportedErrors.push(signature);
+            this.reportBug(game, { error: e.stack || e.message });
+        }
+
         if (game) {
             game.addMessage(
                 'A Server error has occured processing your game state, apologies.  Your game may now be in an inconsistent state, or you may be able to continue.  The error has been logged.'
@@ -170,10 +186,62 @@ class GameServer {
             }
         }
 
+        this.removeGame(game);
+    }
+
+    /**
+     * Removes a game from this node, passing its replay to the lobby so it can be stored. Games
+     * which are removed before they have finished are recorded as abandoned
+     * @param {import("../game/game")} game
+     */
+    removeGame(game) {
         delete this.games[game.id];
+
+        if (this.delayedStates[game.id]) {
+            clearTimeout(this.delayedStates[game.id].timer);
+            delete this.delayedStates[game.id];
+        }
+
+        this.gameSocket.removeSnapshot(game.id);
+        if (game.playStarted && !game.finishedAt) {
+            game.abandon();
+            this.gameSocket.send('GAMEABANDONED', { game: game.getSaveState() });
+        }
+
+        this.sendReplay(game);
         this.gameSocket.send('GAMECLOSED', { game: game.id });
     }
 
+    /**
+     * @param {import("../game/game")} game
+     */
+    sendReplay(game) {
+        if (!game.playStarted) {
+            return;
+        }
+
+        this.gameSocket.send('GAMEREPLAY', { gameId: game.id, replay: game.getReplay() });
+    }
+
+    /**
+     * Saves the seed, decks and inputs of every game in progress that has changed since it was
+     * last saved, so that the game can be restored on another node if this one goes away
+     */
+    saveSnapshots() {
+        for (const game of Object.values(this.games)) {
+            if (
+                !game.playStarted ||
+                game.finishedAt ||
+                game.snapshotInputCount === game.inputLog.inputs.length
+            ) {
+                continue;
+            }
+
+            game.snapshotInputCount = game.inputLog.inputs.length;
+            this.gameSocket.saveSnapshot(game.id, game.getReplay());
+        }
+    }
+
     clearStaleAndFinishedGames() {
         const timeout = 20 * 60 * 1000;
 
@@ -225,23 +293,195 @@ class GameServer {
      * @param {import("../game/game")} game
      */
     sendGameState(game) {
+        let delayedStates = {};
+
         for (const player of Object.values(game.getPlayersAndSpectators())) {
             if (player.left || player.disconnectedAt || !player.socket) {
                 continue;
             }
 
-            let state = game.getState(player.name);
+            let state = game.getState(game.getSeatForUser(player.name));
+
+            if (game.spectatorDelay && game.isSpectator(player)) {
+                delayedStates[player.name] = JSON.stringify(state);
+                continue;
+            }
+
+            this.sendStateToUser(game, player, state);
+        }
+
+        if (Object.keys(delayedStates).length > 0) {
+            this.sendDelayedGameState(game, delayedStates);
+        }
+
+        this.queueAiDecision(game);
+        this.queueClockExpiry(game);
+    }
+
+    /**
+     * Holds the spectators' states back for the game's spectator delay, so streams of the game can't
+     * be used to help the players. The states are serialised as they are now, as the game changes
+     * underneath them. Each game keeps one queue of states, sent in order by a single timer
+     * @param {import("../game/game")} game
+     * @param {Object.<string, string>} states - the serialised state for each spectator, by name
+     */
+    sendDelayedGameState(game, states) {
+        let delayed = this.delayedStates[game.id];
+        if (!delayed) {
+            delayed = this.delayedStates[game.id] = { queue: [], timer: undefined };
+        }
+
+        delayed.queue.push({ sendAt: Date.now() + game.spectatorDelay * 1000, states: states });
+
+        if (!delayed.timer) {
+            this.queueDelayedGameState(game.id);
+        }
+    }
+
+    /**
+     * Waits until the oldest delayed state of a game is due, then sends every state that is due
+     * @param {string} gameId
+     */
+    queueDelayedGameState(gameId) {
+        let delayed = this.delayedStates[gameId];
+        if (delayed.queue.length === 0) {
+            delete this.delayedStates[gameId];
+            return;
+        }
+
+        delayed.timer = setTimeout(() => {
+            delayed.timer = undefined;
+
+            // Rolling back replaces the game, so look it up again
+            let currentGame = this.games[gameId];
+            if (!currentGame) {
+                delete this.delayedStates[gameId];
+                return;
+            }
+
+            while (delayed.queue.length > 0 && delayed.queue[0].sendAt <= Date.now()) {
+                let { states } = delayed.queue.shift();
+
+                for (let [spectatorName, state] of Object.entries(states)) {
+                    let spectator = currentGame.playersAndSpectators[spectatorName];
+                    if (
+                        !spectator ||
+                        spectator.left ||
+                        spectator.disconnectedAt ||
+                        !spectator.socket
+                    ) {
+                        continue;
+                    }
+
+                    this.sendStateToUser(currentGame, spectator, JSON.parse(state));
+                }
+            }
+
+            this.queueDelayedGameState(gameId);
+        }, Math.max(delayed.queue[0].sendAt - Date.now(), 0));
+    }
+
+    /**
+     * Sends the changes since the last state the user was sent
+     * @param {import("../game/game")} game
+     */
+    sendStateToUser(game, player, state) {
+        let stateToSend = state;
+
+        if (game.jsonForUsers[player.name]) {
+            stateToSend = jsondiffpatch.diff(game.jsonForUsers[player.name], state);
+        }
+
+        player.socket.send('gamestate', stateToSend);
+
+        game.jsonForUsers[player.name] = jsondiffpatch.clone(state);
+    }
+
+    /**
+     * Lets the AI players in a game answer the prompts they are waiting on. Decisions are run the
+     * same way as a player's input so they are recorded for replays, and each one sends the game
+     * state which queues the next
+     * @param {import("../game/game")} game
+     */
+    queueAiDecision(game) {
+        if (game.aiPlayers.length === 0 || game.aiDecisionTimer) {
+            return;
+        }
+
+        game.aiDecisionTimer = setTimeout(() => {
+            game.aiDecisionTimer = undefined;
+
+            // Accepting an undo replaces the game with a rolled back copy
+            let currentGame = this.games[game.id];
+            if (!currentGame) {
+                return;
+            }
+
+            for (let aiPlayer of currentGame.aiPlayers) {
+                let decision = aiPlayer.getDecision();
+                if (!decision) {
+                    continue;
+                }
+
+                this.runAndCatchErrors(currentGame, () => {
+                    currentGame.recordInput(aiPlayer.name, decision.command, decision.args);
+                    currentGame[decision.command](aiPlayer.name, ...decision.args);
+
+                    currentGame.continue();
 
-            let stateToSend = state;
+                    this.sendGameState(this.games[currentGame.id] || currentGame);
+                });
 
-            if (game.jsonForUsers[player.name]) {
-                stateToSend = jsondiffpatch.diff(game.jsonForUsers[player.name], state);
+                return;
             }
+        }, AiDecisionDelay);
+    }
+
+    /**
+     * Watches for the clock of the player the game is waiting on running out. Running out is
+     * recorded as an input, so replays of the game end the same way
+     * @param {import("../game/game")} game
+     */
+    queueClockExpiry(game) {
+        if (game.clockExpiryTimer) {
+            clearTimeout(game.clockExpiryTimer);
+            game.clockExpiryTimer = undefined;
+        }
+
+        if (game.finishedAt) {
+            return;
+        }
 
-            player.socket.send('gamestate', stateToSend);
+        let expiring = game
+            .getPlayers()
+            .map((player) => ({ player, timeLeft: player.clock.getRunningTimeLeft() }))
+            .filter((clock) => clock.timeLeft !== undefined)
+            .sort((a, b) => a.timeLeft - b.timeLeft)[0];
 
-            game.jsonForUsers[player.name] = jsondiffpatch.clone(state);
+        if (!expiring) {
+            return;
         }
+
+        game.clockExpiryTimer = setTimeout(() => {
+            game.clockExpiryTimer = undefined;
+
+            // Accepting an undo replaces the game with a rolled back copy
+            let currentGame = this.games[game.id];
+            if (!currentGame) {
+                return;
+            }
+
+            let playerName = expiring.player.name;
+
+            this.runAndCatchErrors(currentGame, () => {
+                currentGame.recordInput(playerName, 'clockExpired', []);
+                currentGame.clockExpired(playerName);
+
+                currentGame.continue();
+
+                this.sendGameState(this.games[currentGame.id] || currentGame);
+            });
+        }, Math.max(expiring.timeLeft, 0) * 1000);
     }
 
     /**
@@ -269,21 +509,49 @@ class GameServer {
     /**
      * @param {import("../game/game")} game
      * @param {string} reason
-     * @param {import("../game/player")} winner
+     * @param {import("../game/player")} [winner] - not set when the game is a draw
      */
     gameWon(game, reason, winner) {
+        this.gameSocket.removeSnapshot(game.id);
         this.gameSocket.send('GAMEWIN', {
             game: game.getSaveState(),
-            winner: winner.name,
+            winner: winner ? winner.name : undefined,
             reason: reason
         });
     }
 
     /**
+     * Sends a report of a problem with a game to the lobby to be stored, either made by a player
+     * or captured when the engine throws
      * @param {import("../game/game")} game
+     * @param {{ description?: string, error?: string, reporter?: string }} details
      */
-    rematch(game) {
-        this.gameSocket.send('REMATCH', { game: game.getSaveState() });
+    reportBug(game, details) {
+        let report;
+
+        try {
+            report = game.getBugReport();
+        } catch (err) {
+            logger.error(`Failed to capture a bug report for game ${game.id}`, err);
+
+            report = { log: game.getPlainTextLog() };
+        }
+
+        this.gameSocket.send('BUGREPORT', {
+            ...report,
+            ...details,
+            gameId: game.id,
+            gameFormat: game.gameFormat,
+            version: version.build
+        });
+    }
+
+    /**
+     * @param {import("../game/game")} game
+     * @param {Number} [seed] - seed for the random number generator of the rematch
+     */
+    rematch(game, seed) {
+        this.gameSocket.send('REMATCH', { game: game.getSaveState(), seed: seed });
 
         for (let player of Object.values(game.getPlayersAndSpectators())) {
             if (player.left || player.disconnectedAt || !player.socket) {
@@ -296,6 +564,8 @@ class GameServer {
         }
 
         delete this.games[game.id];
+        this.gameSocket.removeSnapshot(game.id);
+        this.sendReplay(game);
     }
 
     /**
@@ -314,10 +584,13 @@ class GameServer {
             let playerName = player.name;
             game.setWins(playerName, player.wins);
 
-            if (
-                (pendingGame.gameFormat === 'reversal' || pendingGame.swap) &&
-                !(pendingGame.gameFormat === 'reversal' && pendingGame.swap)
-            ) {
+            // Which deck each player uses in a match depends on how far through the match it is
+            let swapDecks = game.match
+                ? game.match.isSwapped()
+                : (pendingGame.gameFormat === 'reversal' || pendingGame.swap) &&
+                  !(pendingGame.gameFormat === 'reversal' && pendingGame.swap);
+
+            if (swapDecks) {
                 let otherPlayer = game.getOtherPlayer(player);
                 if (otherPlayer) {
                     playerName = otherPlayer.name;
@@ -333,6 +606,126 @@ class GameServer {
         }
     }
 
+    /**
+     * Recreates a game that was running on a node which went away, by playing the inputs from
+     * its last snapshot back into a new game with the same seed and decks
+     * @param {import("../pendinggame")} pendingGame
+     */
+    onRestoreGame(pendingGame) {
+        this.gameSocket.loadSnapshot(pendingGame.id, (snapshot) => {
+            if (!snapshot) {
+                logger.error(`No snapshot found to restore game ${pendingGame.id}`);
+                this.gameSocket.send('GAMERESTOREFAILED', { gameId: pendingGame.id });
+
+                return;
+            }
+
+            let game;
+            try {
+                game = this.createGameFromReplay(pendingGame, snapshot);
+            } catch (err) {
+                logger.error(`Failed to restore game ${pendingGame.id}`, err);
+
+                let failedGame = this.games[pendingGame.id];
+                if (failedGame) {
+                    failedGame.timeLimit.stopTimer();
+                    clearTimeout(failedGame.clockExpiryTimer);
+                    delete this.games[pendingGame.id];
+                }
+
+                this.gameSocket.send('GAMERESTOREFAILED', { gameId: pendingGame.id });
+
+                return;
+            }
+
+            game.snapshotInputCount = game.inputLog.inputs.length;
+            game.addAlert(
+                'warning',
+                'The server hosting this game went away, the game has been restored from the last save'
+            );
+
+            this.gameSocket.send('GAMERESTORED', { gameId: game.id });
+        });
+    }
+
+    /**
+     * @param {import("../pendinggame")} pendingGame - the details the game was started with
+     * @param {Object} replay - the seed, decks and inputs as returned by Game.getReplay
+     */
+    createGameFromReplay(pendingGame, replay) {
+        let game = new Game(Object.assign({}, pendingGame, { seed: replay.seed }), {
+            router: this,
+            cardData: this.cardData
+        });
+
+        game.on('onTimeExpired', () => {
+            this.sendGameState(game);
+        });
+        this.games[pendingGame.id] = game;
+
+        let gameReplay = new GameReplay(replay, this.cardData);
+        gameReplay.setupGame(game);
+        gameReplay.playInputs(game);
+
+        return game;
+    }
+
+    /**
+     * Replaces a game with a copy rebuilt from the first inputCount of its inputs, and moves
+     * everyone in the game across to the copy
+     * @param {import("../game/game")} game
+     * @param {number} inputCount
+     * @returns {import("../game/game")}
+     */
+    rollback(game, inputCount) {
+        let replay = game.getReplay();
+        let rolledBackGame = this.createGameFromReplay(
+            game.details,
+            Object.assign({}, replay, { inputs: replay.inputs.slice(0, inputCount) })
+        );
+
+        for (let [name, player] of Object.entries(game.playersAndSpectators)) {
+            let newPlayer = rolledBackGame.playersAndSpectators[name];
+            if (!newPlayer) {
+                // Spectators who joined after the game started
+                rolledBackGame.playersAndSpectators[name] = player;
+                continue;
+            }
+
+            newPlayer.connectionSucceeded = player.connectionSucceeded;
+            newPlayer.disconnectedAt = player.disconnectedAt;
+            newPlayer.id = player.id;
+            newPlayer.left = player.left;
+            newPlayer.lobbyId = player.lobbyId;
+            newPlayer.socket = player.socket;
+
+            // Time used on the clocks isn't part of the replay, so keep what was left
+            player.clock.player = newPlayer;
+            newPlayer.clock = player.clock;
+        }
+
+        // Clients only hold the state they have been sent, so keep diffing against it
+        rolledBackGame.jsonForUsers = game.jsonForUsers;
+        rolledBackGame.startedAt = game.startedAt;
+        rolledBackGame.reportedErrors = game.reportedErrors;
+        if (game.timeLimit.timeLimitStartedAt) {
+            rolledBackGame.timeLimit.timeLimitStartedAt = game.timeLimit.timeLimitStartedAt;
+        }
+
+        // The time limit runs on the wall clock, so running out of time can't be undone. When it ran
+        // out after the checkpoint it is recorded again in the rolled back game
+        if (game.timeLimit.isTimeLimitReached && !rolledBackGame.timeLimit.isTimeLimitReached) {
+            let playerName = rolledBackGame.activePlayer && rolledBackGame.activePlayer.name;
+            rolledBackGame.recordInput(playerName, 'timeExpired', []);
+            rolledBackGame.timeExpired(playerName);
+        }
+
+        game.timeLimit.stopTimer();
+        clearTimeout(game.clockExpiryTimer);
+
+        return rolledBackGame;
+    }
+
     /**
      * @param {import("../pendinggame")} pendingGame
      * @param {any} user
@@ -374,9 +767,7 @@ class GameServer {
         game.failedConnect(username);
 
         if (game.isEmpty()) {
-            delete this.games[game.id];
-
-            this.gameSocket.send('GAMECLOSED', { game: game.id });
+            this.removeGame(game);
         }
 
         this.sendGameState(game);
@@ -392,12 +783,15 @@ class GameServer {
         }
 
         for (let player of Object.values(game.getPlayersAndSpectators())) {
+            if (!player.socket) {
+                continue;
+            }
+
             player.socket.send('cleargamestate');
             player.socket.leaveChannel(game.id);
         }
 
-        delete this.games[gameId];
-        this.gameSocket.send('GAMECLOSED', { game: game.id });
+        this.removeGame(game);
     }
 
     onCardData(cardData) {
@@ -468,9 +862,7 @@ class GameServer {
 
         if (!socket.tIsClosing) {
             if (game.isEmpty()) {
-                delete this.games[game.id];
-
-                this.gameSocket.send('GAMECLOSED', { game: game.id });
+                this.removeGame(game);
             } else if (isSpectator) {
                 this.gameSocket.send('PLAYERLEFT', {
                     gameId: game.id,
@@ -506,9 +898,7 @@ class GameServer {
         socket.leaveChannel(game.id);
 
         if (game.isEmpty()) {
-            delete this.games[game.id];
-
-            this.gameSocket.send('GAMECLOSED', { game: game.id });
+            this.removeGame(game);
         }
 
         this.sendGameState(game);
@@ -525,16 +915,20 @@ class GameServer {
             return this.onLeaveGame(socket);
         }
 
-        if (!game[command] || !(game[command] instanceof Function)) {
+        if (!game.isClientCommand(command)) {
             return;
         }
 
+        let playerName = game.getSeatForUser(socket.user.username);
+
         this.runAndCatchErrors(game, () => {
-            game[command](socket.user.username, ...args);
+            game.recordInput(playerName, command, args);
+            game[command](playerName, ...args);
 
             game.continue();
 
-            this.sendGameState(game);
+            // Accepting an undo replaces the game with a rolled back copy
+            this.sendGameState(this.games[game.id] || game);
         });
     }
 }
@@ -6,6 +6,8 @@ const config = require('config');
 const logger = require('../log.js');
 const { detectBinary } = require('../util');
 
+const snapshotExpiry = 24 * 60 * 60;
+
 class GameSocket extends EventEmitter {
     /**
      * @param {import("../services/ConfigService.js")} configService
@@ -67,6 +69,54 @@ class GameSocket extends EventEmitter {
         this.publisher.publish('nodemessage', data);
     }
 
+    /**
+     * Stores a game snapshot in redis, where any node can find it if this node goes away
+     * @param {string} gameId
+     * @param {Object} snapshot
+     */
+    saveSnapshot(gameId, snapshot) {
+        let data = '';
+
+        try {
+            data = JSON.stringify(snapshot);
+        } catch (err) {
+            logger.error(`Failed to stringify snapshot for game ${gameId}`, err);
+
+            return;
+        }
+
+        this.redis.set(`snapshot:${gameId}`, data, 'EX', snapshotExpiry, (err) => {
+            if (err) {
+                logger.error(`Error saving snapshot for game ${gameId}`, err);
+            }
+        });
+    }
+
+    /**
+     * @param {string} gameId
+     * @param {(snapshot: Object) => void} callback - called with undefined if there is no snapshot
+     */
+    loadSnapshot(gameId, callback) {
+        this.redis.get(`snapshot:${gameId}`, (err, data) => {
+            if (err) {
+                logger.error(`Error loading snapshot for game ${gameId}`, err);
+            }
+
+            callback(data ? JSON.parse(data) : undefined);
+        });
+    }
+
+    /**
+     * @param {string} gameId
+     */
+    removeSnapshot(gameId) {
+        this.redis.del(`snapshot:${gameId}`, (err) => {
+            if (err) {
+                logger.error(`Error removing snapshot for game ${gameId}`, err);
+            }
+        });
+    }
+
     /**
      * @param {Error} err
      */
@@ -122,6 +172,9 @@ class GameSocket extends EventEmitter {
             case 'STARTGAME':
                 this.emit('onStartGame', message.arg);
                 break;
+            case 'RESTOREGAME':
+                this.emit('onRestoreGame', message.arg);
+                break;
             case 'SPECTATOR':
                 this.emit('onSpectator', message.arg.game, message.arg.user);
                 break;
@@ -2,7 +2,11 @@ const redis = require('redis');
 const EventEmitter = require('events');
 
 const logger = require('./log');
+const { RatedGameResults } = require('./constants');
+const BugReportService = require('./services/BugReportService');
 const GameService = require('./services/GameService');
+const RatingService = require('./services/RatingService');
+const TournamentService = require('./services/TournamentService');
 const { detectBinary } = require('./util');
 
 class GameRouter extends EventEmitter {
@@ -13,7 +17,10 @@ class GameRouter extends EventEmitter {
         super();
 
         this.workers = {};
+        this.bugReportService = new BugReportService();
         this.gameService = new GameService();
+        this.ratingService = new RatingService();
+        this.tournamentService = new TournamentService();
 
         this.subscriber = redis.createClient(configService.getValue('redisUrl'));
         this.publisher = redis.createClient(configService.getValue('redisUrl'));
@@ -51,6 +58,26 @@ class GameRouter extends EventEmitter {
         return node;
     }
 
+    /**
+     * Asks a node to recreate a started game from its last snapshot after the node it was
+     * running on has gone away
+     * @param {import("./pendinggame.js")} game
+     */
+    restoreGame(game) {
+        let node = this.getNextAvailableGameNode();
+        if (!node) {
+            logger.error(`Could not find new node to restore game ${game.id}`);
+
+            return undefined;
+        }
+
+        node.numGames++;
+
+        this.sendCommand(node.identity, 'RESTOREGAME', game.getStartGameDetails());
+
+        return node;
+    }
+
     /**
      * @param {import("./pendinggame.js")} game
      * @param {import("./models/User")} user
@@ -178,6 +205,27 @@ class GameRouter extends EventEmitter {
         this.sendCommand(game.node.identity, 'CLOSEGAME', { gameId: game.id });
     }
 
+    /**
+     * Records the winner of a tournament game. Tournament matches played as a series are only
+     * recorded once the series has a winner. Games that were drawn or abandoned aren't recorded, their
+     * rematch stays linked to the tournament match instead
+     * @param {Object} game - the save state of the game that was won
+     */
+    recordTournamentResult(game) {
+        let winner = game.match ? game.match.winner : game.winner;
+
+        if (!game.tournamentMatch || !winner || !RatedGameResults.includes(game.result)) {
+            return;
+        }
+
+        this.tournamentService
+            .recordResult(game.tournamentMatch.id, winner)
+            .then(() => this.emit('onTournamentMatchFinished', game.tournamentMatch))
+            .catch((err) =>
+                logger.error(`Failed to record tournament result for ${game.gameId}`, err)
+            );
+    }
+
     // Events
     /**
      * @param {Error} err
@@ -245,6 +293,29 @@ class GameRouter extends EventEmitter {
                 break;
             case 'GAMEWIN':
                 this.gameService.update(message.arg.game);
+                this.ratingService
+                    .recordGame(message.arg.game)
+                    .then((ratings) => {
+                        if (ratings) {
+                            this.emit('onRatingsUpdated', ratings);
+                        }
+                    })
+                    .catch((err) =>
+                        logger.error(`Failed to update ratings for ${message.arg.game.gameId}`, err)
+                    );
+
+                this.recordTournamentResult(message.arg.game);
+                break;
+            case 'GAMEABANDONED':
+                this.gameService
+                    .update(message.arg.game)
+                    .catch((err) =>
+                        logger.error(
+                            `Failed to record abandoned game ${message.arg.game.gameId}`,
+                            err
+                        )
+                    );
+
                 break;
             case 'REMATCH':
                 this.gameService.update(message.arg.game);
@@ -255,7 +326,23 @@ class GameRouter extends EventEmitter {
                     logger.error(`Got rematch game for non existant worker ${identity}`);
                 }
 
-                this.emit('onGameRematch', message.arg.game);
+                this.emit('onGameRematch', message.arg.game, message.arg.seed);
+
+                break;
+            case 'GAMEREPLAY':
+                this.gameService
+                    .saveReplay(message.arg.gameId, message.arg.replay)
+                    .catch((err) =>
+                        logger.error(`Failed to save replay for ${message.arg.gameId}`, err)
+                    );
+
+                break;
+            case 'BUGREPORT':
+                this.bugReportService
+                    .create(message.arg)
+                    .catch((err) =>
+                        logger.error(`Failed to save bug report for ${message.arg.gameId}`, err)
+                    );
 
                 break;
             case 'GAMECLOSED':
@@ -265,7 +352,21 @@ class GameRouter extends EventEmitter {
                     logger.error(`Got close game for non existant worker ${identity}`);
                 }
 
-                this.emit('onGameClosed', message.arg.game);
+                this.emit('onGameClosed', message.arg.game, identity);
+
+                break;
+            case 'GAMERESTORED':
+                this.emit('onGameRestored', message.arg.gameId);
+
+                break;
+            case 'GAMERESTOREFAILED':
+                if (worker) {
+                    worker.numGames--;
+                } else {
+                    logger.error(`Got failed restore for non existant worker ${identity}`);
+                }
+
+                this.emit('onGameRestoreFailed', message.arg.gameId, identity);
 
                 break;
             case 'PLAYERLEFT':
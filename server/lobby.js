@@ -8,12 +8,27 @@ const logger = require('./log');
 const version = moment(require('../version').releaseDate);
 const PendingGame = require('./pendinggame');
 const GameRouter = require('./gamerouter');
+const MatchmakingQueue = require('./MatchmakingQueue');
+const { defaultRating } = require('./Glicko');
 const ServiceFactory = require('./services/ServiceFactory');
 const DeckService = require('./services/DeckService');
 const UserService = require('./services/UserService');
 const ConfigService = require('./services/ConfigService');
+const RatingService = require('./services/RatingService');
+const TournamentService = require('./services/TournamentService');
+const FormatListService = require('./services/FormatListService');
+const StatsService = require('./services/StatsService');
 const User = require('./models/User');
 const { sortBy } = require('./Array');
+const { getListFormat, validateDeck } = require('./FormatList');
+const { buildScenarioDeck, getScenario, validateScenario } = require('./Scenario');
+
+// Formats that can be played from the matchmaking queue, sealed needs its decks generating so isn't one of them
+const QueueFormats = ['normal', 'reversal', 'adaptive-bo1'];
+// Formats the AI opponent knows how to play, it can't bid for decks or build Alliances
+const AiFormats = ['normal', 'reversal'];
+// Formats that can be played hotseat, bidding for decks and building Alliances need a client each
+const HotseatFormats = ['normal', 'reversal'];
 
 class Lobby {
     constructor(server, options = {}) {
@@ -26,10 +41,19 @@ class Lobby {
         this.userService = options.userService || new UserService(options.configService);
         this.deckService = options.deckService || new DeckService(this.configService);
         this.router = options.router || new GameRouter(this.configService);
+        this.ratingService = options.ratingService || new RatingService();
+        this.tournamentService = options.tournamentService || new TournamentService();
+        this.formatListService = options.formatListService || new FormatListService();
+        this.statsService = options.statsService || new StatsService();
+        this.matchmakingQueue = new MatchmakingQueue();
 
         this.router.on('onGameClosed', this.onGameClosed.bind(this));
+        this.router.on('onGameRestored', this.onGameRestored.bind(this));
+        this.router.on('onGameRestoreFailed', this.onGameRestoreFailed.bind(this));
         this.router.on('onGameRematch', this.onGameRematch.bind(this));
         this.router.on('onPlayerLeft', this.onPlayerLeft.bind(this));
+        this.router.on('onRatingsUpdated', this.onRatingsUpdated.bind(this));
+        this.router.on('onTournamentMatchFinished', this.onTournamentMatchFinished.bind(this));
         this.router.on('onWorkerTimedOut', this.onWorkerTimedOut.bind(this));
         this.router.on('onNodeReconnected', this.onNodeReconnected.bind(this));
         this.router.on('onWorkerStarted', this.onWorkerStarted.bind(this));
@@ -59,8 +83,10 @@ class Lobby {
             }
         });
 
+        setInterval(() => this.matchQueuedPlayers(), 5 * 1000); // every 5 seconds
         setInterval(() => this.clearStalePendingGames(), 60 * 1000); // every minute
         setInterval(() => this.clearOldRefreshTokens(), 2 * 60 * 60 * 1000); // every 2 hours
+        setInterval(() => this.statsService.refreshDefault(), 6 * 60 * 60 * 1000); // every 6 hours
     }
 
     async init() {
@@ -286,6 +312,10 @@ class Lobby {
         }
 
         for (let player of Object.values(game.getPlayersAndSpectators())) {
+            if (player.user.isAi || player.user.hotseatOwner) {
+                continue;
+            }
+
             if (!this.sockets[player.id]) {
                 logger.info(`Wanted to send to ${player.id} but have no socket`);
                 continue;
@@ -297,7 +327,7 @@ class Lobby {
 
     clearGamesForNode(nodeName) {
         for (let game of Object.values(this.games)) {
-            if (game.node && game.node.identity === nodeName) {
+            if (game.node && game.node.identity === nodeName && !this.restoreGame(game)) {
                 delete this.games[game.id];
             }
         }
@@ -305,6 +335,30 @@ class Lobby {
         this.broadcastGameList();
     }
 
+    /**
+     * Moves a started game from a node that has gone away on to another node. The players are
+     * handed off to the new node once it has restored the game
+     * @param {import("./pendinggame")} game
+     * @returns {boolean} whether a node was found to restore the game on
+     */
+    restoreGame(game) {
+        if (!game.started) {
+            return false;
+        }
+
+        let gameNode = this.router.restoreGame(game);
+        if (!gameNode) {
+            return false;
+        }
+
+        logger.info(`restoring game ${game.id} on ${gameNode.identity}`);
+
+        game.node = gameNode;
+        game.restoring = true;
+
+        return true;
+    }
+
     clearStalePendingGames() {
         const timeout = 15 * 60 * 1000;
         let staleGames = Object.values(this.games).filter(
@@ -356,14 +410,18 @@ class Lobby {
         socket.registerEvent('getnodestatus', this.onGetNodeStatus.bind(this));
         socket.registerEvent('getsealeddeck', this.onGetSealedDeck.bind(this));
         socket.registerEvent('joingame', this.onJoinGame.bind(this));
+        socket.registerEvent('joinqueue', this.onJoinQueue.bind(this));
         socket.registerEvent('leavegame', this.onLeaveGame.bind(this));
+        socket.registerEvent('leavequeue', this.onLeaveQueue.bind(this));
         socket.registerEvent('lobbychat', this.onLobbyChat.bind(this));
         socket.registerEvent('motd', this.onMotdChange.bind(this));
         socket.registerEvent('newgame', this.onNewGame.bind(this));
         socket.registerEvent('removegame', this.onRemoveGame.bind(this));
         socket.registerEvent('restartnode', this.onRestartNode.bind(this));
+        socket.registerEvent('selectalliance', this.onSelectAlliance.bind(this));
         socket.registerEvent('selectdeck', this.onSelectDeck.bind(this));
         socket.registerEvent('startgame', this.onStartGame.bind(this));
+        socket.registerEvent('starttournamentround', this.onStartTournamentRound.bind(this));
         socket.registerEvent('togglenode', this.onToggleNode.bind(this));
         socket.registerEvent('watchgame', this.onWatchGame.bind(this));
 
@@ -457,6 +515,12 @@ class Lobby {
 
         logger.info(`user '${socket.user.username}' disconnected from the lobby: ${reason}`);
 
+        let queueEntry = this.matchmakingQueue.get(socket.user.username);
+        if (queueEntry && queueEntry.socketId === socket.id) {
+            this.matchmakingQueue.remove(socket.user.username);
+            this.sendQueueStatus();
+        }
+
         let game = this.findGameForUser(socket.user.username);
         if (!game) {
             return;
@@ -481,36 +545,60 @@ class Lobby {
             }
         }
 
-        if (gameDetails.quickJoin) {
-            let sortedGames = sortBy(Object.values(this.games), (game) => game.createdAt);
-            let gameToJoin = sortedGames.find(
-                (game) =>
-                    !game.started &&
-                    game.gameType === gameDetails.gameType &&
-                    game.gameFormat === gameDetails.gameFormat &&
-                    Object.values(game.players).length < 2 &&
-                    !game.password &&
-                    !game.gamePrivate
+        // Sandbox games are set up and played by their owner from both seats
+        let sandbox = gameDetails.gameType === 'sandbox';
+
+        if (gameDetails.aiOpponent && !sandbox && !AiFormats.includes(gameDetails.gameFormat)) {
+            socket.send('gameerror', 'The AI opponent can only play normal and reversal games');
+
+            return;
+        }
+
+        if ((gameDetails.hotseat || sandbox) && !HotseatFormats.includes(gameDetails.gameFormat)) {
+            socket.send(
+                'gameerror',
+                'Hotseat and sandbox games can only be normal or reversal games'
             );
 
-            if (gameToJoin) {
-                let message = gameToJoin.join(socket.id, socket.user);
-                if (message) {
-                    socket.send('passworderror', message);
+            return;
+        }
 
-                    return;
-                }
+        let scenario = gameDetails.scenario && getScenario(gameDetails.scenario);
+        if (gameDetails.scenario && !scenario) {
+            socket.send('gameerror', 'That scenario could not be found');
 
-                socket.joinChannel(gameToJoin.id);
+            return;
+        }
 
-                this.sendGameState(gameToJoin);
-                this.broadcastGameMessage('updategame', gameToJoin);
+        this.onLeaveQueue(socket);
 
-                return;
-            }
+        // Games against the AI, played hotseat or of a scenario are practice, so nobody else can
+        // join them and they are never rated
+        let details = gameDetails;
+        if (gameDetails.aiOpponent || gameDetails.hotseat || scenario) {
+            details = Object.assign({}, gameDetails, { gamePrivate: true, gameType: 'casual' });
         }
 
-        let game = new PendingGame(socket.user, gameDetails);
+        if (sandbox && !scenario) {
+            details = Object.assign({}, gameDetails, {
+                aiOpponent: undefined,
+                gamePrivate: true,
+                hotseat: true
+            });
+        }
+
+        // Scenarios are played against the AI with decks built from the scenario
+        if (scenario) {
+            Object.assign(details, {
+                aiOpponent: undefined,
+                gameFormat: 'normal',
+                hotseat: false,
+                name: scenario.name,
+                scenario: scenario
+            });
+        }
+
+        let game = new PendingGame(socket.user, details);
         game.newGame(socket.id, socket.user, gameDetails.password, !game.challonge);
         socket.joinChannel(game.id);
 
@@ -518,6 +606,112 @@ class Lobby {
 
         this.games[game.id] = game;
         this.broadcastGameMessage('newgame', game);
+
+        if (scenario) {
+            game.addAiPlayer();
+
+            return this.selectScenarioDecks(game);
+        }
+
+        if (details.aiOpponent) {
+            game.addAiPlayer();
+
+            return this.selectAiDeck(game, gameDetails.aiOpponent.deckId);
+        }
+
+        if (game.hotseat) {
+            game.addHotseatPlayer();
+
+            this.sendGameState(game);
+        }
+    }
+
+    /**
+     * Selects the deck the AI opponent plays with in a game
+     * @param {import("./pendinggame")} game
+     * @param {number} [deckId] - the id of the starter deck to use, a random one is used if not set
+     */
+    selectAiDeck(game, deckId) {
+        let aiPlayer = Object.values(game.getPlayers()).find((player) => player.user.isAi);
+
+        return Promise.all([
+            this.cardService.getAllCards(),
+            deckId
+                ? this.deckService.getStandaloneDeckById(deckId)
+                : this.deckService.getStandaloneDecks().then((decks) => decks && _.sample(decks))
+        ])
+            .then(([cards, deck]) => {
+                if (!deck) {
+                    throw new Error('Could not find a deck for the AI opponent');
+                }
+
+                for (let card of deck.cards) {
+                    card.card = cards[card.id];
+                }
+
+                deck.status = {
+                    basicRules: true,
+                    notVerified: false,
+                    extendedStatus: [],
+                    noUnreleasedCards: true,
+                    officialRole: true,
+                    usageLevel: 0,
+                    verified: true
+                };
+
+                game.selectDeck(aiPlayer.name, deck);
+
+                this.sendGameState(game);
+            })
+            .catch((err) => {
+                logger.error(err);
+
+                for (let player of Object.values(game.getPlayers())) {
+                    if (this.sockets[player.id]) {
+                        this.sockets[player.id].send('gameerror', err.message);
+                    }
+                }
+            });
+    }
+
+    /**
+     * Selects the decks for both sides of a scenario game, which are made up of the cards the
+     * scenario uses
+     * @param {import("./pendinggame")} game
+     */
+    selectScenarioDecks(game) {
+        return this.cardService
+            .getAllCards()
+            .then((cards) => {
+                let validation = validateScenario(game.scenario, cards);
+                if (!validation.valid) {
+                    throw new Error(
+                        `This scenario can't be played. ${validation.errors.join('. ')}`
+                    );
+                }
+
+                for (let player of Object.values(game.getPlayers())) {
+                    game.selectDeck(
+                        player.name,
+                        buildScenarioDeck(
+                            game.scenario,
+                            player.user.isAi ? 'opponent' : 'player',
+                            cards
+                        )
+                    );
+                }
+
+                this.sendGameState(game);
+            })
+            .catch((err) => {
+                logger.error(err);
+
+                for (let player of Object.values(game.getPlayers())) {
+                    if (this.sockets[player.id]) {
+                        this.sockets[player.id].send('gameerror', err.message);
+                    }
+                }
+            });
     }
 
     onJoinGame(socket, gameId, password) {
@@ -538,10 +732,221 @@ class Lobby {
             return;
         }
 
+        this.onLeaveQueue(socket);
+
         socket.joinChannel(game.id);
 
         this.sendGameState(game);
         this.broadcastGameMessage('updategame', game);
+
+        if (game.tournamentMatch) {
+            this.selectTournamentDeck(socket, game);
+        }
+    }
+
+    /**
+     * Selects the deck a player registered for the tournament with, and starts the game once both
+     * players are ready
+     * @param {Socket} socket
+     * @param {import("./pendinggame")} game
+     */
+    selectTournamentDeck(socket, game) {
+        let deckId = game.tournamentMatch.decks[socket.user.username];
+
+        return this.onSelectDeck(socket, game.id, deckId).then(() => {
+            let players = Object.values(game.getPlayers());
+
+            if (game.started || players.length < 2 || players.some((player) => !player.deck)) {
+                return;
+            }
+
+            if (!this.startGame(game)) {
+                for (let player of players) {
+                    let socket = this.sockets[player.id];
+                    if (socket) {
+                        socket.send('gameerror', 'No game nodes available. Try again later.');
+                    }
+                }
+            }
+        });
+    }
+
+    onJoinQueue(socket, details) {
+        if (this.findGameForUser(socket.user.username)) {
+            return;
+        }
+
+        if (!details || !details.deckId || !QueueFormats.includes(details.gameFormat)) {
+            return;
+        }
+
+        let ratingFormat = _.last(this.ratingService.getFormatsForGame(details.gameFormat));
+        let rating = socket.user.ratings[ratingFormat] || defaultRating;
+
+        this.matchmakingQueue.add(socket.user, socket.id, {
+            deckId: details.deckId,
+            gameFormat: details.gameFormat,
+            isStandalone: details.isStandalone,
+            rating: rating.rating
+        });
+
+        this.matchQueuedPlayers();
+    }
+
+    onLeaveQueue(socket) {
+        if (!this.matchmakingQueue.remove(socket.user.username)) {
+            return;
+        }
+
+        socket.send('queuestatus', { queued: false });
+        this.sendQueueStatus();
+    }
+
+    sendQueueStatus() {
+        for (let entry of this.matchmakingQueue.getEntries()) {
+            let socket = this.sockets[entry.socketId];
+
+            if (socket) {
+                socket.send('queuestatus', this.matchmakingQueue.getStatus(entry.user.username));
+            }
+        }
+    }
+
+    matchQueuedPlayers() {
+        for (let match of this.matchmakingQueue.findMatches()) {
+            this.startQueuedGame(match);
+        }
+
+        this.sendQueueStatus();
+    }
+
+    /**
+     * Creates a competitive game for two players paired up by the matchmaking queue, selects the
+     * decks they queued with and starts it
+     * @param {Object[]} entries the matched queue entries
+     */
+    startQueuedGame(entries) {
+        let sockets = entries.map((entry) => this.sockets[entry.socketId]);
+
+        if (sockets.some((socket) => !socket || !socket.user)) {
+            for (let i = 0; i < entries.length; i++) {
+                if (sockets[i] && sockets[i].user) {
+                    this.matchmakingQueue.restore(entries[i]);
+                }
+            }
+
+            return;
+        }
+
+        let [first, second] = entries;
+        let game = new PendingGame(first.user, {
+            allowSpectators: true,
+            gameFormat: first.gameFormat,
+            gameType: 'competitive',
+            name: `${first.user.username} vs ${second.user.username}`
+        });
+
+        game.newGame(first.socketId, first.user, undefined, true);
+        game.join(second.socketId, second.user);
+
+        this.games[game.id] = game;
+
+        for (let socket of sockets) {
+            socket.send('queuestatus', { queued: false });
+            socket.joinChannel(game.id);
+        }
+
+        this.sendGameState(game);
+        this.broadcastGameMessage('newgame', game);
+
+        logger.info(
+            `matched ${first.user.username} and ${second.user.username} for a ${first.gameFormat} game`
+        );
+
+        return Promise.all(
+            entries.map((entry, index) =>
+                this.onSelectDeck(sockets[index], game.id, entry.deckId, entry.isStandalone)
+            )
+        )
+            .then(() => {
+                // Selecting a deck tells the player about its own errors rather than failing, so
+                // check which decks were selected
+                let players = game.getPlayers();
+                let failedEntries = entries.filter(
+                    (entry) => !players[entry.user.username] || !players[entry.user.username].deck
+                );
+
+                if (failedEntries.length > 0) {
+                    this.cancelQueuedGame(
+                        game,
+                        entries,
+                        failedEntries,
+                        'Could not load the deck for your queued game. You are no longer in the queue, please join it again.'
+                    );
+
+                    return;
+                }
+
+                if (!this.startGame(game)) {
+                    this.cancelQueuedGame(
+                        game,
+                        entries,
+                        entries,
+                        'No game nodes available. You are no longer in the queue, please try again later.'
+                    );
+                }
+            })
+            .catch((err) => {
+                logger.error(`Failed to start queued game ${game.id}`, err);
+
+                if (game.started) {
+                    return;
+                }
+
+                this.cancelQueuedGame(
+                    game,
+                    entries,
+                    entries,
+                    'Could not start your queued game. You are no longer in the queue, please join it again.'
+                );
+            });
+    }
+
+    /**
+     * Removes a queued game that couldn't be started. The players it failed for are told why, and
+     * anyone else in the game goes back into the queue where they were
+     * @param {PendingGame} game
+     * @param {Object[]} entries the queue entries the game was created for
+     * @param {Object[]} failedEntries the entries of the players who can't be put back in the queue
+     * @param {string} message
+     */
+    cancelQueuedGame(game, entries, failedEntries, message) {
+        delete this.games[game.id];
+        this.broadcastGameMessage('removegame', game);
+
+        for (let entry of entries) {
+            game.leave(entry.user.username);
+
+            let socket = this.sockets[entry.socketId];
+            if (!socket) {
+                continue;
+            }
+
+            socket.send('cleargamestate');
+            socket.leaveChannel(game.id);
+
+            if (failedEntries.includes(entry)) {
+                socket.send('gameerror', message);
+            } else {
+                this.matchmakingQueue.restore(entry);
+                socket.send(
+                    'gameerror',
+                    'Your opponent could not start the game, you are back in the queue.'
+                );
+            }
+        }
+
+        this.sendQueueStatus();
     }
 
     onStartGame(socket, gameId) {
@@ -563,10 +968,20 @@ class Lobby {
             return;
         }
 
+        if (!this.startGame(game)) {
+            socket.send('gameerror', 'No game nodes available. Try again later.');
+        }
+    }
+
+    /**
+     * Hands a pending game off to a game node and sends its players and spectators there
+     * @param {import("./pendinggame")} game
+     * @returns {boolean} whether a node was available to start the game on
+     */
+    startGame(game) {
         let gameNode = this.router.startGame(game);
         if (!gameNode) {
-            socket.send('gameerror', 'No game nodes available. Try again later.');
-            return;
+            return false;
         }
 
         game.node = gameNode;
@@ -577,6 +992,10 @@ class Lobby {
         for (let player of Object.values(game.getPlayersAndSpectators())) {
             let socket = this.sockets[player.id];
 
+            if (player.user.isAi || player.user.hotseatOwner) {
+                continue;
+            }
+
             if (!socket || !socket.user) {
                 logger.error(`Wanted to handoff to ${player.name}, but couldn't find a socket`);
                 continue;
@@ -584,6 +1003,57 @@ class Lobby {
 
             this.sendHandoff(socket, gameNode, game.id);
         }
+
+        return true;
+    }
+
+    onStartTournamentRound(socket, tournamentId) {
+        if (!socket.user.permissions.canManageTournaments) {
+            return;
+        }
+
+        this.tournamentService
+            .startNextRound(tournamentId)
+            .then((tournament) => {
+                for (let match of tournament.newMatches.filter((match) => match.player2Id)) {
+                    let players = [match.player1Id, match.player2Id].map((id) =>
+                        tournament.players.find((player) => player.id === id)
+                    );
+                    let decks = {};
+
+                    for (let player of players) {
+                        decks[player.username] = player.deckId;
+                    }
+
+                    let game = new PendingGame(socket.user, {
+                        allowSpectators: true,
+                        gameFormat: tournament.gameFormat,
+                        gameType: 'competitive',
+                        name: `${tournament.name} R${match.round}: ${players[0].username} vs ${players[1].username}`,
+                        tournament: true,
+                        tournamentMatch: {
+                            decks: decks,
+                            id: match.id,
+                            tournamentId: tournament.id
+                        }
+                    });
+                    game.newGame(socket.id, socket.user, undefined, false);
+
+                    this.games[game.id] = game;
+                    this.broadcastGameMessage('newgame', game);
+
+                    this.tournamentService
+                        .setMatchGame(match.id, game.id)
+                        .catch((err) => logger.error(err));
+                }
+
+                this.io.emit('tournamentupdated', tournament.id);
+            })
+            .catch((err) => {
+                logger.error(err);
+
+                socket.send('gameerror', err.message);
+            });
     }
 
     sendHandoff(socket, gameNode, gameId) {
@@ -718,20 +1188,98 @@ class Lobby {
             });
     }
 
-    onSelectDeck(socket, gameId, deckId, isStandalone) {
+    /**
+     * Selects an Alliance deck built from pods of the user's decks for an Alliance game
+     * @param {Socket} socket
+     * @param {string} gameId
+     * @param {import('./AllianceDeck').Pod[]} pods
+     */
+    onSelectAlliance(socket, gameId, pods) {
+        let game = this.games[gameId];
+        if (!game || game.gameFormat !== 'alliance') {
+            return;
+        }
+
+        return Promise.all([
+            this.cardService
+                .getAllCards()
+                .then((cards) => this.deckService.getAllianceDeck(socket.user, pods, cards)),
+            this.formatListService.getCurrentList('alliance')
+        ])
+            .then(([deck, formatList]) => {
+                let listErrors = formatList ? validateDeck(deck, formatList).errors : [];
+                if (listErrors.length > 0) {
+                    socket.send('gameerror', listErrors.join('. '));
+
+                    return;
+                }
+
+                let hasEnhancements = deck.cards.some((c) => c.enhancements);
+
+                deck.status = {
+                    basicRules: !deck.cards.some((c) => c.enhancements && c.enhancements[0] === ''),
+                    notVerified: hasEnhancements && !deck.verified,
+                    extendedStatus: [],
+                    noUnreleasedCards: true,
+                    officialRole: true,
+                    usageLevel: 0,
+                    verified: !!deck.verified
+                };
+
+                game.selectDeck(socket.user.username, deck);
+
+                this.sendGameState(game);
+            })
+            .catch((err) => {
+                logger.info(err);
+
+                socket.send('gameerror', err.message);
+            });
+    }
+
+    onSelectDeck(socket, gameId, deckId, isStandalone, hotseatSeat) {
         let game = this.games[gameId];
         if (!game) {
             return;
         }
 
+        // In hotseat games the owner also selects the deck for the second seat
+        let playerName =
+            hotseatSeat && game.isHotseatSeat(hotseatSeat, socket.user.username)
+                ? hotseatSeat
+                : socket.user.username;
+
+        if (game.gameFormat === 'alliance') {
+            socket.send('gameerror', 'You must build an Alliance from your decks for this game');
+
+            return;
+        }
+
+        if (game.scenario) {
+            socket.send('gameerror', 'Scenarios are played with the decks the scenario sets up');
+
+            return;
+        }
+
         return Promise.all([
             this.cardService.getAllCards(),
             isStandalone
                 ? this.deckService.getStandaloneDeckById(deckId)
-                : this.deckService.getById(deckId)
+                : this.deckService.getById(deckId),
+            this.formatListService.getCurrentList(getListFormat(game.gameFormat))
         ])
             .then((results) => {
-                let [cards, deck] = results;
+                let [cards, deck, formatList] = results;
+
+                let listErrors = formatList ? validateDeck(deck, formatList).errors : [];
+                if (listErrors.length > 0 && game.gameType === 'competitive') {
+                    socket.send(
+                        'gameerror',
+                        `This deck can't be used in competitive games. ${listErrors.join('. ')}`
+                    );
+
+                    return;
+                }
 
                 for (let card of deck.cards) {
                     let house = card.house;
@@ -781,7 +1329,8 @@ class Lobby {
                 deck.status = {
                     basicRules: hasEnhancementsSet,
                     notVerified: hasEnhancements && !deck.verified,
-                    extendedStatus: [],
+                    extendedStatus: listErrors,
+                    flagged: !!deck.flagged,
                     noUnreleasedCards: true,
                     officialRole: true,
                     usageLevel: deckUsageLevel,
@@ -791,7 +1340,7 @@ class Lobby {
 
                 deck.usageCount = 0;
 
-                game.selectDeck(socket.user.username, deck);
+                game.selectDeck(playerName, deck);
 
                 this.sendGameState(game);
             })
@@ -802,6 +1351,35 @@ class Lobby {
             });
     }
 
+    /**
+     * Selects the deck a player used in a previous game, rebuilding it from its pods if it was an
+     * Alliance
+     * @param {Socket} socket
+     * @param {string} gameId
+     * @param {Object} deck
+     */
+    reselectDeck(socket, gameId, deck) {
+        // Scenario decks aren't saved decks, so are selected again as they were
+        if (deck.scenario) {
+            let game = this.games[gameId];
+
+            game.selectDeck(socket.user.username, deck);
+            this.sendGameState(game);
+
+            return Promise.resolve();
+        }
+
+        if (deck.pods) {
+            return this.onSelectAlliance(
+                socket,
+                gameId,
+                deck.pods.map((pod) => ({ deckId: pod.deckId, house: pod.house }))
+            );
+        }
+
+        return this.onSelectDeck(socket, gameId, deck.id, deck.isStandalone);
+    }
+
     onConnectFailed(socket) {
         let game = this.findGameForUser(socket.user.username);
         if (!game) {
@@ -887,10 +1465,11 @@ class Lobby {
     }
 
     // router Events
-    onGameClosed(gameId) {
+    onGameClosed(gameId, nodeName) {
         let game = this.games[gameId];
 
-        if (!game) {
+        // A node that comes back after its games were restored elsewhere closes its stale copies
+        if (!game || (nodeName && game.node && game.node.identity !== nodeName)) {
             return;
         }
 
@@ -898,7 +1477,7 @@ class Lobby {
         delete this.games[gameId];
     }
 
-    onGameRematch(oldGame) {
+    onGameRematch(oldGame, seed) {
         let gameId = oldGame.gameId;
         let game = this.games[gameId];
 
@@ -909,15 +1488,28 @@ class Lobby {
         this.broadcastGameMessage('removegame', game);
         delete this.games[gameId];
 
+        // A rematch after a match has been decided starts a new match
+        let matchInProgress = oldGame.match && !oldGame.match.winner;
+        // Tournament matches only record a winner, so one that was drawn or abandoned is played again
+        let tournamentMatchInProgress = oldGame.match ? matchInProgress : !oldGame.winner;
+
         let newGame = new PendingGame(game.owner, {
             adaptive: game.adaptive,
+            clock: game.clock,
             gameFormat: game.gameFormat,
             gameTimeLimit: game.gameTimeLimit,
             gameType: game.gameType,
             hideDeckLists: game.hideDeckLists,
+            hotseat: game.hotseat,
+            match: matchInProgress ? oldGame.match : undefined,
+            scenario: game.scenario,
+            seed: seed,
             showHand: game.showHand,
+            spectatorDelay: game.spectatorDelay,
             spectators: game.allowSpectators,
             swap: oldGame.swap,
+            tournament: tournamentMatchInProgress ? game.tournament : undefined,
+            tournamentMatch: tournamentMatchInProgress ? game.tournamentMatch : undefined,
             useGameTimeLimit: game.useGameTimeLimit
         });
         newGame.rematch = true;
@@ -942,13 +1534,32 @@ class Lobby {
         this.sendGameState(newGame);
         this.broadcastGameMessage('newgame', newGame);
 
-        let promises = [
-            this.onSelectDeck(socket, newGame.id, owner.deck.id, owner.deck.isStandalone)
-        ];
+        if (newGame.tournamentMatch) {
+            this.tournamentService
+                .setMatchGame(newGame.tournamentMatch.id, newGame.id)
+                .then(() => this.io.emit('tournamentupdated', newGame.tournamentMatch.tournamentId))
+                .catch((err) => logger.error(err));
+        }
+
+        let promises = [this.reselectDeck(socket, newGame.id, owner.deck)];
 
         for (let player of Object.values(game.getPlayers()).filter(
             (player) => player.name !== owner.username
         )) {
+            if (player.user.isAi) {
+                newGame.addAiPlayer();
+                newGame.selectDeck(player.name, player.deck);
+
+                continue;
+            }
+
+            if (player.user.hotseatOwner) {
+                newGame.addHotseatPlayer();
+                newGame.selectDeck(player.name, player.deck);
+
+                continue;
+            }
+
             let socket = this.sockets[player.id];
 
             if (!socket) {
@@ -959,9 +1570,7 @@ class Lobby {
             }
 
             newGame.join(socket.id, player.user);
-            promises.push(
-                this.onSelectDeck(socket, newGame.id, player.deck.id, player.deck.isStandalone)
-            );
+            promises.push(this.reselectDeck(socket, newGame.id, player.deck));
         }
 
         for (let player of Object.values(game.getPlayers())) {
@@ -1000,6 +1609,59 @@ class Lobby {
         });
     }
 
+    onGameRestored(gameId) {
+        let game = this.games[gameId];
+
+        if (!game) {
+            return;
+        }
+
+        game.restoring = false;
+
+        for (let player of Object.values(game.getPlayersAndSpectators())) {
+            let socket = this.sockets[player.id];
+
+            if (!socket || !socket.user) {
+                logger.warn(`Wanted to handoff to ${player.name}, but couldn't find a socket`);
+                continue;
+            }
+
+            this.sendHandoff(socket, game.node, game.id);
+        }
+    }
+
+    /**
+     * @param {string} gameId
+     * @param {string} nodeName - the node that was restoring the game
+     */
+    onGameRestoreFailed(gameId, nodeName) {
+        let game = this.games[gameId];
+
+        if (!game || !game.node || game.node.identity !== nodeName) {
+            return;
+        }
+
+        logger.error(`Could not restore game ${game.id} on ${nodeName}`);
+
+        delete this.games[gameId];
+        this.broadcastGameMessage('removegame', game);
+
+        for (let player of Object.values(game.getPlayersAndSpectators())) {
+            let socket = this.sockets[player.id];
+
+            if (!socket || !socket.user) {
+                continue;
+            }
+
+            socket.send('cleargamestate');
+            socket.leaveChannel(game.id);
+            socket.send(
+                'gameerror',
+                'The server hosting your game went away and the game could not be restored.'
+            );
+        }
+    }
+
     onPlayerLeft(gameId, player) {
         let game = this.games[gameId];
 
@@ -1017,6 +1679,30 @@ class Lobby {
         }
     }
 
+    onRatingsUpdated(ratings) {
+        for (let [username, userRatings] of Object.entries(ratings)) {
+            let user = this.users[username];
+
+            if (!user) {
+                continue;
+            }
+
+            user.ratings = userRatings;
+
+            for (let socket of Object.values(this.sockets)) {
+                if (socket.user && socket.user.hasUserBlocked(user)) {
+                    continue;
+                }
+
+                socket.send('updateuser', user.getShortSummary());
+            }
+        }
+    }
+
+    onTournamentMatchFinished(tournamentMatch) {
+        this.io.emit('tournamentupdated', tournamentMatch.tournamentId);
+    }
+
     onBlocklistChanged(user) {
         let updatedUser = this.users[user.username];
 
@@ -1066,6 +1752,15 @@ class Lobby {
 
     onNodeReconnected(nodeName, games) {
         for (let game of Object.values(games)) {
+            let existingGame = this.games[game.id];
+            if (existingGame && existingGame.node && existingGame.node.identity !== nodeName) {
+                logger.info(
+                    `closing game ${game.id} on ${nodeName} as it has been restored elsewhere`
+                );
+                this.router.closeGame({ id: game.id, node: this.router.workers[nodeName] });
+                continue;
+            }
+
             let owner = game.players[game.owner];
 
             if (!owner) {
@@ -1116,7 +1811,12 @@ class Lobby {
                 })
             ) {
                 this.games[game.id] = game;
-            } else if (game.node && game.node.identity === nodeName) {
+            } else if (
+                game.node &&
+                game.node.identity === nodeName &&
+                !game.restoring &&
+                !this.restoreGame(game)
+            ) {
                 delete this.games[game.id];
             }
         }
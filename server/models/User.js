@@ -118,10 +118,29 @@ class User {
         return 'user';
     }
 
+    get isAi() {
+        return !!this.userData.isAi;
+    }
+
+    /**
+     * The username of the player who controls this seat in a hotseat game
+     */
+    get hotseatOwner() {
+        return this.userData.hotseatOwner;
+    }
+
     get avatar() {
         return this.userData && this.userData.settings && this.userData.settings.avatar;
     }
 
+    get ratings() {
+        return this.userData.ratings || {};
+    }
+
+    set ratings(value) {
+        this.userData.ratings = value;
+    }
+
     get patreon() {
         return this.userData.patreon;
     }
@@ -161,6 +180,7 @@ class User {
             username: this.username,
             avatar: this.avatar,
             name: this.username,
+            rating: this.ratings.overall && Math.round(this.ratings.overall.rating),
             role: this.role
         };
     }
@@ -2,14 +2,30 @@ const uuid = require('uuid');
 const _ = require('underscore');
 const crypto = require('crypto');
 
+const ClockSelector = require('./game/Clocks/ClockSelector');
 const GameChat = require('./game/gamechat.js');
+const Match = require('./Match');
+const SeededRandom = require('./game/SeededRandom.js');
+const User = require('./models/User');
 const logger = require('./log');
 
+// The name the built-in AI opponent plays under, spaces aren't allowed in usernames so it can't clash with a real player
+const AiPlayerName = 'AI Opponent';
+// The name of the second seat in a hotseat game, which is played from the owner's client
+const HotseatPlayerName = 'Second Player';
+// The longest spectators can be kept behind the game, in seconds
+const MaxSpectatorDelay = 600;
+// The most time a player's clock can start with, in minutes
+const MaxClockTime = 120;
+// What happens to a player whose clock runs out: they lose the game or forfeit the rest of their turn
+const ClockExpiries = ['loss', 'turn'];
+
 class PendingGame {
     constructor(owner, details) {
         this.adaptive = details.adaptive;
         this.allowSpectators = details.allowSpectators;
         this.challonge = details.challonge;
+        this.clock = this.getClockDetails(details.clock);
         this.createdAt = new Date();
         this.expansions = details.expansions;
         this.gameChat = new GameChat(this);
@@ -18,20 +34,50 @@ class PendingGame {
         this.gameTimeLimit = details.gameTimeLimit;
         this.gameType = details.gameType;
         this.hideDeckLists = details.hideDeckLists;
+        this.hotseat = !!details.hotseat;
         this.id = uuid.v1();
+        this.match =
+            details.match ||
+            (Match.isMatchFormat(details.gameFormat)
+                ? new Match({ gameFormat: details.gameFormat }).getState()
+                : undefined);
         this.muteSpectators = details.muteSpectators;
         this.name = details.name;
         this.node = {};
         this.owner = owner;
         this.players = {};
         this.previousWinner = details.previousWinner;
+        this.scenario = details.scenario;
+        this.seed = details.seed !== undefined ? details.seed : SeededRandom.generateSeed();
         this.showHand = details.showHand;
+        this.spectatorDelay = Math.min(
+            Math.max(parseInt(details.spectatorDelay) || 0, 0),
+            MaxSpectatorDelay
+        );
         this.spectators = {};
         this.started = false;
         this.swap = !!details.swap;
         this.useGameTimeLimit = details.useGameTimeLimit;
         this.rematch = false;
         this.tournament = details.tournament;
+        this.tournamentMatch = details.tournamentMatch;
+    }
+
+    /**
+     * The clock each player has, from the options the game was created with
+     * @param {{ type: string, time: number, expiry: string }} [clock]
+     * @returns {{ type: string, time: number, expiry: string }}
+     */
+    getClockDetails(clock) {
+        if (!clock || !ClockSelector.isValidType(clock.type) || clock.type === 'none') {
+            return { type: 'none', time: 0, expiry: 'loss' };
+        }
+
+        return {
+            type: clock.type,
+            time: Math.min(Math.max(parseInt(clock.time) || 0, 1), MaxClockTime),
+            expiry: ClockExpiries.includes(clock.expiry) ? clock.expiry : 'loss'
+        };
     }
 
     // Getters
@@ -73,10 +119,14 @@ class PendingGame {
             gamePrivate: this.gamePrivate,
             gameId: this.id,
             gameType: this.gameType,
+            hotseat: this.hotseat,
+            match: this.match,
             players: players,
             previousWinner: this.previousWinner,
+            seed: this.seed,
             startedAt: this.createdAt,
-            swap: this.swap
+            swap: this.swap,
+            tournamentMatch: this.tournamentMatch
         };
     }
 
@@ -100,6 +150,29 @@ class PendingGame {
         };
     }
 
+    /**
+     * Adds the built-in AI opponent to the game. The AI is played by the game node, so it never
+     * connects to the lobby or the game
+     */
+    addAiPlayer() {
+        this.addPlayer('AI', new User({ username: AiPlayerName, isAi: true, settings: {} }));
+    }
+
+    /**
+     * Adds the second seat of a hotseat game. The owner plays both seats from their client, so
+     * the seat never connects to the lobby or the game
+     */
+    addHotseatPlayer() {
+        this.addPlayer(
+            'HOTSEAT',
+            new User({
+                username: HotseatPlayerName,
+                hotseatOwner: this.owner.username,
+                settings: this.owner.getDetails().settings
+            })
+        );
+    }
+
     addSpectator(id, user) {
         this.spectators[user.username] = {
             emailHash: user.emailHash,
@@ -132,6 +205,10 @@ class PendingGame {
             return 'Cannot join game';
         }
 
+        if (this.tournamentMatch && !this.tournamentMatch.decks[user.username]) {
+            return 'This game is for another tournament match';
+        }
+
         if (this.password) {
             if (crypto.createHash('md5').update(password).digest('hex') !== this.password) {
                 return 'Incorrect game password';
@@ -254,11 +331,28 @@ class PendingGame {
 
     // interrogators
     isEmpty() {
-        return !_.any(this.getPlayersAndSpectators(), (player) =>
-            this.hasActivePlayer(player.name)
+        return !_.any(
+            this.getPlayersAndSpectators(),
+            (player) =>
+                !player.user.isAi && !player.user.hotseatOwner && this.hasActivePlayer(player.name)
         );
     }
 
+    hasAiPlayer() {
+        return _.any(this.players, (player) => player.user.isAi);
+    }
+
+    /**
+     * Whether a user plays a seat in this game from their own client as part of a hotseat game
+     * @param {string} playerName
+     * @param {string} username
+     */
+    isHotseatSeat(playerName, username) {
+        let player = this.players[playerName];
+
+        return !!player && player.user.hotseatOwner === username;
+    }
+
     isOwner(playerName) {
         let player = this.players[playerName];
 
@@ -318,7 +412,10 @@ class PendingGame {
         _.each(playersInGame, (player) => {
             let deck;
 
-            if (activePlayer === player.name && player.deck && this.gameFormat !== 'sealed') {
+            let isActivePlayer =
+                activePlayer === player.name || this.isHotseatSeat(player.name, activePlayer);
+
+            if (isActivePlayer && player.deck && this.gameFormat !== 'sealed') {
                 deck = {
                     name: player.deck.name,
                     selected: player.deck.selected,
@@ -333,6 +430,7 @@ class PendingGame {
             playerSummaries[player.name] = {
                 avatar: player.user.avatar,
                 deck: activePlayer ? deck : {},
+                hotseatOwner: player.user.hotseatOwner,
                 houses: this.started && player.deck ? player.deck.houses : [],
                 id: player.id,
                 left: player.left,
@@ -347,11 +445,14 @@ class PendingGame {
             adaptive: this.adaptive,
             allowSpectators: this.allowSpectators,
             challonge: this.challonge,
+            clock: this.clock,
             createdAt: this.createdAt,
             gameFormat: this.gameFormat,
             gamePrivate: this.gamePrivate,
             gameType: this.gameType,
+            hotseat: this.hotseat,
             id: this.id,
+            match: this.match,
             messages: activePlayer ? this.gameChat.messages : undefined,
             muteSpectators: this.muteSpectators,
             name: this.name,
@@ -360,7 +461,13 @@ class PendingGame {
             owner: this.owner.username,
             players: playerSummaries,
             previousWinner: this.previousWinner,
+            scenario: this.scenario && {
+                id: this.scenario.id,
+                name: this.scenario.name,
+                goal: this.scenario.goal
+            },
             showHand: this.showHand,
+            spectatorDelay: this.spectatorDelay,
             started: this.started,
             swap: this.swap,
             spectators: Object.values(this.spectators).map((spectator) => {
@@ -400,23 +507,30 @@ class PendingGame {
             adaptive: this.adaptive,
             allowSpectators: this.allowSpectators,
             challonge: this.challonge,
+            clock: this.clock,
             createdAt: this.createdAt,
             gameFormat: this.gameFormat,
             gamePrivate: this.gamePrivate,
             gameTimeLimit: this.gameTimeLimit,
             gameType: this.gameType,
             hideDeckLists: this.hideDeckLists,
+            hotseat: this.hotseat,
             id: this.id,
+            match: this.match,
             muteSpectators: this.muteSpectators,
             name: this.name,
             needsPassword: !!this.password,
             owner: this.owner.getDetails(),
             players,
             previousWinner: this.previousWinner,
+            scenario: this.scenario,
+            seed: this.seed,
             showHand: this.showHand,
+            spectatorDelay: this.spectatorDelay,
             spectators,
             started: this.started,
             swap: this.swap,
+            tournamentMatch: this.tournamentMatch,
             useGameTimeLimit: this.useGameTimeLimit
         };
     }
@@ -0,0 +1,90 @@
+/*eslint no-console:0 */
+const commandLineArgs = require('command-line-args');
+const fs = require('fs');
+
+const CardService = require('../services/CardService');
+const ConfigService = require('../services/ConfigService');
+const DeckService = require('../services/DeckService');
+const db = require('../db');
+const { GameSimulator, getSimulationCsv, getSimulationStats } = require('../GameSimulator');
+
+const optionsDefinition = [
+    { name: 'deck1', type: Number },
+    { name: 'deck2', type: Number },
+    { name: 'games', type: Number, defaultValue: 100 },
+    { name: 'seed', type: Number, defaultValue: 1 },
+    { name: 'game-format', type: String, defaultValue: 'normal' },
+    { name: 'output-format', type: String, defaultValue: 'json' },
+    { name: 'output', type: String }
+];
+
+class Simulate {
+    constructor(options) {
+        this.options = options;
+        let configService = new ConfigService();
+
+        this.cardService = new CardService(configService);
+        this.deckService = new DeckService(configService);
+    }
+
+    async run() {
+        try {
+            let cards = await this.cardService.getAllCards();
+            let deck1 = await this.loadDeck(this.options.deck1, cards);
+            let deck2 = await this.loadDeck(this.options.deck2, cards);
+
+            let simulator = new GameSimulator(cards, deck1, deck2, {
+                gameFormat: this.options['game-format']
+            });
+            let results = simulator.simulate(
+                this.options.games,
+                this.options.seed,
+                (result, index) => {
+                    if (result.error) {
+                        console.error(`Game ${index + 1} (seed ${result.seed}): ${result.error}`);
+                    }
+                }
+            );
+            let stats = getSimulationStats(results, [deck1.name, deck2.name]);
+            let output =
+                this.options['output-format'] === 'csv'
+                    ? getSimulationCsv(stats)
+                    : JSON.stringify(stats, null, 4);
+
+            if (this.options.output) {
+                fs.writeFileSync(this.options.output, output);
+                console.log('Stats saved:', this.options.output);
+            } else {
+                console.log(output);
+            }
+        } catch (err) {
+            console.error('Could not finish simulation', err);
+        }
+
+        this.cardService.shutdown();
+        await db.shutdown();
+    }
+
+    async loadDeck(id, cards) {
+        let deck = await this.deckService.getById(id);
+        if (!deck) {
+            throw new Error(`Deck ${id} not found`);
+        }
+
+        for (let card of deck.cards) {
+            card.card = cards[card.id];
+        }
+
+        return deck;
+    }
+}
+
+// example usage
+// node server/scripts/simulate.js --deck1=12 --deck2=34 --games=1000 --output-format=csv --output=matchup.csv
+let options = commandLineArgs(optionsDefinition);
+
+if (!options.deck1 || !options.deck2) {
+    console.error('Both --deck1 and --deck2 deck ids are required');
+} else {
+    new Simulate(options).run();
+}
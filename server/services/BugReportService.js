@@ -0,0 +1,132 @@
+const logger = require('../log');
+const db = require('../db');
+
+/**
+ * @typedef BugReport
+ * @property {number} id
+ * @property {string} gameId
+ * @property {string} gameFormat
+ * @property {string} [reporter] - who reported the problem, not set for reports made when the engine throws
+ * @property {string} [description]
+ * @property {string} [error] - the stack trace of the error the engine threw
+ * @property {string} version - the build of the game node the game was running on
+ * @property {boolean} resolved
+ * @property {Date} createdAt
+ * @property {Object} [report] - the state of the game, its log, the decks in play and the recent inputs
+ */
+
+class BugReportService {
+    /**
+     * @param {{ gameId: string, gameFormat: string, reporter?: string, description?: string, error?: string, version: string, state?: Object, log?: string, decks?: Object[], inputs?: Object[] }} report
+     */
+    async create(report) {
+        try {
+            await db.query(
+                'INSERT INTO "BugReports" ("GameId", "GameFormat", "ReporterId", "Description", "Error", "Version", "Report", "CreatedAt") ' +
+                    'VALUES ($1, $2, (SELECT "Id" FROM "Users" WHERE "Username" = $3), $4, $5, $6, $7, $8)',
+                [
+                    report.gameId,
+                    report.gameFormat,
+                    report.reporter,
+                    report.description,
+                    report.error,
+                    report.version,
+                    {
+                        decks: report.decks,
+                        inputs: report.inputs,
+                        log: report.log,
+                        state: report.state
+                    },
+                    new Date()
+                ]
+            );
+        } catch (err) {
+            logger.error(`Failed to save bug report for game ${report.gameId}`, err);
+
+            throw new Error('Failed to save bug report');
+        }
+    }
+
+    /**
+     * The bug reports, newest first, without the captured game
+     * @param {boolean} [resolved] - whether to only return resolved or unresolved reports
+     * @returns {Promise<BugReport[]>}
+     */
+    async getBugReports(resolved) {
+        let reports;
+
+        try {
+            reports = await db.query(
+                'SELECT br."Id", br."GameId", br."GameFormat", br."Description", br."Error", br."Version", br."Resolved", br."CreatedAt", u."Username" AS "Reporter" ' +
+                    'FROM "BugReports" br LEFT JOIN "Users" u ON u."Id" = br."ReporterId" ' +
+                    'WHERE $1::boolean IS NULL OR br."Resolved" = $1 ORDER BY br."CreatedAt" DESC LIMIT 200',
+                [resolved === undefined ? null : resolved]
+            );
+        } catch (err) {
+            logger.error('Failed to retrieve bug reports', err);
+
+            throw new Error('Failed to retrieve bug reports');
+        }
+
+        return reports.map((report) => this.mapBugReport(report));
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<BugReport | undefined>}
+     */
+    async getBugReportById(id) {
+        let reports;
+
+        try {
+            reports = await db.query(
+                'SELECT br.*, u."Username" AS "Reporter" FROM "BugReports" br LEFT JOIN "Users" u ON u."Id" = br."ReporterId" WHERE br."Id" = $1',
+                [id]
+            );
+        } catch (err) {
+            logger.error(`Failed to retrieve bug report ${id}`, err);
+
+            throw new Error('Failed to retrieve bug report');
+        }
+
+        if (!reports || reports.length === 0) {
+            return undefined;
+        }
+
+        return this.mapBugReport(reports[0]);
+    }
+
+    /**
+     * @param {number} id
+     * @param {boolean} resolved
+     */
+    async setResolved(id, resolved) {
+        try {
+            await db.query('UPDATE "BugReports" SET "Resolved" = $2 WHERE "Id" = $1', [
+                id,
+                resolved
+            ]);
+        } catch (err) {
+            logger.error(`Failed to update bug report ${id}`, err);
+
+            throw new Error('Failed to update bug report');
+        }
+    }
+
+    mapBugReport(report) {
+        return {
+            id: report.Id,
+            gameId: report.GameId,
+            gameFormat: report.GameFormat,
+            reporter: report.Reporter,
+            description: report.Description,
+            error: report.Error,
+            version: report.Version,
+            resolved: report.Resolved,
+            createdAt: report.CreatedAt,
+            report: report.Report
+        };
+    }
+}
+
+module.exports = BugReportService;
@@ -1,7 +1,15 @@
+const uuid = require('uuid');
+
 const logger = require('../log');
 const util = require('../util');
 const db = require('../db');
 const { expand, flatten } = require('../Array');
+const { buildAllianceDeck, validateAlliance } = require('../AllianceDeck');
+const { parseDeckExport, parseDeckList } = require('../DeckImport');
+const { RatedGameResults } = require('../constants');
+
+// The results a player can have in a game that counts towards their deck's record
+const PlayerResults = RatedGameResults.concat('loss');
 
 class DeckService {
     constructor(configService) {
@@ -69,6 +77,126 @@ class DeckService {
         return retDeck;
     }
 
+    /**
+     * Builds an Alliance deck for a user from pods of their decks, checking it follows the
+     * Alliance deck building rules
+     * @param {import('../models/User')} user
+     * @param {import('../AllianceDeck').Pod[]} pods
+     * @param {Object} cards - the card data, by card id
+     */
+    async getAllianceDeck(user, pods, cards) {
+        let decks = {};
+
+        for (let pod of pods || []) {
+            if (decks[pod.deckId]) {
+                continue;
+            }
+
+            let deck = await this.getById(pod.deckId);
+            if (!deck) {
+                continue;
+            }
+
+            for (let card of deck.cards) {
+                card.card = cards[card.id];
+            }
+
+            decks[pod.deckId] = deck;
+        }
+
+        let validation = validateAlliance(user, pods, decks);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join('. '));
+        }
+
+        return buildAllianceDeck(user, pods, decks);
+    }
+
+    /**
+     * How a deck has performed in the games it has been played in. Abandoned games aren't
+     * counted
+     * @param {number} deckId
+     */
+    async getStats(deckId) {
+        let games;
+
+        try {
+            games = await db.query(
+                'SELECT gp."Result", gp."First", gp."Turn", ou."Username" AS "Opponent", ' +
+                    'ARRAY(SELECT h."Code" FROM "DeckHouses" dh JOIN "Houses" h ON h."Id" = dh."HouseId" WHERE dh."DeckId" = ogp."DeckId") AS "OpponentHouses" ' +
+                    'FROM "GamePlayers" gp ' +
+                    'LEFT JOIN "GamePlayers" ogp ON ogp."GameId" = gp."GameId" AND ogp."PlayerId" != gp."PlayerId" ' +
+                    'LEFT JOIN "Users" ou ON ou."Id" = ogp."PlayerId" ' +
+                    'WHERE gp."DeckId" = $1 AND gp."Result" = ANY($2)',
+                [deckId, PlayerResults]
+            );
+        } catch (err) {
+            logger.error(`Failed to retrieve stats for deck ${deckId}`, err);
+
+            throw new Error('Failed to retrieve deck stats');
+        }
+
+        return this.summariseGames(games);
+    }
+
+    /**
+     * @param {{ Result: string, First: boolean, Turn: number, Opponent: string, OpponentHouses: string[] }[]} games
+     */
+    summariseGames(games) {
+        const record = () => ({ games: 0, wins: 0, losses: 0, draws: 0, winRate: 0 });
+        const addGame = (record, game) => {
+            record.games++;
+            if (game.Result === 'win') {
+                record.wins++;
+            } else if (game.Result === 'draw') {
+                record.draws++;
+            } else {
+                record.losses++;
+            }
+
+            record.winRate = (record.wins / record.games) * 100;
+        };
+
+        let stats = Object.assign(record(), { first: record(), second: record() });
+        let houses = {};
+        let opponents = {};
+        let winningTurns = [];
+
+        for (let game of games) {
+            addGame(stats, game);
+
+            if (game.First !== null && game.First !== undefined) {
+                addGame(game.First ? stats.first : stats.second, game);
+            }
+
+            if (game.Result === 'win' && game.Turn) {
+                winningTurns.push(game.Turn);
+            }
+
+            for (let house of game.OpponentHouses || []) {
+                houses[house] = houses[house] || Object.assign(record(), { house: house });
+                addGame(houses[house], game);
+            }
+
+            if (game.Opponent) {
+                opponents[game.Opponent] =
+                    opponents[game.Opponent] || Object.assign(record(), { name: game.Opponent });
+                addGame(opponents[game.Opponent], game);
+            }
+        }
+
+        stats.averageTurnsToWin =
+            winningTurns.length > 0
+                ? winningTurns.reduce((total, turn) => total + turn, 0) / winningTurns.length
+                : undefined;
+        stats.houses = Object.values(houses).sort((a, b) => a.house.localeCompare(b.house));
+        stats.opponents = Object.values(opponents)
+            .sort((a, b) => b.games - a.games)
+            .slice(0, 5);
+
+        return stats;
+    }
+
     async deckExistsForUser(user, deckId) {
         let deck;
         try {
@@ -361,6 +489,63 @@ class DeckService {
 
         let newDeck = this.parseDeckResponse(deck.username, deckResponse);
 
+        return this.addDeck(user, newDeck);
+    }
+
+    /**
+     * Imports a deck from a pasted deck list or a JSON export instead of the Master Vault, so
+     * decks can still be imported when it can't be reached. The cards are looked up in the card
+     * data, and as nothing has checked the deck exists it is flagged for verification
+     * @param {import('../models/User')} user
+     * @param {{ username: string, deckList?: string, deckExport?: string|Object }} deck
+     * @param {Object.<string, Object>} cards - the card data, by card id
+     */
+    async importDeck(user, deck, cards) {
+        let exported = deck.deckExport;
+        if (typeof exported === 'string') {
+            try {
+                exported = JSON.parse(exported);
+            } catch (err) {
+                throw new Error('The deck export is not valid JSON');
+            }
+        }
+
+        let newDeck;
+
+        // Decks saved from the Master Vault API can be imported as they are
+        if (exported && exported.data && exported._linked) {
+            newDeck = this.parseDeckResponse(deck.username, exported);
+            if (!newDeck) {
+                throw new Error('The deck export contains cards that could not be imported');
+            }
+        } else {
+            let result = deck.deckList
+                ? parseDeckList(deck.deckList, cards)
+                : parseDeckExport(exported, cards);
+
+            if (result.errors.length > 0) {
+                throw new Error(result.errors.join('. '));
+            }
+
+            newDeck = Object.assign(result.deck, {
+                cardback: '',
+                lastUpdated: new Date(),
+                username: deck.username,
+                uuid: uuid.v4()
+            });
+        }
+
+        newDeck.flagged = true;
+
+        return this.addDeck(user, newDeck);
+    }
+
+    /**
+     * Saves a newly imported deck for a user, unless it's already been imported
+     * @param {import('../models/User')} user
+     * @param {Object} newDeck
+     */
+    async addDeck(user, newDeck) {
         let validExpansion = await this.checkValidDeckExpansion(newDeck);
         if (!validExpansion) {
             throw new Error('This deck is from a future expansion and not currently supported');
@@ -400,7 +585,7 @@ class DeckService {
             if (user) {
                 ret = await db.query(
                     'INSERT INTO "Decks" ("UserId", "Uuid", "Identity", "Name", "IncludeInSealed", "LastUpdated", "Verified", "ExpansionId", "Flagged", "Banned") ' +
-                        'VALUES ($1, $2, $3, $4, $5, $6, false, (SELECT "Id" FROM "Expansions" WHERE "ExpansionId" = $7), false, false) RETURNING "Id"',
+                        'VALUES ($1, $2, $3, $4, $5, $6, false, (SELECT "Id" FROM "Expansions" WHERE "ExpansionId" = $7), $8, false) RETURNING "Id"',
                     [
                         user.id,
                         deck.uuid,
@@ -408,7 +593,8 @@ class DeckService {
                         deck.name,
                         false,
                         deck.lastUpdated,
-                        deck.expansion
+                        deck.expansion,
+                        !!deck.flagged
                     ]
                 );
             } else {
@@ -544,7 +730,7 @@ class DeckService {
                     'FROM "Decks" d ' +
                     'JOIN "Users" u ON u."Id" = "UserId" ' +
                     'JOIN "Expansions" e on e."Id" = d."ExpansionId" ' +
-                    'WHERE u."Id" = $1 AND d."Verified" = False AND (SELECT COUNT(*) FROM "Decks" WHERE "Name" = d."Name") > $2',
+                    'WHERE u."Id" = $1 AND d."Verified" = False AND (d."Flagged" = True OR (SELECT COUNT(*) FROM "Decks" WHERE "Name" = d."Name") > $2)',
                 [user.id, this.configService.getValueForSection('lobby', 'lowerDeckThreshold')]
             );
         } catch (err) {
@@ -680,6 +866,7 @@ class DeckService {
     mapDeck(deck) {
         return {
             expansion: deck.Expansion,
+            flagged: deck.Flagged,
             id: deck.Id,
             identity: deck.Identity,
             name: deck.Name,
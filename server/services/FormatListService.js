@@ -0,0 +1,154 @@
+const logger = require('../log');
+const db = require('../db');
+
+class FormatListService {
+    /**
+     * Every version of every format's ban and restricted list, newest first
+     * @returns {Promise<import('../FormatList').FormatList[]>}
+     */
+    async getFormatLists() {
+        let lists;
+        let cards;
+
+        try {
+            lists = await db.query(
+                'SELECT fl.*, u."Username" AS "Creator" FROM "FormatLists" fl JOIN "Users" u ON u."Id" = fl."CreatorId" ORDER BY fl."CreatedAt" DESC'
+            );
+            cards = await db.query('SELECT * FROM "FormatListCards"');
+        } catch (err) {
+            logger.error('Failed to retrieve format lists', err);
+
+            throw new Error('Failed to retrieve format lists');
+        }
+
+        return lists.map((list) =>
+            this.mapFormatList(
+                list,
+                cards.filter((card) => card.FormatListId === list.Id)
+            )
+        );
+    }
+
+    /**
+     * The latest version of each format's list
+     * @returns {Promise<import('../FormatList').FormatList[]>}
+     */
+    async getCurrentLists() {
+        let lists = await this.getFormatLists();
+
+        return lists.filter(
+            (list, index) => lists.findIndex((l) => l.gameFormat === list.gameFormat) === index
+        );
+    }
+
+    /**
+     * The latest version of a format's list
+     * @param {string} gameFormat
+     * @returns {Promise<import('../FormatList').FormatList | undefined>}
+     */
+    async getCurrentList(gameFormat) {
+        let list;
+        let cards;
+
+        try {
+            list = await db.query(
+                'SELECT fl.*, u."Username" AS "Creator" FROM "FormatLists" fl JOIN "Users" u ON u."Id" = fl."CreatorId" ' +
+                    'WHERE fl."GameFormat" = $1 ORDER BY fl."CreatedAt" DESC LIMIT 1',
+                [gameFormat]
+            );
+
+            if (!list || list.length === 0) {
+                return undefined;
+            }
+
+            cards = await db.query('SELECT * FROM "FormatListCards" WHERE "FormatListId" = $1', [
+                list[0].Id
+            ]);
+        } catch (err) {
+            logger.error(`Failed to retrieve the ${gameFormat} format list`, err);
+
+            throw new Error('Failed to retrieve format list');
+        }
+
+        return this.mapFormatList(list[0], cards);
+    }
+
+    /**
+     * Adds a new version of a format's list
+     * @param {{ gameFormat: string, version: string, banned: string[], restricted: string[], restrictedLimit: number }} details
+     * @param {import('../models/User')} user
+     */
+    async createFormatList(details, user) {
+        let createdAt = new Date();
+        let id;
+
+        await db.query('BEGIN');
+
+        try {
+            let res = await db.query(
+                'INSERT INTO "FormatLists" ("GameFormat", "Version", "RestrictedLimit", "CreatorId", "CreatedAt") VALUES ($1, $2, $3, $4, $5) RETURNING "Id"',
+                [details.gameFormat, details.version, details.restrictedLimit, user.id, createdAt]
+            );
+
+            id = res[0].Id;
+
+            for (let type of ['banned', 'restricted']) {
+                for (let cardId of details[type]) {
+                    await db.query(
+                        'INSERT INTO "FormatListCards" ("FormatListId", "CardId", "Type") VALUES ($1, $2, $3)',
+                        [id, cardId, type]
+                    );
+                }
+            }
+        } catch (err) {
+            logger.error(
+                `Failed to add ${details.gameFormat} format list v${details.version}`,
+                err
+            );
+
+            await db.query('ROLLBACK');
+
+            throw new Error('Failed to add format list');
+        }
+
+        await db.query('COMMIT');
+
+        return {
+            id: id,
+            gameFormat: details.gameFormat,
+            version: details.version,
+            banned: details.banned,
+            restricted: details.restricted,
+            restrictedLimit: details.restrictedLimit,
+            creator: user.username,
+            createdAt: createdAt
+        };
+    }
+
+    async deleteFormatList(id) {
+        try {
+            await db.query('DELETE FROM "FormatLists" WHERE "Id" = $1', [id]);
+        } catch (err) {
+            logger.error(`Failed to delete format list ${id}`, err);
+
+            throw new Error('Failed to delete format list');
+        }
+    }
+
+    mapFormatList(list, cards) {
+        return {
+            id: list.Id,
+            gameFormat: list.GameFormat,
+            version: list.Version,
+            banned: cards.filter((card) => card.Type === 'banned').map((card) => card.CardId),
+            restricted: cards
+                .filter((card) => card.Type === 'restricted')
+                .map((card) => card.CardId),
+            restrictedLimit: list.RestrictedLimit,
+            creator: list.Creator,
+            createdAt: list.CreatedAt
+        };
+    }
+}
+
+module.exports = FormatListService;
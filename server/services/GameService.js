@@ -1,5 +1,3 @@
-const _ = require('underscore');
-
 const logger = require('../log.js');
 const db = require('../db');
 
@@ -10,9 +8,10 @@ class GameService {
         await db.query('BEGIN');
 
         try {
+            let matchId = game.match ? await this.createMatch(game.match) : null;
             let newGame = await db.query(
-                'INSERT INTO "Games" ("GameId", "GameType", "GameFormat", "StartedAt") VALUES ($1, $2, $3, $4) RETURNING "Id"',
-                [game.gameId, game.gameType, game.gameFormat, game.startedAt]
+                'INSERT INTO "Games" ("GameId", "GameType", "GameFormat", "StartedAt", "Seed", "MatchId") VALUES ($1, $2, $3, $4, $5, $6) RETURNING "Id"',
+                [game.gameId, game.gameType, game.gameFormat, game.startedAt, game.seed, matchId]
             );
 
             if (!newGame || newGame.length === 0) {
@@ -33,9 +32,10 @@ class GameService {
 
         for (let player of game.players) {
             try {
+                // Players without an account, like the AI opponent, aren't recorded
                 await db.query(
-                    'INSERT INTO "GamePlayers" ("GameId", "PlayerId", "DeckId") VALUES ' +
-                        '($1, (SELECT "Id" FROM "Users" WHERE "Username" = $2), (SELECT "Id" FROM "Decks" WHERE "Identity" = $3))',
+                    'INSERT INTO "GamePlayers" ("GameId", "PlayerId", "DeckId") ' +
+                        'SELECT $1, u."Id", (SELECT "Id" FROM "Decks" WHERE "Identity" = $3) FROM "Users" u WHERE u."Username" = $2',
                     [gameId, player.name, player.deck]
                 );
             } catch (err) {
@@ -50,13 +50,37 @@ class GameService {
         await db.query('COMMIT');
     }
 
+    /**
+     * Creates the record for a match the first time one of its games is started, each game of
+     * the match is then linked to the same record
+     * @param {Object} match - the state of the match, as returned by Match.getState
+     * @returns {Promise<number>} the id of the match record
+     */
+    async createMatch(match) {
+        let matches = await db.query(
+            'INSERT INTO "Matches" ("MatchId", "GameFormat", "BestOf", "StartedAt") VALUES ($1, $2, $3, $4) ' +
+                'ON CONFLICT ("MatchId") DO UPDATE SET "BestOf" = $3 RETURNING "Id"',
+            [match.id, match.gameFormat, match.bestOf, match.startedAt]
+        );
+
+        return matches[0].Id;
+    }
+
     async update(game) {
         await db.query('BEGIN');
 
         try {
             await db.query(
-                'UPDATE "Games" SET "StartedAt" = $2, "WinnerId" = (SELECT "Id" FROM "Users" WHERE "Username" = $3), "WinReason" = $4, "FinishedAt" = $5 WHERE "GameId" = $1',
-                [game.gameId, game.startedAt, game.winner, game.winReason, game.finishedAt]
+                'UPDATE "Games" SET "StartedAt" = $2, "WinnerId" = (SELECT "Id" FROM "Users" WHERE "Username" = $3), "WinReason" = $4, "FinishedAt" = $5, "Result" = $6, "Telemetry" = $7 WHERE "GameId" = $1',
+                [
+                    game.gameId,
+                    game.startedAt,
+                    game.winner,
+                    game.winReason,
+                    game.finishedAt,
+                    game.result,
+                    game.telemetry ? JSON.stringify(game.telemetry) : null
+                ]
             );
         } catch (err) {
             await db.query('ROLLBACK');
@@ -85,8 +109,16 @@ class GameService {
                 await db.query(
                     'UPDATE "GamePlayers" SET "Keys" = $1, ' +
                         '"DeckId" = (SELECT "Id" FROM "Decks" WHERE "Identity" = $5 AND "UserId" = (SELECT "Id" FROM "Users" WHERE "Username" = $4)), ' +
-                        '"Turn" = $2 WHERE "GameId" = (SELECT "Id" FROM "Games" WHERE "GameId" = $3) AND "PlayerId" = (SELECT "Id" FROM "Users" WHERE "Username" = $4)',
-                    [keys, player.turn, game.gameId, player.name, player.deck]
+                        '"Turn" = $2, "Result" = $6, "First" = $7 WHERE "GameId" = (SELECT "Id" FROM "Games" WHERE "GameId" = $3) AND "PlayerId" = (SELECT "Id" FROM "Users" WHERE "Username" = $4)',
+                    [
+                        keys,
+                        player.turn,
+                        game.gameId,
+                        player.name,
+                        player.deck,
+                        player.result,
+                        player.first
+                    ]
                 );
             } catch (err) {
                 logger.error(
@@ -100,81 +132,234 @@ class GameService {
             }
         }
 
+        if (game.match && game.match.winner) {
+            try {
+                await db.query(
+                    'UPDATE "Matches" SET "WinnerId" = (SELECT "Id" FROM "Users" WHERE "Username" = $2), "FinishedAt" = $3 WHERE "MatchId" = $1',
+                    [game.match.id, game.match.winner, game.finishedAt]
+                );
+            } catch (err) {
+                logger.error(`Failed to update match ${game.match.id}`, err);
+
+                await db.query('ROLLBACK');
+
+                throw new Error('Failed to update match');
+            }
+        }
+
         await db.query('COMMIT');
     }
 
-    getAllGames(from, to) {
-        return this.games
-            .find()
-            .then((games) => {
-                return _.filter(games, (game) => {
-                    return game.startedAt >= from && game.startedAt < to;
-                });
-            })
-            .catch((err) => {
-                logger.error('Unable to get all games from', from, 'to', to, err);
-                throw new Error('Unable to get all games');
-            });
+    async saveReplay(gameId, replay) {
+        try {
+            await db.query(
+                'INSERT INTO "GameReplays" ("GameId", "Replay") VALUES ((SELECT "Id" FROM "Games" WHERE "GameId" = $1), $2) ' +
+                    'ON CONFLICT ("GameId") DO UPDATE SET "Replay" = $2',
+                [gameId, replay]
+            );
+        } catch (err) {
+            logger.error(`Failed to save replay for game ${gameId}`, err);
+
+            throw new Error('Failed to save replay');
+        }
     }
 
-    async findByUserName(username) {
-        let games = await this.games.aggregate([
-            {
-                $lookup: {
-                    from: 'decks',
-                    localField: 'players.deck',
-                    foreignField: 'identity',
-                    as: 'decks'
-                }
-            },
-            {
-                $match: {
-                    $and: [
-                        {
-                            'players.name': username
-                        },
-                        {
-                            'players.deck': {
-                                $ne: null
-                            }
-                        }
-                    ]
-                }
-            },
-            {
-                $sort: {
-                    finishedAt: -1
-                }
-            },
-            {
-                $limit: 30
+    async getReplay(gameId) {
+        let replays;
+
+        try {
+            replays = await db.query(
+                'SELECT r."Replay", ARRAY(SELECT u."Username" FROM "GamePlayers" gp JOIN "Users" u ON u."Id" = gp."PlayerId" WHERE gp."GameId" = g."Id") AS "Players" ' +
+                    'FROM "GameReplays" r JOIN "Games" g ON g."Id" = r."GameId" WHERE g."GameId" = $1',
+                [gameId]
+            );
+        } catch (err) {
+            logger.error(`Failed to fetch replay for game ${gameId}`, err);
+
+            throw new Error('Failed to fetch replay');
+        }
+
+        if (!replays || replays.length === 0) {
+            return undefined;
+        }
+
+        return {
+            players: replays[0].Players,
+            replay: replays[0].Replay
+        };
+    }
+
+    /**
+     * The tables joined to find a user's games, with gp the user's own game player and ogp their
+     * opponent's
+     */
+    getUserGamesFrom() {
+        return (
+            'FROM "Games" g ' +
+            'JOIN "GamePlayers" gp ON gp."GameId" = g."Id" ' +
+            'LEFT JOIN "Decks" d ON d."Id" = gp."DeckId" ' +
+            'LEFT JOIN "GamePlayers" ogp ON ogp."GameId" = g."Id" AND ogp."PlayerId" != gp."PlayerId" ' +
+            'LEFT JOIN "Users" ou ON ou."Id" = ogp."PlayerId" ' +
+            'LEFT JOIN "Decks" od ON od."Id" = ogp."DeckId" ' +
+            'WHERE gp."PlayerId" = $1 AND gp."DeckId" IS NOT NULL '
+        );
+    }
+
+    mapColumn(column) {
+        switch (column) {
+            case 'finishedAt':
+                return 'g."FinishedAt"';
+            case 'gameFormat':
+                return 'g."GameFormat"';
+            case 'gameType':
+                return 'g."GameType"';
+            case 'result':
+                return 'gp."Result"';
+            case 'opponent':
+                return 'lower(ou."Username")';
+            case 'deck':
+                return 'lower(d."Name")';
+            default:
+                return 'g."StartedAt"';
+        }
+    }
+
+    processFilter(index, params, filterOptions) {
+        let filter = '';
+
+        for (let filterObject of filterOptions || []) {
+            if (!filterObject.value || typeof filterObject.value !== 'string') {
+                continue;
             }
-        ]);
-
-        // Make sure position zero is always the given username
-        games.forEach((game) => {
-            if (
-                game.players &&
-                game.players[0] &&
-                game.players[1] &&
-                game.decks[0] &&
-                game.decks[1]
-            ) {
-                if (game.players[1].name === username) {
-                    let opponent = game.players[0];
-                    game.players[0] = game.players[1];
-                    game.players[1] = opponent;
-                }
 
-                if (game.players[0].deck === game.decks[1].identity) {
-                    let oppDeck = game.decks[0];
-                    game.decks[0] = game.decks[1];
-                    game.decks[1] = oppDeck;
-                }
+            switch (filterObject.name) {
+                case 'opponent':
+                case 'deck':
+                    filter += `AND ${this.mapColumn(filterObject.name)} LIKE $${index++} `;
+                    // Wildcards typed by the user are matched literally
+                    params.push(`%${filterObject.value.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`);
+
+                    break;
+                case 'gameFormat':
+                case 'gameType':
+                case 'result':
+                    filter += `AND ${this.mapColumn(filterObject.name)} = $${index++} `;
+                    params.push(filterObject.value);
+
+                    break;
+                case 'from':
+                    filter += `AND g."StartedAt" >= CAST($${index++} AS date) `;
+                    params.push(filterObject.value);
+
+                    break;
+                case 'to':
+                    // The to date is inclusive, so games started at any time that day are included
+                    filter += `AND g."StartedAt" < CAST($${index++} AS date) + 1 `;
+                    params.push(filterObject.value);
+
+                    break;
             }
-        });
+        }
+
+        return filter;
+    }
+
+    async getNumGamesForUser(user, options) {
+        let ret;
+        let params = [user.id];
+        const filter = this.processFilter(2, params, options.filter);
 
-        return games;
+        try {
+            ret = await db.query(
+                'SELECT COUNT(*) AS "NumGames" ' + this.getUserGamesFrom() + filter,
+                params
+            );
+        } catch (err) {
+            logger.error('Failed to count users games', err);
+
+            throw new Error('Failed to count games');
+        }
+
+        return ret && ret.length > 0 ? parseInt(ret[0].NumGames) : 0;
+    }
+
+    /**
+     * A page of the games a user has played, with the user as the first player of each game
+     * @param {{ id: number }} user
+     * @param {Object} [options]
+     * @param {number} [options.page]
+     * @param {number} [options.pageSize]
+     * @param {string} [options.sort]
+     * @param {string} [options.sortDir]
+     * @param {{ name: string, value: string }[]} [options.filter] - filters on the opponent, deck,
+     * gameFormat, gameType, result, and the from and to dates the game started between
+     */
+    async findForUser(
+        user,
+        options = { page: 1, pageSize: 10, sort: 'startedAt', sortDir: 'desc', filter: [] }
+    ) {
+        let games;
+        let pageSize = options.pageSize;
+        let page = options.page;
+        let sortColumn = this.mapColumn(options.sort);
+        let sortDir = options.sortDir === 'asc' ? 'ASC' : 'DESC';
+        let params = [user.id, pageSize, (page - 1) * pageSize];
+        const filter = this.processFilter(4, params, options.filter);
+
+        try {
+            games = await db.query(
+                'SELECT g."GameId", g."GameType", g."GameFormat", g."StartedAt", g."FinishedAt", g."WinReason", ' +
+                    '(SELECT "Username" FROM "Users" WHERE "Id" = g."WinnerId") AS "Winner", ' +
+                    'gp."Keys", gp."Result", d."Identity" AS "DeckIdentity", d."Name" AS "DeckName", ' +
+                    'ARRAY(SELECT h."Code" FROM "DeckHouses" dh JOIN "Houses" h ON h."Id" = dh."HouseId" WHERE dh."DeckId" = d."Id") AS "DeckHouses", ' +
+                    'ou."Username" AS "Opponent", ogp."Keys" AS "OpponentKeys", ogp."Result" AS "OpponentResult", ' +
+                    'od."Identity" AS "OpponentDeckIdentity", od."Name" AS "OpponentDeckName", ' +
+                    'ARRAY(SELECT h."Code" FROM "DeckHouses" dh JOIN "Houses" h ON h."Id" = dh."HouseId" WHERE dh."DeckId" = od."Id") AS "OpponentDeckHouses" ' +
+                    this.getUserGamesFrom() +
+                    filter +
+                    `ORDER BY ${sortColumn} ${sortDir} NULLS LAST, g."Id" DESC ` +
+                    'LIMIT $2 ' +
+                    'OFFSET $3',
+                params
+            );
+        } catch (err) {
+            logger.error('Failed to retrieve games', err);
+
+            throw new Error('Failed to retrieve games');
+        }
+
+        return games.map((game) => ({
+            decks: [
+                { houses: game.DeckHouses, identity: game.DeckIdentity, name: game.DeckName },
+                {
+                    houses: game.OpponentDeckHouses,
+                    identity: game.OpponentDeckIdentity,
+                    name: game.OpponentDeckName
+                }
+            ],
+            finishedAt: game.FinishedAt,
+            gameFormat: game.GameFormat,
+            gameId: game.GameId,
+            gameType: game.GameType,
+            players: [
+                {
+                    deck: game.DeckIdentity,
+                    keys: game.Keys,
+                    name: user.username,
+                    result: game.Result
+                },
+                {
+                    deck: game.OpponentDeckIdentity,
+                    keys: game.OpponentKeys,
+                    name: game.Opponent,
+                    result: game.OpponentResult
+                }
+            ],
+            result: game.Result,
+            startedAt: game.StartedAt,
+            winReason: game.WinReason,
+            winner: game.Winner
+        }));
     }
 }
 
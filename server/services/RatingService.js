@@ -0,0 +1,205 @@
+const logger = require('../log');
+const db = require('../db');
+const { calculateRating, defaultRating } = require('../Glicko');
+const { RatedGameResults } = require('../constants');
+
+const ratedFormats = ['normal', 'sealed', 'reversal', 'adaptive'];
+
+class RatingService {
+    /**
+     * Gets the rating categories a game counts towards, the overall rating and the rating for
+     * its format
+     * @param {string} gameFormat
+     * @returns {string[]}
+     */
+    getFormatsForGame(gameFormat) {
+        // Best of N variants of a format share its rating
+        let format = gameFormat && gameFormat.replace(/-bo\d+$/, '');
+
+        return ratedFormats.includes(format) ? ['overall', format] : ['overall'];
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {Promise<Object.<string, { rating: number, deviation: number, gamesPlayed: number }>>}
+     * the user's ratings keyed by format
+     */
+    async getRatingsForUser(userId) {
+        let rows;
+
+        try {
+            rows = await db.query('SELECT * FROM "UserRatings" WHERE "UserId" = $1', [userId]);
+        } catch (err) {
+            logger.error('Failed to lookup ratings for user', err);
+
+            throw new Error('Failed to lookup ratings');
+        }
+
+        return this.mapRatings(rows);
+    }
+
+    /**
+     * Updates the ratings of both players after a competitive game has been won or drawn.
+     * Abandoned games don't change ratings. The game is marked as rated along with the ratings
+     * being saved, so a game is only ever rated once
+     * @param {{ gameId: string, gameType: string, gameFormat: string, result: string, winner: string, players: { name: string }[] }} game
+     * - the save state of the game
+     * @returns {Promise<Object.<string, Object>>} the new ratings keyed by username, or undefined
+     * if the game isn't rated
+     */
+    async recordGame(game) {
+        if (
+            game.gameType !== 'competitive' ||
+            !RatedGameResults.includes(game.result) ||
+            game.players.length !== 2
+        ) {
+            return undefined;
+        }
+
+        let client = await db.startTransaction();
+        let result;
+
+        try {
+            result = await this.rateGame(client, game);
+
+            await db.queryTran(client, result ? 'COMMIT' : 'ROLLBACK');
+        } catch (err) {
+            await db.queryTran(client, 'ROLLBACK');
+
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        return result;
+    }
+
+    /**
+     * Marks the game as rated and saves the new ratings of its players, as part of a transaction
+     * @param {import('pg').PoolClient} client
+     * @param {Object} game - the save state of the game
+     * @returns {Promise<Object.<string, Object>>} the new ratings keyed by username, or undefined
+     * if the game has already been rated or either player can't be found
+     */
+    async rateGame(client, game) {
+        let usernames = game.players.map((player) => player.name);
+        let formats = this.getFormatsForGame(game.gameFormat);
+        let marked, rows;
+
+        try {
+            marked = await db.queryTran(
+                client,
+                'UPDATE "Games" SET "Rated" = true WHERE "GameId" = $1 AND NOT "Rated" RETURNING "Id"',
+                [game.gameId]
+            );
+        } catch (err) {
+            logger.error('Failed to mark game as rated', err);
+
+            throw new Error('Failed to update ratings');
+        }
+
+        if (marked.length === 0) {
+            return undefined;
+        }
+
+        try {
+            rows = await db.queryTran(
+                client,
+                'SELECT u."Id" AS "UserId", u."Username", r."Format", r."Rating", r."Deviation", r."Volatility", r."GamesPlayed" ' +
+                    'FROM "Users" u LEFT JOIN "UserRatings" r ON r."UserId" = u."Id" AND r."Format" = ANY($2) ' +
+                    'WHERE u."Username" = ANY($1)',
+                [usernames, formats]
+            );
+        } catch (err) {
+            logger.error('Failed to lookup ratings for game', err);
+
+            throw new Error('Failed to lookup ratings');
+        }
+
+        let users = {};
+        for (let row of rows) {
+            users[row.Username] = users[row.Username] || { id: row.UserId, ratings: {} };
+            if (row.Format) {
+                users[row.Username].ratings[row.Format] = this.mapRating(row);
+            }
+        }
+
+        if (usernames.some((username) => !users[username])) {
+            return undefined;
+        }
+
+        let newRatings = {};
+        for (let format of formats) {
+            for (let username of usernames) {
+                let opponentName = usernames.find((name) => name !== username);
+                let current = users[username].ratings[format] || defaultRating;
+                let opponent = users[opponentName].ratings[format] || defaultRating;
+                let rating = calculateRating(current, [
+                    {
+                        opponent: opponent,
+                        score: game.result === 'draw' ? 0.5 : game.winner === username ? 1 : 0
+                    }
+                ]);
+
+                newRatings[username] = newRatings[username] || {};
+                newRatings[username][format] = Object.assign(rating, {
+                    gamesPlayed: (current.gamesPlayed || 0) + 1
+                });
+            }
+        }
+
+        try {
+            for (let username of usernames) {
+                for (let [format, rating] of Object.entries(newRatings[username])) {
+                    await db.queryTran(
+                        client,
+                        'INSERT INTO "UserRatings" ("UserId", "Format", "Rating", "Deviation", "Volatility", "GamesPlayed", "LastPlayed") ' +
+                            'VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT ("UserId", "Format") DO UPDATE SET ' +
+                            '"Rating" = $3, "Deviation" = $4, "Volatility" = $5, "GamesPlayed" = $6, "LastPlayed" = $7',
+                        [
+                            users[username].id,
+                            format,
+                            rating.rating,
+                            rating.deviation,
+                            rating.volatility,
+                            rating.gamesPlayed,
+                            new Date()
+                        ]
+                    );
+                }
+            }
+        } catch (err) {
+            logger.error('Failed to update ratings', err);
+
+            throw new Error('Failed to update ratings');
+        }
+
+        let result = {};
+        for (let username of usernames) {
+            result[username] = Object.assign({}, users[username].ratings, newRatings[username]);
+        }
+
+        return result;
+    }
+
+    mapRating(row) {
+        return {
+            deviation: row.Deviation,
+            gamesPlayed: row.GamesPlayed,
+            rating: row.Rating,
+            volatility: row.Volatility
+        };
+    }
+
+    mapRatings(rows) {
+        let ratings = {};
+
+        for (let row of rows) {
+            ratings[row.Format] = this.mapRating(row);
+        }
+
+        return ratings;
+    }
+}
+
+module.exports = RatingService;
@@ -0,0 +1,275 @@
+const moment = require('moment');
+
+const logger = require('../log');
+const db = require('../db');
+const { GameFormats, RatedGameResults } = require('../constants');
+
+// Stats for a date range that is still open are recalculated once they are this old
+const CacheHours = 6;
+const DefaultDays = 30;
+// Every range is calculated and cached separately, so ranges are limited to keep that cheap
+const MaxDays = 365;
+const TopDeckCount = 10;
+// Decks need to have played this many games in the range to be counted as a top deck
+const TopDeckMinGames = 5;
+
+/**
+ * @typedef StatsOptions
+ * @property {string} from - the first day of games to include, as YYYY-MM-DD
+ * @property {string} to - the last day of games to include, as YYYY-MM-DD
+ * @property {string} gameFormat - the format of the games to include, or 'all'
+ */
+
+/**
+ * @typedef Record
+ * @property {number} games
+ * @property {number} wins
+ * @property {number} winRate - the percentage of games won
+ */
+
+/**
+ * @typedef MetaStats
+ * @property {number} games - the number of games the stats were calculated from
+ * @property {Record} firstPlayer - how often the player going first wins, from the games where
+ * the first player was recorded
+ * @property {(Record & { house: string })[]} houses - how often decks with each house win
+ * @property {(Record & { expansion: number, opponentExpansion: number })[]} expansions - how
+ * often decks from each expansion win against decks from each other expansion
+ * @property {(Record & { gameFormat: string, identity: string, name: string })[]} topDecks - the
+ * decks with the most wins in each format
+ */
+
+/**
+ * Statistics about the games played on the site: how each house does, the first player
+ * advantage, how the expansions match up and the top decks. Only games with a result between two
+ * different decks are counted. Stats are cached, as they are expensive to calculate
+ */
+class StatsService {
+    /**
+     * Fills in the defaults for any missing options, and ignores any that are not valid. Dates
+     * are whole days up to today, and ranges longer than a year are shortened to the year before
+     * the to date
+     * @param {{ from?: string, to?: string, gameFormat?: string }} [query]
+     * @returns {StatsOptions}
+     */
+    getOptions(query = {}) {
+        let today = moment.utc().startOf('day');
+
+        let to = this.parseDate(query.to);
+        if (!to || to.isAfter(today)) {
+            to = today;
+        }
+
+        let from = this.parseDate(query.from);
+        if (!from || from.isAfter(to)) {
+            from = to.clone().subtract(DefaultDays, 'days');
+        } else if (to.diff(from, 'days') > MaxDays) {
+            from = to.clone().subtract(MaxDays, 'days');
+        }
+
+        return {
+            from: from.format('YYYY-MM-DD'),
+            to: to.format('YYYY-MM-DD'),
+            gameFormat: GameFormats.includes(query.gameFormat) ? query.gameFormat : 'all'
+        };
+    }
+
+    /**
+     * @param {string} date - a date as YYYY-MM-DD
+     * @returns {moment.Moment} the date, or undefined if it is not valid
+     */
+    parseDate(date) {
+        if (typeof date !== 'string') {
+            return undefined;
+        }
+
+        let parsed = moment.utc(date, 'YYYY-MM-DD', true);
+
+        return parsed.isValid() ? parsed : undefined;
+    }
+
+    /**
+     * The stats for the given options, calculating them if they haven't been cached or the
+     * cached stats are out of date
+     * @param {StatsOptions} options
+     * @returns {Promise<MetaStats & { calculatedAt: Date }>}
+     */
+    async getStats(options) {
+        let cached;
+
+        try {
+            cached = await db.query(
+                'SELECT "Stats", "CalculatedAt" FROM "MetaStats" WHERE "GameFormat" = $1 AND "FromDate" = $2 AND "ToDate" = $3',
+                [options.gameFormat, options.from, options.to]
+            );
+        } catch (err) {
+            logger.error('Failed to retrieve cached stats', err);
+
+            throw new Error('Failed to retrieve stats');
+        }
+
+        if (cached.length > 0 && this.isFresh(options, cached[0].CalculatedAt)) {
+            return Object.assign({}, cached[0].Stats, { calculatedAt: cached[0].CalculatedAt });
+        }
+
+        return this.refresh(options);
+    }
+
+    /**
+     * Whether stats calculated at the given time are still up to date. Games aren't added to
+     * date ranges that have already ended, so stats calculated after the end of the range stay
+     * up to date
+     * @param {StatsOptions} options
+     * @param {Date} calculatedAt
+     */
+    isFresh(options, calculatedAt) {
+        let calculated = moment.utc(calculatedAt);
+
+        return (
+            calculated.isAfter(moment.utc(options.to).add(1, 'day')) ||
+            moment.utc().diff(calculated, 'hours', true) < CacheHours
+        );
+    }
+
+    /**
+     * Calculates the stats for the given options and caches them
+     * @param {StatsOptions} options
+     */
+    async refresh(options) {
+        let stats = await this.calculate(options);
+        let calculatedAt = new Date();
+
+        try {
+            await db.query(
+                'INSERT INTO "MetaStats" ("GameFormat", "FromDate", "ToDate", "Stats", "CalculatedAt") VALUES ($1, $2, $3, $4, $5) ' +
+                    'ON CONFLICT ("GameFormat", "FromDate", "ToDate") DO UPDATE SET "Stats" = $4, "CalculatedAt" = $5',
+                [options.gameFormat, options.from, options.to, stats, calculatedAt]
+            );
+        } catch (err) {
+            logger.error('Failed to cache stats', err);
+
+            throw new Error('Failed to save stats');
+        }
+
+        return Object.assign({}, stats, { calculatedAt: calculatedAt });
+    }
+
+    /**
+     * Recalculates the stats for the last month of games in every format, so they are ready
+     * before anyone asks for them
+     */
+    async refreshDefault() {
+        logger.info('Refreshing meta stats...');
+
+        try {
+            await this.refresh(this.getOptions());
+        } catch (err) {
+            logger.error('Failed to refresh meta stats', err);
+        }
+    }
+
+    /**
+     * @param {StatsOptions} options
+     * @returns {Promise<MetaStats>}
+     */
+    async calculate(options) {
+        let params = [options.from, options.to, RatedGameResults];
+        let formatFilter = '';
+
+        if (options.gameFormat !== 'all') {
+            params.push(options.gameFormat);
+            formatFilter = 'AND g."GameFormat" = $4 ';
+        }
+
+        // Each game is counted once from each player's side, gp being the player and ogp their
+        // opponent
+        const from = (joins = '') =>
+            'FROM "Games" g ' +
+            'JOIN "GamePlayers" gp ON gp."GameId" = g."Id" ' +
+            'JOIN "GamePlayers" ogp ON ogp."GameId" = g."Id" AND ogp."PlayerId" != gp."PlayerId" ' +
+            'JOIN "Decks" d ON d."Id" = gp."DeckId" ' +
+            'JOIN "Decks" od ON od."Id" = ogp."DeckId" ' +
+            joins +
+            'WHERE g."StartedAt" >= CAST($1 AS date) AND g."StartedAt" < CAST($2 AS date) + 1 ' +
+            'AND g."Result" = ANY($3) AND g."GameType" != \'sandbox\' AND d."Identity" != od."Identity" ' +
+            formatFilter;
+        const wins = 'COUNT(*) FILTER (WHERE gp."Result" = \'win\')';
+        let totals, houses, expansions, topDecks;
+
+        try {
+            totals = await db.query(
+                'SELECT COUNT(DISTINCT g."Id") AS "TotalGames", COUNT(*) FILTER (WHERE gp."First") AS "Games", ' +
+                    'COUNT(*) FILTER (WHERE gp."First" AND gp."Result" = \'win\') AS "Wins" ' +
+                    from(),
+                params
+            );
+
+            houses = await db.query(
+                `SELECT h."Code" AS "House", COUNT(*) AS "Games", ${wins} AS "Wins" ` +
+                    from(
+                        'JOIN "DeckHouses" dh ON dh."DeckId" = d."Id" JOIN "Houses" h ON h."Id" = dh."HouseId" '
+                    ) +
+                    'GROUP BY h."Code" ORDER BY h."Code"',
+                params
+            );
+
+            expansions = await db.query(
+                `SELECT e."ExpansionId" AS "Expansion", oe."ExpansionId" AS "OpponentExpansion", COUNT(*) AS "Games", ${wins} AS "Wins" ` +
+                    from(
+                        'JOIN "Expansions" e ON e."Id" = d."ExpansionId" JOIN "Expansions" oe ON oe."Id" = od."ExpansionId" '
+                    ) +
+                    'GROUP BY e."ExpansionId", oe."ExpansionId" ORDER BY e."ExpansionId", oe."ExpansionId"',
+                params
+            );
+
+            topDecks = await db.query(
+                'SELECT * FROM (' +
+                    `SELECT g."GameFormat", d."Identity", MIN(d."Name") AS "Name", COUNT(*) AS "Games", ${wins} AS "Wins", ` +
+                    `row_number() OVER (PARTITION BY g."GameFormat" ORDER BY ${wins} DESC, COUNT(*) ASC) AS "Rank" ` +
+                    from() +
+                    `GROUP BY g."GameFormat", d."Identity" HAVING COUNT(*) >= ${TopDeckMinGames}` +
+                    `) sq WHERE "Rank" <= ${TopDeckCount} ORDER BY "GameFormat", "Rank"`,
+                params
+            );
+        } catch (err) {
+            logger.error('Failed to calculate stats', err);
+
+            throw new Error('Failed to calculate stats');
+        }
+
+        return {
+            games: totals.length > 0 ? parseInt(totals[0].TotalGames) : 0,
+            firstPlayer: this.mapRecord(totals[0]),
+            houses: houses.map((row) => Object.assign({ house: row.House }, this.mapRecord(row))),
+            expansions: expansions.map((row) =>
+                Object.assign(
+                    { expansion: row.Expansion, opponentExpansion: row.OpponentExpansion },
+                    this.mapRecord(row)
+                )
+            ),
+            topDecks: topDecks.map((row) =>
+                Object.assign(
+                    { gameFormat: row.GameFormat, identity: row.Identity, name: row.Name },
+                    this.mapRecord(row)
+                )
+            )
+        };
+    }
+
+    /**
+     * @param {{ Games: string, Wins: string }} row
+     * @returns {Record}
+     */
+    mapRecord(row) {
+        let games = row ? parseInt(row.Games) : 0;
+        let wins = row ? parseInt(row.Wins) : 0;
+
+        return {
+            games: games,
+            wins: wins,
+            winRate: games > 0 ? (wins / games) * 100 : 0
+        };
+    }
+}
+
+module.exports = StatsService;
@@ -0,0 +1,317 @@
+const logger = require('../log');
+const db = require('../db');
+const {
+    getStandings,
+    getSwissRoundCount,
+    getTopCutSize,
+    pairEliminationRound,
+    pairSwissRound,
+    pairTopCut
+} = require('../Tournament');
+
+class TournamentService {
+    async getTournaments() {
+        let tournaments;
+
+        try {
+            tournaments = await db.query(
+                'SELECT t.*, u."Username" AS "Creator", (SELECT COUNT(*) FROM "TournamentPlayers" tp WHERE tp."TournamentId" = t."Id") AS "PlayerCount" ' +
+                    'FROM "Tournaments" t JOIN "Users" u ON u."Id" = t."CreatorId" ORDER BY t."CreatedAt" DESC'
+            );
+        } catch (err) {
+            logger.error('Failed to retrieve tournaments', err);
+
+            throw new Error('Failed to retrieve tournaments');
+        }
+
+        return tournaments.map((tournament) => this.mapTournament(tournament));
+    }
+
+    /**
+     * Gets a tournament along with its players, matches and the current swiss standings
+     * @param {number} id
+     */
+    async getTournamentById(id) {
+        let tournaments, players, matches;
+
+        try {
+            tournaments = await db.query(
+                'SELECT t.*, u."Username" AS "Creator" FROM "Tournaments" t JOIN "Users" u ON u."Id" = t."CreatorId" WHERE t."Id" = $1',
+                [id]
+            );
+            players = await db.query(
+                'SELECT tp.*, u."Username", d."Name" AS "DeckName", d."Uuid" AS "DeckUuid" FROM "TournamentPlayers" tp ' +
+                    'JOIN "Users" u ON u."Id" = tp."UserId" JOIN "Decks" d ON d."Id" = tp."DeckId" WHERE tp."TournamentId" = $1',
+                [id]
+            );
+            matches = await db.query(
+                'SELECT * FROM "TournamentMatches" WHERE "TournamentId" = $1 ORDER BY "Round", "TableNumber"',
+                [id]
+            );
+        } catch (err) {
+            logger.error(`Failed to retrieve tournament ${id}`, err);
+
+            throw new Error('Failed to retrieve tournament');
+        }
+
+        if (!tournaments || tournaments.length === 0) {
+            return undefined;
+        }
+
+        let tournament = this.mapTournament(tournaments[0]);
+
+        tournament.players = players.map((player) => this.mapPlayer(player));
+        tournament.matches = matches.map((match) => this.mapMatch(match));
+        tournament.standings = getStandings(
+            tournament.players,
+            tournament.matches.filter((match) => match.stage === 'swiss')
+        ).map((standing) => ({
+            byes: standing.byes,
+            extendedSos: standing.extendedSos,
+            losses: standing.losses,
+            playerId: standing.player.id,
+            rank: standing.rank,
+            sos: standing.sos,
+            wins: standing.wins
+        }));
+
+        return tournament;
+    }
+
+    /**
+     * @param {{ name: string, gameFormat: string, swissRounds: number, topCut: number }} details
+     * @param {import('../models/User')} user
+     */
+    async createTournament(details, user) {
+        let result;
+
+        try {
+            result = await db.query(
+                'INSERT INTO "Tournaments" ("Name", "GameFormat", "SwissRounds", "TopCut", "Status", "CreatorId", "CreatedAt") ' +
+                    'VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING "Id"',
+                [
+                    details.name,
+                    details.gameFormat,
+                    details.swissRounds || null,
+                    details.topCut || 0,
+                    'registration',
+                    user.id,
+                    new Date()
+                ]
+            );
+        } catch (err) {
+            logger.error('Failed to create tournament', err);
+
+            throw new Error('Failed to create tournament');
+        }
+
+        return this.getTournamentById(result[0].Id);
+    }
+
+    async registerPlayer(tournamentId, user, deckId) {
+        try {
+            await db.query(
+                'INSERT INTO "TournamentPlayers" ("TournamentId", "UserId", "DeckId") VALUES ($1, $2, $3) ' +
+                    'ON CONFLICT ("TournamentId", "UserId") DO UPDATE SET "DeckId" = $3',
+                [tournamentId, user.id, deckId]
+            );
+        } catch (err) {
+            logger.error(`Failed to register ${user.username} for tournament ${tournamentId}`, err);
+
+            throw new Error('Failed to register for tournament');
+        }
+    }
+
+    /**
+     * Removes a player from a tournament that hasn't started yet, or drops them from one that has
+     * so they aren't paired in future rounds
+     */
+    async withdrawPlayer(tournament, user) {
+        try {
+            if (tournament.status === 'registration') {
+                await db.query(
+                    'DELETE FROM "TournamentPlayers" WHERE "TournamentId" = $1 AND "UserId" = $2',
+                    [tournament.id, user.id]
+                );
+            } else {
+                await db.query(
+                    'UPDATE "TournamentPlayers" SET "Dropped" = true WHERE "TournamentId" = $1 AND "UserId" = $2',
+                    [tournament.id, user.id]
+                );
+            }
+        } catch (err) {
+            logger.error(
+                `Failed to withdraw ${user.username} from tournament ${tournament.id}`,
+                err
+            );
+
+            throw new Error('Failed to withdraw from tournament');
+        }
+    }
+
+    /**
+     * Pairs the next round of a tournament. Swiss rounds are played first, followed by the top
+     * cut if there is one. Every match of the current round needs a result first.
+     * @param {number} tournamentId
+     * @returns {Promise<Object>} the tournament, with the new round's matches in `newMatches`
+     */
+    async startNextRound(tournamentId) {
+        let tournament = await this.getTournamentById(tournamentId);
+
+        if (!tournament || tournament.status === 'complete') {
+            throw new Error('Tournament is not running');
+        }
+
+        let currentMatches = tournament.matches.filter(
+            (match) => match.round === tournament.currentRound
+        );
+        if (currentMatches.some((match) => !match.winnerId)) {
+            throw new Error('Not all matches in the current round have a result');
+        }
+
+        let activePlayers = tournament.players.filter((player) => !player.dropped);
+        let standings = getStandings(
+            tournament.players,
+            tournament.matches.filter((match) => match.stage === 'swiss')
+        );
+        let swissRounds = tournament.swissRounds || getSwissRoundCount(activePlayers.length);
+        let status = tournament.status === 'registration' ? 'swiss' : tournament.status;
+        let pairings = [];
+
+        if (status === 'swiss' && tournament.currentRound >= swissRounds) {
+            let topCut = getTopCutSize(tournament.topCut, activePlayers.length);
+
+            status = topCut ? 'topcut' : 'complete';
+            if (topCut) {
+                pairings = pairTopCut(standings, topCut);
+            }
+        } else if (status === 'swiss') {
+            if (activePlayers.length < 2) {
+                throw new Error('Not enough players to start the tournament');
+            }
+
+            pairings = pairSwissRound(standings);
+        } else if (currentMatches.length === 1) {
+            status = 'complete';
+        } else {
+            pairings = pairEliminationRound(currentMatches);
+        }
+
+        let round = pairings.length > 0 ? tournament.currentRound + 1 : tournament.currentRound;
+        let stage = status === 'swiss' ? 'swiss' : 'topcut';
+
+        await db.query('BEGIN');
+
+        try {
+            await db.query(
+                'UPDATE "Tournaments" SET "Status" = $2, "CurrentRound" = $3, "SwissRounds" = $4 WHERE "Id" = $1',
+                [tournament.id, status, round, swissRounds]
+            );
+
+            for (let [index, pairing] of pairings.entries()) {
+                await db.query(
+                    'INSERT INTO "TournamentMatches" ("TournamentId", "Round", "Stage", "TableNumber", "Player1Id", "Player2Id", "WinnerId") ' +
+                        'VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                    [
+                        tournament.id,
+                        round,
+                        stage,
+                        index + 1,
+                        pairing.player1Id,
+                        pairing.player2Id || null,
+                        // Byes are an automatic win
+                        pairing.player2Id ? null : pairing.player1Id
+                    ]
+                );
+            }
+        } catch (err) {
+            logger.error(`Failed to start the next round of tournament ${tournament.id}`, err);
+
+            await db.query('ROLLBACK');
+
+            throw new Error('Failed to start the next round');
+        }
+
+        await db.query('COMMIT');
+
+        tournament = await this.getTournamentById(tournament.id);
+        tournament.newMatches = tournament.matches.filter(
+            (match) => pairings.length > 0 && match.round === round
+        );
+
+        return tournament;
+    }
+
+    async setMatchGame(matchId, gameId) {
+        try {
+            await db.query('UPDATE "TournamentMatches" SET "GameId" = $2 WHERE "Id" = $1', [
+                matchId,
+                gameId
+            ]);
+        } catch (err) {
+            logger.error(`Failed to set the game for tournament match ${matchId}`, err);
+
+            throw new Error('Failed to update tournament match');
+        }
+    }
+
+    /**
+     * Records the winner of a tournament match
+     * @param {number} matchId
+     * @param {string} winner - the username of the winning player
+     */
+    async recordResult(matchId, winner) {
+        try {
+            await db.query(
+                'UPDATE "TournamentMatches" m SET "WinnerId" = (SELECT tp."Id" FROM "TournamentPlayers" tp JOIN "Users" u ON u."Id" = tp."UserId" ' +
+                    'WHERE tp."TournamentId" = m."TournamentId" AND u."Username" = $2) WHERE m."Id" = $1',
+                [matchId, winner]
+            );
+        } catch (err) {
+            logger.error(`Failed to record the result of tournament match ${matchId}`, err);
+
+            throw new Error('Failed to record tournament result');
+        }
+    }
+
+    mapTournament(tournament) {
+        return {
+            createdAt: tournament.CreatedAt,
+            creator: tournament.Creator,
+            currentRound: tournament.CurrentRound,
+            gameFormat: tournament.GameFormat,
+            id: tournament.Id,
+            name: tournament.Name,
+            playerCount: tournament.PlayerCount && parseInt(tournament.PlayerCount),
+            status: tournament.Status,
+            swissRounds: tournament.SwissRounds,
+            topCut: tournament.TopCut
+        };
+    }
+
+    mapPlayer(player) {
+        return {
+            deckId: player.DeckId,
+            deckName: player.DeckName,
+            deckUuid: player.DeckUuid,
+            dropped: player.Dropped,
+            id: player.Id,
+            username: player.Username
+        };
+    }
+
+    mapMatch(match) {
+        return {
+            gameId: match.GameId,
+            id: match.Id,
+            player1Id: match.Player1Id,
+            player2Id: match.Player2Id,
+            round: match.Round,
+            stage: match.Stage,
+            tableNumber: match.TableNumber,
+            winnerId: match.WinnerId
+        };
+    }
+}
+
+module.exports = TournamentService;
@@ -5,6 +5,7 @@ const uuid = require('uuid');
 
 const logger = require('../log');
 const User = require('../models/User');
+const RatingService = require('./RatingService');
 const db = require('../db');
 const { expand } = require('../Array');
 
@@ -13,6 +14,7 @@ class UserService extends EventEmitter {
         super();
 
         this.configService = configService;
+        this.ratingService = new RatingService();
     }
 
     async doesUserExist(username) {
@@ -574,6 +576,12 @@ class UserService extends EventEmitter {
         } else {
             user.challonge = { key: '', subdomain: '' };
         }
+
+        try {
+            user.ratings = await this.ratingService.getRatingsForUser(user.id);
+        } catch (err) {
+            user.ratings = {};
+        }
     }
 
     getUserFromDbUser(dbUser) {
@@ -653,6 +661,8 @@ class UserService extends EventEmitter {
                 return 15; // 'TournamentPreviousWinner'
             case 'keepsSupporterWithNoPatreon':
                 return 16; // 'KeepSupporterStatus'
+            case 'isCaster':
+                return 17; // 'Caster'
         }
     }
 
@@ -669,6 +679,7 @@ class UserService extends EventEmitter {
             canManageMotd: false,
             canManageTournaments: false,
             isAdmin: false,
+            isCaster: false,
             isContributor: false,
             isSupporter: false,
             isWinner: false,
@@ -726,6 +737,9 @@ class UserService extends EventEmitter {
                 case 'KeepSupporterStatus':
                     ret.keepsSupporterWithNoPatreon = true;
                     break;
+                case 'Caster':
+                    ret.isCaster = true;
+                    break;
             }
         }
 
@@ -54,6 +54,13 @@ class DeckBuilder {
             }
         }
 
+        // Cards in play can be described with their state, see PlayerInteractionWrapper.inPlay
+        deck = deck.reduce(
+            (labels, label) =>
+                labels.concat(_.isString(label) ? label : [label.card, ...(label.upgrades || [])]),
+            []
+        );
+
         let houses = [];
         for (let label of deck) {
             let card = this.getCard(label);
@@ -1,5 +1,6 @@
 const Game = require('../../server/game/game.js');
 const PlayerInteractionWrapper = require('./playerinteractionwrapper.js');
+const SeededRandom = require('../../server/game/SeededRandom.js');
 const Settings = require('../../server/settings.js');
 
 class GameFlowWrapper {
@@ -48,6 +49,14 @@ class GameFlowWrapper {
         this.allPlayers = [this.player1, this.player2];
     }
 
+    /**
+     * Replaces the game's random number generator so shuffles and random effects are repeatable
+     * @param {Number} seed
+     */
+    setSeed(seed) {
+        this.game.random = new SeededRandom(seed);
+    }
+
     get activePlayer() {
         return this.game.activePlayer;
     }
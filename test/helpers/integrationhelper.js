@@ -183,6 +183,10 @@ beforeEach(function () {
             options.player2 = {};
         }
 
+        if (options.seed !== undefined) {
+            this.flow.setSeed(options.seed);
+        }
+
         //Build decks
         this.player1.selectDeck(deckBuilder.customDeck(options.player1));
         this.player2.selectDeck(deckBuilder.customDeck(options.player2));
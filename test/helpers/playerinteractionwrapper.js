@@ -26,6 +26,20 @@ class PlayerInteractionWrapper {
         }
     }
 
+    get keys() {
+        return this.player.keys;
+    }
+
+    /**
+     * Sets which of the player's keys are forged
+     * @param {String[]} colors - the colors of the forged keys
+     */
+    set keys(colors = []) {
+        for (let color of Object.keys(this.player.keys)) {
+            this.player.keys[color] = colors.includes(color);
+        }
+    }
+
     get chains() {
         return this.player.chains;
     }
@@ -62,17 +76,15 @@ class PlayerInteractionWrapper {
     }
 
     /**
-     * List of objects describing characters in play and any upgrades:
-     * Either as Object:
+     * List of cards in play, each either the name or id of the card or an object describing
+     * the card and its state:
      * {
      *    card: String,
-     *    fate: Integer,
-     *    honor: 'honored' or 'dishonored',
-     *    bowed: Boolean
-     *    covert: Boolean,
+     *    exhausted: Boolean,
+     *    stunned: Boolean,
+     *    tokens: { amber: Integer, damage: Integer, enrage: Integer, power: Integer, ward: Integer },
      *    upgrades: String[]
      *  }
-     * or String containing name or id of the card
      * @param {(Object|String)[]} newState - list of cards in play and their states
      */
     set inPlay(newState = []) {
@@ -82,12 +94,30 @@ class PlayerInteractionWrapper {
         });
         // Set up each of the cards
         _.each(newState, (card) => {
+            let state = {};
             if (_.isString(card)) {
                 card = this.findCardByName(card, 'deck');
+            } else if (_.isString(card.card)) {
+                state = card;
+                card = this.findCardByName(state.card, 'deck');
             }
 
             this.moveCard(card, 'play area');
-            card.exhausted = false;
+            card.exhausted = !!state.exhausted;
+
+            if (state.stunned) {
+                card.stun();
+            }
+
+            _.each(state.tokens, (amount, token) => card.addToken(token, amount));
+
+            _.each(state.upgrades, (name) => {
+                let upgrade = this.findCardByName(name, 'deck');
+                this.player.removeCardFromPile(upgrade);
+                upgrade.moveTo('play area');
+                upgrade.parent = card;
+                card.upgrades.push(upgrade);
+            });
         });
     }
 
@@ -0,0 +1,53 @@
+const AiPlayer = require('../../server/game/AiPlayer.js');
+
+describe('AI player', function () {
+    describe('in the main phase', function () {
+        beforeEach(function () {
+            this.setupTest({
+                player1: {
+                    house: 'untamed',
+                    inPlay: ['witch-of-the-eye']
+                },
+                player2: {}
+            });
+
+            this.witchOfTheEye = this.player1.findCardByName('witch-of-the-eye');
+            this.ai = new AiPlayer(this.game, this.player1.player);
+            this.makeDecision = () => {
+                let decision = this.ai.getDecision();
+
+                this.game[decision.command](this.player1.player.name, ...decision.args);
+                this.game.continue();
+
+                return decision;
+            };
+        });
+
+        it('should reap with a creature when there is nothing to fight', function () {
+            let decision = this.makeDecision();
+
+            expect(decision).toEqual({ command: 'cardClicked', args: [this.witchOfTheEye.uuid] });
+            expect(this.player1).toHavePromptButton('Reap with this creature');
+
+            this.makeDecision();
+
+            expect(this.witchOfTheEye.exhausted).toBe(true);
+            expect(this.player1.amber).toBe(1);
+        });
+
+        it('should end the turn once it has nothing left to do', function () {
+            this.witchOfTheEye.exhaust();
+
+            let decision = this.makeDecision();
+
+            expect(decision.args[0]).toBe('done');
+            expect(this.player2).toHavePrompt('Choose which house you want to activate this turn');
+        });
+
+        it('should not make a decision while waiting for its opponent', function () {
+            this.player1.endTurn();
+
+            expect(this.ai.getDecision()).toBeUndefined();
+        });
+    });
+});
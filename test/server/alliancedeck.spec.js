@@ -0,0 +1,90 @@
+const {
+    buildAllianceDeck,
+    getPodCards,
+    validateAlliance
+} = require('../../server/AllianceDeck.js');
+
+describe('AllianceDeck', function () {
+    beforeEach(function () {
+        this.user = { username: 'alice' };
+        this.createDeck = (id, houses, username = 'alice') => ({
+            cards: houses.map((house) => ({
+                card: { house: house },
+                count: 1,
+                id: `${house}-card`
+            })),
+            houses: houses,
+            id: id,
+            name: `Deck ${id}`,
+            username: username,
+            uuid: `uuid-${id}`,
+            verified: true
+        });
+        this.decks = {
+            1: this.createDeck(1, ['brobnar', 'dis', 'logos']),
+            2: this.createDeck(2, ['mars', 'sanctum', 'shadows']),
+            3: this.createDeck(3, ['untamed', 'dis', 'star-alliance'])
+        };
+        this.pods = [
+            { deckId: 1, house: 'brobnar' },
+            { deckId: 2, house: 'mars' },
+            { deckId: 3, house: 'untamed' }
+        ];
+    });
+
+    describe('getPodCards()', function () {
+        it('should use the house a maverick was opened in', function () {
+            let deck = this.decks[1];
+
+            deck.cards.push({ card: { house: 'mars' }, count: 1, id: 'troll', maverick: 'dis' });
+
+            expect(getPodCards(deck, 'dis').map((card) => card.id)).toEqual(['dis-card', 'troll']);
+        });
+    });
+
+    describe('validateAlliance()', function () {
+        it('should accept three pods of different houses from the user decks', function () {
+            expect(validateAlliance(this.user, this.pods, this.decks).valid).toBe(true);
+        });
+
+        it('should reject pods from decks owned by someone else', function () {
+            this.decks[2] = this.createDeck(2, ['mars', 'sanctum', 'shadows'], 'bob');
+
+            expect(validateAlliance(this.user, this.pods, this.decks).valid).toBe(false);
+        });
+
+        it('should reject two pods of the same house', function () {
+            this.pods[2] = { deckId: 3, house: 'dis' };
+            this.pods[0] = { deckId: 1, house: 'dis' };
+
+            expect(validateAlliance(this.user, this.pods, this.decks).errors).toContain(
+                'Each pod must be from a different house'
+            );
+        });
+
+        it('should reject a pod of a house the deck does not have', function () {
+            this.pods[0] = { deckId: 1, house: 'mars' };
+
+            expect(validateAlliance(this.user, this.pods, this.decks).valid).toBe(false);
+        });
+    });
+
+    describe('buildAllianceDeck()', function () {
+        it('should combine the pod cards and keep where each pod came from', function () {
+            let deck = buildAllianceDeck(this.user, this.pods, this.decks);
+
+            expect(deck.houses).toEqual(['brobnar', 'mars', 'untamed']);
+            expect(deck.cards.map((card) => card.id)).toEqual([
+                'brobnar-card',
+                'mars-card',
+                'untamed-card'
+            ]);
+            expect(deck.pods[1]).toEqual({
+                deckId: 2,
+                deckName: 'Deck 2',
+                deckUuid: 'uuid-2',
+                house: 'mars'
+            });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+const Game = require('../../server/game/game.js');
+const GameServer = require('../../server/gamenode/gameserver.js');
+const logger = require('../../server/log.js');
+const Settings = require('../../server/settings.js');
+
+describe('bug reports', function () {
+    beforeEach(function () {
+        this.router = jasmine.createSpyObj('router', ['reportBug']);
+        this.game = new Game(
+            {
+                id: 'game',
+                owner: { username: 'player1' },
+                players: [
+                    { id: '111', user: Settings.getUserWithDefaultsSet({ username: 'player1' }) },
+                    { id: '222', user: Settings.getUserWithDefaultsSet({ username: 'player2' }) }
+                ],
+                spectators: [
+                    { id: '333', user: Settings.getUserWithDefaultsSet({ username: 'spectator' }) }
+                ]
+            },
+            { router: this.router }
+        );
+    });
+
+    describe('the reportProblem() function', function () {
+        it('should send the report to the router', function () {
+            this.game.reportProblem('player2', 'Troll did not heal');
+
+            expect(this.router.reportBug).toHaveBeenCalledWith(this.game, {
+                description: 'Troll did not heal',
+                reporter: 'player2'
+            });
+        });
+
+        it('should let spectators report problems', function () {
+            this.game.reportProblem('spectator', 'The board is wrong');
+
+            expect(this.router.reportBug).toHaveBeenCalledWith(this.game, {
+                description: 'The board is wrong',
+                reporter: 'spectator'
+            });
+        });
+
+        it('should only take one report from each player', function () {
+            this.game.reportProblem('player1', 'First');
+            this.game.reportProblem('player1', 'Second');
+
+            expect(this.router.reportBug).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not be recorded for replays', function () {
+            this.game.recordInput('player1', 'reportProblem', ['First']);
+
+            expect(this.game.inputLog.inputs).toEqual([]);
+        });
+
+        it('should ignore users not in the game', function () {
+            this.game.reportProblem('someone', 'Let me in');
+
+            expect(this.router.reportBug).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('when the engine throws', function () {
+        beforeEach(function () {
+            this.node = jasmine.createSpyObj('node', ['reportBug']);
+            spyOn(logger, 'error');
+            for (let player of this.game.getPlayers()) {
+                spyOn(player, 'getState').and.returnValue({});
+            }
+
+            this.throwError = (message) => {
+                try {
+                    throw new Error(message);
+                } catch (err) {
+                    GameServer.prototype.handleError.call(this.node, this.game, err);
+                }
+            };
+        });
+
+        it('should report the error', function () {
+            this.throwError('Broken');
+
+            expect(this.node.reportBug).toHaveBeenCalledWith(this.game, {
+                error: jasmine.stringMatching('Broken')
+            });
+        });
+
+        it('should only report the same error once', function () {
+            this.throwError('Broken');
+            this.throwError('Broken');
+            this.throwError('Also broken');
+
+            expect(this.node.reportBug).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('the getBugReport() function', function () {
+        beforeEach(function () {
+            this.game.replayDecks.push({
+                player: 'player1',
+                deck: {
+                    name: 'Deck',
+                    uuid: 'uuid',
+                    houses: ['brobnar', 'dis', 'logos'],
+                    cards: [{ id: 'troll', count: 2, card: { id: 'troll', name: 'Troll' } }]
+                }
+            });
+            for (let i = 0; i < 60; i++) {
+                this.game.inputLog.inputs.push({
+                    player: 'player1',
+                    command: 'cardClicked',
+                    args: [i]
+                });
+            }
+
+            this.report = this.game.getBugReport();
+        });
+
+        it('should capture the state seen by each player', function () {
+            expect(Object.keys(this.report.state)).toEqual(['player1', 'player2']);
+        });
+
+        it('should list the decks in play without their card data', function () {
+            expect(this.report.decks).toEqual([
+                {
+                    player: 'player1',
+                    name: 'Deck',
+                    uuid: 'uuid',
+                    houses: ['brobnar', 'dis', 'logos'],
+                    cards: [{ id: 'troll', count: 2 }]
+                }
+            ]);
+        });
+
+        it('should only include the most recent inputs', function () {
+            expect(this.report.inputs.length).toBe(50);
+            expect(this.report.inputs[0].args).toEqual([10]);
+        });
+
+        it('should include the game log', function () {
+            expect(typeof this.report.log).toBe('string');
+        });
+    });
+});
@@ -0,0 +1,218 @@
+const Game = require('../../server/game/game.js');
+const GameServer = require('../../server/gamenode/gameserver.js');
+const PendingGame = require('../../server/pendinggame.js');
+const Settings = require('../../server/settings.js');
+
+describe('clocks', function () {
+    beforeEach(function () {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2020, 0, 1));
+
+        this.createGame = (clock) => {
+            let game = new Game(
+                {
+                    id: 'game',
+                    clock: clock,
+                    owner: { username: 'player1' },
+                    players: [
+                        {
+                            id: '111',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player1' })
+                        },
+                        {
+                            id: '222',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player2' })
+                        }
+                    ]
+                },
+                { router: jasmine.createSpyObj('router', ['gameWon']) }
+            );
+
+            spyOn(game, 'queueStep');
+
+            this.player1 = game.getPlayerByName('player1');
+            this.player2 = game.getPlayerByName('player2');
+            this.player1.opponent = this.player2;
+            this.player2.opponent = this.player1;
+
+            return game;
+        };
+
+        this.game = this.createGame({ type: 'chess', time: 10, expiry: 'loss' });
+    });
+
+    afterEach(function () {
+        jasmine.clock().uninstall();
+    });
+
+    describe('when a pending game is created', function () {
+        it('should keep the clock options it was given', function () {
+            expect(
+                new PendingGame({}, { clock: { type: 'byoyomi', time: '20', expiry: 'turn' } })
+                    .clock
+            ).toEqual({ type: 'byoyomi', time: 20, expiry: 'turn' });
+        });
+
+        it('should not use a clock that does not exist', function () {
+            expect(new PendingGame({}, { clock: { type: 'sundial', time: 20 } }).clock.type).toBe(
+                'none'
+            );
+        });
+
+        it('should keep the time and consequence within the allowed values', function () {
+            let clock = new PendingGame({}, { clock: { type: 'chess', time: 600, expiry: 'draw' } })
+                .clock;
+
+            expect(clock.time).toBe(120);
+            expect(clock.expiry).toBe('loss');
+        });
+    });
+
+    describe('the startClock() function', function () {
+        it('should not lose time when the prompt is set again', function () {
+            this.player1.startClock();
+            jasmine.clock().tick(5000);
+            this.player1.startClock();
+            jasmine.clock().tick(5000);
+            this.player2.startClock();
+
+            expect(this.player1.clock.timeLeft).toBe(590);
+            expect(this.player2.clock.timeLeft).toBe(600);
+        });
+
+        it('should stop the opponent clock', function () {
+            this.player1.startClock();
+            jasmine.clock().tick(30000);
+            this.player2.startClock();
+            jasmine.clock().tick(30000);
+
+            expect(this.player1.clock.getRunningTimeLeft()).toBeUndefined();
+            expect(this.player2.clock.getRunningTimeLeft()).toBe(570);
+        });
+    });
+
+    describe('the clockExpired() function', function () {
+        it('should end the game when the consequence is a loss', function () {
+            this.player1.startClock();
+            this.game.clockExpired('player1');
+
+            expect(this.game.winner).toBe(this.player2);
+            expect(this.game.winReason).toBe('clock');
+        });
+
+        it('should forfeit the turn and reset the clock when the consequence is the turn', function () {
+            this.game = this.createGame({ type: 'chess', time: 10, expiry: 'turn' });
+
+            this.player1.startClock();
+            this.game.clockExpired('player1');
+
+            expect(this.game.winner).toBeUndefined();
+            expect(this.player1.turnForfeited).toBe(true);
+            expect(this.player1.clock.timeLeft).toBe(600);
+        });
+
+        it('should ignore clocks which are not running', function () {
+            this.player1.startClock();
+            this.game.clockExpired('player2');
+
+            expect(this.game.winner).toBeUndefined();
+            expect(this.player2.clock.timeLeft).toBe(600);
+        });
+
+        it('should ignore games without clocks', function () {
+            this.game = this.createGame();
+
+            this.player1.startClock();
+            this.game.clockExpired('player1');
+
+            expect(this.game.winner).toBeUndefined();
+        });
+
+        it('should stop a timer once it has run out', function () {
+            this.game = this.createGame({ type: 'timer', time: 10, expiry: 'loss' });
+            spyOn(this.game, 'addMessage');
+
+            this.player1.startClock();
+            jasmine.clock().tick(600000);
+            this.game.clockExpired('player1');
+            this.player1.startClock();
+
+            expect(this.game.addMessage).toHaveBeenCalledTimes(1);
+            expect(this.game.winner).toBeUndefined();
+            expect(this.player1.clock.timeLeft).toBe(0);
+            expect(this.player1.clock.getRunningTimeLeft()).toBeUndefined();
+        });
+
+        it('should run a byoyomi clock out at the end of the period that uses up its time', function () {
+            this.game = this.createGame({ type: 'byoyomi', time: 1, expiry: 'loss' });
+
+            this.player1.startClock();
+            jasmine.clock().tick(70000);
+
+            expect(this.player1.clock.getRunningTimeLeft()).toBe(20);
+
+            this.player2.startClock();
+
+            expect(this.player1.clock.timeLeft).toBe(0);
+
+            this.player1.startClock();
+            jasmine.clock().tick(10000);
+
+            expect(this.player1.clock.getRunningTimeLeft()).toBe(20);
+        });
+    });
+
+    describe('the game node', function () {
+        beforeEach(function () {
+            this.node = {
+                games: {},
+                runAndCatchErrors: (game, fn) => fn(),
+                sendGameState: jasmine.createSpy('sendGameState')
+            };
+            this.queueClockExpiry = (game) => {
+                this.node.games[game.id] = game;
+                GameServer.prototype.queueClockExpiry.call(this.node, game);
+            };
+        });
+
+        afterEach(function () {
+            clearTimeout(this.game.clockExpiryTimer);
+        });
+
+        it('should run a byoyomi clock out when its last period ends', function () {
+            this.game = this.createGame({ type: 'byoyomi', time: 1, expiry: 'loss' });
+            spyOn(this.game, 'continue');
+
+            this.player1.startClock();
+            this.queueClockExpiry(this.game);
+            jasmine.clock().tick(89000);
+
+            expect(this.game.winner).toBeUndefined();
+
+            jasmine.clock().tick(1000);
+
+            expect(this.game.winner).toBe(this.player2);
+            expect(this.game.inputLog.inputs.map((input) => input.command)).toEqual([
+                'clockExpired'
+            ]);
+        });
+
+        it('should not run a timer out again once it has expired', function () {
+            this.game = this.createGame({ type: 'timer', time: 1, expiry: 'loss' });
+            spyOn(this.game, 'continue');
+
+            this.player1.startClock();
+            this.queueClockExpiry(this.game);
+            jasmine.clock().tick(60000);
+
+            this.player1.startClock();
+            this.queueClockExpiry(this.game);
+            jasmine.clock().tick(60000);
+
+            expect(this.game.clockExpiryTimer).toBeUndefined();
+            expect(
+                this.game.inputLog.inputs.filter((input) => input.player === 'player1').length
+            ).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const { parseDeckExport, parseDeckList } = require('../../server/DeckImport.js');
+
+describe('DeckImport', function () {
+    beforeEach(function () {
+        let card = (id, name, house, expansion = 341, packCode = 'CotA') => ({
+            id: id,
+            name: name,
+            house: house,
+            expansion: expansion,
+            packCode: packCode
+        });
+
+        this.cards = {
+            troll: card('troll', 'Troll', 'brobnar'),
+            anger: card('anger', 'Anger', 'brobnar'),
+            'æmber-imp': card('æmber-imp', 'Æmber Imp', 'dis'),
+            dextre: card('dextre', 'Dextre', 'logos'),
+            urchin: card('urchin', 'Urchin', 'shadows'),
+            'ganger-chieftain': card('ganger-chieftain', 'Ganger Chieftain', 'brobnar', 479, 'MM')
+        };
+        this.list = (lines) =>
+            ['Grumpus, the Unwilling', 'Houses: Brobnar, Dis, Logos'].concat(lines).join('\n');
+    });
+
+    describe('parseDeckList()', function () {
+        it('should resolve the cards by name', function () {
+            let result = parseDeckList(
+                this.list([
+                    '12 Troll',
+                    '10x Anger',
+                    '2 Ganger Chieftain',
+                    '12 aember imp',
+                    'Dextre'
+                ]),
+                this.cards
+            );
+
+            expect(result.errors).toEqual(['The deck must have 36 cards, but has 37']);
+
+            result = parseDeckList(
+                this.list([
+                    '12 Troll',
+                    '10x Anger',
+                    '2 Ganger Chieftain',
+                    '11 aember imp',
+                    'Dextre'
+                ]),
+                this.cards
+            );
+
+            expect(result.errors).toEqual([]);
+            expect(result.deck.name).toBe('Grumpus, the Unwilling');
+            expect(result.deck.identity).toBe('grumpus-the-unwilling');
+            expect(result.deck.houses).toEqual(['brobnar', 'dis', 'logos']);
+            expect(result.deck.expansion).toBe(341);
+            expect(result.deck.cards).toContain({ id: 'æmber-imp', count: 11 });
+        });
+
+        it('should read the markers for mavericks, anomalies and enhancements', function () {
+            let result = parseDeckList(
+                this.list([
+                    'Expansion: MM',
+                    '12 Troll',
+                    '12 Æmber Imp',
+                    '9 Dextre',
+                    'Urchin (Maverick: Logos)',
+                    '2 Anger [Enhanced: Amber, Draw]'
+                ]),
+                this.cards
+            );
+
+            expect(result.errors).toEqual([]);
+            expect(result.deck.expansion).toBe(479);
+            expect(result.deck.cards).toContain({ id: 'urchin', count: 1, maverick: 'logos' });
+            expect(
+                result.deck.cards.filter((card) => card.id === 'anger').map((card) => card.count)
+            ).toEqual([1, 1]);
+            expect(result.deck.cards.find((card) => card.id === 'anger').enhancements).toEqual([
+                'amber',
+                'draw'
+            ]);
+        });
+
+        it('should work out the houses from the cards if they are not listed', function () {
+            let result = parseDeckList(
+                ['Deck', '12 Troll', '12 Æmber Imp', '12 Dextre'].join('\n'),
+                this.cards
+            );
+
+            expect(result.deck.houses).toEqual(['brobnar', 'dis', 'logos']);
+        });
+
+        it('should list every problem with the deck', function () {
+            let result = parseDeckList(
+                this.list([
+                    '12 Troll',
+                    '12 Æmber Imp',
+                    '11 Dextre',
+                    '1 Urchin',
+                    '1 Wild Wormhole',
+                    '1 Anger (Foil)'
+                ]),
+                this.cards
+            );
+
+            expect(result.errors).toEqual(["Unknown marker (Foil) on '1 Anger (Foil)'"]);
+
+            result = parseDeckList(
+                this.list(['12 Troll', '12 Æmber Imp', '11 Dextre', '1 Urchin', '1 Wild Wormhole']),
+                this.cards
+            );
+
+            expect(result.errors).toEqual([
+                "Unknown card 'Wild Wormhole'",
+                "Urchin is not from one of the deck's houses"
+            ]);
+        });
+    });
+
+    describe('parseDeckExport()', function () {
+        it('should resolve the cards by id or name', function () {
+            let result = parseDeckExport(
+                JSON.stringify({
+                    name: 'Exported',
+                    expansion: 'CotA',
+                    houses: ['brobnar', 'dis', 'logos'],
+                    cards: [
+                        { id: 'troll', count: 12 },
+                        { name: 'Æmber Imp', count: 12 },
+                        { id: 'dextre', count: 11 },
+                        { id: 'anger', enhanced: true }
+                    ]
+                }),
+                this.cards
+            );
+
+            expect(result.errors).toEqual([]);
+            expect(result.deck.expansion).toBe(341);
+            expect(result.deck.cards).toContain({ id: 'anger', count: 1, enhancements: [] });
+        });
+
+        it('should reject exports that are not valid', function () {
+            expect(parseDeckExport('{ name', this.cards).errors).toEqual([
+                'The deck export is not valid JSON'
+            ]);
+            expect(parseDeckExport({ name: 'No cards' }, this.cards).errors).toEqual([
+                'The deck export must have a list of cards'
+            ]);
+        });
+    });
+});
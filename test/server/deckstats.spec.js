@@ -0,0 +1,80 @@
+const DeckService = require('../../server/services/DeckService.js');
+
+describe('deck stats', function () {
+    beforeEach(function () {
+        this.deckService = new DeckService({});
+        this.game = (result, first, turn, opponent, houses) => ({
+            Result: result,
+            First: first,
+            Turn: turn,
+            Opponent: opponent,
+            OpponentHouses: houses
+        });
+    });
+
+    it('should count the record of the deck', function () {
+        let stats = this.deckService.summariseGames([
+            this.game('win', true, 6, 'bob', ['dis']),
+            this.game('loss', false, 7, 'bob', ['dis']),
+            this.game('timed-out', false, 5, 'carol', ['logos']),
+            this.game('draw', true, 8, 'dave', ['mars'])
+        ]);
+
+        expect(stats.games).toBe(4);
+        expect(stats.wins).toBe(1);
+        expect(stats.losses).toBe(2);
+        expect(stats.draws).toBe(1);
+        expect(stats.winRate).toBe(25);
+    });
+
+    it('should split the record by whether the deck went first', function () {
+        let stats = this.deckService.summariseGames([
+            this.game('win', true, 6, 'bob', []),
+            this.game('win', true, 6, 'bob', []),
+            this.game('loss', false, 7, 'bob', []),
+            this.game('win', null, 7, 'bob', [])
+        ]);
+
+        expect(stats.first.games).toBe(2);
+        expect(stats.first.winRate).toBe(100);
+        expect(stats.second.games).toBe(1);
+        expect(stats.second.winRate).toBe(0);
+    });
+
+    it('should average the turns of the games the deck won', function () {
+        let stats = this.deckService.summariseGames([
+            this.game('win', true, 6, 'bob', []),
+            this.game('win', false, 9, 'bob', []),
+            this.game('loss', false, 3, 'bob', [])
+        ]);
+
+        expect(stats.averageTurnsToWin).toBe(7.5);
+    });
+
+    it('should count the record against each opposing house', function () {
+        let stats = this.deckService.summariseGames([
+            this.game('win', true, 6, 'bob', ['dis', 'logos', 'mars']),
+            this.game('loss', true, 6, 'carol', ['dis', 'sanctum', 'shadows'])
+        ]);
+
+        let dis = stats.houses.find((record) => record.house === 'dis');
+        let logos = stats.houses.find((record) => record.house === 'logos');
+
+        expect(dis.games).toBe(2);
+        expect(dis.wins).toBe(1);
+        expect(logos.games).toBe(1);
+        expect(logos.losses).toBe(0);
+    });
+
+    it('should list the most common opponents first', function () {
+        let stats = this.deckService.summariseGames(
+            ['a', 'b', 'b', 'c', 'c', 'c', 'd', 'e', 'f', 'g'].map((opponent) =>
+                this.game('win', true, 6, opponent, [])
+            )
+        );
+
+        expect(stats.opponents.length).toBe(5);
+        expect(stats.opponents[0].name).toBe('c');
+        expect(stats.opponents[1].name).toBe('b');
+    });
+});
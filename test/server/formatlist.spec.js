@@ -0,0 +1,62 @@
+const { getLegalLists, getListFormat, validateDeck } = require('../../server/FormatList.js');
+
+describe('FormatList', function () {
+    beforeEach(function () {
+        this.list = {
+            id: 1,
+            gameFormat: 'normal',
+            version: '1.0',
+            banned: ['key-abduction'],
+            restricted: ['library-access', 'ghostform', 'the-sting'],
+            restrictedLimit: 1
+        };
+        this.deck = {
+            cards: [{ id: 'troll' }, { id: 'library-access' }, { id: 'library-access' }]
+        };
+    });
+
+    describe('getListFormat()', function () {
+        it('should share the list of a format with its best of N variants', function () {
+            expect(getListFormat('adaptive-bo3')).toBe('adaptive');
+            expect(getListFormat('reversal-bo3')).toBe('reversal');
+            expect(getListFormat('normal')).toBe('normal');
+        });
+    });
+
+    describe('validateDeck()', function () {
+        it('should count each restricted card once however many copies there are', function () {
+            let result = validateDeck(this.deck, this.list);
+
+            expect(result.valid).toBe(true);
+            expect(result.restrictedCards).toEqual(['library-access']);
+        });
+
+        it('should reject more restricted cards than the list allows', function () {
+            this.deck.cards.push({ id: 'ghostform' });
+
+            let result = validateDeck(this.deck, this.list);
+
+            expect(result.valid).toBe(false);
+            expect(result.errors.length).toBe(1);
+        });
+
+        it('should reject banned cards', function () {
+            this.deck.cards.push({ id: 'key-abduction' });
+
+            let result = validateDeck(this.deck, this.list);
+
+            expect(result.valid).toBe(false);
+            expect(result.bannedCards).toEqual(['key-abduction']);
+        });
+    });
+
+    describe('getLegalLists()', function () {
+        it('should only return the list versions the deck is legal under', function () {
+            let newList = Object.assign({}, this.list, { version: '1.1', restrictedLimit: 0 });
+
+            expect(getLegalLists(this.deck, [this.list, newList])).toEqual([
+                { gameFormat: 'normal', version: '1.0' }
+            ]);
+        });
+    });
+});
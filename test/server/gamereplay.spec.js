@@ -0,0 +1,154 @@
+const Game = require('../../server/game/game.js');
+const GameReplay = require('../../server/game/GameReplay.js');
+const { playBackReplay } = require('../../server/ReplayWorker.js');
+const Settings = require('../../server/settings.js');
+
+describe('GameReplay', function () {
+    beforeEach(function () {
+        // Vanilla creatures are enough to set a game up without the card data
+        let houses = ['brobnar', 'dis', 'logos'];
+        this.cardData = {};
+        for (let house of houses) {
+            this.cardData[`${house}-creature`] = {
+                id: `${house}-creature`,
+                name: `${house} creature`,
+                type: 'creature',
+                house: house,
+                power: 3,
+                armor: 0,
+                amber: 1,
+                traits: [],
+                keywords: [],
+                text: '',
+                expansion: 341,
+                locale: {}
+            };
+        }
+
+        this.createDeck = () => ({
+            name: 'Deck',
+            houses: houses,
+            cards: houses.map((house) => ({
+                id: `${house}-creature`,
+                count: 12,
+                card: Object.assign({}, this.cardData[`${house}-creature`])
+            }))
+        });
+
+        this.getBoard = (game) =>
+            game.getPlayers().map((player) => ({
+                hand: player.hand.map((card) => card.id),
+                inPlay: player.cardsInPlay.map((card) => card.id),
+                amber: player.amber
+            }));
+    });
+
+    describe('replaying a scenario game', function () {
+        beforeEach(function () {
+            this.game = new Game(
+                {
+                    id: 'game',
+                    gameType: 'casual',
+                    owner: { username: 'player1' },
+                    players: [
+                        {
+                            id: '111',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player1' })
+                        },
+                        {
+                            id: '222',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player2' })
+                        }
+                    ],
+                    scenario: {
+                        id: 'test',
+                        name: 'Test',
+                        goal: 'Win',
+                        firstPlayer: 'player',
+                        player: {
+                            houses: ['brobnar', 'dis', 'logos'],
+                            hand: ['dis-creature'],
+                            inPlay: ['brobnar-creature', 'logos-creature'],
+                            amber: 4
+                        },
+                        opponent: {
+                            houses: ['brobnar', 'dis', 'logos'],
+                            inPlay: ['dis-creature']
+                        },
+                        win: [{ type: 'keys', amount: 1 }]
+                    }
+                },
+                { router: { gameWon: () => true }, cardData: this.cardData }
+            );
+            this.game.started = true;
+            this.game.selectDeck('player1', this.createDeck());
+            this.game.selectDeck('player2', this.createDeck());
+            this.game.initialise();
+
+            this.replayedGame = new GameReplay(this.game.getReplay(), this.cardData).createGame();
+        });
+
+        it('should set the board up from the scenario', function () {
+            expect(this.getBoard(this.replayedGame)).toEqual(this.getBoard(this.game));
+            expect(this.getBoard(this.replayedGame)[0]).toEqual({
+                hand: ['dis-creature'],
+                inPlay: ['brobnar-creature', 'logos-creature'],
+                amber: 4
+            });
+        });
+
+        it('should use the scenario win conditions', function () {
+            expect(this.replayedGame.scenarioConditions.win.length).toBe(1);
+        });
+
+        it('should play the replay back the same way in a worker', async function () {
+            let replay = this.game.getReplay();
+            let gameReplay = new GameReplay(replay, this.cardData);
+            let snapshots = gameReplay.getSnapshots('player1');
+
+            let playedBack = await playBackReplay(replay, this.cardData, 'player1');
+
+            // Card ids are generated afresh each time the game is played, so only compare the steps
+            let getSteps = (snapshots) =>
+                snapshots.map((snapshot) => [
+                    snapshot.activePlayer,
+                    snapshot.phase,
+                    snapshot.round
+                ]);
+
+            expect(playedBack.errors).toEqual([]);
+            expect(getSteps(playedBack.snapshots)).toEqual(getSteps(snapshots));
+        });
+    });
+
+    describe('replaying a hotseat game', function () {
+        it('should keep the owner of the second seat', function () {
+            let game = new Game(
+                {
+                    id: 'game',
+                    hotseat: true,
+                    owner: { username: 'player1' },
+                    players: [
+                        {
+                            id: '111',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player1' })
+                        },
+                        {
+                            id: 'HOTSEAT',
+                            user: Settings.getUserWithDefaultsSet({
+                                username: 'Second Player',
+                                hotseatOwner: 'player1'
+                            })
+                        }
+                    ]
+                },
+                { router: {} }
+            );
+
+            let details = game.getReplay().details;
+
+            expect(details.hotseat).toBe(true);
+            expect(details.players[1].user.hotseatOwner).toBe('player1');
+        });
+    });
+});
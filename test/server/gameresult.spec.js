@@ -0,0 +1,134 @@
+const Game = require('../../server/game/game.js');
+const GameServer = require('../../server/gamenode/gameserver.js');
+const Settings = require('../../server/settings.js');
+
+describe('game results', function () {
+    beforeEach(function () {
+        this.router = jasmine.createSpyObj('router', ['gameWon']);
+        this.game = new Game(
+            {
+                id: 'game',
+                owner: { username: 'player1' },
+                players: [
+                    { id: '111', user: Settings.getUserWithDefaultsSet({ username: 'player1' }) },
+                    { id: '222', user: Settings.getUserWithDefaultsSet({ username: 'player2' }) }
+                ]
+            },
+            { router: this.router }
+        );
+
+        spyOn(this.game, 'queueStep');
+
+        this.player1 = this.game.getPlayerByName('player1');
+        this.player2 = this.game.getPlayerByName('player2');
+
+        this.getResults = () => {
+            let state = this.game.getSaveState();
+
+            return {
+                game: state.result,
+                player1: state.players.find((player) => player.name === 'player1').result,
+                player2: state.players.find((player) => player.name === 'player2').result
+            };
+        };
+    });
+
+    it('should not have a result while the game is in progress', function () {
+        expect(this.getResults()).toEqual({
+            game: undefined,
+            player1: undefined,
+            player2: undefined
+        });
+    });
+
+    it('should record a win and a loss when a player wins', function () {
+        this.game.recordWinner(this.player2, 'keys');
+
+        expect(this.getResults()).toEqual({ game: 'win', player1: 'loss', player2: 'win' });
+    });
+
+    it('should record a loss for a player who concedes', function () {
+        this.game.concede('player1');
+
+        expect(this.getResults()).toEqual({ game: 'win', player1: 'loss', player2: 'win' });
+    });
+
+    it('should record the player whose clock ran out as timed out', function () {
+        this.game.recordWinner(this.player1, 'clock');
+
+        expect(this.getResults()).toEqual({
+            game: 'timed-out',
+            player1: 'win',
+            player2: 'timed-out'
+        });
+    });
+
+    it('should record a draw for both players', function () {
+        this.game.recordDraw('agreed');
+
+        expect(this.getResults()).toEqual({ game: 'draw', player1: 'draw', player2: 'draw' });
+    });
+
+    it('should record a game that finishes without a result as abandoned', function () {
+        this.game.abandon();
+
+        expect(this.getResults()).toEqual({
+            game: 'abandoned',
+            player1: 'abandoned',
+            player2: 'abandoned'
+        });
+    });
+
+    it('should not abandon a game that has been won', function () {
+        this.game.recordWinner(this.player1, 'keys');
+        this.game.abandon();
+
+        expect(this.getResults().game).toBe('win');
+    });
+
+    it('should not let a player abandon the game', function () {
+        let node = { findGameForUser: () => this.game, runAndCatchErrors: jasmine.createSpy() };
+        spyOn(this.game, 'abandon');
+
+        GameServer.prototype.onGameMessage.call(node, { user: { username: 'player1' } }, 'abandon');
+
+        expect(this.game.abandon).not.toHaveBeenCalled();
+        expect(node.runAndCatchErrors).not.toHaveBeenCalled();
+    });
+
+    describe('the offerDraw() function', function () {
+        it('should ask the opponent to accept the draw', function () {
+            this.game.offerDraw('player1');
+
+            expect(this.game.queueStep).toHaveBeenCalled();
+        });
+
+        it('should ignore offers while another is waiting for an answer', function () {
+            this.game.offerDraw('player1');
+            this.game.offerDraw('player2');
+
+            expect(this.game.queueStep).toHaveBeenCalledTimes(1);
+        });
+
+        it('should allow another offer once the last one has been answered', function () {
+            this.game.offerDraw('player1');
+            let prompt = this.game.queueStep.calls.mostRecent().args[0];
+            prompt.onMenuCommand(this.player2, 'no');
+            prompt.onCompleted();
+
+            this.game.offerDraw('player1');
+
+            expect(this.game.queueStep).toHaveBeenCalledTimes(2);
+            expect(this.game.finishedAt).toBeUndefined();
+        });
+
+        it('should not offer a draw once the game has finished', function () {
+            this.game.recordWinner(this.player1, 'keys');
+            this.game.queueStep.calls.reset();
+
+            this.game.offerDraw('player1');
+
+            expect(this.game.queueStep).not.toHaveBeenCalled();
+        });
+    });
+});
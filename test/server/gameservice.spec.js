@@ -0,0 +1,52 @@
+const GameService = require('../../server/services/GameService.js');
+
+describe('GameService', function () {
+    beforeEach(function () {
+        this.gameService = new GameService();
+    });
+
+    describe('processFilter()', function () {
+        it('should number the parameters after the ones already used', function () {
+            let params = [1, 10, 0];
+            let filter = this.gameService.processFilter(4, params, [
+                { name: 'opponent', value: 'Bob' },
+                { name: 'result', value: 'win' }
+            ]);
+
+            expect(filter).toBe('AND lower(ou."Username") LIKE $4 AND gp."Result" = $5 ');
+            expect(params).toEqual([1, 10, 0, '%bob%', 'win']);
+        });
+
+        it('should match wildcard characters in names literally', function () {
+            let params = [];
+            this.gameService.processFilter(1, params, [{ name: 'deck', value: '100%_Amber\\' }]);
+
+            expect(params).toEqual(['%100\\%\\_amber\\\\%']);
+        });
+
+        it('should include the whole of the to date', function () {
+            let params = [];
+            let filter = this.gameService.processFilter(1, params, [
+                { name: 'from', value: '2020-01-01' },
+                { name: 'to', value: '2020-01-31' }
+            ]);
+
+            expect(filter).toBe(
+                'AND g."StartedAt" >= CAST($1 AS date) AND g."StartedAt" < CAST($2 AS date) + 1 '
+            );
+            expect(params).toEqual(['2020-01-01', '2020-01-31']);
+        });
+
+        it('should ignore empty and unknown filters', function () {
+            let params = [];
+            let filter = this.gameService.processFilter(1, params, [
+                { name: 'deck', value: '' },
+                { name: 'gameFormat', value: { $ne: null } },
+                { name: 'password', value: 'x' }
+            ]);
+
+            expect(filter).toBe('');
+            expect(params).toEqual([]);
+        });
+    });
+});
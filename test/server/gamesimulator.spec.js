@@ -0,0 +1,132 @@
+const {
+    GameSimulator,
+    getSimulationCsv,
+    getSimulationStats
+} = require('../../server/GameSimulator.js');
+
+describe('GameSimulator', function () {
+    beforeEach(function () {
+        this.createResult = (winner, firstPlayer, player1 = {}, player2 = {}) => ({
+            seed: 1,
+            winner: winner,
+            firstPlayer: firstPlayer,
+            turns: 6,
+            players: {
+                player1: Object.assign(
+                    { keysForged: 0, turns: 3, cardsPlayedByHouse: {} },
+                    player1
+                ),
+                player2: Object.assign({ keysForged: 0, turns: 3, cardsPlayedByHouse: {} }, player2)
+            }
+        });
+        this.results = [
+            this.createResult(
+                'player1',
+                'player1',
+                { keysForged: 3, cardsPlayedByHouse: { brobnar: 4 } },
+                { keysForged: 1, cardsPlayedByHouse: { dis: 2 } }
+            ),
+            this.createResult(
+                'player1',
+                'player2',
+                { keysForged: 3, cardsPlayedByHouse: { brobnar: 2, logos: 1 } },
+                { keysForged: 2 }
+            ),
+            this.createResult(
+                'player2',
+                'player2',
+                { keysForged: 0 },
+                { keysForged: 3, cardsPlayedByHouse: { dis: 5 } }
+            ),
+            Object.assign(this.createResult(undefined, 'player1'), { error: 'Broken' })
+        ];
+        this.stats = getSimulationStats(this.results, ['Deck One', 'Deck "Two"']);
+    });
+
+    describe('simulateGame()', function () {
+        beforeEach(function () {
+            // Decks of vanilla creatures are enough for the AI to play a game through
+            let houses = ['brobnar', 'dis', 'logos'];
+            let cardData = {};
+            for (let house of houses) {
+                cardData[`${house}-creature`] = {
+                    id: `${house}-creature`,
+                    name: `${house} creature`,
+                    type: 'creature',
+                    house: house,
+                    power: 3,
+                    armor: 0,
+                    amber: 1,
+                    traits: [],
+                    keywords: [],
+                    text: '',
+                    expansion: 341,
+                    locale: {}
+                };
+            }
+
+            let createDeck = (name) => ({
+                name: name,
+                houses: houses,
+                cards: houses.map((house) => ({
+                    id: `${house}-creature`,
+                    count: 12,
+                    card: Object.assign({}, cardData[`${house}-creature`])
+                }))
+            });
+
+            this.result = new GameSimulator(
+                cardData,
+                createDeck('Deck One'),
+                createDeck('Deck Two')
+            ).simulateGame(1);
+        });
+
+        it('should play the game until a player wins', function () {
+            expect(this.result.error).toBeUndefined();
+            expect(['player1', 'player2']).toContain(this.result.winner);
+            expect(this.result.players[this.result.winner].keysForged).toBe(3);
+        });
+
+        it('should record the turns taken and cards played', function () {
+            expect(this.result.turns).toBeGreaterThan(0);
+            expect(this.result.players.player1.turns).toBeGreaterThan(0);
+            expect(
+                Object.keys(this.result.players.player1.cardsPlayedByHouse).length
+            ).toBeGreaterThan(0);
+        });
+    });
+
+    describe('getSimulationStats()', function () {
+        it('should only count finished games', function () {
+            expect(this.stats.games).toBe(4);
+            expect(this.stats.finished).toBe(3);
+            expect(this.stats.errors).toBe(1);
+            expect(this.stats.averageTurns).toBe(6);
+        });
+
+        it('should calculate win rates overall and by turn order', function () {
+            expect(this.stats.firstPlayerWinRate).toBe(0.667);
+            expect(this.stats.decks[0].winRate).toBe(0.667);
+            expect(this.stats.decks[0].winRateGoingFirst).toBe(1);
+            expect(this.stats.decks[0].winRateGoingSecond).toBe(0.5);
+            expect(this.stats.decks[1].winRateGoingFirst).toBe(0.5);
+        });
+
+        it('should calculate keys forged per turn and cards played by house', function () {
+            expect(this.stats.decks[0].keysForgedPerTurn).toBe(0.667);
+            expect(this.stats.decks[0].cardsPlayedByHouse).toEqual({ brobnar: 6, logos: 1 });
+            expect(this.stats.decks[1].cardsPlayedByHouse).toEqual({ dis: 7 });
+        });
+    });
+
+    describe('getSimulationCsv()', function () {
+        it('should have a row for each deck with a column for each house played', function () {
+            let lines = getSimulationCsv(this.stats).split('\n');
+
+            expect(lines.length).toBe(3);
+            expect(lines[0]).toContain('cardsPlayed:brobnar,cardsPlayed:dis,cardsPlayed:logos');
+            expect(lines[2]).toBe('"Deck ""Two""",4,3,1,0.333,0.5,0,0.667,6,0.667,0,7,0');
+        });
+    });
+});
@@ -0,0 +1,50 @@
+const UndoPrompt = require('../../../server/game/gamesteps/UndoPrompt.js');
+
+describe('the UndoPrompt', function () {
+    beforeEach(function () {
+        this.game = jasmine.createSpyObj('game', ['addAlert', 'getPlayers', 'rollback']);
+        this.player1 = jasmine.createSpyObj('player1', ['setPrompt', 'cancelPrompt', 'startClock']);
+        this.player2 = jasmine.createSpyObj('player2', ['setPrompt', 'cancelPrompt', 'startClock']);
+        this.game.getPlayers.and.returnValue([this.player1, this.player2]);
+
+        this.prompt = new UndoPrompt(this.game, this.player1, 12);
+    });
+
+    describe('the continue() function', function () {
+        it('should only prompt the opponent of the requesting player', function () {
+            expect(this.prompt.continue()).toBe(false);
+            expect(this.player1.setPrompt).toHaveBeenCalledWith(
+                jasmine.objectContaining({ menuTitle: 'Waiting for opponent to agree to undo' })
+            );
+            expect(this.player2.setPrompt).toHaveBeenCalledWith(
+                jasmine.objectContaining({ buttons: jasmine.any(Array) })
+            );
+        });
+    });
+
+    describe('when the opponent agrees', function () {
+        beforeEach(function () {
+            this.prompt.onMenuCommand(this.player2, 'yes');
+            this.prompt.continue();
+        });
+
+        it('should roll the game back to the checkpoint', function () {
+            expect(this.game.rollback).toHaveBeenCalledWith(this.player1, 12);
+        });
+    });
+
+    describe('when the opponent refuses', function () {
+        beforeEach(function () {
+            this.prompt.onMenuCommand(this.player2, 'no');
+            this.prompt.continue();
+        });
+
+        it('should complete the prompt', function () {
+            expect(this.prompt.isComplete()).toBe(true);
+        });
+
+        it('should not roll the game back', function () {
+            expect(this.game.rollback).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,236 @@
+const Game = require('../../server/game/game.js');
+const LoseAmberAction = require('../../server/game/GameActions/LoseAmberAction.js');
+const ModifyAmberAction = require('../../server/game/GameActions/ModifyAmberAction.js');
+const Settings = require('../../server/settings.js');
+
+describe('game telemetry', function () {
+    beforeEach(function () {
+        this.game = new Game(
+            {
+                id: 'game',
+                owner: { username: 'player1' },
+                players: [
+                    { id: '111', user: Settings.getUserWithDefaultsSet({ username: 'player1' }) },
+                    { id: '222', user: Settings.getUserWithDefaultsSet({ username: 'player2' }) }
+                ]
+            },
+            { router: jasmine.createSpyObj('router', ['gameWon']) }
+        );
+
+        this.player1 = this.game.getPlayerByName('player1');
+        this.player2 = this.game.getPlayerByName('player2');
+        this.player1.opponent = this.player2;
+        this.player2.opponent = this.player1;
+        this.game.activePlayer = this.player1;
+        this.game.round = 1;
+
+        this.card = (house, controller, type = 'creature') => ({
+            printedHouse: house,
+            type: type,
+            controller: controller,
+            owner: controller
+        });
+        this.emit = (name, params) => this.game.emit(name, Object.assign({}, params));
+        this.emitAction = (action, player) => {
+            let event = action.getEvent(player, { game: this.game, player: player });
+            this.game.emit(event.name, event);
+        };
+        this.getStats = (name) => {
+            let turns = this.game.telemetry.getState();
+
+            return turns[turns.length - 1].players[name];
+        };
+
+        this.emit('onBeginRound');
+    });
+
+    it('should start a turn for the active player each round', function () {
+        this.player1.activeHouse = 'dis';
+        this.emit('onRoundEnded:preResolution');
+        this.game.activePlayer = this.player2;
+        this.emit('onBeginRound');
+
+        let turns = this.game.telemetry.getState();
+
+        expect(turns.map((turn) => turn.player)).toEqual(['player1', 'player2']);
+        expect(turns[0].house).toBe('dis');
+        expect(turns[1].house).toBeFalsy();
+    });
+
+    it('should use the active house for a turn the game ended during', function () {
+        this.player1.activeHouse = 'logos';
+
+        expect(this.game.telemetry.getState()[0].house).toBe('logos');
+    });
+
+    it('should count amber gained, stolen and captured', function () {
+        this.emitAction(new ModifyAmberAction({ amount: 2 }), this.player1);
+        this.emitAction(new ModifyAmberAction({ amount: -1 }), this.player1);
+        this.emitAction(new LoseAmberAction({ amount: 3 }), this.player1);
+        this.emit('onStealAmber', { player: this.player2, amount: 1 });
+        this.emit('onCapture', { card: this.card('dis', this.player2), amount: 3 });
+
+        expect(this.getStats('player1').amberGained).toBe(2);
+        expect(this.getStats('player1').amberStolen).toBe(1);
+        expect(this.getStats('player2').amberCaptured).toBe(3);
+    });
+
+    it('should count keys forged', function () {
+        this.emit('onForgeKey', { player: this.player1 });
+
+        expect(this.getStats('player1').keysForged).toBe(1);
+        expect(this.getStats('player2').keysForged).toBe(0);
+    });
+
+    it('should count cards played, used and discarded by house', function () {
+        this.emit('onCardPlayed', { player: this.player1, card: this.card('dis', this.player1) });
+        this.emit('onCardPlayed', { player: this.player1, card: this.card('dis', this.player1) });
+        this.emit('onUseCard', { card: this.card('mars', this.player1) });
+        this.emit('onCardDiscarded', { card: this.card('dis', this.player1), location: 'hand' });
+        this.emit('onCardDiscarded', { card: this.card('dis', this.player1), location: 'deck' });
+
+        expect(this.getStats('player1').cardsPlayed).toEqual({ dis: 2 });
+        expect(this.getStats('player1').cardsUsed).toEqual({ mars: 1 });
+        expect(this.getStats('player1').cardsDiscarded).toEqual({ dis: 1 });
+    });
+
+    it('should count damage by the controller of its source and destroyed creatures', function () {
+        let attacker = this.card('brobnar', this.player1);
+        let defender = this.card('untamed', this.player2);
+
+        this.emit('onDamageApplied', {
+            card: defender,
+            damageEvent: { damageSource: attacker },
+            amount: 5
+        });
+        this.emit('onCardDestroyed', { card: defender });
+        this.emit('onCardDestroyed', { card: this.card('untamed', this.player2, 'artifact') });
+
+        expect(this.getStats('player1').damageDealt).toBe(5);
+        expect(this.getStats('player2').creaturesDestroyed).toBe(1);
+    });
+
+    it('should not count cancelled events', function () {
+        this.emit('onForgeKey', { player: this.player1, cancelled: true });
+
+        expect(this.getStats('player1').keysForged).toBe(0);
+    });
+
+    it('should only send the telemetry to players once the game is over', function () {
+        this.game.started = true;
+        spyOn(this.game.timeLimit, 'checkForTimeLimitReached');
+        spyOn(this.player1, 'getState').and.returnValue({});
+        spyOn(this.player2, 'getState').and.returnValue({});
+
+        expect(this.game.getState('player1').telemetry).toBeUndefined();
+        expect(this.game.getSaveState().telemetry.length).toBe(1);
+
+        this.game.winner = this.player1;
+
+        expect(this.game.getState('player1').telemetry.length).toBe(1);
+    });
+
+    describe('dealing damage', function () {
+        beforeEach(function () {
+            // Vanilla creatures are enough to set a game up without the card data
+            let houses = ['brobnar', 'dis', 'logos'];
+            let cardData = {};
+            for (let house of houses) {
+                cardData[`${house}-creature`] = {
+                    id: `${house}-creature`,
+                    name: `${house} creature`,
+                    type: 'creature',
+                    house: house,
+                    power: 5,
+                    armor: house === 'dis' ? 2 : 0,
+                    amber: 0,
+                    traits: [],
+                    keywords: [],
+                    text: '',
+                    expansion: 341,
+                    locale: {}
+                };
+            }
+
+            let createDeck = () => ({
+                name: 'Deck',
+                houses: houses,
+                cards: houses.map((house) => ({
+                    id: `${house}-creature`,
+                    count: 12,
+                    card: Object.assign({}, cardData[`${house}-creature`])
+                }))
+            });
+
+            this.game = new Game(
+                {
+                    id: 'game',
+                    gameType: 'casual',
+                    owner: { username: 'player1' },
+                    players: [
+                        {
+                            id: '111',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player1' })
+                        },
+                        {
+                            id: '222',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player2' })
+                        }
+                    ],
+                    scenario: {
+                        id: 'test',
+                        name: 'Test',
+                        goal: 'Win',
+                        firstPlayer: 'player',
+                        player: {
+                            houses: houses,
+                            activeHouse: 'brobnar',
+                            inPlay: ['brobnar-creature']
+                        },
+                        opponent: { houses: houses, inPlay: ['dis-creature', 'logos-creature'] },
+                        win: [{ type: 'keys', amount: 1 }]
+                    }
+                },
+                { router: { gameWon: () => true }, cardData: cardData }
+            );
+            this.game.started = true;
+            this.game.selectDeck('player1', createDeck());
+            this.game.selectDeck('player2', createDeck());
+            this.game.initialise();
+
+            // Both players start the game, which begins the first turn in player1's main phase
+            for (let player of this.game.getPlayers()) {
+                let button = player.currentPrompt().buttons[0];
+                this.game.menuButton(player.name, button.arg, button.uuid, button.method);
+            }
+            this.game.continue();
+
+            let player1 = this.game.getPlayerByName('player1');
+            this.attacker = player1.cardsInPlay[0];
+            [this.armoured, this.unarmoured] = this.game.getPlayerByName('player2').cardsInPlay;
+            this.dealDamage = (target, amount) => {
+                this.game.actions
+                    .dealDamage({ amount: amount, damageSource: this.attacker })
+                    .resolve(target, this.game.getFrameworkContext(player1));
+                this.game.continue();
+            };
+        });
+
+        it('should count the damage left after armor', function () {
+            this.dealDamage(this.armoured, 3);
+
+            expect(this.armoured.tokens.damage).toBe(1);
+            expect(this.getStats('player1').damageDealt).toBe(1);
+        });
+
+        it('should not count damage that armor prevented completely', function () {
+            this.dealDamage(this.armoured, 3);
+            this.dealDamage(this.unarmoured, 3);
+            this.armoured.armorUsed = 0;
+            this.dealDamage(this.armoured, 2);
+
+            expect(this.armoured.tokens.damage).toBe(1);
+            expect(this.getStats('player1').damageDealt).toBe(4);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+const { calculateRating, defaultRating } = require('../../server/Glicko.js');
+
+describe('Glicko', function () {
+    describe('the calculateRating() function', function () {
+        describe('with the example from the Glicko-2 paper', function () {
+            beforeEach(function () {
+                this.result = calculateRating({ rating: 1500, deviation: 200, volatility: 0.06 }, [
+                    { opponent: { rating: 1400, deviation: 30 }, score: 1 },
+                    { opponent: { rating: 1550, deviation: 100 }, score: 0 },
+                    { opponent: { rating: 1700, deviation: 300 }, score: 0 }
+                ]);
+            });
+
+            it('should calculate the new rating', function () {
+                expect(this.result.rating).toBeCloseTo(1464.06, 1);
+            });
+
+            it('should calculate the new deviation', function () {
+                expect(this.result.deviation).toBeCloseTo(151.52, 1);
+            });
+
+            it('should calculate the new volatility', function () {
+                expect(this.result.volatility).toBeCloseTo(0.05999, 4);
+            });
+        });
+
+        describe('when two new players play each other', function () {
+            beforeEach(function () {
+                this.winner = calculateRating(defaultRating, [
+                    { opponent: defaultRating, score: 1 }
+                ]);
+                this.loser = calculateRating(defaultRating, [
+                    { opponent: defaultRating, score: 0 }
+                ]);
+            });
+
+            it('should move their ratings equally in opposite directions', function () {
+                expect(this.winner.rating).toBeGreaterThan(defaultRating.rating);
+                expect(this.winner.rating - defaultRating.rating).toBeCloseTo(
+                    defaultRating.rating - this.loser.rating,
+                    5
+                );
+            });
+
+            it('should reduce their deviation', function () {
+                expect(this.winner.deviation).toBeLessThan(defaultRating.deviation);
+            });
+        });
+    });
+});
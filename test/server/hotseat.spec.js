@@ -0,0 +1,79 @@
+const Game = require('../../server/game/game.js');
+const Settings = require('../../server/settings.js');
+
+describe('a hotseat game', function () {
+    beforeEach(function () {
+        this.game = new Game(
+            {
+                id: 'game',
+                hotseat: true,
+                owner: { username: 'player1' },
+                players: [
+                    { id: '111', user: Settings.getUserWithDefaultsSet({ username: 'player1' }) },
+                    {
+                        id: 'HOTSEAT',
+                        user: Settings.getUserWithDefaultsSet({
+                            username: 'Second Player',
+                            hotseatOwner: 'player1'
+                        })
+                    }
+                ],
+                spectators: [
+                    { id: '333', user: Settings.getUserWithDefaultsSet({ username: 'spectator' }) }
+                ]
+            },
+            { router: {} }
+        );
+        this.player1 = this.game.getPlayerByName('player1');
+        this.player2 = this.game.getPlayerByName('Second Player');
+        this.prompt = (player) => player.setPrompt({ buttons: [{ text: 'Done' }] });
+        this.wait = (player) => player.setPrompt({ menuTitle: 'Waiting for opponent' });
+    });
+
+    describe('the getSeatForUser() function', function () {
+        it('should play the seat the game is waiting on', function () {
+            this.wait(this.player1);
+            this.prompt(this.player2);
+
+            expect(this.game.getSeatForUser('player1')).toBe('Second Player');
+        });
+
+        it('should stay with the current seat while it still has something to do', function () {
+            this.prompt(this.player1);
+            this.prompt(this.player2);
+
+            expect(this.game.getSeatForUser('player1')).toBe('player1');
+
+            this.wait(this.player1);
+
+            expect(this.game.getSeatForUser('player1')).toBe('Second Player');
+
+            this.prompt(this.player1);
+
+            expect(this.game.getSeatForUser('player1')).toBe('Second Player');
+        });
+
+        it('should not change the seat of other users', function () {
+            this.wait(this.player1);
+            this.prompt(this.player2);
+
+            expect(this.game.getSeatForUser('spectator')).toBe('spectator');
+        });
+
+        it('should not leave the owner seat in games that are not hotseat', function () {
+            this.game.hotseat = false;
+            this.wait(this.player1);
+            this.prompt(this.player2);
+
+            expect(this.game.getSeatForUser('player1')).toBe('player1');
+        });
+    });
+
+    it('should not count the second seat as someone still in the game', function () {
+        this.player1.left = true;
+
+        this.game.getSpectators()[0].left = true;
+
+        expect(this.game.isEmpty()).toBe(true);
+    });
+});
@@ -0,0 +1,94 @@
+const InputLog = require('../../server/game/InputLog.js');
+
+describe('the InputLog', function () {
+    beforeEach(function () {
+        this.card = { uuid: 'card-uuid' };
+        this.player1 = jasmine.createSpyObj('player', ['currentPrompt']);
+        this.player1.name = 'player1';
+        this.player1.allCards = [{ uuid: 'other-uuid' }, this.card];
+        this.player1.currentPrompt.and.returnValue({
+            buttons: [{ arg: 'done', uuid: 'prompt-uuid' }],
+            controls: []
+        });
+
+        this.game = jasmine.createSpyObj('game', ['getPlayerByName', 'getPlayers']);
+        this.game.getPlayerByName.and.callFake((name) =>
+            name === 'player1' ? this.player1 : undefined
+        );
+        this.game.getPlayers.and.returnValue([this.player1]);
+
+        this.inputLog = new InputLog(this.game);
+    });
+
+    describe('the record() function', function () {
+        it('should store card uuids as references to the card', function () {
+            this.inputLog.record('player1', 'cardClicked', ['card-uuid']);
+
+            expect(this.inputLog.inputs).toEqual([
+                {
+                    player: 'player1',
+                    command: 'cardClicked',
+                    args: [{ cardRef: { owner: 'player1', index: 1 } }]
+                }
+            ]);
+        });
+
+        it('should store cards added during the game by their id and the order they were added', function () {
+            this.game.allCards = this.player1.allCards.concat([
+                { uuid: 'added-uuid', id: 'troll', owner: this.player1 },
+                { uuid: 'second-added-uuid', id: 'troll', owner: this.player1 }
+            ]);
+
+            this.inputLog.record('player1', 'cardClicked', ['second-added-uuid']);
+
+            expect(this.inputLog.inputs[0].args).toEqual([
+                { addedCardRef: { id: 'troll', index: 1 } }
+            ]);
+        });
+
+        it('should store prompt uuids as references to the current prompt', function () {
+            this.inputLog.record('player1', 'menuButton', ['done', 'prompt-uuid']);
+
+            expect(this.inputLog.inputs[0].args).toEqual(['done', { promptRef: true }]);
+        });
+
+        it('should not record inputs from anyone other than a player', function () {
+            this.inputLog.record('spectator', 'chat', ['hello']);
+
+            expect(this.inputLog.inputs.length).toBe(0);
+        });
+    });
+
+    describe('the resolve() function', function () {
+        beforeEach(function () {
+            this.inputLog.record('player1', 'menuButton', ['card-uuid', 'prompt-uuid']);
+
+            this.card.uuid = 'new-card-uuid';
+            this.player1.currentPrompt.and.returnValue({
+                buttons: [{ arg: 'done', uuid: 'new-prompt-uuid' }],
+                controls: []
+            });
+        });
+
+        it('should resolve the references against the current state of the game', function () {
+            expect(this.inputLog.resolve(this.inputLog.inputs[0])).toEqual([
+                'new-card-uuid',
+                'new-prompt-uuid'
+            ]);
+        });
+
+        it('should resolve cards added during the game', function () {
+            this.game.allCards = this.player1.allCards.concat([
+                { uuid: 'new-added-uuid', id: 'troll', owner: this.player1 }
+            ]);
+
+            expect(
+                this.inputLog.resolve({
+                    player: 'player1',
+                    command: 'cardClicked',
+                    args: [{ addedCardRef: { id: 'troll', index: 0 } }]
+                })
+            ).toEqual(['new-added-uuid']);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const Match = require('../../server/Match.js');
+
+describe('Match', function () {
+    beforeEach(function () {
+        this.match = new Match({ gameFormat: 'adaptive-bo3' });
+    });
+
+    describe('isMatchFormat()', function () {
+        it('should only treat best of N formats as matches', function () {
+            expect(Match.isMatchFormat('adaptive-bo3')).toBe(true);
+            expect(Match.isMatchFormat('reversal-bo3')).toBe(true);
+            expect(Match.isMatchFormat('adaptive-bo1')).toBe(false);
+            expect(Match.isMatchFormat('normal')).toBe(false);
+        });
+    });
+
+    describe('recordGame()', function () {
+        it('should keep score', function () {
+            this.match.recordGame('game1', 'alice');
+            this.match.recordGame('game2', 'bob');
+
+            expect(this.match.getScore()).toEqual({ alice: 1, bob: 1 });
+            expect(this.match.getGameNumber()).toBe(3);
+            expect(this.match.isComplete()).toBe(false);
+        });
+
+        it('should ignore a game that has already been recorded', function () {
+            this.match.recordGame('game1', 'alice');
+            this.match.recordGame('game1', 'alice');
+
+            expect(this.match.getScore()).toEqual({ alice: 1 });
+        });
+
+        it('should finish the match once a player has won a majority of games', function () {
+            this.match.recordGame('game1', 'alice');
+            this.match.recordGame('game2', 'alice');
+            this.match.recordGame('game3', 'bob');
+
+            expect(this.match.getWinner()).toBe('alice');
+            expect(this.match.getScore()).toEqual({ alice: 2 });
+        });
+
+        it('should not change the match it was created from', function () {
+            let state = this.match.getState();
+            let copy = new Match(state);
+
+            copy.recordGame('game1', 'alice');
+
+            expect(state.games).toEqual([]);
+            expect(copy.id).toBe(this.match.id);
+        });
+    });
+
+    describe('decks', function () {
+        it('should have adaptive players use their own deck then their opponent deck', function () {
+            expect(this.match.isSwapped()).toBe(false);
+
+            this.match.recordGame('game1', 'alice');
+
+            expect(this.match.isSwapped()).toBe(true);
+        });
+
+        it('should have reversal players use their opponent deck then their own deck', function () {
+            let match = new Match({ gameFormat: 'reversal-bo3' });
+
+            expect(match.isSwapped()).toBe(true);
+
+            match.recordGame('game1', 'alice');
+
+            expect(match.isSwapped()).toBe(false);
+        });
+
+        it('should bid for decks in the deciding game', function () {
+            this.match.recordGame('game1', 'alice');
+            expect(this.match.isDecider()).toBe(false);
+
+            this.match.recordGame('game2', 'bob');
+
+            expect(this.match.isDecider()).toBe(true);
+            expect(this.match.isSwapped()).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const MatchmakingQueue = require('../../server/MatchmakingQueue.js');
+
+describe('MatchmakingQueue', function () {
+    beforeEach(function () {
+        this.queue = new MatchmakingQueue();
+        this.now = new Date();
+
+        this.createUser = (username, blockList = []) => {
+            let user = jasmine.createSpyObj('user', ['hasUserBlocked']);
+            user.username = username;
+            user.hasUserBlocked.and.callFake((other) => blockList.includes(other.username));
+
+            return user;
+        };
+
+        this.addPlayer = (username, rating, secondsWaited = 0, options = {}) => {
+            let entry = this.queue.add(this.createUser(username, options.blockList), username, {
+                deckId: 1,
+                gameFormat: options.gameFormat || 'normal',
+                rating: rating
+            });
+            entry.joinedAt = new Date(this.now.getTime() - secondsWaited * 1000);
+
+            return entry;
+        };
+    });
+
+    describe('findMatches()', function () {
+        it('should pair players with close ratings', function () {
+            let player1 = this.addPlayer('player1', 1500);
+            let player2 = this.addPlayer('player2', 1550);
+
+            expect(this.queue.findMatches(this.now)).toEqual([[player1, player2]]);
+            expect(this.queue.getEntries().length).toBe(0);
+        });
+
+        it('should not pair players with distant ratings who have just joined', function () {
+            this.addPlayer('player1', 1500);
+            this.addPlayer('player2', 1800);
+
+            expect(this.queue.findMatches(this.now)).toEqual([]);
+            expect(this.queue.getEntries().length).toBe(2);
+        });
+
+        it('should widen the rating range the longer players have waited', function () {
+            this.addPlayer('player1', 1500, 60);
+            this.addPlayer('player2', 1800, 60);
+
+            expect(this.queue.findMatches(this.now).length).toBe(1);
+        });
+
+        it('should match the longest waiting player with the closest rated opponent', function () {
+            let player1 = this.addPlayer('player1', 1500, 30);
+            this.addPlayer('player2', 1400, 20);
+            let player3 = this.addPlayer('player3', 1520, 10);
+
+            expect(this.queue.findMatches(this.now)).toEqual([[player1, player3]]);
+            expect(this.queue.get('player2')).toBeDefined();
+        });
+
+        it('should not pair players in different formats', function () {
+            this.addPlayer('player1', 1500, 0, { gameFormat: 'normal' });
+            this.addPlayer('player2', 1500, 0, { gameFormat: 'reversal' });
+
+            expect(this.queue.findMatches(this.now)).toEqual([]);
+        });
+
+        it('should not pair players when either has blocked the other', function () {
+            this.addPlayer('player1', 1500, 0, { blockList: ['player2'] });
+            this.addPlayer('player2', 1500);
+
+            expect(this.queue.findMatches(this.now)).toEqual([]);
+        });
+    });
+
+    describe('getStatus()', function () {
+        it('should report when a user is not queued', function () {
+            expect(this.queue.getStatus('player1')).toEqual({ queued: false });
+        });
+
+        it('should estimate the wait from recent matches in the same format', function () {
+            this.addPlayer('player1', 1500, 40);
+            this.addPlayer('player2', 1500, 20);
+            this.queue.findMatches(this.now);
+
+            this.addPlayer('player3', 1500);
+
+            let status = this.queue.getStatus('player3');
+
+            expect(status.queued).toBe(true);
+            expect(status.playersInQueue).toBe(1);
+            expect(status.estimatedWait).toBe(30);
+        });
+    });
+});
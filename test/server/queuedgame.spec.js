@@ -0,0 +1,84 @@
+const Lobby = require('../../server/lobby.js');
+const MatchmakingQueue = require('../../server/MatchmakingQueue.js');
+const logger = require('../../server/log.js');
+
+describe('starting a queued game', function () {
+    beforeEach(function () {
+        this.lobby = Object.create(Lobby.prototype);
+        this.lobby.games = {};
+        this.lobby.sockets = {};
+        this.lobby.matchmakingQueue = new MatchmakingQueue();
+        spyOn(this.lobby, 'sendGameState');
+        spyOn(this.lobby, 'broadcastGameMessage');
+        spyOn(this.lobby, 'startGame').and.returnValue(true);
+        spyOn(logger, 'info');
+        spyOn(logger, 'error');
+
+        this.entries = ['player1', 'player2'].map((username) => {
+            let user = jasmine.createSpyObj('user', ['hasUserBlocked', 'getDetails']);
+            user.username = username;
+            user.hasUserBlocked.and.returnValue(false);
+            user.getDetails.and.returnValue({ username });
+
+            let socket = jasmine.createSpyObj('socket', ['send', 'joinChannel', 'leaveChannel']);
+            socket.user = user;
+            this.lobby.sockets[username] = socket;
+
+            return this.lobby.matchmakingQueue.add(user, username, {
+                deckId: username,
+                gameFormat: 'normal',
+                rating: 1500
+            });
+        });
+        this.lobby.matchmakingQueue.findMatches();
+
+        this.failedDecks = [];
+        spyOn(this.lobby, 'onSelectDeck').and.callFake(async (socket, gameId, deckId) => {
+            if (!this.failedDecks.includes(deckId)) {
+                this.lobby.games[gameId].selectDeck(socket.user.username, { id: deckId });
+            }
+        });
+
+        this.getErrors = (username) =>
+            this.lobby.sockets[username].send.calls
+                .allArgs()
+                .filter((args) => args[0] === 'gameerror');
+    });
+
+    it('should start the game once both decks are selected', async function () {
+        await this.lobby.startQueuedGame(this.entries);
+
+        expect(this.lobby.startGame).toHaveBeenCalled();
+        expect(Object.keys(this.lobby.games).length).toBe(1);
+    });
+
+    it('should remove the game and requeue the opponent when a deck fails to load', async function () {
+        this.failedDecks = ['player2'];
+
+        await this.lobby.startQueuedGame(this.entries);
+
+        expect(this.lobby.startGame).not.toHaveBeenCalled();
+        expect(this.lobby.games).toEqual({});
+        expect(this.lobby.broadcastGameMessage).toHaveBeenCalledWith(
+            'removegame',
+            jasmine.anything()
+        );
+        expect(this.lobby.sockets.player2.leaveChannel).toHaveBeenCalled();
+        expect(this.getErrors('player2').length).toBe(1);
+        expect(this.lobby.matchmakingQueue.get('player1')).toBe(this.entries[0]);
+        expect(this.lobby.matchmakingQueue.get('player2')).toBeUndefined();
+    });
+
+    it('should remove the game and tell both players when there are no game nodes', async function () {
+        this.lobby.startGame.and.returnValue(false);
+
+        await this.lobby.startQueuedGame(this.entries);
+
+        expect(this.lobby.games).toEqual({});
+        for (let username of ['player1', 'player2']) {
+            expect(this.lobby.sockets[username].leaveChannel).toHaveBeenCalled();
+            expect(this.getErrors(username).length).toBe(1);
+            expect(this.lobby.matchmakingQueue.get(username)).toBeUndefined();
+        }
+    });
+});
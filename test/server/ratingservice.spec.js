@@ -0,0 +1,94 @@
+const db = require('../../server/db');
+const logger = require('../../server/log.js');
+const RatingService = require('../../server/services/RatingService.js');
+
+describe('RatingService', function () {
+    beforeEach(function () {
+        this.ratingService = new RatingService();
+        this.client = jasmine.createSpyObj('client', ['release']);
+        this.queries = [];
+        this.failOn = undefined;
+        this.gameRated = false;
+
+        spyOn(db, 'startTransaction').and.callFake(async () => this.client);
+        spyOn(db, 'queryTran').and.callFake(async (client, text) => {
+            this.queries.push(text.split(' ')[0]);
+
+            if (this.failOn && text.startsWith(this.failOn)) {
+                throw new Error('Database error');
+            }
+
+            if (text.startsWith('UPDATE "Games"')) {
+                return this.gameRated ? [] : [{ Id: 1 }];
+            }
+
+            if (text.startsWith('SELECT')) {
+                return [
+                    { UserId: 1, Username: 'player1' },
+                    { UserId: 2, Username: 'player2' }
+                ];
+            }
+
+            return [];
+        });
+        spyOn(logger, 'error');
+
+        this.game = {
+            gameId: 'game',
+            gameType: 'competitive',
+            gameFormat: 'normal',
+            result: 'win',
+            winner: 'player1',
+            players: [{ name: 'player1' }, { name: 'player2' }]
+        };
+    });
+
+    describe('recordGame()', function () {
+        it('should mark the game as rated and save both ratings in one transaction', async function () {
+            let ratings = await this.ratingService.recordGame(this.game);
+
+            expect(this.queries).toEqual([
+                'UPDATE',
+                'SELECT',
+                'INSERT',
+                'INSERT',
+                'INSERT',
+                'INSERT',
+                'COMMIT'
+            ]);
+            expect(ratings.player1.normal.rating).toBeGreaterThan(ratings.player2.normal.rating);
+            expect(this.client.release).toHaveBeenCalled();
+        });
+
+        it('should not rate a game twice', async function () {
+            this.gameRated = true;
+
+            let ratings = await this.ratingService.recordGame(this.game);
+
+            expect(ratings).toBeUndefined();
+            expect(this.queries).toEqual(['UPDATE', 'ROLLBACK']);
+        });
+
+        it('should roll back every change if a rating cannot be saved', async function () {
+            this.failOn = 'INSERT';
+
+            let error;
+            try {
+                await this.ratingService.recordGame(this.game);
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error.message).toBe('Failed to update ratings');
+            expect(this.queries).toEqual(['UPDATE', 'SELECT', 'INSERT', 'ROLLBACK']);
+            expect(this.client.release).toHaveBeenCalled();
+        });
+
+        it('should not rate casual games', async function () {
+            this.game.gameType = 'casual';
+
+            expect(await this.ratingService.recordGame(this.game)).toBeUndefined();
+            expect(db.startTransaction).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const Lobby = require('../../server/lobby.js');
+const PendingGame = require('../../server/pendinggame.js');
+
+describe('rematching a tournament game', function () {
+    beforeEach(function () {
+        this.lobby = Object.create(Lobby.prototype);
+        this.lobby.games = {};
+        this.lobby.sockets = {};
+        this.lobby.io = jasmine.createSpyObj('io', ['emit']);
+        this.lobby.tournamentService = jasmine.createSpyObj('tournamentService', ['setMatchGame']);
+        this.lobby.tournamentService.setMatchGame.and.callFake(async () => true);
+        spyOn(this.lobby, 'sendGameState');
+        spyOn(this.lobby, 'broadcastGameMessage');
+        spyOn(this.lobby, 'reselectDeck').and.callFake(async () => true);
+        spyOn(this.lobby, 'onStartGame');
+
+        let users = ['player1', 'player2'].map((username) => ({ username, blockList: [] }));
+        this.tournamentMatch = { id: 7, tournamentId: 3, decks: { player1: 1, player2: 2 } };
+        this.game = new PendingGame(users[0], {
+            gameFormat: 'normal',
+            tournament: true,
+            tournamentMatch: this.tournamentMatch
+        });
+        this.game.newGame('player1', users[0], undefined, true);
+        this.game.join('player2', users[1]);
+        this.lobby.games[this.game.id] = this.game;
+
+        for (let user of users) {
+            this.lobby.sockets[user.username] = {
+                id: user.username,
+                user: user,
+                joinChannel: jasmine.createSpy('joinChannel')
+            };
+        }
+
+        this.rematch = (winner) => {
+            this.lobby.onGameRematch({ gameId: this.game.id, players: [], winner: winner }, 123);
+
+            return Object.values(this.lobby.games)[0];
+        };
+    });
+
+    it('should leave the tournament match once a game of it has been won', function () {
+        let newGame = this.rematch('player1');
+
+        expect(newGame.tournamentMatch).toBeUndefined();
+        expect(this.lobby.tournamentService.setMatchGame).not.toHaveBeenCalled();
+    });
+
+    it('should keep the tournament match when the game was drawn', function () {
+        let newGame = this.rematch(undefined);
+
+        expect(newGame.tournamentMatch).toBe(this.tournamentMatch);
+        expect(newGame.getPlayers().player2).toBeDefined();
+        expect(this.lobby.tournamentService.setMatchGame).toHaveBeenCalledWith(7, newGame.id);
+    });
+});
@@ -0,0 +1,68 @@
+const ReplayCache = require('../../server/ReplayCache.js');
+
+describe('ReplayCache', function () {
+    beforeEach(function () {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2020, 0, 1));
+
+        this.cache = new ReplayCache();
+        this.playBack = jasmine.createSpy('playBack').and.callFake(async () => ({ snapshots: [] }));
+    });
+
+    afterEach(function () {
+        jasmine.clock().uninstall();
+    });
+
+    it('should only play a replay back once for each viewer', function () {
+        let first = this.cache.get('game', 'player1', this.playBack);
+        let second = this.cache.get('game', 'player1', this.playBack);
+        this.cache.get('game', 'player2', this.playBack);
+
+        expect(second).toBe(first);
+        expect(this.playBack).toHaveBeenCalledTimes(2);
+    });
+
+    it('should play a replay back again once the cached result is too old', function () {
+        this.cache.get('game', 'player1', this.playBack);
+        jasmine.clock().tick(31 * 60 * 1000);
+        this.cache.get('game', 'player1', this.playBack);
+
+        expect(this.playBack).toHaveBeenCalledTimes(2);
+    });
+
+    it('should play a replay back again when playing it back failed', async function () {
+        this.playBack.and.callFake(async () => {
+            throw new Error('Playback failed');
+        });
+
+        let error;
+        try {
+            await this.cache.get('game', 'player1', this.playBack);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error.message).toBe('Playback failed');
+
+        this.playBack.and.callFake(async () => ({ snapshots: [] }));
+
+        expect(await this.cache.get('game', 'player1', this.playBack)).toEqual({ snapshots: [] });
+        expect(this.playBack).toHaveBeenCalledTimes(2);
+    });
+
+    it('should remove the least recently viewed replay when it is full', function () {
+        for (let i = 0; i < 20; i++) {
+            this.cache.get(`game${i}`, 'player1', this.playBack);
+        }
+
+        this.cache.get('game0', 'player1', this.playBack);
+        this.cache.get('game20', 'player1', this.playBack);
+        this.playBack.calls.reset();
+
+        this.cache.get('game0', 'player1', this.playBack);
+        expect(this.playBack).not.toHaveBeenCalled();
+
+        this.cache.get('game1', 'player1', this.playBack);
+        expect(this.playBack).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,99 @@
+const GameServer = require('../../server/gamenode/gameserver.js');
+const Lobby = require('../../server/lobby.js');
+const PendingGame = require('../../server/pendinggame.js');
+const logger = require('../../server/log.js');
+const Settings = require('../../server/settings.js');
+
+describe('restoring a game', function () {
+    beforeEach(function () {
+        spyOn(logger, 'error');
+
+        this.pendingGame = {
+            id: 'game',
+            owner: { username: 'player1' },
+            players: [
+                { id: '111', user: Settings.getUserWithDefaultsSet({ username: 'player1' }) },
+                { id: '222', user: Settings.getUserWithDefaultsSet({ username: 'player2' }) }
+            ]
+        };
+    });
+
+    describe('on the game node', function () {
+        beforeEach(function () {
+            this.node = Object.create(GameServer.prototype);
+            this.node.games = {};
+            this.node.cardData = {};
+            this.node.gameSocket = jasmine.createSpyObj('gameSocket', ['loadSnapshot', 'send']);
+            this.node.gameSocket.loadSnapshot.and.callFake((gameId, callback) =>
+                callback(this.snapshot)
+            );
+        });
+
+        it('should tell the lobby when there is nothing to restore from', function () {
+            this.node.onRestoreGame(this.pendingGame);
+
+            expect(this.node.gameSocket.send).toHaveBeenCalledWith('GAMERESTOREFAILED', {
+                gameId: 'game'
+            });
+        });
+
+        it('should remove the game and tell the lobby when the snapshot cannot be played', function () {
+            // The decks are missing, so setting the game up fails
+            this.snapshot = { seed: 1, details: this.pendingGame, inputs: [] };
+
+            this.node.onRestoreGame(this.pendingGame);
+
+            expect(this.node.games).toEqual({});
+            expect(logger.error).toHaveBeenCalled();
+            expect(this.node.gameSocket.send).toHaveBeenCalledWith('GAMERESTOREFAILED', {
+                gameId: 'game'
+            });
+            expect(this.node.gameSocket.send).not.toHaveBeenCalledWith(
+                'GAMERESTORED',
+                jasmine.anything()
+            );
+        });
+    });
+
+    describe('in the lobby', function () {
+        beforeEach(function () {
+            this.lobby = Object.create(Lobby.prototype);
+            this.lobby.games = {};
+            this.lobby.sockets = {};
+            spyOn(this.lobby, 'broadcastGameMessage');
+
+            let users = ['player1', 'player2'].map((username) => ({ username, blockList: [] }));
+            this.game = new PendingGame(users[0], { gameFormat: 'normal' });
+            this.game.newGame('player1', users[0], undefined, true);
+            this.game.join('player2', users[1]);
+            this.game.started = true;
+            this.game.node = { identity: 'node2' };
+            this.lobby.games[this.game.id] = this.game;
+
+            for (let user of users) {
+                this.lobby.sockets[user.username] = jasmine.createSpyObj('socket', [
+                    'send',
+                    'leaveChannel'
+                ]);
+                this.lobby.sockets[user.username].user = user;
+            }
+        });
+
+        it('should remove the game and tell the players', function () {
+            this.lobby.onGameRestoreFailed(this.game.id, 'node2');
+
+            expect(this.lobby.games).toEqual({});
+            expect(this.lobby.broadcastGameMessage).toHaveBeenCalledWith('removegame', this.game);
+            for (let socket of Object.values(this.lobby.sockets)) {
+                expect(socket.leaveChannel).toHaveBeenCalledWith(this.game.id);
+                expect(socket.send).toHaveBeenCalledWith('gameerror', jasmine.any(String));
+            }
+        });
+
+        it('should ignore failures from a node the game has since moved away from', function () {
+            this.lobby.onGameRestoreFailed(this.game.id, 'node1');
+
+            expect(this.lobby.games[this.game.id]).toBe(this.game);
+        });
+    });
+});
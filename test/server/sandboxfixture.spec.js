@@ -0,0 +1,50 @@
+const { getTestFixture } = require('../../server/game/SandboxFixture.js');
+
+describe('Sandbox fixture', function () {
+    beforeEach(function () {
+        this.options = {
+            player1: {
+                house: 'brobnar',
+                amber: 3,
+                chains: 1,
+                keys: ['red'],
+                inPlay: [
+                    'krump',
+                    {
+                        card: 'troll',
+                        exhausted: true,
+                        stunned: true,
+                        tokens: { damage: 2, power: 1 },
+                        upgrades: ['blood-of-titans']
+                    }
+                ],
+                hand: ['anger'],
+                discard: ['punch'],
+                archives: ['smith']
+            },
+            player2: {
+                amber: 0,
+                chains: 0,
+                keys: [],
+                inPlay: ['dust-pixie'],
+                hand: [],
+                discard: [],
+                archives: []
+            }
+        };
+
+        this.setupTest(JSON.parse(JSON.stringify(this.options)));
+    });
+
+    it('should set up the state of cards in play', function () {
+        expect(this.troll.exhausted).toBe(true);
+        expect(this.troll.stunned).toBe(true);
+        expect(this.troll.tokens.damage).toBe(2);
+        expect(this.troll.upgrades.map((upgrade) => upgrade.id)).toEqual(['blood-of-titans']);
+        expect(this.player1.player.keys.red).toBe(true);
+    });
+
+    it('should export the same options it was set up with', function () {
+        expect(getTestFixture(this.game)).toEqual(this.options);
+    });
+});
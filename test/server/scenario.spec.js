@@ -0,0 +1,146 @@
+const {
+    buildScenarioDeck,
+    getScenarioCardIds,
+    getScenarios,
+    validateScenario
+} = require('../../server/Scenario.js');
+const ScenarioCondition = require('../../server/game/ScenarioCondition.js');
+
+describe('Scenario', function () {
+    beforeEach(function () {
+        this.scenario = {
+            id: 'test',
+            name: 'Test',
+            goal: 'Win',
+            firstPlayer: 'player',
+            player: {
+                houses: ['brobnar', 'dis', 'untamed'],
+                hand: ['troll'],
+                deck: ['krump'],
+                inPlay: ['troll', { id: 'bumpsy', upgrades: ['banner-of-battle'] }]
+            },
+            opponent: {
+                houses: ['brobnar', 'dis', 'untamed'],
+                inPlay: ['dust-pixie']
+            },
+            win: [{ type: 'keys', amount: 1 }],
+            lose: [{ type: 'turnsEnded', amount: 1 }]
+        };
+        this.cards = {
+            troll: { id: 'troll' },
+            krump: { id: 'krump' },
+            bumpsy: { id: 'bumpsy' },
+            'banner-of-battle': { id: 'banner-of-battle' },
+            'dust-pixie': { id: 'dust-pixie' }
+        };
+    });
+
+    describe('getScenarioCardIds()', function () {
+        it('should include cards in every location along with upgrades', function () {
+            expect(getScenarioCardIds(this.scenario.player).sort()).toEqual([
+                'banner-of-battle',
+                'bumpsy',
+                'krump',
+                'troll',
+                'troll'
+            ]);
+        });
+    });
+
+    describe('validateScenario()', function () {
+        it('should accept a complete scenario', function () {
+            expect(validateScenario(this.scenario, this.cards)).toEqual({
+                valid: true,
+                errors: []
+            });
+        });
+
+        it('should reject unknown cards', function () {
+            this.scenario.opponent.hand = ['not-a-card'];
+
+            let result = validateScenario(this.scenario, this.cards);
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual(['The opponent side has unknown cards: not-a-card']);
+        });
+
+        it('should reject unknown conditions and a missing win condition', function () {
+            this.scenario.win = [];
+            this.scenario.lose = [{ type: 'bananas' }];
+
+            let result = validateScenario(this.scenario, this.cards);
+
+            expect(result.errors).toEqual([
+                'Unknown condition: bananas',
+                'The scenario must have a win condition'
+            ]);
+        });
+
+        it('should have valid bundled scenarios', function () {
+            for (let scenario of getScenarios()) {
+                let cards = {};
+                for (let side of ['player', 'opponent']) {
+                    for (let id of getScenarioCardIds(scenario[side])) {
+                        cards[id] = { id: id };
+                    }
+                }
+
+                expect(validateScenario(scenario, cards).errors).toEqual([]);
+            }
+        });
+    });
+
+    describe('buildScenarioDeck()', function () {
+        it('should count each card the side uses', function () {
+            let deck = buildScenarioDeck(this.scenario, 'player', this.cards);
+
+            expect(deck.scenario).toBe('test');
+            expect(deck.houses).toEqual(['brobnar', 'dis', 'untamed']);
+            expect(deck.cards.find((card) => card.id === 'troll').count).toBe(2);
+            expect(deck.cards.length).toBe(4);
+        });
+    });
+
+    describe('ScenarioCondition', function () {
+        beforeEach(function () {
+            this.player = { amber: 3, turn: 2, creaturesInPlay: [], getForgedKeys: () => 0 };
+            this.opponent = { amber: 0, turn: 1, creaturesInPlay: [{}], getForgedKeys: () => 1 };
+            this.game = {
+                getPlayers: () => [this.player, this.opponent],
+                getScenarioPlayer: (side) => (side === 'player' ? this.player : this.opponent)
+            };
+        });
+
+        it('should check the state of the given side', function () {
+            expect(
+                new ScenarioCondition(this.game, { type: 'keys', amount: 1 }).checkCondition()
+            ).toBe(false);
+            expect(
+                new ScenarioCondition(this.game, {
+                    type: 'keys',
+                    side: 'opponent',
+                    amount: 1
+                }).checkCondition()
+            ).toBe(true);
+            expect(
+                new ScenarioCondition(this.game, { type: 'amber', amount: 3 }).checkCondition()
+            ).toBe(true);
+            expect(
+                new ScenarioCondition(this.game, {
+                    type: 'creatures',
+                    side: 'opponent',
+                    amount: 0
+                }).checkCondition()
+            ).toBe(false);
+        });
+
+        it('should count the turns ended by both players', function () {
+            expect(
+                new ScenarioCondition(this.game, { type: 'turnsEnded', amount: 1 }).checkCondition()
+            ).toBe(true);
+            expect(
+                new ScenarioCondition(this.game, { type: 'turnsEnded', amount: 2 }).checkCondition()
+            ).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,35 @@
+const SeededRandom = require('../../server/game/SeededRandom.js');
+
+describe('the SeededRandom', function () {
+    beforeEach(function () {
+        this.list = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    });
+
+    describe('when created with the same seed', function () {
+        it('should produce the same sequence', function () {
+            let first = new SeededRandom(1234);
+            let second = new SeededRandom(1234);
+
+            expect(first.shuffle(this.list)).toEqual(second.shuffle(this.list));
+            expect(first.next()).toBe(second.next());
+        });
+    });
+
+    describe('when created without a seed', function () {
+        it('should generate one', function () {
+            let random = new SeededRandom();
+
+            expect(random.seed).toEqual(jasmine.any(Number));
+            expect(new SeededRandom(random.seed).next()).toBe(random.next());
+        });
+    });
+
+    describe('the shuffle() function', function () {
+        it('should not change the list passed in', function () {
+            let result = new SeededRandom(42).shuffle(this.list);
+
+            expect(this.list).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            expect(result.slice().sort((a, b) => a - b)).toEqual(this.list);
+        });
+    });
+});
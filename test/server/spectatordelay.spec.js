@@ -0,0 +1,188 @@
+const Game = require('../../server/game/game.js');
+const GameServer = require('../../server/gamenode/gameserver.js');
+const PendingGame = require('../../server/pendinggame.js');
+const Settings = require('../../server/settings.js');
+
+describe('spectator delay', function () {
+    beforeEach(function () {
+        this.createGame = (spectatorDelay) =>
+            new Game(
+                {
+                    id: 'game',
+                    owner: { username: 'player1' },
+                    players: [
+                        {
+                            id: '111',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player1' })
+                        },
+                        {
+                            id: '222',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player2' })
+                        }
+                    ],
+                    spectatorDelay: spectatorDelay,
+                    spectators: [
+                        {
+                            id: '333',
+                            user: Settings.getUserWithDefaultsSet({
+                                username: 'caster',
+                                permissions: { isCaster: true }
+                            })
+                        },
+                        { id: '444', user: Settings.getUserWithDefaultsSet({ username: 'viewer' }) }
+                    ]
+                },
+                { router: {} }
+            );
+
+        this.game = this.createGame(60);
+        this.card = {
+            controller: this.game.getPlayerByName('player1'),
+            getEffects: () => [],
+            location: 'hand'
+        };
+    });
+
+    describe('when a pending game is created', function () {
+        it('should keep the delay within the allowed range', function () {
+            expect(new PendingGame({}, { spectatorDelay: '30' }).spectatorDelay).toBe(30);
+            expect(new PendingGame({}, { spectatorDelay: 6000 }).spectatorDelay).toBe(600);
+            expect(new PendingGame({}, { spectatorDelay: -5 }).spectatorDelay).toBe(0);
+            expect(new PendingGame({}, {}).spectatorDelay).toBe(0);
+        });
+    });
+
+    describe('the toggleCasterView() function', function () {
+        it('should switch casters to the caster view and back', function () {
+            this.game.toggleCasterView('caster');
+            expect(this.game.playersAndSpectators['caster'].caster).toBe(true);
+
+            this.game.toggleCasterView('caster');
+            expect(this.game.playersAndSpectators['caster'].caster).toBe(false);
+        });
+
+        it('should not switch spectators without the caster permission', function () {
+            this.game.toggleCasterView('viewer');
+
+            expect(this.game.playersAndSpectators['viewer'].caster).toBe(false);
+        });
+
+        it('should not switch players', function () {
+            this.game.toggleCasterView('player2');
+
+            expect(this.game.getPlayerByName('player2').caster).toBeUndefined();
+        });
+
+        it('should not be available when spectators are not delayed', function () {
+            this.game = this.createGame(0);
+
+            this.game.toggleCasterView('caster');
+
+            expect(this.game.playersAndSpectators['caster'].caster).toBe(false);
+        });
+    });
+
+    describe('sending delayed states', function () {
+        beforeEach(function () {
+            jasmine.clock().install();
+            jasmine.clock().mockDate(new Date(2020, 0, 1));
+
+            this.node = Object.create(GameServer.prototype);
+            this.node.games = { game: this.game };
+            this.node.delayedStates = {};
+            this.node.sendStateToUser = jasmine.createSpy('sendStateToUser');
+
+            for (let name of ['caster', 'viewer']) {
+                this.game.playersAndSpectators[name].socket = {};
+            }
+
+            this.sent = () =>
+                this.node.sendStateToUser.calls
+                    .allArgs()
+                    .map(([, spectator, state]) => `${spectator.name}:${state.update}`);
+        });
+
+        afterEach(function () {
+            jasmine.clock().uninstall();
+        });
+
+        it('should send every update to each spectator in order once it is due', function () {
+            this.node.sendDelayedGameState(this.game, {
+                caster: JSON.stringify({ update: 1 }),
+                viewer: JSON.stringify({ update: 1 })
+            });
+            jasmine.clock().tick(10000);
+            this.node.sendDelayedGameState(this.game, { caster: JSON.stringify({ update: 2 }) });
+
+            jasmine.clock().tick(49999);
+            expect(this.sent()).toEqual([]);
+
+            jasmine.clock().tick(1);
+            expect(this.sent()).toEqual(['caster:1', 'viewer:1']);
+
+            jasmine.clock().tick(10000);
+            expect(this.sent()).toEqual(['caster:1', 'viewer:1', 'caster:2']);
+            expect(this.node.delayedStates.game).toBeUndefined();
+        });
+
+        it('should keep a single timer for the game however many updates are waiting', function () {
+            let timer;
+            for (let update = 1; update <= 3; update++) {
+                this.node.sendDelayedGameState(this.game, {
+                    viewer: JSON.stringify({ update: update })
+                });
+                timer = timer || this.node.delayedStates.game.timer;
+
+                expect(this.node.delayedStates.game.timer).toBe(timer);
+            }
+
+            expect(this.node.delayedStates.game.queue.length).toBe(3);
+        });
+
+        it('should drop the waiting states when the game is removed', function () {
+            this.node.sendDelayedGameState(this.game, { viewer: JSON.stringify({ update: 1 }) });
+            delete this.node.games.game;
+
+            jasmine.clock().tick(60000);
+
+            expect(this.sent()).toEqual([]);
+            expect(this.node.delayedStates.game).toBeUndefined();
+        });
+    });
+
+    describe('card visibility', function () {
+        it('should show hands to casters in the caster view', function () {
+            this.game.toggleCasterView('caster');
+
+            expect(
+                this.game.cardVisibility.isVisible(
+                    this.card,
+                    this.game.playersAndSpectators['caster']
+                )
+            ).toBe(true);
+        });
+
+        it('should not show hands to other spectators', function () {
+            this.game.toggleCasterView('caster');
+
+            expect(
+                this.game.cardVisibility.isVisible(
+                    this.card,
+                    this.game.playersAndSpectators['viewer']
+                )
+            ).toBe(false);
+        });
+
+        it('should not show decks to casters', function () {
+            this.game.toggleCasterView('caster');
+            this.card.location = 'draw deck';
+
+            expect(
+                this.game.cardVisibility.isVisible(
+                    this.card,
+                    this.game.playersAndSpectators['caster']
+                )
+            ).toBe(false);
+        });
+    });
+});
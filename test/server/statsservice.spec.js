@@ -0,0 +1,85 @@
+const moment = require('moment');
+
+const StatsService = require('../../server/services/StatsService.js');
+
+describe('StatsService', function () {
+    beforeEach(function () {
+        this.statsService = new StatsService();
+    });
+
+    describe('getOptions()', function () {
+        it('should keep valid options', function () {
+            expect(
+                this.statsService.getOptions({
+                    from: '2020-01-01',
+                    to: '2020-01-31',
+                    gameFormat: 'sealed'
+                })
+            ).toEqual({ from: '2020-01-01', to: '2020-01-31', gameFormat: 'sealed' });
+        });
+
+        it('should default to the last 30 days of every format', function () {
+            let today = moment.utc().format('YYYY-MM-DD');
+
+            expect(this.statsService.getOptions({})).toEqual({
+                from: moment.utc().subtract(30, 'days').format('YYYY-MM-DD'),
+                to: today,
+                gameFormat: 'all'
+            });
+        });
+
+        it('should ignore dates that are not valid', function () {
+            let options = this.statsService.getOptions({
+                from: '2020-02-01',
+                to: '2020-01-31',
+                gameFormat: ['sealed']
+            });
+
+            expect(options.from).toBe('2020-01-01');
+            expect(options.gameFormat).toBe('all');
+        });
+
+        it('should ignore unknown formats', function () {
+            expect(this.statsService.getOptions({ gameFormat: 'nonsense' }).gameFormat).toBe('all');
+        });
+
+        it('should not go past today', function () {
+            let options = this.statsService.getOptions({ from: '2020-01-01', to: '2999-01-01' });
+
+            expect(options.to).toBe(moment.utc().format('YYYY-MM-DD'));
+        });
+
+        it('should shorten ranges of more than a year', function () {
+            let options = this.statsService.getOptions({ from: '2010-01-01', to: '2020-01-31' });
+
+            expect(options).toEqual({ from: '2019-01-31', to: '2020-01-31', gameFormat: 'all' });
+        });
+
+        it('should ignore dates that are not days', function () {
+            let options = this.statsService.getOptions({
+                from: '2020-01-01T12:00:00Z',
+                to: ['2020', '01', '31']
+            });
+
+            expect(options.to).toBe(moment.utc().format('YYYY-MM-DD'));
+            expect(options.from).toBe(moment.utc().subtract(30, 'days').format('YYYY-MM-DD'));
+        });
+    });
+
+    describe('isFresh()', function () {
+        it('should keep stats calculated after the end of the range', function () {
+            expect(
+                this.statsService.isFresh({ to: '2020-01-31' }, new Date('2020-02-02T00:00:00Z'))
+            ).toBe(true);
+        });
+
+        it('should recalculate old stats for a range that has not ended', function () {
+            expect(
+                this.statsService.isFresh(
+                    { to: moment.utc().format('YYYY-MM-DD') },
+                    moment.utc().subtract(7, 'hours').toDate()
+                )
+            ).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,207 @@
+const Game = require('../../server/game/game.js');
+const Settings = require('../../server/settings.js');
+
+describe('time limit tiebreak', function () {
+    beforeEach(function () {
+        this.router = jasmine.createSpyObj('router', ['gameWon']);
+        this.game = new Game(
+            {
+                id: 'game',
+                owner: { username: 'player1' },
+                players: [
+                    { id: '111', user: Settings.getUserWithDefaultsSet({ username: 'player1' }) },
+                    { id: '222', user: Settings.getUserWithDefaultsSet({ username: 'player2' }) }
+                ]
+            },
+            { router: this.router }
+        );
+
+        spyOn(this.game, 'queueStep');
+
+        this.player1 = this.game.getPlayerByName('player1');
+        this.player2 = this.game.getPlayerByName('player2');
+        for (const player of [this.player1, this.player2]) {
+            player.keys = { red: false, blue: false, yellow: false };
+            player.amber = 0;
+        }
+
+        this.game.activePlayer = this.player1;
+        this.game.timeExpired();
+    });
+
+    it('should finish the turn and play the extra turn before deciding the game', function () {
+        this.player1.keys.red = true;
+
+        this.game.tiebreak.onTurnEnded();
+        expect(this.game.winner).toBeUndefined();
+        expect(this.game.tiebreak.getState().turnsLeft).toBe(0);
+
+        this.game.tiebreak.onTurnEnded();
+        expect(this.game.winner).toBe(this.player1);
+    });
+
+    it('should give the game to the player with more keys', function () {
+        this.player2.keys.red = true;
+        this.player1.amber = 10;
+
+        this.game.tiebreak.resolve();
+
+        expect(this.game.winner).toBe(this.player2);
+        expect(this.game.winReason).toBe('tiebreak-keys');
+        expect(this.router.gameWon).toHaveBeenCalledWith(this.game, 'tiebreak-keys', this.player2);
+    });
+
+    it('should forge keys at the current key cost when the players have the same keys', function () {
+        this.player1.keys.red = true;
+        this.player2.keys.blue = true;
+        this.player1.amber = 5;
+        this.player2.amber = 7;
+
+        this.game.tiebreak.resolve();
+
+        expect(this.game.winner).toBe(this.player2);
+        expect(this.game.winReason).toBe('tiebreak-forging');
+    });
+
+    it('should use the current key cost when forging keys', function () {
+        this.player1.amber = 7;
+        this.player2.amber = 9;
+        spyOn(this.player2, 'getCurrentKeyCost').and.returnValue(10);
+
+        this.game.tiebreak.resolve();
+
+        expect(this.game.winner).toBe(this.player1);
+        expect(this.game.winReason).toBe('tiebreak-forging');
+    });
+
+    it('should count the amber left after forging keys', function () {
+        this.player1.keys.red = true;
+        this.player2.keys.blue = true;
+        this.player1.amber = 11;
+        this.player2.amber = 7;
+
+        this.game.tiebreak.resolve();
+
+        expect(this.game.winner).toBe(this.player1);
+        expect(this.game.winReason).toBe('tiebreak-amber');
+        expect(this.game.tiebreak.getState().result).toEqual({
+            step: 'amber',
+            winner: 'player1'
+        });
+    });
+
+    it('should count all amber when neither player can forge a key', function () {
+        this.player1.keys.red = true;
+        this.player2.keys.blue = true;
+        this.player1.amber = 3;
+        this.player2.amber = 5;
+
+        this.game.tiebreak.resolve();
+
+        expect(this.game.winner).toBe(this.player2);
+        expect(this.game.winReason).toBe('tiebreak-amber');
+        expect(this.game.tiebreak.getState().result).toEqual({
+            step: 'amber',
+            winner: 'player2'
+        });
+    });
+
+    it('should be a draw when the players have the same keys and amber', function () {
+        this.player1.amber = 3;
+        this.player2.amber = 3;
+
+        this.game.tiebreak.resolve();
+
+        expect(this.game.winner).toBeUndefined();
+        expect(this.game.draw).toBe(true);
+        expect(this.game.winReason).toBe('tiebreak-draw');
+        expect(this.router.gameWon).toHaveBeenCalledWith(this.game, 'tiebreak-draw');
+    });
+
+    it('should not decide a game that has already been won', function () {
+        this.game.recordWinner(this.player1, 'keys');
+        this.player2.keys.red = true;
+
+        this.game.tiebreak.onTurnEnded();
+        this.game.tiebreak.onTurnEnded();
+
+        expect(this.game.winner).toBe(this.player1);
+        expect(this.router.gameWon).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('time limit', function () {
+    beforeEach(function () {
+        this.createGame = () => {
+            let game = new Game(
+                {
+                    id: 'game',
+                    owner: { username: 'player1' },
+                    players: [
+                        {
+                            id: '111',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player1' })
+                        },
+                        {
+                            id: '222',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player2' })
+                        }
+                    ],
+                    useGameTimeLimit: true
+                },
+                { router: jasmine.createSpyObj('router', ['gameWon']) }
+            );
+
+            game.activePlayer = game.getPlayerByName('player1');
+            game.timeLimit.timeLimitInMinutes = 50;
+
+            return game;
+        };
+
+        this.game = this.createGame();
+        this.game.timeLimit.timeLimitStarted = true;
+        this.game.timeLimit.timeLimitStartedAt = new Date(Date.now() - 51 * 60 * 1000);
+    });
+
+    it('should not run out before the time limit', function () {
+        this.game.timeLimit.timeLimitStartedAt = new Date();
+
+        this.game.timeLimit.checkForTimeLimitReached();
+
+        expect(this.game.timeLimit.isTimeLimitReached).toBe(false);
+        expect(this.game.inputLog.inputs).toEqual([]);
+    });
+
+    it('should start the tiebreak when the time limit is reached', function () {
+        this.game.timeLimit.checkForTimeLimitReached();
+
+        expect(this.game.timeLimit.isTimeLimitReached).toBe(true);
+        expect(this.game.timeLimit.timeLimitStarted).toBe(false);
+        expect(this.game.tiebreak.getState().started).toBe(true);
+    });
+
+    it('should record running out of time so replays reach the tiebreak', function () {
+        this.game.timeLimit.checkForTimeLimitReached();
+
+        expect(this.game.inputLog.inputs).toEqual([
+            { player: 'player1', command: 'timeExpired', args: [] }
+        ]);
+
+        let replayed = this.createGame();
+        replayed.replayInput(this.game.inputLog.inputs[0]);
+
+        expect(replayed.timeLimit.isTimeLimitReached).toBe(true);
+        expect(replayed.tiebreak.getState()).toEqual(this.game.tiebreak.getState());
+        expect(replayed.inputLog.inputs).toEqual(this.game.inputLog.inputs);
+    });
+
+    it('should only run out once', function () {
+        this.game.timeLimit.checkForTimeLimitReached();
+        this.game.tiebreak.onTurnEnded();
+        this.game.timeExpired('player1');
+        this.game.timeLimit.checkForTimeLimitReached();
+
+        expect(this.game.inputLog.inputs.length).toBe(1);
+        expect(this.game.tiebreak.getState().turnsLeft).toBe(0);
+    });
+});
@@ -0,0 +1,213 @@
+const {
+    getBracketOrder,
+    getStandings,
+    getSwissRoundCount,
+    getTopCutSize,
+    pairEliminationRound,
+    pairSwissRound,
+    pairTopCut
+} = require('../../server/Tournament.js');
+
+describe('Tournament', function () {
+    beforeEach(function () {
+        this.players = ['alice', 'bob', 'carol', 'dave', 'erin', 'frank'].map(
+            (username, index) => ({
+                id: index + 1,
+                username: username
+            })
+        );
+        this.getUsernames = (matches) =>
+            matches.map((match) =>
+                [match.player1Id, match.player2Id].map(
+                    (id) => id && this.players.find((player) => player.id === id).username
+                )
+            );
+    });
+
+    describe('getSwissRoundCount()', function () {
+        it('should play enough rounds to leave one undefeated player', function () {
+            expect(getSwissRoundCount(2)).toBe(1);
+            expect(getSwissRoundCount(8)).toBe(3);
+            expect(getSwissRoundCount(9)).toBe(4);
+        });
+    });
+
+    describe('getStandings()', function () {
+        beforeEach(function () {
+            // alice beats bob, carol beats dave, erin beats frank, then alice beats carol, bob beats erin, dave beats frank
+            this.standings = getStandings(this.players, [
+                { player1Id: 1, player2Id: 2, winnerId: 1 },
+                { player1Id: 3, player2Id: 4, winnerId: 3 },
+                { player1Id: 5, player2Id: 6, winnerId: 5 },
+                { player1Id: 1, player2Id: 3, winnerId: 1 },
+                { player1Id: 2, player2Id: 5, winnerId: 2 },
+                { player1Id: 4, player2Id: 6, winnerId: 4 }
+            ]);
+            this.getStanding = (username) =>
+                this.standings.find((standing) => standing.player.username === username);
+        });
+
+        it('should count wins and losses', function () {
+            expect(this.getStanding('alice').wins).toBe(2);
+            expect(this.getStanding('frank').losses).toBe(2);
+        });
+
+        it('should calculate strength of schedule from opponent wins', function () {
+            // alice played bob (1 win) and carol (1 win)
+            expect(this.getStanding('alice').sos).toBe(2);
+            // frank played erin (1 win) and dave (1 win)
+            expect(this.getStanding('frank').sos).toBe(2);
+        });
+
+        it('should calculate extended strength of schedule from opponent strength of schedule', function () {
+            let bob = this.getStanding('bob');
+            let carol = this.getStanding('carol');
+
+            expect(this.getStanding('alice').extendedSos).toBe(bob.sos + carol.sos);
+        });
+
+        it('should rank players by wins then strength of schedule', function () {
+            expect(this.standings.map((standing) => standing.player.username)).toEqual([
+                'alice',
+                'bob',
+                'carol',
+                'dave',
+                'erin',
+                'frank'
+            ]);
+        });
+
+        it('should count a bye as a win with no opponent', function () {
+            let standings = getStandings(this.players.slice(0, 3), [
+                { player1Id: 1, player2Id: 2, winnerId: 2 },
+                { player1Id: 3, winnerId: 3 }
+            ]);
+            let carol = standings.find((standing) => standing.player.username === 'carol');
+
+            expect(carol.wins).toBe(1);
+            expect(carol.byes).toBe(1);
+            expect(carol.sos).toBe(0);
+        });
+    });
+
+    describe('pairSwissRound()', function () {
+        it('should pair players down the standings', function () {
+            let matches = pairSwissRound(getStandings(this.players.slice(0, 4), []));
+
+            expect(this.getUsernames(matches)).toEqual([
+                ['alice', 'bob'],
+                ['carol', 'dave']
+            ]);
+        });
+
+        it('should avoid rematches', function () {
+            let standings = getStandings(this.players.slice(0, 4), [
+                { player1Id: 1, player2Id: 2, winnerId: 1 },
+                { player1Id: 3, player2Id: 4, winnerId: 3 }
+            ]);
+            let matches = pairSwissRound(standings);
+
+            expect(this.getUsernames(matches)).toEqual([
+                ['alice', 'carol'],
+                ['bob', 'dave']
+            ]);
+        });
+
+        it('should allow rematches when they cannot be avoided', function () {
+            let standings = getStandings(this.players.slice(0, 4), [
+                { player1Id: 1, player2Id: 2, winnerId: 1 },
+                { player1Id: 3, player2Id: 4, winnerId: 3 },
+                { player1Id: 1, player2Id: 3, winnerId: 1 },
+                { player1Id: 2, player2Id: 4, winnerId: 2 },
+                { player1Id: 1, player2Id: 4, winnerId: 1 },
+                { player1Id: 2, player2Id: 3, winnerId: 2 }
+            ]);
+            let matches = pairSwissRound(standings);
+
+            expect(this.getUsernames(matches)).toEqual([
+                ['alice', 'bob'],
+                ['carol', 'dave']
+            ]);
+        });
+
+        it('should pair a large event quickly when a rematch cannot be avoided', function () {
+            // The top 3 players have played everyone except each other, so one of them has to
+            // have a rematch
+            let players = [];
+            for (let id = 1; id <= 40; id++) {
+                players.push({ id: id, username: `player${id}` });
+            }
+
+            let results = [];
+            for (let id = 1; id <= 3; id++) {
+                for (let opponent = 4; opponent <= 40; opponent++) {
+                    results.push({ player1Id: id, player2Id: opponent, winnerId: id });
+                }
+            }
+
+            let standings = getStandings(players, results);
+            let matches = pairSwissRound(standings);
+            let paired = [].concat(...matches.map((match) => [match.player1Id, match.player2Id]));
+            let rematches = matches.filter((match) =>
+                standings
+                    .find((standing) => standing.player.id === match.player1Id)
+                    .opponents.includes(match.player2Id)
+            );
+
+            expect(matches.length).toBe(20);
+            expect(paired.sort((a, b) => a - b)).toEqual(players.map((player) => player.id));
+            expect(rematches.length).toBe(1);
+        });
+
+        it('should give a bye to the lowest ranked player without one', function () {
+            let standings = getStandings(this.players.slice(0, 3), [
+                { player1Id: 1, player2Id: 2, winnerId: 1 },
+                { player1Id: 3, winnerId: 3 }
+            ]);
+            let matches = pairSwissRound(standings);
+
+            expect(this.getUsernames(matches)).toEqual([
+                ['alice', 'carol'],
+                ['bob', undefined]
+            ]);
+        });
+
+        it('should not pair dropped players', function () {
+            this.players[1].dropped = true;
+
+            let matches = pairSwissRound(getStandings(this.players.slice(0, 3), []));
+
+            expect(this.getUsernames(matches)).toEqual([['alice', 'carol']]);
+        });
+    });
+
+    describe('top cut', function () {
+        it('should order the bracket so the top seeds meet last', function () {
+            expect(getBracketOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+        });
+
+        it('should limit the cut to a power of 2 that the players can fill', function () {
+            expect(getTopCutSize(8, 6)).toBe(4);
+            expect(getTopCutSize(4, 20)).toBe(4);
+            expect(getTopCutSize(0, 20)).toBe(0);
+        });
+
+        it('should pair the top seeds against the bottom seeds', function () {
+            let standings = getStandings(this.players.slice(0, 4), []);
+
+            expect(this.getUsernames(pairTopCut(standings, 4))).toEqual([
+                ['alice', 'dave'],
+                ['bob', 'carol']
+            ]);
+        });
+
+        it('should pair the winners of neighbouring matches in later rounds', function () {
+            let matches = pairEliminationRound([
+                { player1Id: 1, player2Id: 4, winnerId: 4 },
+                { player1Id: 2, player2Id: 3, winnerId: 2 }
+            ]);
+
+            expect(this.getUsernames(matches)).toEqual([['dave', 'bob']]);
+        });
+    });
+});
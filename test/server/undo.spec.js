@@ -0,0 +1,166 @@
+const Game = require('../../server/game/game.js');
+const GameServer = require('../../server/gamenode/gameserver.js');
+const Settings = require('../../server/settings.js');
+
+describe('undo', function () {
+    beforeEach(function () {
+        this.createGame = () =>
+            new Game(
+                {
+                    id: 'game',
+                    owner: { username: 'player1' },
+                    players: [
+                        {
+                            id: '111',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player1' })
+                        },
+                        {
+                            id: '222',
+                            user: Settings.getUserWithDefaultsSet({ username: 'player2' })
+                        }
+                    ]
+                },
+                { router: jasmine.createSpyObj('router', ['rollback']) }
+            );
+
+        this.game = this.createGame();
+        this.game.inputLog.inputs = [
+            { player: 'player1', command: 'menuButton', args: [] },
+            { player: 'player1', command: 'cardClicked', args: [] },
+            { player: 'player2', command: 'chat', args: ['hi'] },
+            { player: 'player1', command: 'cardClicked', args: [] },
+            { player: 'player1', command: 'chat', args: ['oops'] },
+            { player: 'player1', command: 'requestUndo', args: [] }
+        ];
+        this.game.checkpoints = [0, 1, 3];
+    });
+
+    describe('getUndoCheckpoint', function () {
+        it('should return the checkpoint from before the last action of the player', function () {
+            expect(this.game.getUndoCheckpoint('player1')).toBe(3);
+        });
+
+        it('should go back to an earlier checkpoint when there is none since the last action', function () {
+            this.game.checkpoints = [0, 1];
+
+            expect(this.game.getUndoCheckpoint('player1')).toBe(1);
+        });
+
+        it('should not count chat or undo requests as actions', function () {
+            this.game.inputLog.inputs.push({ player: 'player2', command: 'chat', args: ['gg'] });
+
+            expect(this.game.getUndoCheckpoint('player2')).toBeUndefined();
+        });
+
+        it('should return nothing if the player has not done anything', function () {
+            this.game.inputLog.inputs = [];
+
+            expect(this.game.getUndoCheckpoint('player1')).toBeUndefined();
+        });
+    });
+
+    describe('isClientCommand', function () {
+        it('should allow the commands players send', function () {
+            for (let command of ['cardClicked', 'menuButton', 'requestUndo', 'offerDraw']) {
+                expect(this.game.isClientCommand(command)).toBe(true);
+            }
+        });
+
+        it('should not allow the methods used by the engine and the game node', function () {
+            for (let command of [
+                'rollback',
+                'saveCheckpoint',
+                'recordInput',
+                'replayInput',
+                'recordDraw',
+                'abandon',
+                'clockExpired'
+            ]) {
+                expect(this.game.isClientCommand(command)).toBe(false);
+            }
+        });
+    });
+
+    describe('rolling back on the game node', function () {
+        beforeEach(function () {
+            this.rolledBackGame = this.createGame();
+            this.node = {
+                createGameFromReplay: jasmine
+                    .createSpy('createGameFromReplay')
+                    .and.returnValue(this.rolledBackGame)
+            };
+
+            this.player1 = this.game.getPlayerByName('player1');
+            this.player1.socket = { id: 'socket' };
+            this.player1.lobbyId = 'lobby';
+            this.game.jsonForUsers = { player1: {} };
+            this.game.clockExpiryTimer = setTimeout(() => true, 60000);
+            spyOn(this.game.timeLimit, 'stopTimer');
+
+            this.result = GameServer.prototype.rollback.call(this.node, this.game, 3);
+        });
+
+        afterEach(function () {
+            clearTimeout(this.game.clockExpiryTimer);
+        });
+
+        it('should replay the inputs up to the checkpoint', function () {
+            let replay = this.node.createGameFromReplay.calls.mostRecent().args[1];
+
+            expect(this.result).toBe(this.rolledBackGame);
+            expect(replay.inputs).toEqual(this.game.inputLog.inputs.slice(0, 3));
+        });
+
+        it('should move the players and their clocks to the new game', function () {
+            let newPlayer = this.rolledBackGame.getPlayerByName('player1');
+
+            expect(newPlayer.socket).toBe(this.player1.socket);
+            expect(newPlayer.lobbyId).toBe('lobby');
+            expect(newPlayer.clock).toBe(this.player1.clock);
+            expect(newPlayer.clock.player).toBe(newPlayer);
+        });
+
+        it('should keep the state already sent to clients', function () {
+            expect(this.rolledBackGame.jsonForUsers).toBe(this.game.jsonForUsers);
+        });
+
+        it('should stop the timers of the old game', function () {
+            expect(this.game.timeLimit.stopTimer).toHaveBeenCalled();
+        });
+    });
+
+    describe('rolling back after the time limit is reached', function () {
+        beforeEach(function () {
+            this.rolledBackGame = this.createGame();
+            this.node = {
+                createGameFromReplay: jasmine
+                    .createSpy('createGameFromReplay')
+                    .and.returnValue(this.rolledBackGame)
+            };
+
+            for (let game of [this.game, this.rolledBackGame]) {
+                game.activePlayer = game.getPlayerByName('player1');
+            }
+
+            this.game.timeExpired();
+        });
+
+        it('should keep the time limit reached and the tiebreak started', function () {
+            GameServer.prototype.rollback.call(this.node, this.game, 3);
+
+            expect(this.rolledBackGame.timeLimit.isTimeLimitReached).toBe(true);
+            expect(this.rolledBackGame.tiebreak.getState().started).toBe(true);
+            expect(this.rolledBackGame.inputLog.inputs).toEqual([
+                { player: 'player1', command: 'timeExpired', args: [] }
+            ]);
+        });
+
+        it('should not record it again when the time ran out before the checkpoint', function () {
+            this.rolledBackGame.timeExpired();
+
+            GameServer.prototype.rollback.call(this.node, this.game, 3);
+
+            expect(this.rolledBackGame.inputLog.inputs).toEqual([]);
+        });
+    });
+});